@@ -9,6 +9,7 @@ import { readdirSync, existsSync, readFileSync, renameSync } from 'fs';
 import { join } from 'path';
 import { createHash } from 'crypto';
 import { log } from '../core/logger.js';
+import { threadOf } from '../memory/manager.js';
 
 export class AgentRegistry {
   constructor(config, services) {
@@ -447,20 +448,24 @@ export class Agent {
   }
 
   /**
-   * Process a message through this agent
+   * Process a message through this agent.
+   *
+   * context.onStream(event) opts into streaming — see ToolExecutor.run for
+   * the event shapes. Reflex replies don't stream; the returned result is
+   * always the complete response.
    */
   async process(message, context = {}) {
     if (this.status === 'paused') {
       return { content: `Agent "${this.name}" is paused. Resume it first.`, tier: 'blocked', cost: 0, model: null };
     }
 
-    const { router, memory, trustKernel, audit } = this.services;
+    const { router, memory, trustKernel, audit, budgets } = this.services;
 
     // Extract text for classification (images don't affect routing)
     const textMessage = typeof message === 'string' ? message : message;
 
     // Classify message complexity
-    const route = router.classify(textMessage);
+    let route = router.classify(textMessage);
 
     // Tier 0: Reflex response (no LLM)
     if (route.tier === 'reflex') {
@@ -468,32 +473,59 @@ export class Agent {
       return {
         content: route.response,
         tier: 'reflex',
+        confidence: route.confidence,
         cost: 0,
         model: null
       };
     }
 
-    // Build context — now uses structured knowledge + selective history
-    const graphContext = route.extendedContext
-      ? await memory.graphQuery(textMessage)
-      : { results: [] };
+    // Budgets: over the limit means the fast model, or no call at all
+    const budget = {
+      agent: this.name,
+      team: this.teamId || null,
+      channel: context.channel || 'dashboard',
+      userId: context.userId ? String(context.userId) : null
+    };
+    let noEscalate = false;
+    if (budgets) {
+      const verdict = budgets.check(budget);
+      if (verdict.action === 'refuse' || (verdict.action === 'downgrade' && !router.fast)) {
+        audit.log(this.name, 'budget_blocked', textMessage.slice(0, 100), { tier: 'blocked', cost: 0 });
+        return { content: budgets.describe(verdict), tier: 'blocked', cost: 0, model: null, budgetExceeded: true };
+      }
+      if (verdict.action === 'downgrade') {
+        log.warn(`Agent "${this.name}" over budget — using fast model`);
+        route = { ...route, tier: 'simple', model: router.fast, extendedContext: false, downgraded: true, routedTier: route.tier };
+        noEscalate = true;
+      }
+    }
 
-    const knowledgeContext = memory.knowledge ? memory.knowledge.buildContext() : '';
+    // Build context — structured knowledge + selective history + retrieved memory.
+    // History is per thread: this channel, this user, this group chat.
+    // Turns older than the window live on in the thread's rolling summary.
+    // Knowledge is per speaker: theirs, plus shared and this agent's.
+    const thread = threadOf(context);
+    const subject = memory.subjectOf(thread);
 
-    let relevantKnowledge = [];
-    if (route.extendedContext && memory.knowledge) {
-      relevantKnowledge = memory.knowledge.search(textMessage, 5);
-    }
+    const knowledgeContext = memory.knowledge ? memory.knowledge.buildContext({ subject, agent: this.name }) : '';
+    const threadSummary = memory.getThreadState(this.name, thread).summary;
+
+    const historyLimit = knowledgeContext.length > 100 ? 8 : 20;
+    const fullHistory = memory.getThreadHistory(this.name, thread, historyLimit);
+
+    // Every layer at once, fused and packed — each item citable as [M1]…
+    const recall = await memory.retrieve(textMessage, {
+      agent: this.name, subject, thread, recent: fullHistory,
+      known: [knowledgeContext, threadSummary], router: noEscalate ? null : router
+    });
 
-    const systemPrompt = this._buildSystemPrompt(graphContext, knowledgeContext, relevantKnowledge);
+    const systemPrompt = this._buildSystemPrompt(recall.context, knowledgeContext, threadSummary);
 
     const MAX_CONTEXT_CHARS = 100000;
     const systemChars = systemPrompt.length;
     const messageChars = textMessage.length;
     const availableForHistory = MAX_CONTEXT_CHARS - systemChars - messageChars;
 
-    const historyLimit = knowledgeContext.length > 100 ? 8 : 20;
-    const fullHistory = memory.getHistory(this.name, historyLimit);
     const truncatedHistory = this._truncateHistory(fullHistory, availableForHistory);
 
     // Build user message — multimodal if images provided
@@ -528,14 +560,25 @@ export class Agent {
       if (this.services.toolExecutor) {
         result = await this.services.toolExecutor.run(messages, {
           model: route.model,
-          system: systemPrompt
+          tier: route.tier,
+          system: systemPrompt,
+          onEvent: context.onStream,
+          budget: budgets ? budget : undefined,
+          caller: { ...budget, chatId: context.chatId || null }, // where to ask for tool approvals
+          requester: subject, // cached answers are per user — their recall was in the prompt
+          noEscalate
         });
       } else {
         const completion = await router.complete(messages, {
           model: route.model,
-          system: systemPrompt
+          tier: route.tier,
+          system: systemPrompt,
+          requester: subject,
+          noEscalate,
+          onDelta: context.onStream ? (text) => context.onStream({ type: 'delta', text }) : undefined
         });
         result = { ...completion, toolCalls: [] };
+        budgets?.record(budget, result.cost);
       }
       const _dur = Date.now() - _t0;
       const _tok = (result.usage?.input_tokens || 0) + (result.usage?.output_tokens || 0);
@@ -547,26 +590,36 @@ export class Agent {
     }
 
     // Store in conversation memory (working memory / episodic log)
-    memory.addMessage(this.name, 'user', message, {
+    const messageId = memory.addMessage(this.name, 'user', message, {
       tier: route.tier,
-      channel: context.channel || 'dashboard',
-      userId: context.userId ? String(context.userId) : null,
+      channel: thread.channel,
+      userId: thread.userId,
+      chatId: thread.chatId,
       username: context.username || null
     });
     memory.addMessage(this.name, 'assistant', result.content, {
       model: result.model,
       tier: route.tier,
       tokens: (result.usage?.input_tokens || 0) + (result.usage?.output_tokens || 0),
-      channel: context.channel || 'dashboard',
-      userId: context.userId ? String(context.userId) : null,
+      channel: thread.channel,
+      userId: thread.userId,
+      chatId: thread.chatId,
       username: context.username || null
     });
 
+    // Async: fold turns that just left the window into the summary
+    if (truncatedHistory.length > 0) {
+      memory.summariseThread(router, this.name, thread, truncatedHistory[0].id)
+        .catch(err => log.debug(`Thread summary failed: ${err.message}`));
+    }
+
     // Async: extract structured knowledge from this message
     // Runs in background — doesn't delay the response
     if (memory.knowledge && router) {
       import('../memory/knowledge.js').then(({ extractKnowledge }) => {
-        extractKnowledge(router, memory.knowledge, message, 'user').catch(() => {});
+        extractKnowledge(router, memory.knowledge, message, 'user', {
+          subject, agent: this.name, channel: thread.channel, userId: thread.userId, messageId
+        }).catch(() => {});
         // Save JSON store if using fallback
         if (memory._jsonStore) memory._saveJsonStore();
       }).catch(() => {});
@@ -575,7 +628,9 @@ export class Agent {
     // Audit
     audit.log(this.name, 'completion', message.slice(0, 100), {
       model: result.model,
+      provider: result.provider,
       tier: route.tier,
+      routedTier: route.routedTier, // a budget downgrade — not a lesson for the classifier
       cost: result.cost,
       duration: result.duration
     });
@@ -645,9 +700,13 @@ You exist to make your human's life easier and their business more profitable. Y
     return {
       content: result.content,
       tier: route.tier,
+      confidence: route.confidence,
+      classifier: route.classifier,
       cost: result.cost,
       model: result.model,
-      duration: result.duration
+      provider: result.provider,
+      duration: result.duration,
+      citations: recall.items.map(({ id, source, label, text, ref }) => ({ id, source, label, text, ref }))
     };
   }
 
@@ -675,7 +734,7 @@ You exist to make your human's life easier and their business more profitable. Y
     return history.slice(cutoff);
   }
 
-  _buildSystemPrompt(graphContext, knowledgeContext, relevantKnowledge) {
+  _buildSystemPrompt(memoryContext, knowledgeContext, threadSummary = '') {
     const parts = [this.soul];
 
     // Add agent identity (AGEX AID)
@@ -705,20 +764,14 @@ You exist to make your human's life easier and their business more profitable. Y
       }
     }
 
-    // Add query-relevant knowledge (from search, for complex queries)
-    if (relevantKnowledge && relevantKnowledge.length > 0) {
-      parts.push('\n## Relevant Context');
-      for (const r of relevantKnowledge) {
-        parts.push(`- [${r.type}] ${r.content}`);
-      }
+    // Add query-relevant memory from every layer (MemoryManager.retrieve)
+    if (memoryContext) {
+      parts.push(`\n${memoryContext}`);
     }
 
-    // Add knowledge graph context (Cognee, if connected)
-    if (graphContext.results?.length > 0) {
-      parts.push('\n## Knowledge Graph');
-      for (const r of graphContext.results) {
-        parts.push(`- ${r.content || r.text || JSON.stringify(r)}`);
-      }
+    // What has scrolled out of this thread's recent turns
+    if (threadSummary) {
+      parts.push(`\n## Earlier In This Conversation\n${threadSummary}`);
     }
 
     return parts.join('\n');
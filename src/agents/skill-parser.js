@@ -107,19 +107,8 @@ export function parseSkill(name, content, secrets) {
       }
 
       if (section === 'permissions') {
-        // - http: [api.stripe.com]
-        // - shell: none
-        // - file: [~/workspace/**]
-        const match = line.match(/^-\s+(http|shell|file):\s*(.+)/i);
-        if (match) {
-          const [, type, value] = match;
-          if (value === 'none') {
-            skill.permissions[type] = [];
-          } else {
-            const cleaned = value.replace(/[\[\]]/g, '').trim();
-            skill.permissions[type] = cleaned.split(',').map(v => v.trim()).filter(Boolean);
-          }
-        }
+        const permission = parsePermission(line);
+        if (permission) skill.permissions[permission[0]] = permission[1];
       }
 
       if (section === 'notes' && line.startsWith('- ')) {
@@ -138,6 +127,22 @@ export function parseSkill(name, content, secrets) {
   }
 }
 
+/**
+ * Parse one ## Permissions line:
+ *   - http: [api.stripe.com]
+ *   - shell: none
+ *   - file: [~/workspace/**]
+ * @returns {[string, string[]]|null} - [type, values], or null if not a permission line
+ */
+export function parsePermission(line) {
+  const match = line.trim().match(/^-\s+(http|shell|file):\s*(.+)/i);
+  if (!match) return null;
+  const [, type, value] = match;
+  if (value.trim() === 'none') return [type.toLowerCase(), []];
+  const cleaned = value.replace(/[\[\]]/g, '').trim();
+  return [type.toLowerCase(), cleaned.split(',').map(v => v.trim()).filter(Boolean)];
+}
+
 /**
  * Convert a parsed skill into tool definitions for the LLM
  * @param {object} skill - Parsed skill config
@@ -6,6 +6,8 @@
  */
 
 import { log } from '../core/logger.js';
+import { threadOf } from '../memory/manager.js';
+import { ChannelRouter } from './router.js';
 
 export class ChannelManager {
   constructor(config, agents, secrets) {
@@ -14,6 +16,11 @@ export class ChannelManager {
     this.secrets = secrets;
     this.channels = [];
     this._broadcast = null;
+    this._approvals = null;
+    this._limiter = null;
+    this._content = null;
+    this._delivery = null;
+    this.router = new ChannelRouter(config, agents);
   }
 
   /**
@@ -28,6 +35,63 @@ export class ChannelManager {
     }
   }
 
+  /**
+   * Rate-limit inbound messages per channel user (RateLimiter) and pass
+   * every reply through the outbound filters (ContentQueue).
+   */
+  wireSecurity({ rateLimiter = null, contentQueue = null } = {}) {
+    this._limiter = rateLimiter;
+    this._content = contentQueue;
+    for (const ch of this.channels) {
+      ch._limiter = rateLimiter;
+      ch._content = contentQueue;
+    }
+  }
+
+  /**
+   * Send replies and pushes through the DeliveryQueue. Call before
+   * startAll() — each channel registers its send() as it starts, so
+   * messages left pending from before a restart go out once it's up.
+   */
+  wireDelivery(queue) {
+    this._delivery = queue;
+    for (const ch of this.channels) {
+      ch._delivery = queue;
+      queue.register(ch.channelConfig.channelName, (recipient, text) => ch.send(recipient || {}, text));
+    }
+  }
+
+  /**
+   * Ask for tool approvals on chat channels. A request goes to the owner's
+   * approvers on the channel the conversation came from when that channel
+   * has buttons and approvers, otherwise on every channel that does
+   * (dashboard-originated requests, or channels like email that can't
+   * take a button press). With no approvers anywhere only the dashboard asks.
+   */
+  wireApprovals(approvals) {
+    if (!approvals) return;
+    this._approvals = approvals;
+    for (const ch of this.channels) ch._approvals = approvals;
+
+    approvals.onRequest(async (item) => {
+      const capable = this.channels.filter(ch => typeof ch.askApproval === 'function' && approversOf(ch, this.config).length > 0);
+      const origin = capable.find(ch => ch.channelConfig?.channelName === item.context?.channel);
+      for (const ch of origin ? [origin] : capable) {
+        try {
+          await ch.askApproval(item);
+        } catch (err) {
+          log.warn(`Could not ask for approval on ${ch.channelConfig?.channelName}: ${err.message}`);
+        }
+      }
+    });
+    approvals.onResolve(async (event) => {
+      for (const ch of this.channels) {
+        if (typeof ch.approvalResolved !== 'function') continue;
+        try { await ch.approvalResolved(event); } catch (err) { log.debug(`Approval message update failed: ${err.message}`); }
+      }
+    });
+  }
+
   async startAll() {
     const channelConfigs = this.config.channels || {};
 
@@ -38,8 +102,14 @@ export class ChannelManager {
         const channel = await this._createChannel(name, channelConfig);
         if (channel) {
           channel._broadcast = this._broadcast;
+          channel._approvals = this._approvals;
+          channel._router = this.router;
+          channel._limiter = this._limiter;
+          channel._content = this._content;
+          channel._delivery = this._delivery;
           await channel.start();
           this.channels.push(channel);
+          this._delivery?.register(name, (recipient, text) => channel.send(recipient || {}, text));
           log.success(`Channel: ${name}`);
         }
       } catch (err) {
@@ -77,27 +147,206 @@ export class ChannelManager {
   }
 
   /**
-   * Get channel routing — which agent handles which channel
+   * Send to one conversation ({ channel, userId, chatId }, as threadOf
+   * gives it). Throws when that channel isn't running. Through the
+   * delivery queue a failed send is retried later rather than thrown;
+   * options.key stops the same message going twice.
+   * @returns {Promise<object|null>} the queue item, or null without a queue
    */
-  getRouting() {
-    const routes = {};
-    for (const channel of this.channels) {
-      const name = channel.channelConfig?.channelName;
-      const agentName = channel.channelConfig?.agent || 'primary';
-      routes[name] = agentName;
+  async send(thread, text, options = {}) {
+    const channel = this.channels.find(ch => ch.channelConfig?.channelName === thread?.channel);
+    if (!channel?.send) throw new Error(`${thread?.channel || 'That channel'} isn't connected`);
+    const recipient = { userId: thread.userId ?? null, chatId: thread.chatId ?? null };
+    if (!this._delivery) {
+      await channel.send(recipient, text);
+      return null;
     }
-    return routes;
+    return this._delivery.deliver(thread.channel, recipient, text, options);
+  }
+
+  /**
+   * Get channel routing — the rules in the order they're tried, and the
+   * most recent decisions
+   */
+  getRouting(limit = 50) {
+    return { rules: this.router.describe(), decisions: this.router.recent(limit) };
+  }
+}
+
+/**
+ * The agent a channel message goes to, and its text with any routing prefix
+ * taken off. Channels started outside ChannelManager have no router and use
+ * the primary agent.
+ */
+function routeMessage(channel, message, options) {
+  if (channel._router) return channel._router.route(message, options);
+  return { agent: channel.agents?.primary() || null, text: message.text };
+}
+
+/**
+ * Count an inbound message against its sender's rate limit. null lets it
+ * through; otherwise it's dropped, with the notice to send — once per
+ * window, '' after that so a flood doesn't get a flood back.
+ */
+function rateLimited(channel, name, userId) {
+  const verdict = channel._limiter?.takeMessage(name, userId);
+  if (!verdict || verdict.allowed) return null;
+  return verdict.first ? channel._limiter.describe(verdict) : '';
+}
+
+/**
+ * Send one reply through the delivery queue: send() is the first try (in
+ * the thread, with the platform's formatting), and if it fails the queue
+ * retries through the channel's plain send(). key is per message and
+ * chunk, so a handler that runs twice doesn't answer twice.
+ */
+async function deliver(channel, recipient, text, { key = null, send }) {
+  if (!channel._delivery) return send();
+  const name = channel.channelConfig.channelName;
+  const item = await channel._delivery.deliver(name, recipient, text, { key, send, metadata: { source: 'reply' } });
+  if (item.status !== 'delivered' && !item.duplicate) log.warn(`${name} reply queued for retry: ${item.lastError || 'not sent'}`);
+  return item;
+}
+
+const HELD_BACK = "⚠️ I can't send that reply — an outbound filter held it back. The owner can see why in the audit log.";
+
+/** A reply after the outbound filters — redacted, or a notice in its place if blocked */
+async function outbound(channel, content, meta) {
+  if (!channel._content) return content;
+  const checked = await channel._content.process(content, meta);
+  return checked.delivered ? checked.content : HELD_BACK;
+}
+
+/**
+ * Progressive reply for streaming channels.
+ *
+ * Posts a placeholder once the model has produced some text (or starts a
+ * tool call), then edits it in place at most once per interval so chat
+ * platform rate limits aren't hit. finish() swaps in the final text.
+ * When VALUES.md rules check outbound messages, previews show only what
+ * the agent is doing (tool calls, approvals) and never the reply's text.
+ *
+ * Channels supply send(text) → handle and edit(handle, text, { final }).
+ */
+const STREAM_EDIT_INTERVAL = 1500; // ms between edits
+const STREAM_MIN_CHARS = 40;       // don't post a placeholder for tiny fragments
+
+export class StreamingReply {
+  constructor({ send, edit, maxLen, filter = null }) {
+    this.send = send;
+    this.edit = edit;
+    this.maxLen = maxLen;
+    this.filter = filter; // ContentQueue — previews are scrubbed, finish() gets the checked reply
+    this.text = '';
+    this.status = '';
+    this.handle = null;
+    this._sent = '';
+    this._lastEdit = 0;
+    this._timer = null;
+    this._queue = Promise.resolve();
+    this._closed = false;
+    this.onEvent = this.onEvent.bind(this);
+  }
+
+  /** Stream event sink — pass as context.onStream */
+  onEvent(event) {
+    if (this._closed) return;
+    if (event.type === 'delta') this.text += event.text;
+    else if (event.type === 'tool_call') this.status = `🔧 calling ${event.name}…`;
+    else if (event.type === 'tool_approval' && event.status === 'pending') this.status = `🔐 waiting for approval to run ${event.name}…`;
+    else if (event.type === 'tool_result') this.status = '';
+    this._schedule();
+  }
+
+  _schedule() {
+    if (this._timer) return;
+    const wait = Math.max(0, STREAM_EDIT_INTERVAL - (Date.now() - this._lastEdit));
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._queue = this._queue.then(() => this._update()).catch(err => {
+        log.debug(`Stream edit failed: ${err.message}`);
+      });
+    }, wait);
+  }
+
+  _render() {
+    // VALUES.md rules judge the whole reply, so until then only the status shows
+    if (this.filter?.checksReplies?.()) return this.status;
+    let body = this.filter ? this.filter.scrub(this.text.trim(), { partial: true }).trimEnd() : this.text.trim();
+    const room = this.maxLen - this.status.length - 8;
+    if (body.length > room) body = body.slice(0, room) + ' …';
+    return [body, this.status].filter(Boolean).join('\n\n');
+  }
+
+  async _update() {
+    if (this._closed) return;
+    if (!this.handle && this.text.length < STREAM_MIN_CHARS && !this.status) return;
+    const body = this._render();
+    if (!body || body === this._sent) return;
+    if (this.handle) await this.edit(this.handle, body, { final: false });
+    else this.handle = await this.send(body);
+    this._sent = body;
+    this._lastEdit = Date.now();
   }
 
-  /** Get the agent assigned to a channel (via config.agent, fallback to primary) */
-  _getAgent(channelConfig) {
-    const agentName = channelConfig?.agent;
-    if (agentName && agentName !== 'primary') {
-      const agent = this.agents.get(agentName);
-      if (agent) return agent;
+  /**
+   * Stop streaming and put the first chunk of the final reply into the
+   * placeholder. Returns the chunks the caller still has to send.
+   */
+  async finish(chunks) {
+    this.close();
+    await this._queue;
+    if (!this.handle) return chunks;
+    try {
+      await this.edit(this.handle, chunks[0], { final: true });
+      return chunks.slice(1);
+    } catch (err) {
+      log.debug(`Stream final edit failed: ${err.message}`);
+      return chunks;
     }
-    return this.agents.primary();
   }
+
+  close() {
+    this._closed = true;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+/** Approval request text shared by the channels that ask inline */
+function approvalPrompt(item) {
+  const detail = String(item.detail || '').slice(0, 500);
+  return `🔐 Approval needed [#${item.id}]\n\n` +
+    `${item.agent} wants to run ${item.action} (${item.risk_level} risk)` +
+    (detail ? `\n\n${detail}` : '') +
+    (item.context?.trust ? `\n\nTrust Kernel: ${item.context.trust}` : '');
+}
+
+/**
+ * Who may decide tool approvals on a channel: its `approvers` plus the
+ * owner's identities for it in memory.owners ("telegram:123456"). Nobody
+ * when neither is set — those requests are left to the dashboard.
+ */
+function approversOf(channel, rootConfig) {
+  const name = channel.channelConfig.channelName;
+  const owners = (rootConfig?.memory?.owners || []).map(String)
+    .filter(o => o.startsWith(`${name}:`))
+    .map(o => o.slice(name.length + 1));
+  return [...new Set([...(channel.channelConfig.approvers || []).map(String), ...owners])];
+}
+
+/** Settle an approval from a chat button — approvers only. Returns { settled, text } for the person who pressed it. */
+function decideApproval(channel, approvers, userId, by, approve, id) {
+  if (!approvers.includes(String(userId))) return { settled: false, text: 'Only the owner can decide this.' };
+  const settled = approve
+    ? channel._approvals?.approve(id, by)
+    : channel._approvals?.deny(id, by, 'denied by the owner');
+  return { settled: !!settled, text: settled ? (approve ? 'Approved' : 'Denied') : 'Already decided or expired.' };
+}
+
+function approvalOutcome({ approved, by, reason }) {
+  if (approved) return `✅ Approved${by ? ` by ${by}` : ''}`;
+  return `❌ Denied${by && by !== 'system' ? ` by ${by}` : ''}${reason ? ` — ${reason}` : ''}`;
 }
 
 /**
@@ -120,6 +369,9 @@ class TelegramChannel {
     this.secrets = secrets;
     this.bot = null;
     this.pendingPairings = new Map(); // code → { userId, username, timestamp }
+    this._approvals = null;           // ExecApprovals, set by ChannelManager.wireApprovals
+    this._router = null;              // ChannelRouter, set by ChannelManager.startAll
+    this._approvalMessages = new Map(); // approval id → [{ chatId, messageId, text }]
   }
 
   _generatePairingCode() {
@@ -232,6 +484,13 @@ class TelegramChannel {
       }
     });
 
+    // Approve/deny buttons on tool approval requests — approvers only
+    this.bot.callbackQuery(/^approval:(approve|deny):(\d+)$/, async (ctx) => {
+      const [, decision, id] = ctx.match;
+      const { text } = this.decideApproval(ctx.from, decision === 'approve', id);
+      await ctx.answerCallbackQuery({ text });
+    });
+
     // Handle regular messages
     this.bot.on('message:text', async (ctx) => {
       const text = ctx.message.text;
@@ -239,7 +498,7 @@ class TelegramChannel {
       // Handle slash commands
       if (text.startsWith('/')) {
         const [cmd, ...args] = text.split(' ');
-        const reply = await this._handleSlashCommand(cmd.toLowerCase(), args, 'telegram', ctx.from.id);
+        const reply = await this._handleSlashCommand(cmd.toLowerCase(), args, 'telegram', ctx.from.id, ctx.chat.id);
         if (reply) { await ctx.reply(reply, { parse_mode: 'Markdown' }); }
         return;
       }
@@ -280,12 +539,6 @@ class TelegramChannel {
         return;
       }
 
-      const agent = this.agents.primary();
-      if (!agent) {
-        await ctx.reply('Agent not ready. Try again in a moment.');
-        return;
-      }
-
       // Group chat: only respond if mentioned or replied to
       const chatType = ctx.chat?.type;
       if (chatType === 'group' || chatType === 'supergroup') {
@@ -299,17 +552,43 @@ class TelegramChannel {
         if (!isMentioned) return; // silently ignore non-mentioned group messages
       }
 
+      const limited = rateLimited(this, 'telegram', userId);
+      if (limited !== null) {
+        if (limited) await ctx.reply(limited).catch(() => {});
+        return;
+      }
+
+      const { agent, text: message } = routeMessage(this, { channel: 'telegram', userId, chatId: ctx.chat.id, text });
+      if (!agent) {
+        await ctx.reply('Agent not ready. Try again in a moment.');
+        return;
+      }
+
+      let stream = null;
       try {
         await ctx.replyWithChatAction('typing');
 
-        const result = await agent.process(ctx.message.text, {
+        stream = this.channelConfig.streaming === false ? null : new StreamingReply({
+          filter: this._content,
+          maxLen: 4096,
+          send: (text) => ctx.reply(text),
+          edit: (msg, text, { final }) => final
+            ? this._editTelegramReply(ctx, msg, text)
+            : ctx.api.editMessageText(msg.chat.id, msg.message_id, text),
+        });
+
+        const result = await agent.process(message, {
           channel: 'telegram',
           userId: ctx.from.id,
-          username: ctx.from.username
+          chatId: ctx.chat.id,
+          username: ctx.from.username,
+          onStream: stream?.onEvent,
         });
 
         // Guard against empty/undefined content
-        const content = result?.content || '(empty response)';
+        const content = await outbound(this, result?.content || '(empty response)', {
+          channel: 'telegram', userId, chatId: ctx.chat.id, agent: agent.name,
+        });
 
         // Broadcast to dashboard so messages appear in real-time
         if (this._broadcast) {
@@ -328,17 +607,22 @@ class TelegramChannel {
 
         // Send response (split if too long for Telegram)
         const maxLen = 4096;
-        const chunks = content.length <= maxLen
+        let chunks = content.length <= maxLen
           ? [content]
           : this._chunkMessage(content, maxLen);
+        if (stream) chunks = await stream.finish(chunks);
 
-        for (const chunk of chunks) {
-          await this._sendTelegramReply(ctx, chunk);
+        for (const [i, chunk] of chunks.entries()) {
+          await deliver(this, { userId, chatId: ctx.chat.id }, chunk, {
+            key: `telegram:${ctx.chat.id}:${ctx.message.message_id}:${i}`,
+            send: () => this._sendTelegramReply(ctx, chunk),
+          });
         }
 
         log.agent(agent.name, `[telegram] ${result.tier} → ${result.model || 'reflex'} (${result.cost ? '£' + result.cost.toFixed(4) : 'free'})`);
 
       } catch (err) {
+        stream?.close();
         log.error(`Telegram handler error: ${err.stack || err.message}`);
         try {
           // Give user-friendly error based on type
@@ -360,10 +644,14 @@ class TelegramChannel {
       const userId = ctx.from.id;
       if (allowedUsers.length > 0 && !allowedUsers.includes(userId)) return;
 
-      const agent = this.agents.primary();
-      if (!agent) { await ctx.reply('Agent not ready.'); return; }
+      const limited = rateLimited(this, 'telegram', userId);
+      if (limited !== null) {
+        if (limited) await ctx.reply(limited).catch(() => {});
+        return;
+      }
 
-      const voice = agent.services?.voice;
+      // Services are shared, so any agent's voice will do for transcribing
+      const voice = this.agents.primary()?.services?.voice;
       if (!voice) { await ctx.reply('Voice not configured. Add a Deepgram or OpenAI API key.'); return; }
 
       try {
@@ -390,15 +678,20 @@ class TelegramChannel {
 
         const username = ctx.from.username || ctx.from.first_name || 'unknown';
 
-        // Process through agent
-        const result = await agent.process(transcript, {
+        // Process through the agent the transcript routes to
+        const { agent, text: message } = routeMessage(this, { channel: 'telegram', userId, chatId: ctx.chat.id, text: transcript });
+        if (!agent) { await ctx.reply('Agent not ready.'); return; }
+        const result = await agent.process(message, {
           channel: 'telegram',
           userId: ctx.from.id,
+          chatId: ctx.chat.id,
           username,
           isVoice: true,
         });
 
-        const content = result?.content || '(empty response)';
+        const content = await outbound(this, result?.content || '(empty response)', {
+          channel: 'telegram', userId, chatId: ctx.chat.id, agent: agent.name,
+        });
 
         // Broadcast to dashboard
         if (this._broadcast) {
@@ -434,8 +727,11 @@ class TelegramChannel {
         if (!sentVoice) {
           const maxLen = 4096;
           const chunks = content.length <= maxLen ? [content] : this._chunkMessage(content, maxLen);
-          for (const chunk of chunks) {
-            await this._sendTelegramReply(ctx, chunk);
+          for (const [i, chunk] of chunks.entries()) {
+            await deliver(this, { userId, chatId: ctx.chat.id }, chunk, {
+              key: `telegram:${ctx.chat.id}:${ctx.message.message_id}:${i}`,
+              send: () => this._sendTelegramReply(ctx, chunk),
+            });
           }
         }
 
@@ -525,7 +821,7 @@ class TelegramChannel {
     return chunks;
   }
 
-  async _handleSlashCommand(cmd, args, channel, userId) {
+  async _handleSlashCommand(cmd, args, channel, userId, chatId = null) {
     switch (cmd) {
       case '/start': return null; // handled separately
       case '/help':
@@ -538,7 +834,7 @@ class TelegramChannel {
           '/cost — today\'s spending\n' +
           '/whoami — your pairing info';
       case '/status': {
-        const agent = this.agents.primary();
+        const { agent } = routeMessage(this, { channel, userId, chatId, text: '' }, { record: false });
         return agent ? `✅ Agent *${agent.name}* is online.` : '❌ No agent loaded.';
       }
       case '/model': {
@@ -547,6 +843,12 @@ class TelegramChannel {
         return `🤖 *Model routing:*\nPrimary: ${this.config.models?.primary || 'auto'}\nTiers: reflex → simple → standard → complex → expert`;
       }
       case '/reset': {
+        // Only this chat's thread with the agent it routes to — the summary goes
+        // and nothing said so far comes back as context
+        const { agent } = routeMessage(this, { channel, userId, chatId, text: '' }, { record: false });
+        const memory = agent?.services?.memory;
+        if (!memory?.resetThread) return '❌ No agent loaded.';
+        memory.resetThread(agent.name, threadOf({ channel, userId, chatId }));
         return '🔄 Conversation context reset. Send a new message to start fresh.';
       }
       case '/memory': {
@@ -563,15 +865,75 @@ class TelegramChannel {
     }
   }
 
+  /**
+   * Post approve/deny buttons for a tool approval in a DM to each approver
+   * (channels.telegram.approvers and the owner's memory.owners identities).
+   * Never in the chat the request came from — that may not be the owner's.
+   */
+  async askApproval(item) {
+    if (!this.bot) return;
+    const chats = approversOf(this, this.rootConfig);
+    if (chats.length === 0) return;
+    const { InlineKeyboard } = await import('grammy');
+    const keyboard = new InlineKeyboard()
+      .text('✅ Approve', `approval:approve:${item.id}`)
+      .text('❌ Deny', `approval:deny:${item.id}`);
+
+    const text = approvalPrompt(item);
+    const posted = [];
+    for (const chatId of chats) {
+      try {
+        const msg = await this.bot.api.sendMessage(chatId, text, { reply_markup: keyboard });
+        posted.push({ chatId, messageId: msg.message_id, text });
+      } catch (err) {
+        log.debug(`Approval prompt to Telegram ${chatId} failed: ${err.message}`);
+      }
+    }
+    if (posted.length) this._approvalMessages.set(item.id, posted);
+  }
+
+  /** A button press from `from` (a Telegram user) */
+  decideApproval(from, approve, id) {
+    return decideApproval(this, approversOf(this, this.rootConfig), from.id, `telegram:${from.username || from.id}`, approve, id);
+  }
+
+  /** Swap the buttons for the outcome once a request is decided anywhere */
+  async approvalResolved(event) {
+    const posted = this._approvalMessages.get(event.id);
+    if (!posted || !this.bot) return;
+    this._approvalMessages.delete(event.id);
+    for (const { chatId, messageId, text } of posted) {
+      await this.bot.api.editMessageText(chatId, messageId, `${text}\n\n${approvalOutcome(event)}`).catch(() => {});
+    }
+  }
+
+  /** Send to a chat, or the user's private chat */
+  async send({ userId, chatId }, text) {
+    if (!this.bot) throw new Error('Telegram is not connected');
+    await this.bot.api.sendMessage(chatId || userId, text);
+  }
+
   async stop() {
     if (this.bot) {
       await this.bot.stop();
     }
   }
 
+  /**
+   * Final edit of a streamed reply — Markdown first, plain text if Telegram rejects it.
+   */
+  async _editTelegramReply(ctx, msg, text) {
+    try {
+      await ctx.api.editMessageText(msg.chat.id, msg.message_id, text, { parse_mode: 'Markdown' });
+    } catch {
+      await ctx.api.editMessageText(msg.chat.id, msg.message_id, text);
+    }
+  }
+
   /**
    * Send a reply with Markdown, falling back to plain text if Telegram rejects it.
    * Telegram's Markdown parser is strict — unmatched *, _, `, [ etc. cause 400 errors.
+   * Throws if nothing gets through, so the delivery queue can retry it.
    */
   async _sendTelegramReply(ctx, text) {
     try {
@@ -587,8 +949,9 @@ class TelegramChannel {
           // Last resort: strip all markdown-like chars
           const safe = text.replace(/[*_`\[\]()~>#+\-=|{}.!]/g, '');
           await ctx.reply(safe || '(response contained only special characters)');
-        } catch {
+        } catch (err) {
           log.error('Telegram: all reply attempts failed');
+          throw err;
         }
       }
     }
@@ -734,21 +1097,38 @@ class DiscordChannel {
         return;
       }
 
-      // Process message
-      const agent = this.agents.primary();
+      const limited = rateLimited(this, 'discord', userId);
+      if (limited !== null) {
+        if (limited) await message.reply(limited).catch(() => {});
+        return;
+      }
+
+      // Process message — server channels are group threads
+      const chatId = message.guild ? message.channel.id : null;
+      const { agent, text: routed } = routeMessage(this, { channel: 'discord', userId, chatId, text });
       if (!agent) { try { await message.reply('Agent not ready.'); } catch { /**/ } return; }
 
+      let stream = null;
       try {
         // Show typing
         try { await message.channel.sendTyping(); } catch { /* */ }
 
-        const result = await agent.process(text, {
+        stream = this.channelConfig.streaming === false ? null : new StreamingReply({
+          filter: this._content,
+          maxLen: 2000,
+          send: (content) => message.reply(content),
+          edit: (sent, content) => sent.edit(content),
+        });
+
+        const result = await agent.process(routed, {
           channel: 'discord',
           userId,
+          chatId,
           username,
+          onStream: stream?.onEvent,
         });
 
-        const content = result?.content || '(empty response)';
+        const content = await outbound(this, result?.content || '(empty response)', { channel: 'discord', userId, chatId, agent: agent.name });
 
         // Broadcast to dashboard
         if (this._broadcast) {
@@ -767,26 +1147,27 @@ class DiscordChannel {
 
         // Discord has 2000 char limit
         const maxLen = 2000;
-        if (content.length <= maxLen) {
-          await message.reply(content);
-        } else {
-          const chunks = [];
-          let remaining = content;
-          while (remaining.length > 0) {
-            if (remaining.length <= maxLen) { chunks.push(remaining); break; }
-            let splitAt = remaining.lastIndexOf('\n', maxLen);
-            if (splitAt < maxLen * 0.3) splitAt = remaining.lastIndexOf(' ', maxLen);
-            if (splitAt < maxLen * 0.3) splitAt = maxLen;
-            chunks.push(remaining.slice(0, splitAt));
-            remaining = remaining.slice(splitAt).trimStart();
-          }
-          for (const chunk of chunks) {
-            await message.reply(chunk);
-          }
+        let chunks = [];
+        let remaining = content;
+        while (remaining.length > 0) {
+          if (remaining.length <= maxLen) { chunks.push(remaining); break; }
+          let splitAt = remaining.lastIndexOf('\n', maxLen);
+          if (splitAt < maxLen * 0.3) splitAt = remaining.lastIndexOf(' ', maxLen);
+          if (splitAt < maxLen * 0.3) splitAt = maxLen;
+          chunks.push(remaining.slice(0, splitAt));
+          remaining = remaining.slice(splitAt).trimStart();
+        }
+        if (stream) chunks = await stream.finish(chunks);
+        for (const [i, chunk] of chunks.entries()) {
+          await deliver(this, { userId, chatId }, chunk, {
+            key: `discord:${chatId || userId}:${message.id}:${i}`,
+            send: () => message.reply(chunk),
+          });
         }
 
         log.agent(agent.name, `[discord] ${result.tier} → ${result.model || 'reflex'} (${result.cost ? '£' + result.cost.toFixed(4) : 'free'})`);
       } catch (err) {
+        stream?.close();
         log.error(`Discord handler error: ${err.message}`);
         try { await message.reply('Something went wrong. Check the logs.'); } catch { /* */ }
       }
@@ -795,6 +1176,19 @@ class DiscordChannel {
     await this.client.login(token);
   }
 
+  /** Send to a server channel, or a DM to the user */
+  async send({ userId, chatId }, text) {
+    if (!this.client) throw new Error('Discord is not connected');
+    if (chatId) {
+      const channel = await this.client.channels.fetch(chatId);
+      await channel.send(text);
+      return;
+    }
+    const user = await this.client.users.fetch(userId);
+    const dm = await user.createDM();
+    await dm.send(text);
+  }
+
   async stop() {
     if (this.client) {
       this.client.destroy();
@@ -929,7 +1323,13 @@ class WhatsAppChannel {
         return;
       }
 
-      const agent = this.agents.primary();
+      const limited = rateLimited(this, 'whatsapp', userId);
+      if (limited !== null) {
+        if (limited) await message.reply(limited).catch(() => {});
+        return;
+      }
+
+      const { agent, text: routed } = routeMessage(this, { channel: 'whatsapp', userId, text });
       if (!agent) { try { await message.reply('Agent not ready.'); } catch { /**/ } return; }
 
       try {
@@ -937,13 +1337,13 @@ class WhatsAppChannel {
         const chat = await message.getChat();
         await chat.sendStateTyping();
 
-        const result = await agent.process(text, {
+        const result = await agent.process(routed, {
           channel: 'whatsapp',
           userId,
           username,
         });
 
-        const content = result?.content || '(empty response)';
+        const content = await outbound(this, result?.content || '(empty response)', { channel: 'whatsapp', userId, agent: agent.name });
 
         // Broadcast to dashboard
         if (this._broadcast) {
@@ -960,7 +1360,11 @@ class WhatsAppChannel {
           });
         }
 
-        await message.reply(content);
+        const messageId = message.id?._serialized;
+        await deliver(this, { userId }, content, {
+          key: messageId ? `whatsapp:${messageId}` : null,
+          send: () => message.reply(content),
+        });
         log.agent(agent.name, `[whatsapp] ${result.tier} → ${result.model || 'reflex'} (${result.cost ? '£' + result.cost.toFixed(4) : 'free'})`);
       } catch (err) {
         log.error(`WhatsApp handler error: ${err.message}`);
@@ -972,6 +1376,11 @@ class WhatsAppChannel {
     await this.client.initialize();
   }
 
+  async send({ userId, chatId }, text) {
+    if (!this.client) throw new Error('WhatsApp is not connected');
+    await this.client.sendMessage(chatId || userId, text);
+  }
+
   async stop() {
     if (this.client) {
       try { await this.client.destroy(); } catch { /* */ }
@@ -1080,6 +1489,9 @@ class EmailChannel {
           // Filter by allowed senders if configured
           if (allowed.length > 0 && !allowed.includes(from)) continue;
 
+          // Over the limit: left unread, so it's picked up once the window passes
+          if (rateLimited(this, 'email', from) !== null) continue;
+
           // Extract text body
           let body = '';
           if (msg.source) {
@@ -1089,11 +1501,10 @@ class EmailChannel {
             if (bodyStart > -1) body = text.slice(bodyStart + 4, bodyStart + 2000).trim();
           }
 
-          const userMessage = `[Email from ${from}] Subject: ${subject}\n\n${body}`.slice(0, 3000);
-
-          // Process through agent
-          const agent = this.agents.primary();
+          // A routing prefix goes at the start of the subject ("@sales Quote for 40 seats")
+          const { agent, text: topic } = routeMessage(this, { channel: 'email', userId: from, text: subject });
           if (!agent) continue;
+          const userMessage = `[Email from ${from}] Subject: ${topic}\n\n${body}`.slice(0, 3000);
 
           try {
             const result = await agent.process(userMessage, {
@@ -1102,13 +1513,21 @@ class EmailChannel {
               username: from,
             });
 
+            const reply = result.content
+              ? await outbound(this, result.content, { channel: 'email', userId: from, agent: agent.name })
+              : '';
+
             // Send reply
-            if (result.content && this._transporter) {
-              await this._transporter.sendMail({
-                from: await this.secrets.get('email_address'),
-                to: from,
-                subject: `Re: ${subject}`,
-                text: result.content,
+            if (reply && this._transporter) {
+              const messageId = msg.envelope?.messageId;
+              await deliver(this, { userId: from }, reply, {
+                key: messageId ? `email:${messageId}` : null,
+                send: async () => this._transporter.sendMail({
+                  from: await this.secrets.get('email_address'),
+                  to: from,
+                  subject: `Re: ${subject}`,
+                  text: reply,
+                }),
               });
             }
 
@@ -1124,7 +1543,7 @@ class EmailChannel {
                 channel: 'email',
                 username: from,
                 userMessage: `📧 ${subject}`,
-                response: result.content,
+                response: reply,
                 agent: agent.name,
                 tier: result.tier,
                 model: result.model,
@@ -1145,6 +1564,17 @@ class EmailChannel {
     }
   }
 
+  /** A new email to the sender, subject taken from the first line */
+  async send({ userId }, text) {
+    if (!this._transporter) throw new Error('Email is not connected');
+    await this._transporter.sendMail({
+      from: await this.secrets.get('email_address'),
+      to: userId,
+      subject: text.split('\n')[0].slice(0, 78),
+      text,
+    });
+  }
+
   async stop() {
     if (this._pollTimer) clearInterval(this._pollTimer);
     if (this._imapClient) {
@@ -1163,7 +1593,9 @@ class EmailChannel {
  *     slack: {
  *       enabled: true,
  *       allowedChannels: ["C0123456789"], // empty = respond everywhere
- *       agent: "support" // optional routing
+ *       agent: "support", // optional routing
+ *       approvers: ["U0123456789"],     // who may approve tool calls, with memory.owners "slack:" ids; empty = nobody
+ *       approvalChannel: "C0123456789"  // where to ask for approvals instead of the approvers' DMs
  *     }
  *   }
  * }
@@ -1177,6 +1609,9 @@ class SlackChannel {
     this.config = config;
     this.app = null;
     this._broadcast = null;
+    this._approvals = null;
+    this._router = null;
+    this._approvalMessages = new Map(); // approval id → [{ channel, ts, text }]
   }
 
   setBroadcast(fn) { this._broadcast = fn; }
@@ -1202,7 +1637,7 @@ class SlackChannel {
       // Handle @mentions and direct messages
       this.app.event('app_mention', async ({ event, say }) => {
         if (allowedChannels.length > 0 && !allowedChannels.includes(event.channel)) return;
-        await this._handleMessage(event.text, event.user, event.channel, say);
+        await this._handleMessage(event.text, event.user, event.channel, say, false, event.ts);
       });
 
       this.app.event('message', async ({ event, say }) => {
@@ -1210,7 +1645,16 @@ class SlackChannel {
         if (event.channel_type !== 'im' && allowedChannels.length > 0 && !allowedChannels.includes(event.channel)) return;
         if (event.subtype) return; // Skip edits, joins, etc
         if (event.bot_id) return; // Skip bot messages
-        await this._handleMessage(event.text, event.user, event.channel, say);
+        await this._handleMessage(event.text, event.user, event.channel, say, event.channel_type === 'im', event.ts);
+      });
+
+      // Approve/deny buttons on tool approval requests (needs Interactivity on the Slack app)
+      this.app.action(/^approval_(approve|deny)$/, async ({ action, body, ack }) => {
+        await ack();
+        const { settled, text } = this.decideApproval(body.user, action.action_id === 'approval_approve', action.value);
+        if (!settled) {
+          await this.app.client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text }).catch(() => {});
+        }
       });
 
       await this.app.start();
@@ -1220,36 +1664,56 @@ class SlackChannel {
     }
   }
 
-  async _handleMessage(text, userId, channelId, say) {
+  async _handleMessage(text, userId, channelId, say, direct = false, ts = null) {
     // Strip bot mention from text
     const cleanText = (text || '').replace(/<@[A-Z0-9]+>/g, '').trim();
     if (!cleanText) return;
 
-    const agent = this.agents.primary();
+    const limited = rateLimited(this, 'slack', userId);
+    if (limited !== null) {
+      if (limited) await say(limited);
+      return;
+    }
+
+    const { agent, text: routed } = routeMessage(this, { channel: 'slack', userId, chatId: channelId, text: cleanText });
     if (!agent) { await say('Agent not ready.'); return; }
 
+    let stream = null;
     try {
-      const result = await agent.process(cleanText, {
+      stream = this.channelConfig.streaming === false ? null : new StreamingReply({
+        filter: this._content,
+        maxLen: 4000,
+        send: (content) => say(content),
+        edit: (posted, content) => this.app.client.chat.update({ channel: posted.channel || channelId, ts: posted.ts, text: content }),
+      });
+
+      const result = await agent.process(routed, {
         channel: 'slack',
         userId,
+        chatId: channelId,
+        direct, // a DM is the user's own thread, not a group one
         username: userId,
+        onStream: stream?.onEvent,
       });
 
-      const content = result?.content || '(empty response)';
+      const content = await outbound(this, result?.content || '(empty response)', { channel: 'slack', userId, chatId: channelId, agent: agent.name });
 
       // Split for Slack's 4000 char limit
-      if (content.length <= 4000) {
-        await say(content);
-      } else {
-        const chunks = [];
-        let remaining = content;
-        while (remaining.length > 0) {
-          const breakAt = remaining.lastIndexOf('\n', 3900);
-          const splitAt = breakAt > 1000 ? breakAt : 3900;
-          chunks.push(remaining.slice(0, splitAt));
-          remaining = remaining.slice(splitAt);
-        }
-        for (const chunk of chunks) await say(chunk);
+      let chunks = [];
+      let remaining = content;
+      while (remaining.length > 0) {
+        if (remaining.length <= 4000) { chunks.push(remaining); break; }
+        const breakAt = remaining.lastIndexOf('\n', 3900);
+        const splitAt = breakAt > 1000 ? breakAt : 3900;
+        chunks.push(remaining.slice(0, splitAt));
+        remaining = remaining.slice(splitAt);
+      }
+      if (stream) chunks = await stream.finish(chunks);
+      for (const [i, chunk] of chunks.entries()) {
+        await deliver(this, { userId, chatId: channelId }, chunk, {
+          key: ts ? `slack:${channelId}:${ts}:${i}` : null,
+          send: () => say(chunk),
+        });
       }
 
       // Broadcast to dashboard
@@ -1269,11 +1733,71 @@ class SlackChannel {
 
       log.agent(agent.name, `[slack] ${userId}: ${result.tier} → ${result.model || 'reflex'}`);
     } catch (err) {
+      stream?.close();
       log.error(`Slack handler error: ${err.message}`);
       try { await say('Something went wrong. Check the logs.'); } catch { /* */ }
     }
   }
 
+  /**
+   * Post approve/deny buttons for a tool approval — in
+   * channels.slack.approvalChannel if set, otherwise in a DM to each
+   * approver. Never in the conversation it came from, which anyone may read.
+   */
+  async askApproval(item) {
+    if (!this.app) return;
+    const approvers = approversOf(this, this.config);
+    if (approvers.length === 0) return;
+    const targets = this.channelConfig.approvalChannel ? [this.channelConfig.approvalChannel] : approvers;
+
+    const text = approvalPrompt(item);
+    const posted = [];
+    for (const channel of targets) {
+      try {
+        const msg = await this.app.client.chat.postMessage({
+          channel,
+          text,
+          blocks: [
+            { type: 'section', text: { type: 'plain_text', text } },
+            {
+              type: 'actions',
+              elements: [
+                { type: 'button', action_id: 'approval_approve', style: 'primary', value: String(item.id), text: { type: 'plain_text', text: 'Approve' } },
+                { type: 'button', action_id: 'approval_deny', style: 'danger', value: String(item.id), text: { type: 'plain_text', text: 'Deny' } },
+              ],
+            },
+          ],
+        });
+        posted.push({ channel: msg.channel, ts: msg.ts, text });
+      } catch (err) {
+        log.debug(`Approval prompt to Slack ${channel} failed: ${err.message}`);
+      }
+    }
+    if (posted.length) this._approvalMessages.set(item.id, posted);
+  }
+
+  /** A button press from `user` (a Slack user) */
+  decideApproval(user, approve, id) {
+    return decideApproval(this, approversOf(this, this.config), user.id, `slack:${user.username || user.id}`, approve, id);
+  }
+
+  /** Replace the buttons with the outcome once a request is decided anywhere */
+  async approvalResolved(event) {
+    const posted = this._approvalMessages.get(event.id);
+    if (!posted || !this.app) return;
+    this._approvalMessages.delete(event.id);
+    for (const { channel, ts, text: prompt } of posted) {
+      const text = `${prompt}\n\n${approvalOutcome(event)}`;
+      await this.app.client.chat.update({ channel, ts, text, blocks: [{ type: 'section', text: { type: 'plain_text', text } }] }).catch(() => {});
+    }
+  }
+
+  /** Post in a channel or DM (a user id opens the DM) */
+  async send({ userId, chatId }, text) {
+    if (!this.app) throw new Error('Slack is not connected');
+    await this.app.client.chat.postMessage({ channel: chatId || userId, text });
+  }
+
   async stop() {
     if (this.app) {
       try { await this.app.stop(); } catch { /* */ }
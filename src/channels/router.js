@@ -0,0 +1,226 @@
+/**
+ * QuantumClaw Channel Router
+ *
+ * Decides which agent answers a channel message. Rules from
+ * config.channelRouting.rules are tried in order, then each channel's own
+ * `agent` setting, then the primary agent:
+ *
+ *   { channel: 'slack', chatId: 'C0SALES', team: 'sales' }
+ *   { prefix: '@sales', agent: 'sales' }          — "@sales do we ship to Oslo?"
+ *   { channel: 'telegram', userId: '42', agent: 'assistant' }
+ *   { hours: '18:00-08:00', days: 'mon-fri', agent: 'night-desk', fallback: 'support' }
+ *
+ * Every field a rule sets has to match (channel, chatId and userId can be
+ * lists). A matched agent that's paused or missing hands over to the rule's
+ * `fallback` agent, or else the next rule that matches. A team goes to its
+ * lead, or the first member who isn't paused.
+ */
+
+import { log } from '../core/logger.js';
+import { parseCron, checkTimezone, systemTimezone, wallClock } from '../core/cron.js';
+
+const MATCH_FIELDS = ['channel', 'chatId', 'userId'];
+
+export class ChannelRouter {
+  constructor(config, agents) {
+    this.config = config;
+    this.agents = agents;
+    this._decisions = [];
+    this._compiled = null;
+    this._compiledFrom = null;
+  }
+
+  get settings() {
+    return { rules: [], history: 200, ...this.config.channelRouting };
+  }
+
+  /**
+   * Rules in the order they're tried: the configured ones, then one per
+   * channel that names an agent. Invalid rules are left out (and logged once).
+   */
+  rules() {
+    const configured = this.settings.rules || [];
+    const channels = Object.entries(this.config.channels || {})
+      .filter(([, c]) => c?.agent && c.agent !== 'primary')
+      .map(([name, c]) => ({ channel: name, agent: c.agent, source: 'channel' }));
+    const from = JSON.stringify([configured, channels]);
+    if (this._compiledFrom === from) return this._compiled;
+
+    const compiled = [];
+    configured.forEach((rule, i) => {
+      try {
+        compiled.push(compileRule({ ...rule, source: 'config', index: i }, this.config));
+      } catch (err) {
+        log.warn(`Channel routing rule ${i + 1} ignored: ${err.message}`);
+      }
+    });
+    for (const rule of channels) compiled.push(compileRule(rule, this.config));
+    this._compiled = compiled;
+    this._compiledFrom = from;
+    return compiled;
+  }
+
+  /**
+   * Route one message: { channel, userId, chatId, text }.
+   * @returns {{ agent, text, team, rule, fallback: string[] }} — text has any
+   *   routing prefix taken off; agent is null only when no agents are loaded.
+   */
+  route(message, { record = true, now = Date.now() } = {}) {
+    const text = String(message.text ?? '');
+    const fallback = [];
+    let decision = null;
+
+    for (const rule of this.rules()) {
+      const stripped = matches(rule, message, text, now);
+      if (stripped === null) continue;
+      const picked = this._pick(rule, fallback);
+      if (picked) {
+        decision = { ...picked, text: stripped, rule: rule.label };
+        break;
+      }
+    }
+    if (!decision) decision = { agent: this.agents?.primary?.() || null, team: null, text, rule: 'primary' };
+    decision.fallback = fallback;
+
+    if (record) this._record(message, text, decision, now);
+    return decision;
+  }
+
+  /** The rules as one-line descriptions, in the order they're tried */
+  describe() {
+    return this.rules().map(describeRule);
+  }
+
+  /** Most recent routing decisions first */
+  recent(limit = 50) {
+    return this._decisions.slice(-limit).reverse();
+  }
+
+  /** The target's agent, its fallback's, or null (with why in `fallback`) */
+  _pick(rule, fallback) {
+    const target = rule.team ? this._teamAgent(rule.team) : this._activeAgent(rule.agent);
+    if (target.agent) return { agent: target.agent, team: rule.team || null };
+    fallback.push(`${rule.label}: ${target.reason}`);
+    if (!rule.fallback) return null;
+    const backup = this._activeAgent(rule.fallback);
+    if (backup.agent) return { agent: backup.agent, team: null };
+    fallback.push(`${rule.label} fallback: ${backup.reason}`);
+    return null;
+  }
+
+  _activeAgent(name) {
+    // registry.get() falls back to the primary agent, so look the name up exactly
+    const agent = this.agents?.agents?.get(name);
+    if (!agent) return { reason: `no agent "${name}"` };
+    if (agent.status === 'paused') return { reason: `${name} is paused` };
+    return { agent };
+  }
+
+  _teamAgent(id) {
+    const team = this.agents?.getTeam?.(id);
+    if (!team) return { reason: `no team "${id}"` };
+    if (team.status === 'paused') return { reason: `team ${id} is paused` };
+    for (const name of new Set([team.leadAgent, ...team.agentNames].filter(Boolean))) {
+      const { agent } = this._activeAgent(name);
+      if (agent) return { agent };
+    }
+    return { reason: `everyone in team ${id} is paused` };
+  }
+
+  _record(message, text, decision, now) {
+    this._decisions.push({
+      time: now,
+      channel: message.channel || null,
+      userId: message.userId != null ? String(message.userId) : null,
+      chatId: message.chatId != null ? String(message.chatId) : null,
+      text: text.length > 80 ? text.slice(0, 80) + '…' : text,
+      agent: decision.agent?.name || null,
+      team: decision.team,
+      rule: decision.rule,
+      fallback: decision.fallback,
+    });
+    const keep = Math.max(0, Number(this.settings.history) || 0);
+    if (this._decisions.length > keep) this._decisions.splice(0, this._decisions.length - keep);
+  }
+}
+
+/** Check a rule and precompute what matching needs. Throws on bad fields. */
+function compileRule(rule, config) {
+  if (!rule.agent && !rule.team) throw new Error('needs an agent or a team to route to');
+  if (rule.agent && rule.team) throw new Error('routes to an agent or a team, not both');
+
+  const compiled = { ...rule };
+  for (const field of MATCH_FIELDS) {
+    if (rule[field] != null) compiled[field] = new Set([].concat(rule[field]).map(String));
+  }
+  if (rule.prefix != null) {
+    compiled.prefix = String(rule.prefix).trim().toLowerCase();
+    if (!compiled.prefix) throw new Error('prefix is empty');
+  }
+  if (rule.hours != null || rule.days != null) {
+    compiled.timezone = checkTimezone(rule.timezone || config.scheduler?.timezone || systemTimezone());
+  }
+  if (rule.hours != null) {
+    const m = String(rule.hours).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    const [from, to] = m ? [+m[1] * 60 + +m[2], +m[3] * 60 + +m[4]] : [];
+    if (!m || from > 24 * 60 || to > 24 * 60 || from === to) {
+      throw new Error(`hours "${rule.hours}" should look like "09:00-17:30"`);
+    }
+    compiled.hours = { from, to };
+  }
+  if (rule.days != null) {
+    compiled.daysText = rule.days;
+    compiled.days = parseCron(`* * * * ${[].concat(rule.days).join(',')}`).weekdays;
+  }
+
+  compiled.label = rule.source === 'channel'
+    ? `${rule.channel} channel`
+    : `rule ${rule.index + 1}${rule.name ? ` (${rule.name})` : rule.prefix ? ` (${rule.prefix})` : ''}`;
+  return compiled;
+}
+
+/** The message text to hand on (prefix removed) if the rule matches, else null */
+function matches(rule, message, text, now) {
+  for (const field of MATCH_FIELDS) {
+    if (rule[field] && (message[field] == null || !rule[field].has(String(message[field])))) return null;
+  }
+  if (rule.hours || rule.days) {
+    const clock = wallClock(now, rule.timezone);
+    if (rule.days && !rule.days.has(clock.weekday)) return null;
+    if (rule.hours) {
+      const minute = clock.hour * 60 + clock.minute;
+      const { from, to } = rule.hours;
+      // "18:00-08:00" runs over midnight
+      const inside = from < to ? minute >= from && minute < to : minute >= from || minute < to;
+      if (!inside) return null;
+    }
+  }
+  if (!rule.prefix) return text;
+  const trimmed = text.trimStart();
+  const head = trimmed.slice(0, rule.prefix.length).toLowerCase();
+  const next = trimmed.charAt(rule.prefix.length);
+  if (head !== rule.prefix || (next && !/[\s,:]/.test(next))) return null;
+  return trimmed.slice(rule.prefix.length).replace(/^[\s,:]+/, '') || text;
+}
+
+/** A rule as the dashboard and CLI show it */
+function describeRule(rule) {
+  const when = [];
+  if (rule.channel) when.push([...rule.channel].join('|'));
+  if (rule.chatId) when.push(`chat ${[...rule.chatId].join('|')}`);
+  if (rule.userId) when.push(`user ${[...rule.userId].join('|')}`);
+  if (rule.prefix) when.push(`starts "${rule.prefix}"`);
+  if (rule.days) when.push([].concat(rule.daysText).join(','));
+  if (rule.hours) when.push(`${hhmm(rule.hours.from)}-${hhmm(rule.hours.to)}`);
+  if (rule.timezone) when.push(rule.timezone);
+  return {
+    label: rule.label,
+    when: when.join(' · ') || 'any message',
+    to: rule.team ? `team ${rule.team}` : rule.agent,
+    fallback: rule.fallback || null,
+  };
+}
+
+function hhmm(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
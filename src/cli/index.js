@@ -60,7 +60,8 @@ async function loadAgent() {
   const trustKernel = new TrustKernel(config);
   const audit = new AuditLog(config);
   await trustKernel.load();
-  const memory = new MemoryManager(config, credentials);
+  const { getDb } = await import('../core/database.js');
+  const memory = new MemoryManager(config, credentials, await getDb(config._dir));
   await memory.connect();
   const router = new ModelRouter(config, credentials);
   const skills = new SkillLoader(config);
@@ -248,6 +249,17 @@ switch (command) {
 
     const channels = Object.entries(config.channels || {}).filter(([, v]) => v.enabled).map(([k]) => k);
     console.log(`  Channels:     ${channels.length > 0 ? channels.join(', ') : 'none'}`);
+
+    const { PriceCatalogue } = await import('../models/pricing.js');
+    const prices = new PriceCatalogue(config);
+    console.log(`  Prices:       catalogue ${prices.version} (${prices.size} models${prices.overrides ? `, ${prices.overrides} from config` : ''})`);
+    try {
+      const { AuditLog } = await import('../security/audit.js');
+      const unpriced = prices.unpriced(new AuditLog(config).costs('month'));
+      for (const u of unpriced) {
+        console.log(`  ${Y}○ No price for ${u.model}${RS} ${D}— ${u.messages} msgs, ~£${u.total_cost.toFixed(4)} estimated (30 days). Add it under models.prices${RS}`);
+      }
+    } catch { /* no audit history yet */ }
     console.log('');
     break;
   }
@@ -963,8 +975,41 @@ switch (command) {
         console.log(`Channel test not yet implemented for "${channelName}".`);
       }
 
+    } else if (subcommand === 'routing') {
+      // Rules come straight from config; decisions only exist in the running agent
+      const { ChannelRouter } = await import('../channels/router.js');
+      const rules = new ChannelRouter(config, null).describe();
+      console.log('\n  \x1b[1mRouting rules\x1b[0m (first match wins)');
+      for (const rule of rules) {
+        console.log(`  ${rule.label.padEnd(24)} ${rule.when} → ${rule.to}${rule.fallback ? ` (paused → ${rule.fallback})` : ''}`);
+      }
+      console.log(`  ${'otherwise'.padEnd(24)} → primary agent`);
+
+      const port = config.dashboard?.port || 3000;
+      const localHost = (config.dashboard?.host === '0.0.0.0' ? '127.0.0.1' : config.dashboard?.host) || '127.0.0.1';
+      const token = config.dashboard?.authToken || process.env.DASHBOARD_AUTH_TOKEN || '';
+      try {
+        const res = await fetch(`http://${localHost}:${port}/api/channels/routing?limit=20`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+          signal: AbortSignal.timeout(5000)
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const { decisions } = await res.json();
+        console.log('\n  \x1b[1mRecent decisions\x1b[0m');
+        if (decisions.length === 0) console.log('  \x1b[2mNo channel messages since the agent started\x1b[0m');
+        for (const d of decisions) {
+          const when = new Date(d.time).toLocaleTimeString();
+          const from = `${d.channel}:${d.userId}${d.chatId && d.chatId !== d.userId ? ` in ${d.chatId}` : ''}`;
+          console.log(`  ${when}  ${from.padEnd(28)} → ${d.agent || '—'} via ${d.rule}  \x1b[2m${d.text}\x1b[0m`);
+          for (const note of d.fallback) console.log(`  \x1b[38;5;220m  ↳ ${note}\x1b[0m`);
+        }
+      } catch {
+        console.log('\n  \x1b[2mRecent decisions need the agent running: qclaw start\x1b[0m');
+      }
+      console.log('');
+
     } else {
-      console.log('Usage: qclaw channel [list|add|test]');
+      console.log('Usage: qclaw channel [list|add|test|routing]');
     }
     break;
   }
@@ -1151,6 +1196,295 @@ switch (command) {
     break;
   }
 
+  // ─── ROUTE (tier classifier) ───────────────────────────────────
+  case 'route': {
+    smallBanner();
+    const G = '\x1b[38;5;82m', Y = '\x1b[38;5;220m', C = '\x1b[38;5;87m', D = '\x1b[38;5;245m', RS = '\x1b[0m', B = '\x1b[1m';
+    const { config, secrets } = await loadCore();
+    const { ModelRouter } = await import('../models/router.js');
+    const { AuditLog } = await import('../security/audit.js');
+    const { getDb } = await import('../core/database.js');
+
+    const router = new ModelRouter(config, secrets);
+    const audit = new AuditLog(config);
+    if (router.classifier) {
+      router.classifier.attach(await getDb(config._dir));
+      router.classifier.train(audit);
+    }
+
+    if (!subcommand || subcommand === 'stats') {
+      console.log(`\n  ${B}Routing${RS}  ${router.classifier ? 'learned + keyword fallback' : 'keyword rules only'}  ${D}(min confidence ${router.minConfidence})${RS}\n`);
+      if (router.classifier) {
+        const stats = router.classifier.stats();
+        const evaluation = router.classifier.evaluate();
+        console.log(`  Examples:     ${stats.audited} audited, ${stats.corrections} corrections${stats.ready ? '' : `  ${Y}(needs ${router.classifier.minExamples} to activate)${RS}`}`);
+        console.log(`  By tier:      ${Object.entries(stats.byTier).map(([t, n]) => `${t} ${n}`).join(', ') || 'none'}`);
+        console.log(`  Accuracy:     ${evaluation.accuracy === null ? 'no corrections yet' : `${Math.round(evaluation.accuracy * 100)}% on ${evaluation.evaluated} corrections (leave-one-out)`}`);
+      }
+      console.log(`  Reflex:       ${Object.keys(router.reflexIntents).length} intents`);
+      const costs = audit.costs('week').filter(r => r.tier);
+      if (costs.length > 0) {
+        console.log(`\n  ${B}Last 7 days${RS}`);
+        for (const r of costs) console.log(`  ${r.tier.padEnd(10)} ${String(r.messages).padStart(5)} msgs  £${r.total_cost.toFixed(4)}  ${D}${r.model || ''}${RS}`);
+      }
+      console.log('');
+
+    } else if (subcommand === 'test') {
+      const message = args.slice(2).join(' ');
+      if (!message) { console.log('Usage: qclaw route test "message"'); break; }
+      const route = router.classify(message);
+      console.log(`\n  ${B}${route.tier}${RS} → ${route.model?.model || 'no LLM'}  ${D}${route.classifier}, confidence ${route.confidence}${RS}`);
+      const learned = router.classifier?.classify(message);
+      for (const n of learned?.neighbours || []) {
+        console.log(`    ${D}${n.score.toFixed(2)}  ${n.tier.padEnd(8)} ${n.text}${RS}`);
+      }
+      console.log('');
+
+    } else if (subcommand === 'correct') {
+      const tier = args[args.length - 1];
+      const message = args.slice(2, -1).join(' ');
+      if (!message || !tier) { console.log('Usage: qclaw route correct "message" <simple|standard|complex>'); break; }
+      if (!router.classifier) { console.log(`\n  ${Y}!${RS} Learned routing is off (models.routing.classifier = "keyword")\n`); break; }
+      try {
+        router.classifier.correct(message, tier);
+        audit.log('owner', 'route_correction', `${tier}: ${message.slice(0, 80)}`, { tier });
+        console.log(`\n  ${G}✓${RS} Recorded: "${message.slice(0, 60)}" → ${tier}  ${D}(running agent picks it up on restart)${RS}\n`);
+      } catch (err) {
+        console.log(`\n  ${Y}!${RS} ${err.message}\n`);
+      }
+
+    } else {
+      console.log(`Usage: qclaw route [stats|test "msg"|correct "msg" <tier>]`);
+    }
+    break;
+  }
+
+  // ─── MEMORY (knowledge graph queries) ──────────────────────────
+  case 'memory': {
+    smallBanner();
+    const G = '\x1b[38;5;82m', Y = '\x1b[38;5;220m', D = '\x1b[38;5;245m', RS = '\x1b[0m', B = '\x1b[1m';
+    const usage = () => console.log(`Usage: qclaw memory graph ["MATCH … RETURN …" | neighbours <name> [hops] | path <from> <to> | stats | resolve | merges | merge <keep> <other> | undo <merge-id>]
+       qclaw memory ingest <file|folder|url> [--force] [--no-extract]
+       qclaw memory documents [remove <id>]`);
+
+    if (subcommand === 'ingest' || subcommand === 'documents') {
+      const { config, secrets } = await loadCore();
+      const { getDb, closeDb } = await import('../core/database.js');
+      const { MemoryManager } = await import('../memory/manager.js');
+      const { DocumentIngestor } = await import('../memory/ingest.js');
+      const db = await getDb(config._dir);
+      const memory = new MemoryManager(config, secrets, db);
+      await memory.connect();
+      const documents = new DocumentIngestor(config, memory);
+      documents.attach(db);
+      const source = args.slice(2).filter(a => !a.startsWith('--')).join(' ');
+      const extract = !args.includes('--no-extract') && config.memory?.ingest?.extract !== false;
+
+      try {
+        if (subcommand === 'documents' && args[2] === 'remove') {
+          const doc = documents.get(args[3]);
+          if (!doc) console.log(`\n  ${Y}!${RS} No document ${args[3] || ''}\n`);
+          else {
+            documents.remove(doc.id);
+            console.log(`\n  ${G}✓${RS} Forgot ${doc.title}  ${D}(${doc.chunks} chunks and the facts taken from them)${RS}\n`);
+          }
+        } else if (subcommand === 'documents') {
+          const list = documents.list();
+          console.log(`\n  ${B}Documents${RS}  ${list.length} ingested\n`);
+          for (const d of list) {
+            const state = d.status === 'ready' ? `${d.chunks} chunks, ${d.facts} facts, ${d.entities} entities` : d.status === 'failed' ? `failed: ${d.error}` : 'ingesting';
+            console.log(`  #${String(d.id).padEnd(4)} ${d.title}  ${D}${d.format || '?'} · ${state}${RS}\n        ${D}${d.source}${RS}`);
+          }
+          console.log('');
+        } else if (!source) {
+          usage();
+        } else {
+          if (extract && config.models?.primary?.provider) {
+            const { ModelRouter } = await import('../models/router.js');
+            memory.setRouter(new ModelRouter(config, secrets));
+          }
+          const stages = { parsing: 'Parsing', embedding: 'Embedding', extracting: 'Reading for facts', folder: 'Files' };
+          const onProgress = (p) => {
+            if (!stages[p.stage] || !process.stdout.isTTY) return;
+            process.stdout.write(`\r\x1b[K  ${D}${stages[p.stage]}${p.total ? ` ${p.done}/${p.total}` : ''}  ${p.title || ''}${RS}`);
+          };
+          const results = [await documents.ingest(source, { force: args.includes('--force'), extract, onProgress })].flat();
+          if (process.stdout.isTTY) process.stdout.write('\r\x1b[K');
+          console.log('');
+          for (const d of results) {
+            if (d.outcome === 'failed') console.log(`  ${Y}!${RS} ${d.source}: ${d.error}`);
+            else if (d.outcome === 'unchanged') console.log(`  ${D}= ${d.title} — unchanged (--force to read it again)${RS}`);
+            else console.log(`  ${G}✓${RS} ${d.title}  ${D}${d.outcome} · ${d.format} · ${d.chunks} chunks, ${d.facts} facts, ${d.entities} entities${RS}`);
+          }
+          if (extract && !memory._router && results.some(d => d.outcome === 'added' || d.outcome === 'updated')) console.log(`\n  ${D}No model configured — chunks were embedded but not read for facts${RS}`);
+          console.log('');
+        }
+      } catch (err) {
+        if (process.stdout.isTTY) process.stdout.write('\r\x1b[K');
+        console.log(`\n  ${Y}!${RS} ${err.message}\n`);
+      } finally {
+        await memory.disconnect();
+        closeDb();
+      }
+      break;
+    }
+    if (subcommand !== 'graph') { usage(); break; }
+
+    const { config } = await loadCore();
+    const dbPath = join(config._dir, 'memory.db');
+    if (!existsSync(dbPath)) { console.log(`\n  ${Y}!${RS} No memory database yet — start QClaw and chat first\n`); break; }
+    // Read-only unless merging — the running QClaw owns the schema
+    const action = args[2];
+    let db;
+    try {
+      const { default: Database } = await import('better-sqlite3');
+      db = new Database(dbPath, { readonly: !['resolve', 'merge', 'undo'].includes(action) });
+    } catch (err) {
+      console.log(`\n  ${Y}!${RS} Can't open ${dbPath}: ${err.message}\n`);
+      break;
+    }
+    if (!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'entity_aliases'").get()) {
+      console.log(`\n  ${Y}!${RS} This memory database is from an older QClaw — start QClaw once to upgrade it\n`);
+      db.close();
+      break;
+    }
+    const { KnowledgeGraph } = await import('../memory/graph.js');
+    const { runGraphQuery, formatGraphResult } = await import('../memory/graph-query.js');
+    const graph = new KnowledgeGraph(db);
+    const find = (name) => {
+      const id = /^#(\d+)$/.exec(name);
+      const entity = id ? graph.getEntity(Number(id[1])) : graph.findEntity(name);
+      if (!entity) console.log(`\n  ${Y}!${RS} No entity named "${name}"\n`);
+      return entity;
+    };
+    const arrow = (r) => r.direction === 'out' ? `-[${r.relation}]->` : `<-[${r.relation}]-`;
+
+    try {
+      if (!action || action === 'stats') {
+        const stats = graph.stats();
+        console.log(`\n  ${B}Knowledge graph${RS}  ${stats.entities} entities, ${stats.relationships} relationships\n`);
+        if (!action) console.log(`  ${D}Try: qclaw memory graph "MATCH (p)-[:works-at]->(c) RETURN p.name, c.name"${RS}\n`);
+
+      } else if (action === 'neighbours' || action === 'neighbors') {
+        const hopsArg = Number(args[args.length - 1]);
+        const name = (Number.isInteger(hopsArg) && args.length > 4 ? args.slice(3, -1) : args.slice(3)).join(' ');
+        if (!name) { usage(); break; }
+        const entity = find(name);
+        if (!entity) break;
+        const { nodes, edges, truncated } = graph.neighbourhood(entity.id, { hops: Number.isInteger(hopsArg) && args.length > 4 ? hopsArg : 2 });
+        const names = new Map(nodes.map(n => [n.id, n.name]));
+        console.log(`\n  ${B}${entity.name}${RS} ${D}(${entity.type})${RS}  ${nodes.length - 1} connected\n`);
+        for (const n of nodes.slice(1)) console.log(`  ${D}${n.depth} hop${n.depth === 1 ? ' ' : 's'}${RS}  ${n.name} ${D}(${n.type})${RS}`);
+        if (edges.length) console.log('');
+        for (const e of edges) console.log(`  ${D}${names.get(e.source)} -[${e.relation}]-> ${names.get(e.target)}${RS}`);
+        console.log(truncated ? `\n  ${Y}!${RS} Stopped at ${nodes.length} entities\n` : '');
+
+      } else if (action === 'resolve') {
+        // No model here: clear matches merge, close calls are left for the dashboard
+        const { resolveEntities } = await import('../memory/entity-resolver.js');
+        const result = await resolveEntities(graph, { ...config.memory?.graph?.resolution, router: null });
+        console.log('');
+        for (const m of result.merged) console.log(`  ${G}✓${RS} ${m.merged} → ${m.keep}  ${D}(${m.method}, ${m.score})${RS}`);
+        for (const m of result.suggested) console.log(`  ${Y}?${RS} ${m.merged} → ${m.keep}  ${D}(${m.method}, ${m.score} — confirm in the dashboard)${RS}`);
+        if (!result.merged.length && !result.suggested.length) console.log(`  ${D}No duplicates found${RS}`);
+        console.log('');
+
+      } else if (action === 'merges') {
+        const merges = graph.merges({ limit: 30 });
+        console.log(`\n  ${B}Merge log${RS}\n`);
+        if (!merges.length) console.log(`  ${D}No merges yet${RS}`);
+        for (const m of merges) {
+          console.log(`  #${String(m.id).padEnd(4)} ${m.status.padEnd(9)} ${m.mergedName} → ${m.keptName}  ${D}${m.method || ''}${m.reason ? `: ${m.reason}` : ''}  ${String(m.resolved || m.created).slice(0, 16)}${RS}`);
+        }
+        console.log('');
+
+      } else if (action === 'merge') {
+        if (args.length < 5) { usage(); break; }
+        const keep = find(args[3]);
+        const other = keep && find(args[4]);
+        if (!other) break;
+        const id = graph.merge(keep.id, other.id, { method: 'owner' });
+        console.log(`\n  ${G}✓${RS} Merged ${other.name} into ${keep.name}  ${D}(undo: qclaw memory graph undo ${id})${RS}\n`);
+
+      } else if (action === 'undo') {
+        graph.undoMerge(parseInt(args[3]));
+        const m = graph.getMerge(parseInt(args[3]));
+        console.log(`\n  ${G}✓${RS} ${m.mergedName} is its own entity again\n`);
+
+      } else if (action === 'path') {
+        if (args.length < 5) { usage(); break; }
+        const from = find(args[3]);
+        const to = from && find(args[4]);
+        if (!to) break;
+        const path = graph.shortestPath(from.id, to.id);
+        if (!path) { console.log(`\n  ${D}No path between ${from.name} and ${to.name}${RS}\n`); break; }
+        const line = path.nodes.map((n, i) => i ? `${arrow(path.relations[i - 1])} ${n.name}` : n.name).join(' ');
+        console.log(`\n  ${G}✓${RS} ${line}  ${D}(${path.relations.length} hop${path.relations.length === 1 ? '' : 's'})${RS}\n`);
+
+      } else {
+        const result = runGraphQuery(graph, args.slice(2).join(' '));
+        console.log('\n' + formatGraphResult(result).split('\n').map(l => `  ${l}`).join('\n') + '\n');
+      }
+    } catch (err) {
+      console.log(`\n  ${Y}!${RS} ${err.message}\n`);
+    } finally {
+      db.close();
+    }
+    break;
+  }
+
+  // ─── TRUST (VALUES.md rules) ───────────────────────────────────
+  case 'trust': {
+    smallBanner();
+    const G = '\x1b[38;5;82m', Y = '\x1b[38;5;220m', R = '\x1b[38;5;196m', D = '\x1b[38;5;245m', RS = '\x1b[0m', B = '\x1b[1m';
+    const { config, secrets } = await loadCore();
+    const { TrustKernel } = await import('../security/trust-kernel.js');
+    const kernel = new TrustKernel(config);
+    await kernel.load();
+
+    if (!subcommand || subcommand === 'rules') {
+      console.log(`\n  ${B}Action Rules${RS}  ${D}${kernel.file}${RS}\n`);
+      if (kernel.rules.actions.length === 0) console.log(`  ${D}None — add them under "## Action Rules" in VALUES.md${RS}`);
+      kernel.rules.actions.forEach((rule, i) => console.log(`  ${String(i + 1).padStart(2)}. ${rule.text}`));
+      for (const { line, error } of kernel.ruleErrors) console.log(`  ${Y}!${RS}  ${line}  ${D}— ${error}${RS}`);
+      console.log(`\n  ${D}${kernel.rules.hard.length} hard rules, ${kernel.rules.forbidden.length} forbidden actions, ${kernel.rules.contacts.length} approved contacts · judge: ${kernel.judgeMode}${RS}\n`);
+
+    } else if (subcommand === 'test') {
+      // Dry run: nothing is audited and the verdict isn't cached beyond this process
+      const flag = (name) => { const i = args.indexOf(name); return i > 0 ? args.splice(i, 2)[1] : null; };
+      const agent = flag('--agent');
+      const channel = flag('--channel');
+      const useJudge = args.includes('--judge');
+      const [tool, ...rest] = args.slice(2).filter(a => a !== '--judge');
+      if (!tool) {
+        console.log('Usage: qclaw trust test <tool> [\'{"json":"args"}\' | "details"] [--agent name] [--channel ch] [--judge]');
+        break;
+      }
+      const detail = rest.join(' ');
+
+      if (useJudge) {
+        const { ModelRouter } = await import('../models/router.js');
+        kernel.useJudge(new ModelRouter(config, secrets));
+      }
+
+      const facts = kernel.facts(tool, detail, { agent, channel });
+      console.log(`\n  ${B}${tool}${RS} ${D}${detail.slice(0, 120)}${RS}`);
+      for (const [field, values] of Object.entries(facts)) {
+        if (field !== 'text' && values.length) console.log(`    ${D}${field.padEnd(10)}${RS}${values.join(', ')}`);
+      }
+
+      const verdict = await kernel.evaluate(tool, detail, { agent, channel });
+      const colour = { allow: G, ask: Y, deny: R }[verdict.verdict];
+      console.log(`\n  ${colour}${B}${verdict.verdict.toUpperCase()}${RS}  ${D}(${verdict.stage})${RS}  ${verdict.reason || 'no rule applies'}`);
+      if (verdict.stage === 'keywords') console.log(`  ${D}Keyword match on a prose rule — add --judge to ask the fast model instead${RS}`);
+      console.log('');
+
+    } else {
+      console.log('Usage: qclaw trust [rules|test <tool> [details]]');
+    }
+    break;
+  }
+
   // ─── INSTALL (Cognee + dependencies) ───────────────────────────
   case 'install': {
     smallBanner();
@@ -1292,6 +1626,176 @@ switch (command) {
   }
 
   // ─── PAIRING ──────────────────────────────────────────────────
+  case 'schedule': {
+    smallBanner();
+    const G = '\x1b[38;5;82m', Y = '\x1b[38;5;220m', R = '\x1b[38;5;196m', D = '\x1b[38;5;245m', RS = '\x1b[0m', B = '\x1b[1m';
+    const usage = () => console.log(`Usage: qclaw schedule [list | add "<cron>" "<prompt>" [--name N] [--tz Zone] [--jitter S] | add --at <time> "<prompt>" |
+                       pause <id> | resume <id> | run <id> | runs <id> | remove <id>]`);
+    const { config } = await loadCore();
+
+    if (subcommand === 'run') {
+      // Runs happen inside the agent (it has the models and channels), so ask it
+      const port = config.dashboard?.port || 3000;
+      const localHost = (config.dashboard?.host === '0.0.0.0' ? '127.0.0.1' : config.dashboard?.host) || '127.0.0.1';
+      const token = config.dashboard?.authToken || process.env.DASHBOARD_AUTH_TOKEN || '';
+      try {
+        const res = await fetch(`http://${localHost}:${port}/api/scheduled/${encodeURIComponent(args[2] || '')}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+          body: JSON.stringify({ action: 'run' }),
+          signal: AbortSignal.timeout(5000)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) console.log(`\n  ${G}✓${RS} Running ${data.job.name} — see the result with: qclaw schedule runs ${data.job.id}\n`);
+        else console.log(`\n  ${Y}!${RS} ${data.error || `Failed (${res.status})`}\n`);
+      } catch {
+        console.log(`\n  ✗ Agent not running. Start it first: qclaw start\n`);
+      }
+      break;
+    }
+
+    const { getDb, closeDb } = await import('../core/database.js');
+    const { Scheduler } = await import('../core/scheduler.js');
+    const { localTime } = await import('../core/cron.js');
+    const scheduler = new Scheduler(config);
+    scheduler.attach(await getDb(config._dir));
+    const when = (ms, tz) => ms ? localTime(ms, tz || scheduler.timezone) : '—';
+    const flag = (name) => { const i = args.indexOf(name); return i > 0 ? args[i + 1] : undefined; };
+    const job = () => {
+      const found = scheduler.get(args[2]);
+      if (!found) throw new Error(args[2] ? `No scheduled job #${args[2]} (see: qclaw schedule list)` : 'Which job? Give its id (see: qclaw schedule list)');
+      return found;
+    };
+
+    try {
+      if (!subcommand || subcommand === 'list') {
+        const jobs = scheduler.list();
+        console.log(`\n  ${B}Scheduled jobs${RS}  ${D}times in ${scheduler.timezone} unless shown${RS}\n`);
+        if (!jobs.length) console.log(`  ${D}None yet. Add one: qclaw schedule add "0 9 * * 1-5" "Summarise my inbox"${RS}`);
+        for (const j of jobs) {
+          const state = j.status === 'active' ? `${G}next ${when(j.nextRun, j.timezone)}${RS}` : `${Y}${j.status}${RS}`;
+          const last = j.lastRun ? `  ${D}last ${when(j.lastRun, j.timezone)} ${j.lastStatus === 'failed' ? R : D}${j.lastStatus}${RS}` : '';
+          console.log(`  #${String(j.id).padEnd(4)} ${B}${j.name}${RS}  ${j.cron || 'once'}${j.timezone ? ` ${D}${j.timezone}${RS}` : ''}  ${state}${last}`);
+          const origin = j.kind !== 'task' ? `  (${j.kind} for ${j.target?.channel}${j.target?.userId ? ` ${j.target.userId}` : ''})` : j.source === 'config' || j.source === 'builtin' ? '  (from config)' : '';
+          console.log(`        ${D}${j.prompt.length > 80 ? j.prompt.slice(0, 77) + '...' : j.prompt}${origin}${RS}`);
+        }
+        console.log('');
+      } else if (subcommand === 'add') {
+        const valued = new Set(['--name', '--tz', '--at', '--jitter']);
+        const positional = args.slice(2).filter((a, i, all) => !a.startsWith('--') && !valued.has(all[i - 1]));
+        const at = flag('--at');
+        const [cron, prompt] = at ? [null, positional[0]] : positional;
+        if (!prompt) { usage(); break; }
+        const added = scheduler.add({ cron, at, prompt, name: flag('--name'), timezone: flag('--tz'), jitter: flag('--jitter'), source: 'cli' });
+        console.log(`\n  ${G}✓${RS} Scheduled #${added.id} ${added.name} — first run ${when(added.nextRun, added.timezone)}`);
+        console.log(`  ${D}A running agent picks it up within a minute${RS}\n`);
+      } else if (subcommand === 'pause' || subcommand === 'resume') {
+        const j = scheduler[subcommand](job().id);
+        console.log(`\n  ${G}✓${RS} ${j.name} ${subcommand}d${j.status === 'active' ? ` — next run ${when(j.nextRun, j.timezone)}` : ''}\n`);
+      } else if (subcommand === 'runs') {
+        const j = job();
+        const runs = scheduler.runs(j.id, { limit: 10 });
+        console.log(`\n  ${B}${j.name}${RS}  ${D}last ${runs.length} run${runs.length === 1 ? '' : 's'}${RS}\n`);
+        if (!runs.length) console.log(`  ${D}Not run yet${RS}`);
+        for (const r of runs) {
+          const colour = r.status === 'ok' ? G : r.status === 'failed' ? R : Y;
+          const took = r.finished && r.started ? ` · ${((r.finished - r.started) / 1000).toFixed(1)}s` : '';
+          console.log(`  ${colour}${r.status.padEnd(8)}${RS}${when(r.started, j.timezone)}  ${D}${r.cause}${took}${r.cost ? ` · £${r.cost.toFixed(4)}` : ''}${r.model ? ` · ${r.model}` : ''}${RS}`);
+          if (r.error) console.log(`          ${D}${r.error}${RS}`);
+          if (r.output) console.log(`          ${(r.output.length > 500 ? r.output.slice(0, 497) + '...' : r.output).replace(/\n/g, '\n          ')}`);
+        }
+        console.log('');
+      } else if (subcommand === 'remove') {
+        const j = job();
+        // Jobs from config come back on the next start unless config loses them too
+        if (j.source === 'config' || j.source === 'builtin') {
+          const { saveConfig } = await import('../core/config.js');
+          const { configJobKey } = await import('../core/heartbeat.js');
+          const heartbeat = config.heartbeat || (config.heartbeat = {});
+          if (j.source === 'builtin') heartbeat.weeklySummary = false;
+          else heartbeat.scheduled = (heartbeat.scheduled || []).filter(t => configJobKey(t) !== j.key);
+          saveConfig(config);
+        }
+        scheduler.remove(j.id);
+        console.log(`\n  ${G}✓${RS} Removed ${j.name} and its run history\n`);
+      } else {
+        usage();
+      }
+    } catch (err) {
+      console.log(`\n  ${Y}!${RS} ${err.message}\n`);
+    } finally {
+      closeDb();
+    }
+    break;
+  }
+
+  case 'delivery': {
+    smallBanner();
+    const G = '\x1b[38;5;82m', Y = '\x1b[38;5;220m', R = '\x1b[38;5;196m', D = '\x1b[38;5;245m', RS = '\x1b[0m', B = '\x1b[1m';
+    const usage = () => console.log('Usage: qclaw delivery [list [pending|dead|delivered|discarded|all] | retry <id> | discard <id>]');
+    const { config } = await loadCore();
+
+    if (subcommand === 'retry') {
+      // Only the running agent has the channels to send with
+      const port = config.dashboard?.port || 3000;
+      const localHost = (config.dashboard?.host === '0.0.0.0' ? '127.0.0.1' : config.dashboard?.host) || '127.0.0.1';
+      const token = config.dashboard?.authToken || process.env.DASHBOARD_AUTH_TOKEN || '';
+      let res = null;
+      try {
+        res = await fetch(`http://${localHost}:${port}/api/deliveries/${encodeURIComponent(args[2] || '')}/retry`, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${token}` },
+          signal: AbortSignal.timeout(15000)
+        });
+      } catch { /* not running — queued below instead */ }
+      if (res) {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) console.log(`\n  ${Y}!${RS} ${data.error || `Failed (${res.status})`}\n`);
+        else if (data.item.status === 'delivered') console.log(`\n  ${G}✓${RS} Delivered #${data.item.id} to ${data.item.channel}\n`);
+        else console.log(`\n  ${Y}!${RS} Still failing: ${data.item.lastError || `${data.item.channel} isn't connected`} — it'll be retried\n`);
+        break;
+      }
+    }
+
+    const { getDb, closeDb } = await import('../core/database.js');
+    const { DeliveryQueue } = await import('../core/delivery-queue.js');
+    const queue = new DeliveryQueue(config);
+    queue.attach(await getDb(config._dir));
+    const to = (r) => String(r?.chatId || r?.userId || r || '—');
+
+    try {
+      if (!subcommand || subcommand === 'list') {
+        const status = args[2] && args[2] !== 'all' ? args[2] : null;
+        const items = queue.list({ status, limit: 30 })
+          .filter(i => status || args[2] === 'all' || i.status === 'pending' || i.status === 'dead');
+        const counts = queue.stats().map(x => `${x.count} ${x.status}`).join(' · ');
+        console.log(`\n  ${B}Outbound deliveries${RS}  ${D}${counts || 'nothing sent yet'}${RS}\n`);
+        if (!items.length) console.log(`  ${D}${status || args[2] === 'all' ? 'None' : 'Nothing stuck — every message went out'}${RS}`);
+        for (const i of items) {
+          const colour = { delivered: G, pending: Y, dead: R }[i.status] || D;
+          const text = i.content.replace(/\s+/g, ' ');
+          console.log(`  #${String(i.id).padEnd(5)} ${colour}${i.status.padEnd(10)}${RS}${i.channel} → ${to(i.recipient)}  ${D}${i.attempts}/${i.maxAttempts} tries · ${i.updated}${RS}`);
+          console.log(`         ${text.length > 80 ? text.slice(0, 77) + '...' : text}`);
+          if (i.lastError && i.status !== 'delivered') console.log(`         ${D}${i.lastError}${RS}`);
+        }
+        console.log('');
+      } else if (subcommand === 'retry') {
+        const item = queue.requeue(args[2]);
+        console.log(`\n  ${G}✓${RS} #${item.id} queued again — it'll be sent when the agent starts\n`);
+      } else if (subcommand === 'discard') {
+        const item = queue.discard(args[2]);
+        console.log(`\n  ${G}✓${RS} Discarded #${item.id} (${item.channel} → ${to(item.recipient)})\n`);
+      } else {
+        usage();
+      }
+    } catch (err) {
+      console.log(`\n  ${Y}!${RS} ${err.message}\n`);
+    } finally {
+      closeDb();
+    }
+    break;
+  }
+
   case 'pairing': {
     smallBanner();
 
@@ -1393,6 +1897,11 @@ Usage: qclaw <command>
   diagnose            Full system health check
   logs                Show recent audit entries
   logs --errors       Show only errors
+  route               Routing classifier stats + accuracy
+  route test "msg"    Show which tier a message would use
+  route correct "msg" tier  Teach the classifier the right tier
+  trust               List VALUES.md action rules (and any that don't parse)
+  trust test tool '{"k":"v"}'  Dry-run an action against the rules (--judge)
 
   \x1b[1mConfig\x1b[0m
   onboard             Setup wizard (safe to re-run)
@@ -1413,13 +1922,31 @@ Usage: qclaw <command>
   pairing approve ch CODE  Approve a pairing code
   channel list        Show connected channels
   channel test tg     Test a channel connection
+  channel routing     Routing rules and recent decisions
+  delivery [dead|all] Outbound messages that haven't gone out
+  delivery retry|discard ID  Send a stuck message again, or drop it
 
   \x1b[1mKnowledge Graph\x1b[0m
   cognee status       Check Cognee connection
   cognee reconnect    Force reconnect
   cognee stats        Show graph datasets
+  memory graph "MATCH …"  Query the local entity graph
+  memory graph neighbours NAME [hops]  Entities within N hops
+  memory graph path A B  Shortest connection between two entities
+  memory graph resolve  Merge duplicate entities
+  memory graph merges  Merge log (undo with: memory graph undo ID)
+  memory ingest PATH|URL  Read documents into memory (PDF, DOCX, MD, HTML, CSV)
+  memory documents    Ingested documents (remove with: memory documents remove ID)
   skill list          Show installed skills
 
+  \x1b[1mScheduled Jobs\x1b[0m
+  schedule            List jobs with next and last run
+  schedule add "0 9 * * 1-5" "prompt"  Add a cron job (--name, --tz Europe/London, --jitter S)
+  schedule add --at 2026-03-01T09:00 "prompt"  Run once at a time
+  schedule pause|resume|remove ID  Manage a job
+  schedule run ID     Run a job now (agent must be running)
+  schedule runs ID    Past runs with their output
+
   \x1b[1mAGEX\x1b[0m
   agex status         Hub connection, AID info
   agex revoke         Emergency revoke all credentials
@@ -0,0 +1,241 @@
+/**
+ * QuantumClaw Budgets
+ *
+ * Hard spending caps for interactive work. Heartbeat has its own daily cap;
+ * this covers everything agents do when someone talks to them.
+ *
+ * Budgets are keyed by agent, team, channel and paired user, each with
+ * optional daily and monthly limits (£):
+ *
+ *   "budgets": {
+ *     "onExceed": "downgrade",
+ *     "agents":   { "*": { "daily": 2 }, "researcher": { "daily": 5, "monthly": 60 } },
+ *     "teams":    { "sales": { "monthly": 40, "onExceed": "refuse" } },
+ *     "channels": { "discord": { "daily": 1 } },
+ *     "users":    { "telegram:123456": { "daily": 0.5 } }
+ *   }
+ *
+ * "*" applies the same limit to each agent/team/channel/user separately.
+ * Over budget, calls either downgrade to the fast model or are refused.
+ * The owner gets a push at 80% and 100%, once per budget per period.
+ *
+ * Uses the shared database. Falls back to JSON if no database is available.
+ */
+
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { log } from './logger.js';
+
+const SCOPES = { agent: 'agents', team: 'teams', channel: 'channels', user: 'users' };
+const WINDOWS = ['daily', 'monthly'];
+
+/** Period key for a window, in UTC so it lines up with SQLite's date('now') */
+function periodFor(window, now = new Date()) {
+  const iso = now.toISOString();
+  return window === 'daily' ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+export class BudgetManager {
+  constructor(config) {
+    const dir = config._dir;
+    if (dir && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+    const budgets = config.budgets || {};
+    this.enabled = budgets.enabled !== false;
+    this.onExceed = budgets.onExceed === 'refuse' ? 'refuse' : 'downgrade';
+    this.alertAt = (budgets.alertAt || [0.8, 1]).slice().sort((a, b) => a - b);
+    this.limits = {};
+    for (const [scope, key] of Object.entries(SCOPES)) this.limits[scope] = budgets[key] || {};
+
+    this._jsonPath = dir ? join(dir, 'budgets.json') : null;
+    this._notify = null; // set via wireNotify()
+    this.db = null;
+    this._useJson = true;
+  }
+
+  attach(db) {
+    if (db) { this.db = db; this._useJson = false; }
+    else { this._data = this._loadJson(); }
+  }
+
+  /** Wire owner notifications — typically heartbeat.pushToUser */
+  wireNotify(fn) { this._notify = fn; }
+
+  _loadJson() {
+    if (!this._jsonPath) return {};
+    try { return JSON.parse(readFileSync(this._jsonPath, 'utf8')); }
+    catch { return {}; }
+  }
+
+  _saveJson() {
+    if (!this._jsonPath) return;
+    // Keep this month and last month — older periods can't affect any check
+    const keep = new Set([periodFor('monthly'), periodFor('monthly', new Date(Date.now() - 32 * 86400000))]);
+    for (const id of Object.keys(this._data)) {
+      if (!keep.has(id.split('|')[2].slice(0, 7))) delete this._data[id];
+    }
+    writeFileSync(this._jsonPath, JSON.stringify(this._data));
+  }
+
+  /**
+   * Scope keys for a call. `scope` is { agent, team, channel, userId }.
+   * Paired users are keyed "<channel>:<userId>".
+   */
+  _keys(scope = {}) {
+    const keys = [];
+    if (scope.agent) keys.push(['agent', scope.agent]);
+    if (scope.team) keys.push(['team', scope.team]);
+    if (scope.channel) keys.push(['channel', scope.channel]);
+    if (scope.userId) keys.push(['user', `${scope.channel || 'dashboard'}:${scope.userId}`]);
+    return keys;
+  }
+
+  /** Configured limit for a scope key, with "*" as the catch-all */
+  _limitFor(scope, key) {
+    const limits = this.limits[scope];
+    const bareUser = scope === 'user' ? key.slice(key.indexOf(':') + 1) : null;
+    const limit = limits[key] || (bareUser && limits[bareUser]) || limits['*'];
+    return limit && typeof limit === 'object' ? limit : null;
+  }
+
+  _spent(scope, key, period) {
+    if (this._useJson) {
+      if (!this._data) this._data = this._loadJson();
+      return this._data[`${scope}|${key}|${period}`] || { cost: 0, alerted: 0 };
+    }
+    return this.db.prepare('SELECT cost, alerted FROM budget_spend WHERE scope = ? AND key = ? AND period = ?')
+      .get(scope, key, period) || { cost: 0, alerted: 0 };
+  }
+
+  /**
+   * Check a call against every budget that applies to it.
+   *
+   * @returns {{ action: 'allow'|'downgrade'|'refuse', exceeded: Array }}
+   */
+  check(scope) {
+    if (!this.enabled || !scope) return { action: 'allow', exceeded: [] };
+
+    const exceeded = [];
+    for (const [s, key] of this._keys(scope)) {
+      const limit = this._limitFor(s, key);
+      if (!limit) continue;
+      for (const window of WINDOWS) {
+        if (!(limit[window] > 0)) continue;
+        const spent = this._spent(s, key, periodFor(window)).cost;
+        if (spent >= limit[window]) {
+          exceeded.push({ scope: s, key, window, spent: Math.round(spent * 10000) / 10000, limit: limit[window], onExceed: limit.onExceed || this.onExceed });
+        }
+      }
+    }
+
+    if (exceeded.length === 0) return { action: 'allow', exceeded };
+    return { action: exceeded.some(e => e.onExceed === 'refuse') ? 'refuse' : 'downgrade', exceeded };
+  }
+
+  /**
+   * Add spend to every scope of a call, then alert on any budget that just
+   * crossed a threshold.
+   */
+  record(scope, cost) {
+    if (!this.enabled || !scope || !(cost > 0)) return;
+
+    for (const [s, key] of this._keys(scope)) {
+      for (const window of WINDOWS) {
+        const period = periodFor(window);
+        try {
+          if (this._useJson) {
+            if (!this._data) this._data = this._loadJson();
+            const id = `${s}|${key}|${period}`;
+            const entry = this._data[id] || { cost: 0, alerted: 0 };
+            entry.cost += cost;
+            this._data[id] = entry;
+          } else {
+            this.db.prepare(`
+              INSERT INTO budget_spend (scope, key, period, cost) VALUES (?, ?, ?, ?)
+              ON CONFLICT(scope, key, period) DO UPDATE SET cost = cost + excluded.cost, updated = datetime('now')
+            `).run(s, key, period, cost);
+          }
+        } catch (err) {
+          log.debug(`Budget record failed for ${s}/${key}: ${err.message}`);
+          continue;
+        }
+        this._maybeAlert(s, key, window, period);
+      }
+    }
+    if (this._useJson) this._saveJson();
+  }
+
+  _maybeAlert(scope, key, window, period) {
+    const limit = this._limitFor(scope, key)?.[window];
+    if (!(limit > 0)) return;
+
+    const { cost, alerted } = this._spent(scope, key, period);
+    const crossed = this.alertAt.filter(t => cost >= limit * t).pop();
+    if (!crossed || crossed <= alerted) return;
+
+    if (this._useJson) {
+      this._data[`${scope}|${key}|${period}`].alerted = crossed;
+    } else {
+      this.db.prepare('UPDATE budget_spend SET alerted = ? WHERE scope = ? AND key = ? AND period = ?').run(crossed, scope, key, period);
+    }
+
+    const action = (this._limitFor(scope, key).onExceed || this.onExceed) === 'refuse' ? 'refusing further calls' : 'downgrading to the fast model';
+    const label = `${scope} "${key}"`;
+    const message = crossed >= 1
+      ? `💸 Budget reached: ${label} has spent £${cost.toFixed(2)} of its £${limit.toFixed(2)} ${window} budget — ${action} until it resets.`
+      : `💸 Budget warning: ${label} has used ${Math.round(crossed * 100)}% of its ${window} budget (£${cost.toFixed(2)} of £${limit.toFixed(2)}).`;
+
+    log.warn(message);
+    if (this._notify) {
+      Promise.resolve(this._notify(message)).catch(err => log.debug(`Budget alert push failed: ${err.message}`));
+    }
+  }
+
+  /** User-facing reply for a refused call */
+  describe(verdict) {
+    const e = verdict.exceeded.find(x => x.onExceed === verdict.action) || verdict.exceeded[0];
+    if (!e) return 'Budget exceeded.';
+    const resets = e.window === 'daily' ? 'tomorrow' : 'next month';
+    return `I've hit the ${e.window} spending limit for ${e.scope} "${e.key}" (£${e.spent.toFixed(2)} of £${e.limit.toFixed(2)}). It resets ${resets}, or the owner can raise it under budgets.${SCOPES[e.scope]} in config.`;
+  }
+
+  /**
+   * Every configured budget with its current spend — for the dashboard.
+   * "*" limits are expanded to the keys that have spend this period.
+   */
+  status() {
+    const rows = [];
+    const month = periodFor('monthly');
+    const today = periodFor('daily');
+
+    let spend = [];
+    if (this._useJson) {
+      if (!this._data) this._data = this._loadJson();
+      spend = Object.entries(this._data).map(([id, e]) => {
+        const [scope, key, period] = id.split('|');
+        return { scope, key, period, cost: e.cost };
+      });
+    } else {
+      spend = this.db.prepare('SELECT scope, key, period, cost FROM budget_spend WHERE period IN (?, ?)').all(today, month);
+    }
+
+    for (const scope of Object.keys(SCOPES)) {
+      const keys = new Set(Object.keys(this.limits[scope]).filter(k => k !== '*'));
+      if (this.limits[scope]['*']) {
+        for (const r of spend) if (r.scope === scope) keys.add(r.key);
+      }
+      for (const key of keys) {
+        const limit = this._limitFor(scope, key);
+        if (!limit) continue;
+        const find = (period) => spend.find(r => r.scope === scope && r.key === key && r.period === period)?.cost || 0;
+        rows.push({
+          scope, key,
+          daily: limit.daily || null, spentToday: Math.round(find(today) * 10000) / 10000,
+          monthly: limit.monthly || null, spentMonth: Math.round(find(month) * 10000) / 10000,
+          onExceed: limit.onExceed || this.onExceed,
+        });
+      }
+    }
+    return rows;
+  }
+}
@@ -4,6 +4,20 @@
  * Don't pay for the same answer twice.
  * Uses shared database from @agexhq/store.
  * Falls back to JSON if no database is available.
+ *
+ * Keys come from a normalised prompt rather than the raw message JSON, and
+ * who asked (the dropped sections carried their recall):
+ *   - volatile system-prompt sections (recent events, retrieved context,
+ *     graph results) are dropped and dates/clock times blanked
+ *   - only the last few turns of history count
+ *   - case, whitespace and trailing punctuation are ignored
+ *
+ * With cache.similarity enabled and an embedding provider available
+ * (VectorMemory), a near-duplicate prompt under the same system prompt
+ * is served when its embedding is close enough.
+ *
+ * Only tiers opted in under cache.tiers are cached, so tool-heavy tiers
+ * are never answered from stale results.
  */
 
 import { createHash } from 'crypto';
@@ -11,22 +25,118 @@ import { join } from 'path';
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 import { log } from './logger.js';
 
+const DEFAULT_VOLATILE_SECTIONS = ['Recent Events', 'Relevant Context', 'Knowledge Graph'];
+const DEFAULT_TIERS = { simple: true, standard: false, complex: false, extraction: true };
+
+function sha(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/** Plain text of a message's content; images reduce to a hash of their data */
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content == null ? '' : JSON.stringify(content);
+  return content.map(part => {
+    if (part.type === 'text') return part.text || '';
+    if (part.type === 'image' || part.type === 'image_url') {
+      return `[image:${sha(part.source?.data || part.image_url?.url || '')}]`;
+    }
+    return part.content ? textOf(part.content) : '';
+  }).join(' ');
+}
+
+function squash(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  const denom = Math.sqrt(normA) * Math.sqrt(normB);
+  return denom === 0 ? 0 : dot / denom;
+}
+
+/**
+ * Drop markdown sections whose heading is listed in `sections` (with their
+ * sub-sections), and blank out dates and clock times in what's left.
+ */
+export function stripVolatile(system, sections = DEFAULT_VOLATILE_SECTIONS) {
+  const drop = new Set(sections.map(s => s.toLowerCase()));
+  const kept = [];
+  let dropping = 0; // heading depth of the section being dropped
+
+  for (const line of String(system || '').split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const depth = heading[1].length;
+      if (dropping && depth > dropping) continue;
+      dropping = drop.has(heading[2].trim().toLowerCase()) ? depth : 0;
+      if (dropping) continue;
+    } else if (dropping) {
+      continue;
+    }
+    kept.push(line);
+  }
+
+  return kept.join('\n')
+    .replace(/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/g, '<date>')
+    .replace(/\b\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]m)?\b/gi, '<time>');
+}
+
 export class CompletionCache {
   constructor(config) {
     const dir = config._dir;
     if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
 
-    this.enabled = config.cache?.enabled !== false;
-    this.defaultTTL = config.cache?.ttlMinutes || 60;
-    this.stats = { hits: 0, misses: 0, saved: 0 };
+    const cache = config.cache || {};
+    this.enabled = cache.enabled !== false;
+    this.defaultTTL = cache.ttlMinutes || 60;
+    this.tiers = { ...DEFAULT_TIERS, ...cache.tiers };
+    this.contextTurns = cache.contextTurns ?? 2;
+    this.volatileSections = cache.volatileSections || DEFAULT_VOLATILE_SECTIONS;
+    this.similarity = {
+      enabled: cache.similarity?.enabled === true,
+      threshold: cache.similarity?.threshold || 0.95,
+    };
+    this.stats = { hits: 0, similar: 0, misses: 0, saved: 0 };
     this._jsonPath = join(dir, 'completion-cache.json');
+    this._embedder = null; // set via useEmbeddings()
+    this._embeddingModel = () => null; // which model _embedder uses — entries from another never match
+    this._embeddings = new Map(); // hash -> embedding computed during lookup, reused by store
     this.db = null;
     this._useJson = true;
   }
 
   attach(db) {
-    if (db) { this.db = db; this._useJson = false; }
-    else { this._data = this._loadJson(); }
+    if (db) {
+      this.db = db;
+      this._useJson = false;
+      // Databases created before normalised keys lack these columns
+      for (const column of ['scope TEXT', 'embedding TEXT', 'embedding_model TEXT']) {
+        try {
+          this.db.exec(`ALTER TABLE completion_cache ADD COLUMN ${column}`);
+        } catch { /* column already exists */ }
+      }
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_cc_scope ON completion_cache(scope)');
+    } else {
+      this._data = this._loadJson();
+    }
+  }
+
+  /** Use a VectorMemory (or anything with async embed(text)) for similarity lookups */
+  useEmbeddings(vector) {
+    this._embedder = vector?.embed ? (text) => vector.embed(text) : null;
+    this._embeddingModel = () => vector?.embeddingModel || null;
+  }
+
+  /** Whether a call with these router options may be cached */
+  accepts(options = {}) {
+    return this.enabled && !options.noCache && !!options.tier && this.tiers[options.tier] === true;
   }
 
   _loadJson() {
@@ -43,9 +153,53 @@ export class CompletionCache {
     writeFileSync(this._jsonPath, JSON.stringify(this._data));
   }
 
-  get(messages, model) {
+  /**
+   * Exact lookup on the normalised prompt, then (if enabled) the closest
+   * cached prompt under the same system prompt.
+   */
+  async lookup(messages, model, { requester = null } = {}) {
+    if (!this.enabled) return null;
+    const exact = this.get(messages, model, { requester });
+    if (exact || !this.similarity.enabled || !this._embedder) return exact;
+
+    const key = this._key(messages, model, requester);
+    let embedding = null;
+    try {
+      embedding = await this._embedder(key.tail);
+    } catch (err) {
+      log.debug(`Cache embedding failed: ${err.message}`);
+    }
+    if (!embedding) return null;
+    this._embeddings.set(key.hash, embedding);
+    if (this._embeddings.size > 50) this._embeddings.delete(this._embeddings.keys().next().value);
+
+    const best = this._nearest(key.scope, embedding);
+    if (!best || best.score < this.similarity.threshold) return null;
+
+    this._touch(best.hash);
+    this.stats.misses--; // get() counted this as a miss
+    this.stats.hits++;
+    this.stats.similar++;
+    this.stats.saved += best.cost_saved || 0;
+    log.debug(`Cache: similar prompt served (${best.score.toFixed(3)})`);
+    return { content: best.response, cached: true, model: best.model, similarity: Math.round(best.score * 1000) / 1000 };
+  }
+
+  /** Store a response, with an embedding of the prompt when similarity is on */
+  async store(messages, model, response, meta = {}) {
+    if (!this.enabled) return;
+    const key = this._key(messages, model, meta.requester);
+    let embedding = this._embeddings.get(key.hash) || null;
+    this._embeddings.delete(key.hash);
+    if (!embedding && this.similarity.enabled && this._embedder) {
+      try { embedding = await this._embedder(key.tail); } catch { /* store without */ }
+    }
+    this.set(messages, model, response, { ...meta, embedding });
+  }
+
+  get(messages, model, { requester = null } = {}) {
     if (!this.enabled) return null;
-    const hash = this._hash(messages, model);
+    const { hash } = this._key(messages, model, requester);
 
     if (this._useJson) {
       if (!this._data) this._data = this._loadJson();
@@ -64,7 +218,7 @@ export class CompletionCache {
 
     const row = this.db.prepare('SELECT * FROM completion_cache WHERE hash = ? AND (expires IS NULL OR expires > datetime(\'now\'))').get(hash);
     if (row) {
-      this.db.prepare('UPDATE completion_cache SET hits = hits + 1, last_hit = datetime(\'now\') WHERE hash = ?').run(hash);
+      this._touch(hash);
       this.stats.hits++;
       this.stats.saved += row.cost_saved || 0;
       return { content: row.response, cached: true, model: row.model };
@@ -75,13 +229,15 @@ export class CompletionCache {
 
   set(messages, model, response, meta = {}) {
     if (!this.enabled) return;
-    const hash = this._hash(messages, model);
+    const { hash, scope, tail } = this._key(messages, model, meta.requester);
     const ttl = meta.ttlMinutes || this.defaultTTL;
+    const embedding = meta.embedding || null;
+    const embeddingModel = embedding ? this._embeddingModel() : null;
 
     if (this._useJson) {
       if (!this._data) this._data = this._loadJson();
       this._data[hash] = {
-        model, response, tokens_saved: meta.tokens || 0, cost_saved: meta.cost || 0,
+        model, response, scope, embedding, embeddingModel, tokens_saved: meta.tokens || 0, cost_saved: meta.cost || 0,
         hits: 1, created: new Date().toISOString(),
         expires: new Date(Date.now() + ttl * 60000).toISOString(),
         last_hit: new Date().toISOString()
@@ -91,9 +247,9 @@ export class CompletionCache {
     }
 
     this.db.prepare(`
-      INSERT OR REPLACE INTO completion_cache (hash, model, prompt_preview, response, tokens_saved, cost_saved, expires)
-      VALUES (?, ?, ?, ?, ?, ?, datetime('now', '+${ttl} minutes'))
-    `).run(hash, model, (messages[messages.length - 1]?.content || '').slice(0, 100), response, meta.tokens || 0, meta.cost || 0);
+      INSERT OR REPLACE INTO completion_cache (hash, model, prompt_preview, response, tokens_saved, cost_saved, expires, scope, embedding, embedding_model)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now', '+${ttl} minutes'), ?, ?, ?)
+    `).run(hash, model, tail.slice(-100), response, meta.tokens || 0, meta.cost || 0, scope, embedding ? JSON.stringify(embedding) : null, embeddingModel);
   }
 
   prune() {
@@ -120,7 +276,53 @@ export class CompletionCache {
     return { ...this.stats, ...d };
   }
 
-  _hash(messages, model) {
-    return createHash('sha256').update(JSON.stringify({ messages, model })).digest('hex').slice(0, 16);
+  _touch(hash) {
+    if (this._useJson) {
+      const entry = this._data?.[hash];
+      if (entry) { entry.hits = (entry.hits || 0) + 1; entry.last_hit = new Date().toISOString(); this._saveJson(); }
+      return;
+    }
+    this.db.prepare('UPDATE completion_cache SET hits = hits + 1, last_hit = datetime(\'now\') WHERE hash = ?').run(hash);
+  }
+
+  /** Closest unexpired entry under the same model + system prompt */
+  _nearest(scope, embedding) {
+    const embeddingModel = this._embeddingModel();
+    let candidates;
+    if (this._useJson) {
+      const now = new Date().toISOString();
+      candidates = Object.entries(this._data || {})
+        .filter(([, e]) => e.scope === scope && e.embedding && (e.embeddingModel || null) === embeddingModel && (!e.expires || e.expires > now))
+        .map(([hash, e]) => ({ hash, ...e }));
+    } else {
+      candidates = this.db.prepare(`
+        SELECT hash, model, response, cost_saved, embedding FROM completion_cache
+        WHERE scope = ? AND embedding IS NOT NULL AND embedding_model IS ? AND (expires IS NULL OR expires > datetime('now'))
+        ORDER BY last_hit DESC LIMIT 500
+      `).all(scope, embeddingModel).map(r => ({ ...r, embedding: JSON.parse(r.embedding) }));
+    }
+
+    let best = null;
+    for (const c of candidates) {
+      const score = cosine(embedding, c.embedding);
+      if (!best || score > best.score) best = { ...c, score };
+    }
+    return best;
+  }
+
+  /**
+   * Normalised cache key. `scope` identifies the model + system prompt and
+   * who asked — the stripped sections held their recall, so one user's
+   * answer is never served to another; `tail` is the recent conversation
+   * the answer depends on.
+   */
+  _key(messages, model, requester = null) {
+    const system = messages.filter(m => m.role === 'system').map(m => textOf(m.content)).join('\n');
+    const turns = messages.filter(m => m.role !== 'system').slice(-(this.contextTurns + 1));
+    const tail = turns
+      .map(m => `${m.role}: ${squash(textOf(m.content)).replace(/[\s.!?,;:]+$/, '')}`)
+      .join('\n');
+    const scope = sha(JSON.stringify({ model, requester: requester || null, system: squash(stripVolatile(system, this.volatileSections)) }));
+    return { hash: sha(`${scope}\n${tail}`), scope, tail };
   }
 }
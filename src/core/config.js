@@ -13,7 +13,7 @@ import { log } from './logger.js';
 const CONFIG_DIR = join(homedir(), '.quantumclaw');
 const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
 
-const DEFAULTS = {
+export const DEFAULTS = {
   agent: {
     name: 'QClaw',
     owner: 'User',
@@ -25,6 +25,9 @@ const DEFAULTS = {
     fast: null,
     routing: {
       enabled: true,
+      classifier: 'learned', // 'learned' (kNN over past routes + corrections) | 'keyword'
+      minConfidence: 0.35,   // below this the keyword rules decide
+      reflexIntents: {},     // { "gm": "Morning!" } — exact phrases answered without an LLM; null disables a built-in
       tiers: {
         reflex: ['hello', 'hi', 'thanks', 'ok', 'bye', 'yes', 'no', 'cheers', 'ta'],
         simple: ['what time', 'next meeting', 'remind me', 'send message'],
@@ -32,7 +35,13 @@ const DEFAULTS = {
         complex: ['analyse', 'strategy', 'compare', 'review', 'plan'],
         voice: []
       }
-    }
+    },
+    // Per-tier fallback chains: { standard: [{ provider, model }, ...], default: [...] }
+    fallback: {},
+    retry: { retries: 2, baseDelayMs: 500, maxDelayMs: 8000 },
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 60000 },
+    // Price overrides per 1M tokens, merged over src/models/prices.json: { "model-id": { input, output, cachedInput, cacheWrite } }
+    prices: {}
   },
   memory: {
     cognee: {
@@ -46,6 +55,56 @@ const DEFAULTS = {
     },
     sqlite: {
       path: join(CONFIG_DIR, 'memory.db')
+    },
+    sharedContext: false, // true: the owner's direct threads on every channel share one history
+    owners: [],           // the owner's channel identities for sharedContext: ["telegram:123456"]
+    summary: {
+      enabled: true,      // fold turns that leave the context window into a rolling summary
+      minMessages: 6,     // aged-out messages to collect before asking the fast model
+      maxChars: 2000
+    },
+    vector: {
+      maxDocuments: 0,    // 0 keeps every document; otherwise the oldest go past this
+      probe: 8,           // IVF cells searched per query — higher is more thorough, slower
+      embeddings: {
+        provider: 'auto', // auto | openai | openrouter | groq | ollama | local | none
+        model: null,      // null → the provider's default (Ollama: nomic-embed-text)
+        url: null,        // Ollama base URL; null → models.ollamaUrl or localhost:11434
+        localModel: 'Xenova/all-MiniLM-L6-v2', // transformers.js model under localPath
+        localPath: null,  // null → <config dir>/models
+        allowDownload: false // let transformers.js fetch a missing local model
+      }
+    },
+    knowledge: {
+      autoSupersede: 0.8, // a contradiction the fast model is this sure of replaces the old fact; less goes to the dashboard queue
+      decayMonths: 6,     // facts not re-confirmed for this long lose confidence...
+      decayStep: 0.1,     // ...this much per month
+      minConfidence: 0.3  // and leave the prompt below this
+    },
+    retrieval: {
+      enabled: true,
+      budgetTokens: 800,  // memory packed into each turn's prompt (~4 characters a token)
+      perSource: 8,       // candidates from each layer before fusion
+      rerank: false,      // let the fast model reorder the fused list — one extra call per turn
+      weights: {}         // RRF weight per layer (vector, knowledge, graph, history), default 1
+    },
+    graph: {
+      resolution: {
+        enabled: true,
+        autoMerge: 0.9,   // names this alike merge on their own ("Hayley S." and "Hayley Smith")
+        confirm: 0.75,    // from here up to autoMerge the fast model decides; without one, the dashboard asks
+        askModel: true,
+        maxAsks: 3        // fast-model checks per pass
+      }
+    },
+    ingest: {
+      chunkSize: 1000,    // characters per chunk...
+      overlap: 150,       // ...repeating this many from the end of the one before
+      extract: true,      // read chunks for facts and graph entities (two fast-model calls a chunk)
+      extractLimit: 100,  // chunks per document read that way; the rest are only embedded
+      maxMegabytes: 25,
+      watchMinutes: 60,   // re-check ingested files for changes (0 = only when asked)
+      allowHosts: []      // hosts or addresses on this machine or the local network that URLs may be read from (others are refused)
     }
   },
   dashboard: {
@@ -57,6 +116,13 @@ const DEFAULTS = {
     tunnel_subdomain: null
   },
   channels: {},
+  channelRouting: {
+    // Tried in order before each channel's own `agent`. Each rule matches on any of
+    // channel, chatId, userId, prefix ("@sales"), hours ("09:00-17:30"), days ("mon-fri"),
+    // timezone, and routes to { agent } or { team }, with an optional fallback agent.
+    rules: [],
+    history: 200          // routing decisions kept for the dashboard
+  },
   skills: {
     dir: null, // resolved at runtime
     clawhub: {
@@ -69,10 +135,44 @@ const DEFAULTS = {
       'ls', 'cat', 'head', 'tail', 'grep', 'wc', 'date', 'echo',
       'curl', 'wget', 'node', 'npm', 'npx', 'git', 'docker'
     ],
-    requireApproval: ['rm', 'mv', 'chmod', 'chown', 'kill', 'shutdown']
+    requireApproval: ['rm', 'mv', 'chmod', 'chown', 'kill', 'shutdown'],
+    shellDenylist: ['sudo', 'su', 'doas', 'shutdown', 'reboot', 'mkfs', 'dd'], // beats any allowlist
+    agents: {}, // per agent: { shell: { allow, deny }, paths: [dirs outside the workspace] }
+    sandbox: {
+      runner: 'auto',       // 'auto' | 'bwrap' | 'firejail' | 'none' — namespace jail for shell commands
+      maxOutputChars: 10000,
+      env: [],              // extra env vars passed to commands (API keys are never passed by default)
+      network: true,
+      readOnlyPaths: []     // readable but not writable, outside the workspace
+    },
+    rateLimits: {
+      // Each bucket: { perMinute, hourly, daily }. "messages" is inbound, per paired user on
+      // each channel; the rest are tool categories shared by all agents (tools.categories).
+      messages: { perMinute: 10, hourly: 120, daily: 600 },
+      social_posts: { daily: 10, hourly: 3 },
+      emails: { daily: 50, hourly: 10 },
+      file_changes: { daily: 100, hourly: 20 },
+      api_calls: { daily: 1000, hourly: 200 },
+      shell_commands: { daily: 50, hourly: 10 }
+    },
+    outbound: {
+      // Filters on every reply and push that leaves through a channel
+      secrets: 'redact',    // stored secret values: 'redact' | 'block' | false
+      pii: ['card', 'ssn', 'ni', 'iban'], // also 'email', 'phone'
+      piiAction: 'redact',  // 'redact' | 'block'
+      trust: 'rules'        // VALUES.md action rules for "outbound_message": 'rules' | false
+    }
+  },
+  scheduler: {
+    timezone: null,       // IANA name for jobs that don't set one (null = this machine's)
+    catchUp: 'one',       // runs missed while offline: 'one' run for all of them, 'all' (up to 10), or 'none'
+    catchUpHours: 24,     // missed runs older than this are skipped, not caught up
+    history: 50,          // past runs kept per job
+    maxReminders: 50      // reminders the agent can have waiting in one conversation
   },
   heartbeat: {
-    scheduled: [],
+    scheduled: [],        // { name, schedule (cron), prompt, agent?, timezone?, at?, jitter?, notify? }
+    weeklySummary: '0 9 * * 0', // cron for the owner's weekly summary, or false
     eventDriven: true,
     graphDriven: false, // Off by default — costs money (LLM calls per query)
     graphDiscoveryIntervalHours: 4,
@@ -86,8 +186,45 @@ const DEFAULTS = {
       quietHoursEnd: 8,     // Don't message before 8am
     }
   },
+  cache: {
+    enabled: true,
+    ttlMinutes: 60,
+    // Tiers served from cache. Tool-heavy tiers are off so live data isn't answered stale.
+    tiers: { simple: true, standard: false, complex: false, extraction: true },
+    contextTurns: 2, // prior turns that count towards the cache key
+    volatileSections: ['Recent Events', 'Relevant Context', 'Knowledge Graph'],
+    similarity: { enabled: false, threshold: 0.95 } // needs an embedding provider
+  },
+  budgets: {
+    // Spending caps (£) per agent, team, channel and paired user ("telegram:<id>").
+    // Each entry: { daily, monthly, onExceed }. "*" applies to every key.
+    onExceed: 'downgrade', // 'downgrade' to the fast model, or 'refuse'
+    alertAt: [0.8, 1],     // push the owner at 80% and 100%
+    agents: {},
+    teams: {},
+    channels: {},
+    users: {}
+  },
   tools: {
-    mcp: {}
+    mcp: {},
+    concurrency: 4, // tool calls from one model turn run side by side
+    timeouts: {},   // per-tool overrides in ms: { "github__search_code": 60000 }
+    serial: [],     // extra tools that must never overlap another call
+    risk: {},       // per-tool risk overrides: { "notion__update_page": "high" }
+    categories: {}, // rate limit bucket per tool: { "gmail__send_message": "emails" } (null = none)
+    requireApproval: [] // tools that always need the owner's OK, whatever their risk
+  },
+  approvals: {
+    timeoutMinutes: 10 // unanswered approval requests are denied after this
+  },
+  delivery: {
+    maxAttempts: 5,    // tries before a message is dead-lettered
+    retrySeconds: 30,  // how often failed sends are retried (with backoff per message)
+    keepDays: 7        // delivered and discarded messages are kept this long
+  },
+  trust: {
+    judge: 'ambiguous', // fast model judges prose VALUES.md rules: ambiguous | always | off
+    cacheHours: 24      // reuse a verdict for the same action and details
   },
   agex: {
     hubUrl: null
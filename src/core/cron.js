@@ -0,0 +1,203 @@
+/**
+ * QuantumClaw — Cron Expressions
+ *
+ * Five fields (minute hour day-of-month month day-of-week) with lists,
+ * ranges, steps and month/day names, plus the @hourly-style macros and
+ * the old heartbeat interval names. Times are worked out on the wall
+ * clock of an IANA timezone, so "0 9 * * *" is 9am in Europe/London
+ * through both sides of the clock change.
+ *
+ * Around clock changes: a fixed time that doesn't exist that day (02:30
+ * when clocks go forward) is skipped, and one that happens twice (01:30
+ * when they go back) runs once. Jobs that run every hour run in both.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAYS, offset: 0 },
+];
+
+export const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+/** The interval names heartbeat.scheduled used before cron — every-day now means 9am */
+export const LEGACY_SCHEDULES = {
+  'every-minute': '* * * * *',
+  'every-5-minutes': '*/5 * * * *',
+  'every-hour': '0 * * * *',
+  'every-day': '0 9 * * *',
+};
+
+const HORIZON = 5 * 366 * 24 * 60 * 60 * 1000; // give up looking this far ahead ("0 0 30 2 *")
+
+function parseField(text, field, expr) {
+  const fail = (why) => { throw new Error(`Invalid cron expression "${expr}": ${field.name} ${why}`); };
+  const value = (token) => {
+    const lower = token.toLowerCase();
+    const named = field.names?.indexOf(lower.slice(0, 3));
+    if (field.names && /^[a-z]+$/.test(lower)) {
+      if (named < 0) fail(`"${token}" isn't a name`);
+      return named + field.offset;
+    }
+    if (!/^\d+$/.test(token)) fail(`"${token}" isn't a number`);
+    const n = Number(token);
+    if (n < field.min || n > field.max) fail(`${n} is outside ${field.min}-${field.max}`);
+    return n;
+  };
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) fail(`step "${stepText}" must be a whole number above 0`);
+    let [from, to] = [field.min, field.max];
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      from = value(a);
+      to = b === undefined ? (stepText === undefined ? from : field.max) : value(b);
+      if (to < from) fail(`range ${range} runs backwards`);
+    }
+    for (let n = from; n <= to; n += step) values.add(n);
+  }
+  if (field.name === 'day of week' && values.delete(7)) values.add(0);
+  return values;
+}
+
+/**
+ * Parse a cron expression, macro or legacy interval name.
+ * @returns {{ expr, minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay, anyWeekday, everyHour }}
+ */
+export function parseCron(input) {
+  const original = String(input ?? '').trim();
+  const expr = LEGACY_SCHEDULES[original] || MACROS[original.toLowerCase()] || original;
+  const fields = expr.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${original}": expected 5 fields (minute hour day month weekday), got ${fields[0] ? fields.length : 0}`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseField(f, FIELDS[i], original));
+  return {
+    expr, minutes, hours, days, months, weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*',
+    everyHour: fields[1] === '*',
+  };
+}
+
+/** Throws on a timezone Intl doesn't know; returns it otherwise */
+export function checkTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch {
+    throw new Error(`Unknown timezone "${timezone}" — use an IANA name like Europe/London or America/New_York`);
+  }
+}
+
+export function systemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+const formatters = new Map();
+const WEEKDAY = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/** Wall-clock fields of an instant in a timezone */
+export function wallClock(ms, timezone) {
+  let format = formatters.get(timezone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    });
+    formatters.set(timezone, format);
+  }
+  const parts = {};
+  for (const { type, value } of format.formatToParts(new Date(ms))) parts[type] = value;
+  return {
+    year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+    hour: Number(parts.hour), minute: Number(parts.minute), weekday: WEEKDAY[parts.weekday],
+  };
+}
+
+/** The instant a wall-clock time happens in a timezone (the later one if it's in a gap) */
+function zonedTime(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (ms) => {
+    const w = wallClock(ms, timezone);
+    return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute) - Math.floor(ms / 60000) * 60000;
+  };
+  const first = guess - offsetAt(guess);
+  const second = guess - offsetAt(first);
+  return Math.max(first, second);
+}
+
+/**
+ * A time given as ISO 8601 (or ms). Without a Z or offset it's read on the
+ * timezone's wall clock, so "2026-03-01T09:00" is 9am there. NaN if unreadable.
+ */
+export function parseTime(input, timezone = systemTimezone()) {
+  if (typeof input === 'number') return input;
+  const text = String(input ?? '').trim();
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (local) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = local.map(v => v && Number(v));
+    return zonedTime(year, month, day, hour, minute, timezone) + second * 1000;
+  }
+  return Date.parse(text);
+}
+
+/** "2026-03-01 09:00" on a timezone's wall clock */
+export function localTime(ms, timezone) {
+  const w = wallClock(ms, timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${w.year}-${pad(w.month)}-${pad(w.day)} ${pad(w.hour)}:${pad(w.minute)}`;
+}
+
+function dayMatches(cron, w) {
+  const dom = cron.days.has(w.day);
+  const dow = cron.weekdays.has(w.weekday);
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow; // both restricted: either will do, as in every cron
+}
+
+/**
+ * The first time after `after` (ms) that a cron expression fires in a
+ * timezone, or null if it never does within five years.
+ */
+export function nextRun(cron, after = Date.now(), timezone = systemTimezone()) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const minutes = [...c.minutes].sort((a, b) => a - b);
+  const key = (w) => `${w.year}-${w.month}-${w.day} ${w.hour}:${w.minute}`;
+  let t = Math.floor(after / 60000) * 60000 + 60000;
+  const stepTo = (next) => { t = Math.max(next, t + 60000); };
+
+  while (t - after < HORIZON) {
+    const w = wallClock(t, timezone);
+    if (!c.months.has(w.month)) { stepTo(zonedTime(w.year, w.month + 1, 1, 0, 0, timezone)); continue; }
+    if (!dayMatches(c, w)) { stepTo(zonedTime(w.year, w.month, w.day + 1, 0, 0, timezone)); continue; }
+    if (!c.hours.has(w.hour)) { t += (60 - w.minute) * 60000; continue; }
+    if (!c.minutes.has(w.minute)) {
+      const m = minutes.find(x => x > w.minute);
+      t += ((m ?? 60) - w.minute) * 60000;
+      continue;
+    }
+    // The second pass through an hour the clocks went back over
+    if (!c.everyHour && key(wallClock(t - 3600000, timezone)) === key(w)) { t += 60000; continue; }
+    return t;
+  }
+  return null;
+}
@@ -29,7 +29,10 @@ const QCLAW_SCHEMA = `
     max_attempts INTEGER DEFAULT 5,
     next_retry TEXT DEFAULT (datetime('now')),
     created TEXT DEFAULT (datetime('now')),
-    status TEXT DEFAULT 'pending'
+    status TEXT DEFAULT 'pending',
+    idempotency_key TEXT,
+    last_error TEXT,
+    updated TEXT
   );
   CREATE INDEX IF NOT EXISTS idx_dq_status ON delivery_queue(status, next_retry);
 
@@ -44,7 +47,10 @@ const QCLAW_SCHEMA = `
     hits INTEGER DEFAULT 1,
     created TEXT DEFAULT (datetime('now')),
     expires TEXT,
-    last_hit TEXT DEFAULT (datetime('now'))
+    last_hit TEXT DEFAULT (datetime('now')),
+    scope TEXT,
+    embedding TEXT,
+    embedding_model TEXT
   );
   CREATE INDEX IF NOT EXISTS idx_cc_expires ON completion_cache(expires);
 
@@ -86,6 +92,143 @@ const QCLAW_SCHEMA = `
     created TEXT DEFAULT (datetime('now'))
   );
   CREATE INDEX IF NOT EXISTS idx_msg_agent ON messages(agent, created);
+
+  -- ── Routing Corrections ────────────────────────────────────────────
+  CREATE TABLE IF NOT EXISTS route_examples (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    text TEXT NOT NULL,
+    tier TEXT NOT NULL,
+    source TEXT DEFAULT 'correction',
+    created TEXT DEFAULT (datetime('now'))
+  );
+
+  -- ── Budget Spend ───────────────────────────────────────────────────
+  CREATE TABLE IF NOT EXISTS budget_spend (
+    scope TEXT NOT NULL,
+    key TEXT NOT NULL,
+    period TEXT NOT NULL,
+    cost REAL DEFAULT 0,
+    alerted REAL DEFAULT 0,
+    updated TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (scope, key, period)
+  );
+
+  -- ── Vector Memory ──────────────────────────────────────────────────
+  CREATE TABLE IF NOT EXISTS vector_docs (
+    id TEXT PRIMARY KEY,
+    text TEXT NOT NULL,
+    agent TEXT,
+    channel TEXT,
+    type TEXT,
+    metadata TEXT,
+    embedding BLOB,
+    dims INTEGER,
+    model TEXT,
+    cell INTEGER,
+    length INTEGER DEFAULT 0,
+    created INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_vd_filter ON vector_docs(agent, channel, type);
+  CREATE INDEX IF NOT EXISTS idx_vd_cell ON vector_docs(dims, cell);
+  CREATE INDEX IF NOT EXISTS idx_vd_created ON vector_docs(created);
+  CREATE TABLE IF NOT EXISTS vector_terms (
+    term TEXT NOT NULL,
+    doc_id TEXT NOT NULL,
+    tf INTEGER NOT NULL,
+    PRIMARY KEY (term, doc_id)
+  ) WITHOUT ROWID;
+  CREATE INDEX IF NOT EXISTS idx_vt_doc ON vector_terms(doc_id);
+  CREATE TABLE IF NOT EXISTS vector_cells (
+    dims INTEGER NOT NULL,
+    cell INTEGER NOT NULL,
+    centroid BLOB NOT NULL,
+    trained_on INTEGER DEFAULT 0,
+    PRIMARY KEY (dims, cell)
+  );
+
+  -- ── Ingested Documents ─────────────────────────────────────────────
+  CREATE TABLE IF NOT EXISTS documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL UNIQUE,
+    title TEXT,
+    format TEXT,
+    hash TEXT,
+    bytes INTEGER DEFAULT 0,
+    mtime INTEGER,
+    chunks INTEGER DEFAULT 0,
+    facts INTEGER DEFAULT 0,
+    entities INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'ingesting',
+    progress REAL DEFAULT 0,
+    error TEXT,
+    ingested TEXT,
+    updated TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS document_chunks (
+    document_id INTEGER NOT NULL,
+    chunk INTEGER NOT NULL,
+    vector_id TEXT NOT NULL,
+    PRIMARY KEY (document_id, chunk)
+  );
+
+  -- ── Scheduled Jobs ─────────────────────────────────────────────────
+  CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT UNIQUE,
+    name TEXT NOT NULL,
+    prompt TEXT NOT NULL,
+    agent TEXT,
+    cron TEXT,
+    run_at INTEGER,
+    timezone TEXT,
+    jitter INTEGER DEFAULT 0,
+    notify INTEGER DEFAULT 1,
+    catch_up TEXT,
+    status TEXT DEFAULT 'active',
+    next_run INTEGER,
+    last_run INTEGER,
+    last_status TEXT,
+    source TEXT DEFAULT 'dashboard',
+    kind TEXT DEFAULT 'task',
+    target TEXT,
+    created TEXT DEFAULT (datetime('now'))
+  );
+  CREATE INDEX IF NOT EXISTS idx_scheduled_due ON scheduled_jobs(status, next_run);
+  CREATE TABLE IF NOT EXISTS scheduled_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL,
+    cause TEXT,
+    scheduled INTEGER,
+    started INTEGER,
+    finished INTEGER,
+    status TEXT,
+    output TEXT,
+    error TEXT,
+    cost REAL DEFAULT 0,
+    model TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_scheduled_runs_job ON scheduled_runs(job_id, id);
+
+  -- ── Rate Limits ────────────────────────────────────────────────────
+  CREATE TABLE IF NOT EXISTS rate_limits (
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    window TEXT NOT NULL,
+    period TEXT NOT NULL,
+    count INTEGER DEFAULT 0,
+    noticed INTEGER DEFAULT 0,
+    PRIMARY KEY (bucket, key, window)
+  );
+
+  -- ── Trust Kernel Verdicts ──────────────────────────────────────────
+  CREATE TABLE IF NOT EXISTS trust_verdicts (
+    key TEXT PRIMARY KEY,
+    action TEXT NOT NULL,
+    verdict TEXT NOT NULL,
+    reason TEXT,
+    stage TEXT,
+    created TEXT DEFAULT (datetime('now'))
+  );
 `;
 
 /**
@@ -1,7 +1,18 @@
 /**
  * QuantumClaw Delivery Queue
  *
- * Messages that fail to send get queued for retry.
+ * Every outbound channel message goes through here. deliver() records it,
+ * then sends it — with the caller's own send (a reply in the thread) or the
+ * sender registered for that channel. A send that fails stays pending and
+ * the retry loop tries again through the registered sender, backing off
+ * 2, 4, 8… minutes. After delivery.maxAttempts it's dead-lettered ('dead')
+ * until the owner retries or discards it from the dashboard or CLI.
+ *
+ * An idempotency key makes a second deliver() of the same message a no-op,
+ * so a replayed job or handler can't send twice. Pending messages are in
+ * qclaw.db, so a restart picks them up (a send cut off mid-way is sent
+ * again — at least once, not exactly once).
+ *
  * Uses shared database from @agexhq/store (sql.js on Termux, better-sqlite3 on server).
  * Falls back to JSON if no database is available.
  */
@@ -10,16 +21,26 @@ import { join } from 'path';
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 import { log } from '../core/logger.js';
 
+const STATUSES = ['pending', 'delivered', 'dead', 'discarded'];
+const BATCH = 20; // messages per retry tick
+
 export class DeliveryQueue {
   constructor(config) {
     const dir = config._dir;
     if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
 
+    this.config = config;
     this._timer = null;
     this._dir = dir;
     this._jsonPath = join(dir, 'delivery-queue.json');
     this.db = null;
     this._useJson = true;
+    this._senders = new Map();   // channel -> fn(recipient, content, metadata)
+    this._inFlight = new Set();  // ids being sent right now
+  }
+
+  get settings() {
+    return { maxAttempts: 5, retrySeconds: 30, keepDays: 7, ...this.config.delivery };
   }
 
   /** Call after construction with the shared db instance */
@@ -27,9 +48,17 @@ export class DeliveryQueue {
     if (db) {
       this.db = db;
       this._useJson = false;
+      // Queues made before idempotency keys lack these
+      for (const column of ['idempotency_key TEXT', 'last_error TEXT', 'updated TEXT']) {
+        try { this.db.exec(`ALTER TABLE delivery_queue ADD COLUMN ${column}`); } catch { /* already there */ }
+      }
+      this.db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_dq_key ON delivery_queue(idempotency_key)');
+      this.db.prepare('UPDATE delivery_queue SET status = \'dead\' WHERE status = \'failed\'').run();
     } else {
       this._data = this._loadJson();
+      for (const item of this._data.items) if (item.status === 'failed') item.status = 'dead';
     }
+    this.prune();
   }
 
   _loadJson() {
@@ -41,102 +70,291 @@ export class DeliveryQueue {
     writeFileSync(this._jsonPath, JSON.stringify(this._data, null, 2));
   }
 
-  enqueue(channel, recipient, content, metadata = {}) {
+  _items() {
+    if (!this._data) this._data = this._loadJson();
+    return this._data.items;
+  }
+
+  /** Row → item, with recipient and metadata parsed */
+  _decode(row) {
+    if (!row) return null;
+    const parse = (text, fallback) => {
+      if (text == null) return fallback;
+      try { return JSON.parse(text); } catch { return text; }
+    };
+    return {
+      id: row.id,
+      channel: row.channel,
+      recipient: parse(row.recipient, null),
+      content: row.content,
+      metadata: parse(row.metadata, {}),
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextRetry: row.next_retry,
+      created: row.created,
+      updated: row.updated || row.created,
+      status: row.status,
+      key: row.idempotency_key || null,
+      lastError: row.last_error || null,
+    };
+  }
+
+  _update(id, fields) {
     if (this._useJson) {
-      if (!this._data) this._data = this._loadJson();
-      const id = this._data.nextId++;
-      this._data.items.push({
-        id, channel, recipient, content,
-        metadata: JSON.stringify(metadata),
-        attempts: 0, max_attempts: 5,
-        next_retry: new Date().toISOString(),
-        created: new Date().toISOString(),
-        status: 'pending'
-      });
+      const item = this._items().find(i => i.id === id);
+      if (!item) return;
+      Object.assign(item, fields);
+      this._saveJson();
+      return;
+    }
+    const columns = Object.keys(fields);
+    this.db.prepare(`UPDATE delivery_queue SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+      .run(...columns.map(c => fields[c]), id);
+  }
+
+  /**
+   * Register how a channel sends outside a conversation — used for retries
+   * and for messages that don't bring their own send.
+   * @param {string} channel
+   * @param {function(recipient, content, metadata): Promise} sendFn - throws on failure
+   */
+  register(channel, sendFn) {
+    this._senders.set(channel, sendFn);
+  }
+
+  unregister(channel) {
+    this._senders.delete(channel);
+  }
+
+  /**
+   * Record a message to send. With a key already queued, nothing is added.
+   * @returns {{ item, duplicate: boolean }}
+   */
+  enqueue(channel, recipient, content, { key = null, metadata = {}, now = Date.now() } = {}) {
+    if (key) {
+      const existing = this.getByKey(key);
+      if (existing) return { item: existing, duplicate: true };
+    }
+    const iso = new Date(now).toISOString();
+    const row = {
+      channel,
+      recipient: recipient == null ? null : JSON.stringify(recipient),
+      content,
+      metadata: JSON.stringify(metadata),
+      attempts: 0,
+      max_attempts: this.settings.maxAttempts,
+      next_retry: iso,
+      created: iso,
+      updated: iso,
+      status: 'pending',
+      idempotency_key: key,
+      last_error: null,
+    };
+    let id;
+    if (this._useJson) {
+      const items = this._items();
+      id = this._data.nextId++;
+      items.push({ id, ...row });
       this._saveJson();
     } else {
-      this.db.prepare(`
-        INSERT INTO delivery_queue (channel, recipient, content, metadata)
-        VALUES (?, ?, ?, ?)
-      `).run(channel, recipient, content, JSON.stringify(metadata));
+      const columns = Object.keys(row);
+      id = Number(this.db.prepare(`INSERT INTO delivery_queue (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+        .run(...columns.map(c => row[c])).lastInsertRowid);
+    }
+    log.debug(`Queued message for ${channel}`);
+    return { item: this.get(id), duplicate: false };
+  }
+
+  /**
+   * Queue a message and try to send it now.
+   * @param {object} options - { key, metadata, send } — send() is the first
+   *   attempt; without it, the channel's registered sender is used
+   * @returns {Promise<object>} the item — status 'delivered', or 'pending'
+   *   with lastError if it'll be retried; `duplicate` if the key was seen
+   */
+  async deliver(channel, recipient, content, { key = null, metadata = {}, send = null, now = Date.now() } = {}) {
+    const { item, duplicate } = this.enqueue(channel, recipient, content, { key, metadata, now });
+    if (duplicate) {
+      log.debug(`Delivery ${key} already queued (#${item.id}, ${item.status})`);
+      return { ...item, duplicate: true };
     }
-    log.debug(`Queued message for ${channel}/${recipient}`);
+    return this._attempt(item, send, now);
   }
 
-  pending() {
+  /** One send of one item — never throws, the item records how it went */
+  async _attempt(item, send = null, now = Date.now()) {
+    if (this._inFlight.has(item.id)) return item;
+    const sender = this._senders.get(item.channel);
+    const run = send ? () => send(item.content) : sender ? () => sender(item.recipient, item.content, item.metadata) : null;
+    if (!run) {
+      log.debug(`Delivery #${item.id}: ${item.channel} isn't connected — waiting`);
+      return item;
+    }
+    this._inFlight.add(item.id);
+    try {
+      await run();
+      this.delivered(item.id, now);
+    } catch (err) {
+      this.failed(item.id, err.message, now);
+    } finally {
+      this._inFlight.delete(item.id);
+    }
+    return this.get(item.id);
+  }
+
+  /** Pending items due a retry, oldest first */
+  pending(now = Date.now()) {
+    const iso = new Date(now).toISOString();
     if (this._useJson) {
-      if (!this._data) this._data = this._loadJson();
-      const now = new Date().toISOString();
-      return this._data.items.filter(i =>
-        i.status === 'pending' && i.next_retry <= now && i.attempts < i.max_attempts
-      ).slice(0, 20);
+      return this._items()
+        .filter(i => i.status === 'pending' && i.next_retry <= iso && i.attempts < i.max_attempts)
+        .sort((a, b) => a.id - b.id)
+        .slice(0, BATCH)
+        .map(i => this._decode(i));
     }
 
     return this.db.prepare(`
       SELECT * FROM delivery_queue
-      WHERE status = 'pending' AND next_retry <= datetime('now') AND attempts < max_attempts
-      ORDER BY created ASC LIMIT 20
-    `).all();
+      WHERE status = 'pending' AND next_retry <= ? AND attempts < max_attempts
+      ORDER BY id ASC LIMIT ${BATCH}
+    `).all(iso).map(row => this._decode(row));
   }
 
-  delivered(id) {
-    if (this._useJson) {
-      const item = this._data?.items?.find(i => i.id === id);
-      if (item) { item.status = 'delivered'; this._saveJson(); }
+  delivered(id, now = Date.now()) {
+    this._update(id, { status: 'delivered', last_error: null, updated: new Date(now).toISOString() });
+  }
+
+  /** Count a failed send: back off, or dead-letter after max_attempts */
+  failed(id, error, now = Date.now()) {
+    const item = this.get(id);
+    if (!item) return;
+    const attempts = item.attempts + 1;
+    const fields = { attempts, last_error: String(error || 'send failed').slice(0, 500), updated: new Date(now).toISOString() };
+    if (attempts >= item.maxAttempts) {
+      fields.status = 'dead';
+      log.warn(`Delivery #${id} to ${item.channel} dead-lettered after ${attempts} attempts: ${error}`);
     } else {
-      this.db.prepare('UPDATE delivery_queue SET status = \'delivered\' WHERE id = ?').run(id);
+      fields.next_retry = new Date(now + Math.pow(2, attempts) * 60000).toISOString();
+      log.debug(`Delivery #${id} to ${item.channel} failed (${attempts}/${item.maxAttempts}): ${error}`);
     }
+    this._update(id, fields);
   }
 
-  failed(id, error) {
-    if (this._useJson) {
-      const item = this._data?.items?.find(i => i.id === id);
-      if (!item) return;
-      item.attempts++;
-      if (item.attempts >= item.max_attempts) {
-        item.status = 'failed';
-        log.warn(`Delivery permanently failed after ${item.attempts} attempts: ${error}`);
-      } else {
-        const backoff = Math.pow(2, item.attempts) * 60000;
-        item.next_retry = new Date(Date.now() + backoff).toISOString();
-      }
-      this._saveJson();
-    } else {
-      const item = this.db.prepare('SELECT attempts, max_attempts FROM delivery_queue WHERE id = ?').get(id);
-      if (!item) return;
-      const attempts = item.attempts + 1;
-      const backoff = Math.pow(2, attempts);
-      if (attempts >= item.max_attempts) {
-        this.db.prepare('UPDATE delivery_queue SET status = \'failed\', attempts = ? WHERE id = ?').run(attempts, id);
-        log.warn(`Delivery permanently failed after ${attempts} attempts: ${error}`);
-      } else {
-        this.db.prepare(`UPDATE delivery_queue SET attempts = ?, next_retry = datetime('now', '+${backoff} minutes') WHERE id = ?`).run(attempts, id);
-      }
+  /**
+   * Send everything that's due. Items for a channel with no sender wait
+   * without using up an attempt — it may just not have started yet.
+   * @param {function} [fallback] - fn(channel, recipient, content, metadata) for unregistered channels
+   */
+  async flush(now = Date.now(), fallback = null) {
+    let sent = 0;
+    for (const item of this.pending(now)) {
+      const send = !this._senders.has(item.channel) && fallback
+        ? () => fallback(item.channel, item.recipient, item.content, item.metadata)
+        : null;
+      const after = await this._attempt(item, send, now);
+      if (after?.status === 'delivered') sent++;
     }
+    return sent;
   }
 
-  startRetryLoop(sendFn) {
-    this._timer = setInterval(async () => {
-      const items = this.pending();
-      for (const item of items) {
-        try {
-          await sendFn(item.channel, item.recipient, item.content, JSON.parse(item.metadata || '{}'));
-          this.delivered(item.id);
-        } catch (err) {
-          this.failed(item.id, err.message);
-        }
+  /** Retry due messages every delivery.retrySeconds; sendFn is optional (see flush) */
+  startRetryLoop(sendFn = null) {
+    this.stop();
+    const tick = async () => {
+      try {
+        await this.flush(Date.now(), sendFn);
+        this.prune();
+      } catch (err) {
+        log.debug(`Delivery retry failed: ${err.message}`);
       }
-    }, 30000);
+    };
+    this._timer = setInterval(tick, this.settings.retrySeconds * 1000);
+    tick();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  get(id) {
+    id = Number(id);
+    if (this._useJson) return this._decode(this._items().find(i => i.id === id));
+    return this._decode(this.db.prepare('SELECT * FROM delivery_queue WHERE id = ?').get(id));
+  }
+
+  getByKey(key) {
+    if (this._useJson) return this._decode(this._items().find(i => i.idempotency_key === key));
+    return this._decode(this.db.prepare('SELECT * FROM delivery_queue WHERE idempotency_key = ?').get(key));
+  }
+
+  /** Newest first, optionally one status ('pending', 'delivered', 'dead', 'discarded') */
+  list({ status = null, limit = 50 } = {}) {
+    if (status && !STATUSES.includes(status)) throw new Error(`Unknown status "${status}" — use ${STATUSES.join(', ')}`);
+    if (this._useJson) {
+      return this._items()
+        .filter(i => !status || i.status === status)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(i => this._decode(i));
+    }
+    const rows = status
+      ? this.db.prepare('SELECT * FROM delivery_queue WHERE status = ? ORDER BY id DESC LIMIT ?').all(status, limit)
+      : this.db.prepare('SELECT * FROM delivery_queue ORDER BY id DESC LIMIT ?').all(limit);
+    return rows.map(row => this._decode(row));
+  }
+
+  /** Put a pending or dead message back in line, due now with a fresh set of attempts */
+  requeue(id, now = Date.now()) {
+    const item = this.get(id);
+    if (!item) throw new Error(`No delivery #${id}`);
+    if (item.status !== 'pending' && item.status !== 'dead') throw new Error(`Delivery #${id} is ${item.status}`);
+    const iso = new Date(now).toISOString();
+    this._update(item.id, { status: 'pending', attempts: 0, next_retry: iso, updated: iso });
+    return this.get(item.id);
   }
 
-  stop() { if (this._timer) clearInterval(this._timer); }
+  /**
+   * Requeue a message and send it now.
+   * @returns {Promise<object>} the item after the attempt
+   */
+  async retry(id, now = Date.now()) {
+    return this._attempt(this.requeue(id, now), null, now);
+  }
+
+  /** Give up on a pending or dead message */
+  discard(id, now = Date.now()) {
+    const item = this.get(id);
+    if (!item) throw new Error(`No delivery #${id}`);
+    if (item.status !== 'pending' && item.status !== 'dead') throw new Error(`Delivery #${id} is ${item.status}`);
+    this._update(item.id, { status: 'discarded', updated: new Date(now).toISOString() });
+    return this.get(item.id);
+  }
+
+  /** Drop delivered and discarded messages older than delivery.keepDays */
+  prune(now = Date.now()) {
+    const cutoff = new Date(now - this.settings.keepDays * 86400000).toISOString();
+    try {
+      if (this._useJson) {
+        const before = this._items().length;
+        this._data.items = this._items().filter(i =>
+          !(i.status === 'delivered' || i.status === 'discarded') || (i.updated || i.created) >= cutoff);
+        if (this._data.items.length !== before) this._saveJson();
+      } else {
+        this.db.prepare(`DELETE FROM delivery_queue WHERE status IN ('delivered', 'discarded') AND COALESCE(updated, created) < ?`).run(cutoff);
+      }
+    } catch (err) {
+      log.debug(`Delivery prune failed: ${err.message}`);
+    }
+  }
 
   stats() {
     if (this._useJson) {
       const grouped = {};
-      for (const item of (this._data?.items || [])) {
+      for (const item of this._items()) {
         if (!grouped[item.status]) grouped[item.status] = { status: item.status, count: 0, latest: item.created };
         grouped[item.status].count++;
+        if (item.created > grouped[item.status].latest) grouped[item.status].latest = item.created;
       }
       return Object.values(grouped);
     }
@@ -2,7 +2,7 @@
  * QuantumClaw Heartbeat
  *
  * Four modes:
- * 1. SCHEDULED: Cron jobs (morning briefs, weekly reviews)
+ * 1. SCHEDULED: Cron jobs (morning briefs, weekly reviews) — run by core/scheduler.js
  * 2. EVENT-DRIVEN: React to webhooks, missed calls, new leads
  * 3. GRAPH-DRIVEN: Traverse knowledge graph for patterns (opt-in, costs money)
  * 4. AUTO-LEARN: Proactively ask the user about themselves/business (opt-in)
@@ -32,19 +32,34 @@ const LEARN_PROMPTS = [
   'Do you work mostly alone or with a team?',
 ];
 
+const WEEKLY_SUMMARY = {
+  key: 'builtin:weekly-summary',
+  name: 'Weekly summary',
+  prompt: '[SYSTEM] Generate a brief weekly summary for the owner. Include: messages processed this week, key topics discussed, any pending tasks or follow-ups, and a motivational note. Keep it under 200 words.',
+  header: '📊 **Weekly Summary**\n\n',
+};
+
+/** Scheduler key for a heartbeat.scheduled entry — its name, so edits to the prompt or time update the same job */
+export function configJobKey(task) {
+  return `config:${task.name || String(task.prompt || '').slice(0, 40)}`;
+}
+
 export class Heartbeat {
-  constructor(config, agents, memory, audit) {
+  constructor(config, agents, memory, audit, scheduler) {
     this.config = config;
     this.agents = agents;
     this.memory = memory;
     this.audit = audit || null;
+    this.scheduler = scheduler || null;
     this.timers = [];
     this.running = false;
     this.heartbeatCostToday = 0;
+    this._costDay = null;
     this._learnQuestionsToday = 0;
     this._lastLearnTime = 0;
     this._channels = null; // set via wireChannels()
     this._broadcast = null; // set via wireBroadcast()
+    this._content = null; // set via wireContent()
   }
 
   /** Wire channel manager for proactive push (called after channels start) */
@@ -53,16 +68,27 @@ export class Heartbeat {
   /** Wire dashboard broadcast (called after dashboard starts) */
   wireBroadcast(fn) { this._broadcast = fn; }
 
+  /** Wire the outbound filters (ContentQueue) that channel pushes go through */
+  wireContent(contentQueue) { this._content = contentQueue; }
+
+  /** A push after the outbound filters — { delivered, content } or { delivered: false, reason } */
+  async _filter(message, meta) {
+    if (!this._content) return { delivered: true, content: message };
+    return this._content.process(message, { agent: this.agents.primary()?.name, ...meta });
+  }
+
   async start() {
     this.running = true;
     const heartbeatConfig = this.config.heartbeat || {};
 
-    // Scheduled tasks
-    if (heartbeatConfig.scheduled && heartbeatConfig.scheduled.length > 0) {
-      for (const task of heartbeatConfig.scheduled) {
-        this._scheduleTask(task);
-      }
-      log.info(`Heartbeat: ${heartbeatConfig.scheduled.length} scheduled task(s)`);
+    // Scheduled tasks and the weekly summary run on the cron scheduler
+    if (this.scheduler) {
+      this._syncJobs();
+      this.scheduler.setRunner((job, info) => this._runJob(job, info));
+      this.scheduler.onRun((job, run) => this._broadcast?.({ type: 'scheduled_run', job: job.id, name: job.name, run }));
+      this.scheduler.start().catch(err => log.debug(`Scheduler catch-up failed: ${err.message}`));
+      const active = this.scheduler.list().filter(j => j.status === 'active').length;
+      if (active) log.info(`Heartbeat: ${active} scheduled job(s)`);
     }
 
     // Graph-driven discovery — OFF by default because it costs money.
@@ -80,54 +106,129 @@ export class Heartbeat {
       log.info('Heartbeat: auto-learn enabled');
     }
 
-    // Weekly summary — every Sunday at 9am (or configurable)
-    if (heartbeatConfig.weeklySummary !== false) {
-      this._startWeeklySummary();
+    log.debug('Heartbeat started');
+  }
+
+  /**
+   * Bring the scheduler in line with config: one job per heartbeat.scheduled
+   * entry (jobs whose entry is gone are removed) and the weekly summary.
+   * Pauses made in the dashboard or CLI survive this.
+   */
+  _syncJobs() {
+    const tasks = this.config.heartbeat?.scheduled || [];
+    const keys = new Set();
+    for (const task of tasks) {
+      const key = configJobKey(task);
+      keys.add(key);
+      try {
+        this.scheduler.upsert({ ...task, key, source: 'config' });
+      } catch (err) {
+        log.warn(`Scheduled task "${task.name || task.schedule}" skipped: ${err.message}`);
+      }
+    }
+    for (const job of this.scheduler.list()) {
+      if (job.source === 'config' && !keys.has(job.key)) this.scheduler.remove(job.id);
     }
 
-    log.debug('Heartbeat started');
+    const weekly = this.config.heartbeat?.weeklySummary;
+    const existing = this.scheduler.list().find(j => j.key === WEEKLY_SUMMARY.key);
+    if (weekly === false) {
+      if (existing) this.scheduler.remove(existing.id);
+      return;
+    }
+    try {
+      this.scheduler.upsert({ ...WEEKLY_SUMMARY, cron: typeof weekly === 'string' ? weekly : '0 9 * * 0', source: 'builtin' });
+    } catch (err) {
+      log.warn(`Weekly summary not scheduled: ${err.message}`);
+    }
   }
 
-  _startWeeklySummary() {
-    // Check every hour if it's Sunday morning
-    const timer = setInterval(async () => {
-      if (!this.running) return;
-      const now = new Date();
-      const hour = now.getHours();
-      const day = now.getDay(); // 0 = Sunday
-      if (day !== 0 || hour !== 9) return;
+  /** Scheduler runner: one job, through its agent, pushed to the owner */
+  async _runJob(job, { cause, scheduled }) {
+    // One delivery per run, however many times the run's push is attempted
+    const key = `job:${job.id}:${scheduled ?? Date.now()}`;
+
+    // Reminders cost nothing — the text goes back as it is
+    if (job.kind === 'reminder') {
+      const message = `⏰ Reminder: ${job.prompt}`;
+      await this.pushTo(job.target, message, { source: 'reminder', key });
+      this.audit?.log(job.agent || 'system', 'reminder_sent', job.prompt.slice(0, 80), { job: job.id, channel: job.target?.channel, cause });
+      return { output: message, cost: 0 };
+    }
 
-      // Only send once per day
-      const lastSummary = this.memory?.getContext?.('weekly_summary_last');
-      const today = now.toISOString().slice(0, 10);
-      if (lastSummary === today) return;
+    const today = new Date().toISOString().slice(0, 10);
+    if (this._costDay !== today) {
+      this._costDay = today;
+      this.heartbeatCostToday = 0;
+    }
 
-      try {
-        const agent = this.agents.primary();
-        if (!agent) return;
+    // Daily cost cap for heartbeat (prevent runaway costs)
+    const maxDailyCost = this.config.heartbeat?.maxDailyCost || 0.50;
+    if (this.heartbeatCostToday >= maxDailyCost) {
+      return { skipped: `daily heartbeat cost cap reached (£${this.heartbeatCostToday.toFixed(4)}/${maxDailyCost})` };
+    }
 
-        const result = await agent.process(
-          '[SYSTEM] Generate a brief weekly summary for the owner. Include: messages processed this week, key topics discussed, any pending tasks or follow-ups, and a motivational note. Keep it under 200 words.',
-          { source: 'weekly-summary' }
-        );
-        this.heartbeatCostToday += result.cost || 0;
+    const agent = (job.agent && this.agents.get(job.agent)) || this.agents.primary();
+    if (!agent) throw new Error('No agent to run it');
+    const builtin = job.key === WEEKLY_SUMMARY.key;
+    // A follow-up runs in the conversation that asked for it, with its history
+    const result = job.kind === 'follow-up'
+      ? await agent.process(`[FOLLOW-UP you scheduled earlier] ${job.prompt}`, { ...job.target, source: 'follow-up' })
+      : await agent.process(job.prompt, { source: builtin ? 'weekly-summary' : 'heartbeat' });
+    this.heartbeatCostToday += result.cost || 0;
+
+    // Push result to user if task is flagged as notify
+    if (job.kind === 'follow-up' && result.content) {
+      await this.pushTo(job.target, result.content, { source: 'follow-up', key });
+    } else if (job.notify && result.content) {
+      const header = builtin ? WEEKLY_SUMMARY.header : `📋 ${job.name}:\n`;
+      await this.pushToUser(header + result.content, { source: builtin ? 'weekly-summary' : 'scheduled', key });
+    }
 
-        if (result.content) {
-          await this.pushToUser(`📊 **Weekly Summary**\n\n${result.content}`, { source: 'weekly-summary' });
-        }
+    log.agent(agent.name, `Heartbeat: ${job.name}${cause === 'schedule' ? '' : ` (${cause})`} (£${(result.cost || 0).toFixed(4)})`);
 
-        this.memory?.setContext?.('weekly_summary_last', today);
-        log.info('Weekly summary sent');
-      } catch (err) {
-        log.debug(`Weekly summary failed: ${err.message}`);
-      }
-    }, 60 * 60 * 1000); // check hourly
-    this.timers.push(timer);
+    if (this.audit) {
+      this.audit.log(agent.name, 'heartbeat', job.name, {
+        job: job.id,
+        cause,
+        cost: result.cost,
+        model: result.model,
+        tier: result.tier
+      });
+    }
+    return { output: result.content || '', cost: result.cost || 0, model: result.model || null };
+  }
+
+  /**
+   * Send to one conversation ({ channel, userId, chatId }) — where a
+   * reminder was asked for. Dashboard conversations are the owner's, so
+   * they get pushToUser. Throws if the channel isn't running, so the run
+   * is marked failed rather than sent to someone else; a send that fails
+   * is left to the delivery queue. options.key makes a repeat a no-op.
+   */
+  async pushTo(thread, message, options = {}) {
+    if (!thread?.channel || thread.channel === 'dashboard') return this.pushToUser(message, options);
+    if (!this._channels) throw new Error(`${thread.channel} isn't connected`);
+    const checked = await this._filter(message, { channel: thread.channel, userId: thread.userId, chatId: thread.chatId, source: options.source });
+    if (!checked.delivered) throw new Error(`held back by an outbound filter — ${checked.reason}`);
+    message = checked.content;
+    await this._channels.send(thread, message, { key: options.key || null, metadata: { source: options.source || 'heartbeat' } });
+    this._broadcast?.({
+      type: 'proactive_message',
+      content: message,
+      agent: this.agents.primary()?.name || 'system',
+      source: options.source || 'heartbeat',
+      channel: thread.channel,
+      timestamp: Date.now(),
+    });
+    return true;
   }
 
   /**
    * Push a message to the user across all active channels + dashboard.
    * This is the core proactive messaging capability.
+   * @returns {Promise<boolean>} whether it reached anyone yet — a push the
+   *   delivery queue is still retrying doesn't count
    */
   async pushToUser(message, options = {}) {
     const agent = this.agents.primary();
@@ -146,27 +247,29 @@ export class Heartbeat {
       sent = true;
     }
 
-    // Push to all active channels
-    if (this._channels?.channels) {
+    // Push to all active channels — the dashboard is the owner's, channels go through the filters
+    let checked = { delivered: false };
+    if (this._channels?.channels?.length) {
+      checked = await this._filter(message, { channel: 'push', source: options.source });
+      if (!checked.delivered) log.warn(`Proactive message not sent to channels: ${checked.reason}`);
+      else message = checked.content;
+    }
+    if (checked.delivered) {
       for (const channel of this._channels.channels) {
         const channelName = channel.channelConfig?.channelName;
         const allowedUsers = channel.channelConfig?.allowedUsers || [];
+        if (typeof channel.send !== 'function') continue;
 
+        // Through the delivery queue, so a failed push is retried rather than lost
         for (const userId of allowedUsers) {
           try {
-            if (channelName === 'telegram' && channel.bot) {
-              await channel.bot.api.sendMessage(userId, message);
-              sent = true;
-            } else if (channelName === 'discord' && channel.client) {
-              const user = await channel.client.users.fetch(userId).catch(() => null);
-              if (user) {
-                const dm = await user.createDM().catch(() => null);
-                if (dm) { await dm.send(message); sent = true; }
-              }
-            } else if (channelName === 'whatsapp' && channel.client) {
-              await channel.client.sendMessage(userId, message);
-              sent = true;
-            }
+            const item = await this._channels.send({ channel: channelName, userId }, message, {
+              key: options.key ? `${options.key}:${channelName}:${userId}` : null,
+              metadata: { source: options.source || 'heartbeat' },
+            });
+            // Without a queue the send went straight out; a pending item hasn't reached anyone yet
+            if (!item || item.status === 'delivered') sent = true;
+            else log.debug(`Push to ${channelName}/${userId} queued for retry: ${item.lastError || 'not sent'}`);
           } catch (err) {
             log.debug(`Push to ${channelName}/${userId} failed: ${err.message}`);
           }
@@ -175,7 +278,7 @@ export class Heartbeat {
     }
 
     if (!sent) {
-      log.debug(`Proactive message queued (no active channels): ${message.slice(0, 60)}`);
+      log.debug(`Proactive message not delivered yet: ${message.slice(0, 60)}`);
     }
 
     return sent;
@@ -183,6 +286,7 @@ export class Heartbeat {
 
   async stop() {
     this.running = false;
+    this.scheduler?.stop();
     for (const timer of this.timers) {
       clearInterval(timer);
       clearTimeout(timer);
@@ -190,54 +294,6 @@ export class Heartbeat {
     this.timers = [];
   }
 
-  _scheduleTask(task) {
-    const intervals = {
-      'every-minute': 60 * 1000,
-      'every-5-minutes': 5 * 60 * 1000,
-      'every-hour': 60 * 60 * 1000,
-      'every-day': 24 * 60 * 60 * 1000,
-    };
-
-    const interval = intervals[task.schedule];
-    if (interval) {
-      const timer = setInterval(async () => {
-        if (!this.running) return;
-
-        // Daily cost cap for heartbeat (prevent runaway costs)
-        const maxDailyCost = this.config.heartbeat?.maxDailyCost || 0.50;
-        if (this.heartbeatCostToday >= maxDailyCost) {
-          log.debug(`Heartbeat: daily cost cap reached (£${this.heartbeatCostToday.toFixed(4)}/${maxDailyCost})`);
-          return;
-        }
-
-        try {
-          const agent = this.agents.get(task.agent) || this.agents.primary();
-          const result = await agent.process(task.prompt, { source: 'heartbeat' });
-          this.heartbeatCostToday += result.cost || 0;
-
-          // Push result to user if task is flagged as notify
-          if (task.notify !== false && result.content) {
-            const prefix = task.name ? `📋 ${task.name}:\n` : '📋 Scheduled update:\n';
-            await this.pushToUser(prefix + result.content, { source: 'scheduled' });
-          }
-
-          log.agent(agent.name, `Heartbeat: ${task.name || task.schedule} (£${(result.cost || 0).toFixed(4)})`);
-
-          if (this.audit) {
-            this.audit.log(agent.name, 'heartbeat', task.name || task.schedule, {
-              cost: result.cost,
-              model: result.model,
-              tier: result.tier
-            });
-          }
-        } catch (err) {
-          log.debug(`Heartbeat task failed: ${err.message}`);
-        }
-      }, interval);
-      this.timers.push(timer);
-    }
-  }
-
   _startGraphDiscovery(intervalHours) {
     const intervalMs = intervalHours * 60 * 60 * 1000;
 
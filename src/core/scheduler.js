@@ -0,0 +1,531 @@
+/**
+ * QuantumClaw Scheduler
+ *
+ * Jobs run a prompt on a cron expression (cron.js) in an IANA timezone,
+ * or once at a set time. Each can add up to `jitter` seconds of random
+ * delay so jobs don't all fire on the same second. Jobs and their run
+ * history (status, output, cost) live in qclaw.db, and the next run time
+ * is stored too, so a restart picks up where it left off.
+ *
+ * A run that comes due while the process is down (or the machine is
+ * asleep) is caught up on the next tick. By default that's one run for
+ * everything missed. With catchUp 'all' it's each missed run, up to 10,
+ * and with 'none' it's nothing. Runs older than scheduler.catchUpHours
+ * are skipped. Either way the run log records what was missed.
+ *
+ * Reminders and follow-ups that agents set from a conversation (remind)
+ * are jobs too, tied to that conversation so they are delivered back to it.
+ *
+ * What a run does is up to the runner (see Heartbeat._runJob), so the
+ * scheduler itself never touches agents or channels.
+ *
+ * Without SQLite, jobs and runs live in ~/.quantumclaw/scheduler.json.
+ */
+
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { log } from './logger.js';
+import { parseCron, nextRun, parseTime, checkTimezone, systemTimezone, localTime } from './cron.js';
+
+const GRACE = 90 * 1000;      // later than this past due counts as missed
+const MAX_CATCH_UP = 10;      // runs replayed per job with catchUp 'all'
+const MAX_COUNTED = 5000;     // missed runs worked out per job (a day of every-minute is 1440)
+const CATCH_UP_POLICIES = ['one', 'all', 'none'];
+// task: the prompt runs and the owner gets the result; reminder: the prompt is
+// sent as it is; follow-up: the prompt runs in the conversation it came from
+const KINDS = ['task', 'reminder', 'follow-up'];
+const MIN_REMINDER_GAP = 15 * 60 * 1000; // recurring reminders repeat no faster
+
+// record field → scheduled_jobs column
+const JOB_COLUMNS = {
+  key: 'key', name: 'name', prompt: 'prompt', agent: 'agent', cron: 'cron', at: 'run_at', timezone: 'timezone',
+  jitter: 'jitter', notify: 'notify', catchUp: 'catch_up', status: 'status', nextRun: 'next_run',
+  lastRun: 'last_run', lastStatus: 'last_status', source: 'source', kind: 'kind', target: 'target',
+};
+
+export class Scheduler {
+  constructor(config) {
+    const dir = config._dir;
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    this.config = config;
+    this.db = null;
+    this._jsonPath = join(dir, 'scheduler.json');
+    this._data = null;
+    this._runner = null;
+    this._listener = null;
+    this._timer = null;
+    this._started = false;
+    this._active = new Set(); // job ids with a run in progress
+  }
+
+  get settings() {
+    return { timezone: null, catchUp: 'one', catchUpHours: 24, history: 50, maxReminders: 50, ...this.config.scheduler };
+  }
+
+  /** Timezone for jobs that don't name one */
+  get timezone() {
+    return this.settings.timezone || systemTimezone();
+  }
+
+  /** Call after construction with the shared db instance */
+  attach(db) {
+    this.db = db || null;
+    if (this.db) {
+      // Job tables made before reminders lack these
+      for (const column of ["kind TEXT DEFAULT 'task'", 'target TEXT']) {
+        try { this.db.exec(`ALTER TABLE scheduled_jobs ADD COLUMN ${column}`); } catch { /* already there */ }
+      }
+    }
+    if (!this.db) this._data = this._loadJson();
+  }
+
+  /** fn(job, { cause, scheduled }) → { output, cost, model } or { skipped: reason }; a throw marks the run failed */
+  setRunner(fn) { this._runner = fn; }
+
+  /** fn(job, run) after every run */
+  onRun(fn) { this._listener = fn; }
+
+  /** Catch up on anything missed, then keep checking */
+  start() {
+    this._started = true;
+    const pending = this.tick();
+    this._arm();
+    return pending;
+  }
+
+  stop() {
+    this._started = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  // ─── Jobs ─────────────────────────────────────────────────
+
+  /**
+   * Add a job.
+   * spec: prompt, and cron (or a legacy schedule name) or at (ISO time or
+   * ms); optional name, agent, timezone, jitter (seconds), notify,
+   * catchUp ('one' | 'all' | 'none'), key (for upsert), source.
+   */
+  add(spec) {
+    const job = this._validate(spec);
+    job.status = 'active';
+    job.nextRun = this._next(job, Date.now());
+    if (job.nextRun === null) throw new Error(job.at ? 'That time has already passed' : `"${job.cron}" never fires`);
+    const id = this._insertJob(job);
+    log.debug(`Scheduler: added "${job.name}" (${job.cron || new Date(job.at).toISOString()})`);
+    return this.get(id);
+  }
+
+  /** Add a job, or update the one with the same key — keeps it paused if it was */
+  upsert(spec) {
+    const existing = spec.key ? this.list().find(j => j.key === spec.key) : null;
+    if (!existing) return this.add(spec);
+    return this.update(existing.id, spec);
+  }
+
+  /** Change a job's fields; a new time or timezone recomputes the next run */
+  update(id, fields) {
+    const job = this.get(id);
+    if (!job) throw new Error(`No scheduled job #${id}`);
+    const merged = this._validate({
+      ...job,
+      ...fields,
+      ...(fields.cron || fields.schedule ? { at: null } : {}),
+      ...(fields.at ? { cron: null, schedule: null } : {}),
+    });
+    const timing = ['cron', 'at', 'timezone', 'jitter'].some(k => merged[k] !== job[k]);
+    const changes = {};
+    for (const key of Object.keys(JOB_COLUMNS)) if (key in merged && merged[key] !== job[key]) changes[key] = merged[key];
+    if (timing && job.status !== 'done') changes.nextRun = this._next(merged, Date.now());
+    if (job.status === 'done' && merged.at && merged.at > Date.now()) Object.assign(changes, { status: 'active', nextRun: merged.at });
+    if (Object.keys(changes).length) this._updateJob(id, changes);
+    return this.get(id);
+  }
+
+  remove(id) {
+    if (!this.get(id)) return false;
+    this._deleteJob(Number(id));
+    return true;
+  }
+
+  pause(id) {
+    const job = this.get(id);
+    if (!job) throw new Error(`No scheduled job #${id}`);
+    if (job.status === 'done') throw new Error(`"${job.name}" has already run`);
+    this._updateJob(job.id, { status: 'paused' });
+    return this.get(id);
+  }
+
+  /** Back to active; the next run is the next one from now — nothing missed while paused is caught up */
+  resume(id) {
+    const job = this.get(id);
+    if (!job) throw new Error(`No scheduled job #${id}`);
+    const next = job.status === 'done' ? null : this._next(job, Date.now());
+    if (next === null) throw new Error(job.at ? `"${job.name}" was due at ${new Date(job.at).toISOString()} — give it a new time` : `"${job.cron}" never fires`);
+    this._updateJob(job.id, { status: 'active', nextRun: next });
+    return this.get(id);
+  }
+
+  /** Run a job now, outside its schedule. Resolves to the run. */
+  runNow(id) {
+    const job = this.get(id);
+    if (!job) throw new Error(`No scheduled job #${id}`);
+    return this._execute(job, 'manual', Date.now());
+  }
+
+  // ─── Reminders ────────────────────────────────────────────
+
+  /**
+   * A reminder (or follow-up) for the conversation `thread` came from.
+   * spec: message; and at (ISO, read in the timezone when it has no
+   * offset), inMinutes or cron; optional timezone, followUp, agent.
+   */
+  remind(thread, spec) {
+    if (!thread?.channel) throw new Error('A reminder needs a conversation to go back to');
+    const given = ['at', 'inMinutes', 'cron'].filter(k => spec[k] !== undefined && spec[k] !== null && spec[k] !== '');
+    if (given.length !== 1) throw new Error('Give exactly one of: at, inMinutes, cron');
+    if (this.reminders(thread).filter(j => j.status === 'active').length >= this.settings.maxReminders) {
+      throw new Error(`This conversation already has ${this.settings.maxReminders} reminders — cancel some first`);
+    }
+
+    let at = spec.at;
+    if (spec.inMinutes !== undefined && spec.inMinutes !== null && spec.inMinutes !== '') {
+      const minutes = Number(spec.inMinutes);
+      if (!(minutes > 0)) throw new Error('inMinutes must be a number above 0');
+      at = Date.now() + minutes * 60 * 1000;
+    }
+    if (spec.cron) {
+      const tz = spec.timezone ? checkTimezone(String(spec.timezone)) : this.timezone;
+      const first = nextRun(spec.cron, Date.now(), tz);
+      const second = first === null ? null : nextRun(spec.cron, first, tz);
+      if (second !== null && second - first < MIN_REMINDER_GAP) throw new Error('A recurring reminder can repeat at most every 15 minutes');
+    }
+
+    const message = String(spec.message || '').trim();
+    return this.add({
+      name: message.slice(0, 40), prompt: message, cron: spec.cron || null, at, timezone: spec.timezone,
+      agent: spec.agent, kind: spec.followUp ? 'follow-up' : 'reminder', target: thread,
+      catchUp: 'one', source: 'agent',
+    });
+  }
+
+  /** Reminders and follow-ups still to come (or paused) — one conversation's, or everyone's */
+  reminders(thread = null) {
+    return this.list().filter(j => j.kind !== 'task' && j.status !== 'done' && (!thread || sameThread(j.target, thread)));
+  }
+
+  get(id) {
+    if (this.db) {
+      const row = this.db.prepare('SELECT * FROM scheduled_jobs WHERE id = ?').get(Number(id));
+      return row ? this._jobRecord(row) : null;
+    }
+    const job = this._data.jobs.find(j => j.id === Number(id));
+    return job ? { ...job, running: this._active.has(job.id) } : null;
+  }
+
+  /** Every job, soonest first; paused and finished ones last */
+  list() {
+    const jobs = this.db
+      ? this.db.prepare('SELECT * FROM scheduled_jobs').all().map(r => this._jobRecord(r))
+      : this._data.jobs.map(j => ({ ...j, running: this._active.has(j.id) }));
+    const rank = { active: 0, paused: 1, done: 2 };
+    return jobs.sort((a, b) => (rank[a.status] ?? 3) - (rank[b.status] ?? 3) || (a.nextRun ?? Infinity) - (b.nextRun ?? Infinity) || a.id - b.id);
+  }
+
+  /** Past runs, newest first — one job's, or everyone's */
+  runs(jobId = null, { limit = 20 } = {}) {
+    limit = Math.min(Math.max(1, Number(limit) || 20), 500);
+    if (this.db) {
+      const rows = jobId
+        ? this.db.prepare('SELECT * FROM scheduled_runs WHERE job_id = ? ORDER BY id DESC LIMIT ?').all(Number(jobId), limit)
+        : this.db.prepare('SELECT * FROM scheduled_runs ORDER BY id DESC LIMIT ?').all(limit);
+      return rows.map(runRecord);
+    }
+    return this._data.runs.filter(r => !jobId || r.jobId === Number(jobId)).slice(-limit).reverse().map(r => ({ ...r }));
+  }
+
+  getRun(id) {
+    if (this.db) {
+      const row = this.db.prepare('SELECT * FROM scheduled_runs WHERE id = ?').get(Number(id));
+      return row ? runRecord(row) : null;
+    }
+    const run = this._data.runs.find(r => r.id === Number(id));
+    return run ? { ...run } : null;
+  }
+
+  // ─── Running ──────────────────────────────────────────────
+
+  /**
+   * Start every job that's due. Each job's next run is moved on before
+   * its run starts; resolves to the runs started here once they finish.
+   */
+  tick(now = Date.now()) {
+    const due = this.list().filter(j => j.status === 'active' && j.nextRun !== null && j.nextRun <= now);
+    const started = [];
+    for (const job of due) {
+      const next = job.at ? null : this._next(job, now);
+      this._updateJob(job.id, { nextRun: next, ...(job.at ? { status: 'done' } : {}) });
+      if (now - job.nextRun <= GRACE) {
+        started.push(this._execute(job, 'schedule', job.nextRun));
+        continue;
+      }
+      started.push(this._catchUp(job, now));
+    }
+    return Promise.all(started).then(runs => runs.flat());
+  }
+
+  async _catchUp(job, now) {
+    const settings = this.settings;
+    const policy = CATCH_UP_POLICIES.includes(job.catchUp) ? job.catchUp : settings.catchUp;
+    const tz = job.timezone || this.timezone;
+    const window = now - settings.catchUpHours * 60 * 60 * 1000;
+    const stale = job.nextRun < window;
+
+    // Only runs inside the catch-up window matter; the last MAX_CATCH_UP are kept
+    const recent = [];
+    let count = 0;
+    let t = !stale ? job.nextRun : job.at ? null : nextRun(job.cron, window - 1, tz);
+    for (; t !== null && t <= now && count < MAX_COUNTED; t = job.at ? null : nextRun(job.cron, t, tz)) {
+      count++;
+      recent.push(t);
+      if (recent.length > MAX_CATCH_UP) recent.shift();
+    }
+    const first = localTime(job.nextRun, tz);
+    const what = job.at ? `missed its ${first} run while offline`
+      : stale ? `missed runs from ${first} on while offline`
+      : `missed ${count} run${count === 1 ? '' : 's'} while offline`;
+
+    if (policy === 'none' || !recent.length) {
+      const why = policy === 'none' ? `${what} (catchUp: none)` : `${what}, all over ${settings.catchUpHours}h ago`;
+      log.info(`Scheduler: "${job.name}" ${why}`);
+      return [this._record(job, { cause: 'catch-up', scheduled: recent.at(-1) ?? job.nextRun, status: 'skipped', error: why })];
+    }
+    log.info(`Scheduler: "${job.name}" ${what} — catching up`);
+    const replay = policy === 'all' ? recent : [recent.at(-1)];
+    const runs = [];
+    for (const t of replay) runs.push(await this._execute(job, 'catch-up', t));
+    return runs;
+  }
+
+  async _execute(job, cause, scheduled) {
+    if (this._active.has(job.id)) {
+      return this._record(job, { cause, scheduled, status: 'skipped', error: 'the previous run is still going' });
+    }
+    this._active.add(job.id);
+    const started = Date.now();
+    const runId = this._insertRun({ jobId: job.id, cause, scheduled, started, status: 'running' });
+    let fields;
+    try {
+      if (!this._runner) throw new Error('Nothing to run jobs with (agent not started)');
+      const result = await this._runner(job, { cause, scheduled });
+      fields = result?.skipped
+        ? { status: 'skipped', error: String(result.skipped) }
+        : { status: 'ok', output: result?.output ?? null, cost: result?.cost || 0, model: result?.model || null };
+    } catch (err) {
+      log.debug(`Scheduler: "${job.name}" failed: ${err.message}`);
+      fields = { status: 'failed', error: err.message };
+    } finally {
+      this._active.delete(job.id);
+    }
+    return this._finish(job, runId, { ...fields, finished: Date.now() }, started);
+  }
+
+  /** A run that never started (skipped), written straight to the log */
+  _record(job, fields) {
+    const now = Date.now();
+    const runId = this._insertRun({ jobId: job.id, started: now, ...fields });
+    return this._finish(job, runId, { finished: now }, now);
+  }
+
+  _finish(job, runId, fields, started) {
+    this._updateRun(runId, fields);
+    const run = this.getRun(runId);
+    if (this.get(job.id)) this._updateJob(job.id, { lastRun: started, lastStatus: run.status });
+    this._prune(job.id);
+    try { this._listener?.(this.get(job.id) || job, run); } catch { /* a listener's problem */ }
+    return run;
+  }
+
+  /** Wake for the soonest due job, and at least once a minute so edits from the CLI are seen */
+  _arm() {
+    if (this._timer) clearTimeout(this._timer);
+    if (!this._started) return;
+    const soonest = Math.min(...this.list().filter(j => j.status === 'active' && j.nextRun !== null).map(j => j.nextRun));
+    const delay = Math.max(1000, Math.min(60 * 1000, soonest - Date.now()));
+    this._timer = setTimeout(() => {
+      this.tick().catch(err => log.debug(`Scheduler tick failed: ${err.message}`));
+      this._arm();
+    }, delay);
+    this._timer.unref?.();
+  }
+
+  _next(job, after) {
+    if (job.at) return job.at > after ? job.at : null;
+    const next = nextRun(job.cron, after, job.timezone || this.timezone);
+    if (next === null) return null;
+    return next + (job.jitter ? Math.floor(Math.random() * job.jitter * 1000) : 0);
+  }
+
+  _validate(spec) {
+    const prompt = String(spec.prompt || '').trim();
+    if (!prompt) throw new Error('prompt required');
+    const schedule = spec.cron || spec.schedule || null;
+    if (!schedule && !spec.at) throw new Error('cron or at required');
+    if (schedule && spec.at) throw new Error('Give cron or at, not both');
+
+    let cron = null;
+    let at = null;
+    if (schedule) {
+      parseCron(schedule);
+      cron = String(schedule).trim();
+    }
+    const timezone = spec.timezone ? checkTimezone(String(spec.timezone)) : null;
+    if (!schedule) {
+      at = parseTime(spec.at, timezone || this.timezone);
+      if (!Number.isFinite(at)) throw new Error(`Invalid time "${spec.at}" — use ISO 8601, e.g. 2026-03-01T09:00 (in the job's timezone) or 2026-03-01T09:00:00Z`);
+    }
+    const jitter = Math.max(0, Math.min(3600, Math.round(Number(spec.jitter) || 0)));
+    const catchUp = spec.catchUp ?? null;
+    if (catchUp !== null && !CATCH_UP_POLICIES.includes(catchUp)) throw new Error(`catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+    const kind = spec.kind || 'task';
+    if (!KINDS.includes(kind)) throw new Error(`kind must be one of: ${KINDS.join(', ')}`);
+    const target = spec.target?.channel
+      ? { channel: String(spec.target.channel), userId: spec.target.userId ?? null, chatId: spec.target.chatId ?? null }
+      : null;
+    if (kind !== 'task' && !target) throw new Error(`A ${kind} needs a conversation to go back to`);
+
+    return {
+      key: spec.key || null,
+      name: String(spec.name || prompt.slice(0, 40)).trim(),
+      prompt,
+      agent: spec.agent || null,
+      cron, at, timezone, jitter, catchUp,
+      notify: spec.notify !== false,
+      source: spec.source || 'dashboard',
+      kind, target,
+    };
+  }
+
+  // ─── Storage ──────────────────────────────────────────────
+
+  _jobRecord(row) {
+    return {
+      id: row.id, key: row.key, name: row.name, prompt: row.prompt, agent: row.agent, cron: row.cron, at: row.run_at,
+      timezone: row.timezone, jitter: row.jitter || 0, notify: !!row.notify, catchUp: row.catch_up, status: row.status,
+      nextRun: row.next_run, lastRun: row.last_run, lastStatus: row.last_status, source: row.source, created: row.created,
+      kind: row.kind || 'task', target: row.target ? JSON.parse(row.target) : null, running: this._active.has(row.id),
+    };
+  }
+
+  _insertJob(job) {
+    if (this.db) {
+      const keys = Object.keys(JOB_COLUMNS).filter(k => k in job);
+      return Number(this.db.prepare(`INSERT INTO scheduled_jobs (${keys.map(k => JOB_COLUMNS[k]).join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+        .run(...keys.map(k => toColumn(job[k]))).lastInsertRowid);
+    }
+    const id = this._data.nextJobId++;
+    this._data.jobs.push({ id, lastRun: null, lastStatus: null, created: new Date().toISOString(), ...job });
+    this._saveJson();
+    return id;
+  }
+
+  _updateJob(id, fields) {
+    if (this.db) {
+      const keys = Object.keys(fields);
+      this.db.prepare(`UPDATE scheduled_jobs SET ${keys.map(k => `${JOB_COLUMNS[k]} = ?`).join(', ')} WHERE id = ?`)
+        .run(...keys.map(k => toColumn(fields[k])), id);
+      return;
+    }
+    const job = this._data.jobs.find(j => j.id === id);
+    if (job) Object.assign(job, fields);
+    this._saveJson();
+  }
+
+  _deleteJob(id) {
+    if (this.db) {
+      this.db.prepare('DELETE FROM scheduled_runs WHERE job_id = ?').run(id);
+      this.db.prepare('DELETE FROM scheduled_jobs WHERE id = ?').run(id);
+      return;
+    }
+    this._data.jobs = this._data.jobs.filter(j => j.id !== id);
+    this._data.runs = this._data.runs.filter(r => r.jobId !== id);
+    this._saveJson();
+  }
+
+  _insertRun(run) {
+    if (this.db) {
+      return Number(this.db.prepare('INSERT INTO scheduled_runs (job_id, cause, scheduled, started, status, error) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(run.jobId, run.cause, run.scheduled ?? null, run.started, run.status, run.error || null).lastInsertRowid);
+    }
+    const id = this._data.nextRunId++;
+    this._data.runs.push({ id, jobId: run.jobId, cause: run.cause, scheduled: run.scheduled ?? null, started: run.started,
+      finished: null, status: run.status, output: null, error: run.error || null, cost: 0, model: null });
+    this._saveJson();
+    return id;
+  }
+
+  _updateRun(id, fields) {
+    if (this.db) {
+      const keys = Object.keys(fields);
+      this.db.prepare(`UPDATE scheduled_runs SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`).run(...keys.map(k => fields[k] ?? null), id);
+      return;
+    }
+    const run = this._data.runs.find(r => r.id === id);
+    if (run) Object.assign(run, fields);
+    this._saveJson();
+  }
+
+  /** Keep the newest scheduler.history runs per job */
+  _prune(jobId) {
+    const keep = this.settings.history;
+    if (!keep) return;
+    if (this.db) {
+      this.db.prepare('DELETE FROM scheduled_runs WHERE job_id = ? AND id NOT IN (SELECT id FROM scheduled_runs WHERE job_id = ? ORDER BY id DESC LIMIT ?)')
+        .run(jobId, jobId, keep);
+      return;
+    }
+    const mine = this._data.runs.filter(r => r.jobId === jobId);
+    if (mine.length <= keep) return;
+    const drop = new Set(mine.slice(0, mine.length - keep).map(r => r.id));
+    this._data.runs = this._data.runs.filter(r => !drop.has(r.id));
+    this._saveJson();
+  }
+
+  _loadJson() {
+    try {
+      const data = JSON.parse(readFileSync(this._jsonPath, 'utf-8'));
+      return { nextJobId: data.nextJobId || 1, nextRunId: data.nextRunId || 1, jobs: data.jobs || [], runs: data.runs || [] };
+    } catch {
+      return { nextJobId: 1, nextRunId: 1, jobs: [], runs: [] };
+    }
+  }
+
+  _saveJson() {
+    try {
+      writeFileSync(this._jsonPath + '.tmp', JSON.stringify(this._data, null, 2));
+      renameSync(this._jsonPath + '.tmp', this._jsonPath);
+    } catch (err) {
+      log.debug(`scheduler.json save failed: ${err.message}`);
+    }
+  }
+}
+
+const toColumn = (value) => typeof value === 'boolean' ? (value ? 1 : 0) : value && typeof value === 'object' ? JSON.stringify(value) : value ?? null;
+
+const sameThread = (a, b) => !!a && !!b && a.channel === b.channel
+  && String(a.userId ?? '') === String(b.userId ?? '') && String(a.chatId ?? '') === String(b.chatId ?? '');
+
+/** One line for a reminder: "#12 · 2026-10-23 09:00 Europe/London · every 0 9 * * 1-5 · chase the invoice" */
+export function describeReminder(job, timezone) {
+  const tz = job.timezone || timezone;
+  const when = job.status === 'active' && job.nextRun ? `${localTime(job.nextRun, tz)} ${tz}` : job.status;
+  return `#${job.id} · ${when}${job.cron ? ` · repeats ${job.cron}` : ''}${job.kind === 'follow-up' ? ' · follow-up' : ''} · ${job.prompt}`;
+}
+
+function runRecord(row) {
+  return {
+    id: row.id, jobId: row.job_id, cause: row.cause, scheduled: row.scheduled, started: row.started, finished: row.finished,
+    status: row.status, output: row.output, error: row.error, cost: row.cost || 0, model: row.model,
+  };
+}
@@ -13,9 +13,18 @@ import { readFileSync, writeFileSync, existsSync, readdirSync, unlinkSync } from
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import bcrypt from 'bcryptjs';
+import { isSubject } from '../memory/knowledge.js';
+import { configJobKey } from '../core/heartbeat.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+/** A graph entity by id (3 or "#3") or by any of its names */
+function entityRef(graph, ref) {
+  if (ref === undefined || ref === null || ref === '') return null;
+  const id = /^#?(\d+)$/.exec(String(ref));
+  return id ? graph.getEntity(Number(id[1])) : graph.findEntity(String(ref));
+}
+
 export class DashboardServer {
   constructor(qclaw) {
     this.qclaw = qclaw;
@@ -414,7 +423,117 @@ export class DashboardServer {
 
     // Costs
     this.app.get('/api/costs', (req, res) => {
-      res.json(this.qclaw.audit.costSummary());
+      const prices = this.qclaw.router?.prices;
+      res.json({
+        ...this.qclaw.audit.costSummary(),
+        catalogue: prices ? { version: prices.version, updated: prices.updated, models: prices.size } : null,
+        unknownPrices: prices ? prices.unpriced(this.qclaw.audit.costs('month')) : [],
+      });
+    });
+
+    // Completion cache — hit rate and savings
+    this.app.get('/api/cache', (req, res) => {
+      res.json(this.qclaw.completionCache ? this.qclaw.completionCache.getStats() : { enabled: false });
+    });
+
+    // Budgets — configured caps and current spend
+    this.app.get('/api/budgets', (req, res) => {
+      res.json(this.qclaw.budgets ? this.qclaw.budgets.status() : []);
+    });
+
+    // Outbound deliveries — stuck and dead-lettered messages, retried or discarded
+    this.app.get('/api/deliveries', (req, res) => {
+      const queue = this.qclaw.deliveryQueue;
+      if (!queue) return res.json({ stats: [], items: [] });
+      try {
+        res.json({ stats: queue.stats(), items: queue.list({ status: req.query.status || null, limit: parseInt(req.query.limit) || 50 }) });
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    this.app.post('/api/deliveries/:id/:action', async (req, res) => {
+      const { id, action } = req.params;
+      const queue = this.qclaw.deliveryQueue;
+      if (!queue) return res.status(503).json({ error: 'Delivery queue not available' });
+      if (action !== 'retry' && action !== 'discard') return res.status(400).json({ error: 'action must be retry or discard' });
+      try {
+        const item = action === 'retry' ? await queue.retry(id) : queue.discard(id);
+        res.json({ ok: true, item });
+      } catch (err) {
+        res.status(err.message.startsWith('No delivery') ? 404 : 409).json({ error: err.message });
+      }
+    });
+
+    // Rate limits — counts in the current windows, and clearing them
+    this.app.get('/api/rate-limits', (req, res) => {
+      const limiter = this.qclaw.rateLimiter;
+      res.json(limiter ? { limits: limiter.limits, usage: limiter.status() } : { limits: {}, usage: [] });
+    });
+
+    this.app.post('/api/rate-limits/reset', (req, res) => {
+      const { bucket, key } = req.body || {};
+      if (!bucket) return res.status(400).json({ error: 'bucket required' });
+      if (!this.qclaw.rateLimiter) return res.status(503).json({ error: 'Rate limits not available' });
+      this.qclaw.rateLimiter.reset(bucket, key || '*');
+      res.json({ ok: true });
+    });
+
+    // Tool approvals — pending requests and owner decisions
+    this.app.get('/api/approvals', (req, res) => {
+      const approvals = this.qclaw.approvals;
+      if (!approvals) return res.json({ pending: [], recent: [] });
+      // Only requests something is still waiting on can be decided
+      res.json({
+        pending: approvals.pending().filter(a => approvals.isWaiting(a.id)),
+        recent: approvals.recent(parseInt(req.query.limit) || 20),
+        timeoutMinutes: approvals.timeoutMs / 60000,
+      });
+    });
+
+    this.app.post('/api/approvals/:id/:decision', (req, res) => {
+      const { id, decision } = req.params;
+      const approvals = this.qclaw.approvals;
+      if (!approvals) return res.status(503).json({ error: 'Approvals not available' });
+      if (decision !== 'approve' && decision !== 'deny') return res.status(400).json({ error: 'decision must be approve or deny' });
+      const settled = decision === 'approve'
+        ? approvals.approve(id, 'dashboard')
+        : approvals.deny(id, 'dashboard', req.body?.reason || 'denied by the owner');
+      if (!settled) return res.status(409).json({ error: 'Already decided or expired' });
+      res.json({ ok: true });
+    });
+
+    // Routing classifier — stats, dry-run and owner corrections
+    this.app.get('/api/routing', (req, res) => {
+      const router = this.qclaw.router;
+      const classifier = router?.classifier;
+      res.json({
+        enabled: router?.routingConfig?.enabled !== false,
+        classifier: classifier ? 'learned' : 'keyword',
+        minConfidence: router?.minConfidence,
+        reflexIntents: router?.reflexIntents || {},
+        stats: classifier?.stats?.() || null,
+        evaluation: classifier?.evaluate?.() || null,
+        costsByTier: this.qclaw.audit.costs(req.query.since || 'week'),
+      });
+    });
+
+    this.app.post('/api/routing/test', (req, res) => {
+      const { message } = req.body;
+      if (!message) return res.status(400).json({ error: 'message required' });
+      const { model, ...route } = this.qclaw.router.classify(message);
+      res.json({ ...route, model: model?.model || null, learned: this.qclaw.router.classifier?.classify?.(message) || null });
+    });
+
+    this.app.post('/api/routing/correct', (req, res) => {
+      try {
+        const { message, tier } = req.body;
+        if (!message || !tier) return res.status(400).json({ error: 'message and tier required' });
+        if (!this.qclaw.router.classifier) return res.status(400).json({ error: 'Learned routing is disabled (models.routing.classifier = "keyword")' });
+        const example = this.qclaw.router.classifier.correct(message, tier);
+        this.qclaw.audit.log('owner', 'route_correction', `${tier}: ${message.slice(0, 80)}`, { tier });
+        res.json({ ok: true, example });
+      } catch (err) { res.status(400).json({ error: err.message }); }
     });
 
     // Audit log
@@ -656,17 +775,39 @@ export class DashboardServer {
       res.json(threads);
     });
 
+    // One thread: { channel, userId, chatId } from the query string or body
+    const threadFrom = (src) => ({ channel: src.channel, userId: src.userId || null, chatId: src.chatId || null });
+
     this.app.get('/api/threads/history', (req, res) => {
       const agentName = req.query.agent || this.qclaw.agents.primary()?.name;
-      if (!agentName) return res.json([]);
-      const { channel, userId, before } = req.query;
+      if (!agentName) return res.json({ messages: [], summary: null });
+      const { channel, before } = req.query;
       const limit = parseInt(req.query.limit) || 50;
-      const history = this.qclaw.memory.getHistory(agentName, limit, {
-        channel: channel || undefined,
-        userId: userId || undefined,
+      // A channel names one thread exactly — a user's DMs and their group chats are separate
+      const messages = this.qclaw.memory.getHistory(agentName, limit, {
+        threads: channel ? [threadFrom(req.query)] : undefined,
         before: before || undefined,
       });
-      res.json(history);
+      const summary = channel ? this.qclaw.memory.getThreadState(agentName, threadFrom(req.query)) : null;
+      res.json({ messages, summary });
+    });
+
+    // Replace a thread's rolling summary
+    this.app.put('/api/threads/history', (req, res) => {
+      const { agent, channel, summary } = req.body || {};
+      const agentName = agent || this.qclaw.agents.primary()?.name;
+      if (!agentName || !channel) return res.status(400).json({ error: 'agent and channel required' });
+      if (typeof summary !== 'string') return res.status(400).json({ error: 'summary must be a string' });
+      this.qclaw.memory.setThreadSummary(agentName, threadFrom(req.body), summary.slice(0, 10000));
+      res.json({ ok: true, summary: this.qclaw.memory.getThreadState(agentName, threadFrom(req.body)) });
+    });
+
+    // Same as /reset in a chat: clear the summary and start the window afresh
+    this.app.delete('/api/threads/history', (req, res) => {
+      const agentName = req.query.agent || this.qclaw.agents.primary()?.name;
+      if (!agentName || !req.query.channel) return res.status(400).json({ error: 'agent and channel required' });
+      this.qclaw.memory.resetThread(agentName, threadFrom(req.query));
+      res.json({ ok: true });
     });
 
     // ─── Stats ──────────────────────────────────────────────
@@ -758,6 +899,23 @@ export class DashboardServer {
       res.json(channels);
     });
 
+    // Which agent channel messages go to — rules in order and recent decisions
+    this.app.get('/api/channels/routing', (req, res) => {
+      const manager = this.qclaw.channels;
+      if (!manager?.getRouting) return res.json({ rules: [], decisions: [] });
+      res.json(manager.getRouting(Math.min(parseInt(req.query.limit) || 50, 200)));
+    });
+
+    // Try a message against the rules without recording it
+    this.app.post('/api/channels/routing/test', (req, res) => {
+      const router = this.qclaw.channels?.router;
+      if (!router) return res.status(503).json({ error: 'Channels not started' });
+      const { channel, userId, chatId, text } = req.body || {};
+      if (!channel) return res.status(400).json({ error: 'channel required' });
+      const decision = router.route({ channel, userId, chatId, text }, { record: false });
+      res.json({ agent: decision.agent?.name || null, team: decision.team, rule: decision.rule, text: decision.text, fallback: decision.fallback });
+    });
+
     // ─── Tools Management ────────────────────────────────────
     this.app.get('/api/tools', (req, res) => {
       try {
@@ -1108,19 +1266,226 @@ Keep names as lowercase slugs with dashes. Make roles practical and specific to
       } catch (err) { res.json({ nodes: [], edges: [], error: err.message }); }
     });
 
+    // Graph traversal: { query } in the Cypher-like syntax (see graph-query.js),
+    // { entity, hops } for a neighbourhood, or { from, to } for a shortest path
+    this.app.post('/api/memory/graph/query', async (req, res) => {
+      const graph = this.qclaw.memory?.graph;
+      if (!graph) return res.status(503).json({ error: 'Knowledge graph not available' });
+      const { query, entity, from, to, hops, maxHops, relations, direction } = req.body || {};
+      const find = (ref) => entityRef(graph, ref);
+      try {
+        if (query) {
+          const { runGraphQuery } = await import('../memory/graph-query.js');
+          return res.json(runGraphQuery(graph, String(query)));
+        }
+        const filters = { relations: Array.isArray(relations) ? relations : relations ? [relations] : null, direction: direction || 'both' };
+        if (entity) {
+          const e = find(entity);
+          if (!e) return res.status(404).json({ error: `No entity "${entity}"` });
+          return res.json(graph.neighbourhood(e.id, { ...filters, hops: Number(hops) || 2 }));
+        }
+        if (from && to) {
+          const a = find(from), b = find(to);
+          if (!a || !b) return res.status(404).json({ error: `No entity "${a ? to : from}"` });
+          return res.json({ path: graph.shortestPath(a.id, b.id, { ...filters, maxHops: Number(maxHops) || undefined }) });
+        }
+        res.status(400).json({ error: 'query, entity, or from + to required' });
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    // ─── Entity resolution: aliases, merges, splits ─────────
+    this.app.get('/api/memory/entities', (req, res) => {
+      const graph = this.qclaw.memory?.graph;
+      if (!graph) return res.json([]);
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const entities = req.query.q ? graph.searchEntities(String(req.query.q), limit) : graph.findEntities({ limit });
+      res.json(entities.map(e => ({
+        id: e.id, name: e.name, type: e.type, description: e.description, mentions: e.mentions,
+        aliases: graph.aliasesOf(e.id).filter(a => a.source !== 'name' || a.alias !== e.name),
+        relationships: graph.edges(e.id).length,
+      })));
+    });
+
+    this.app.get('/api/memory/entities/merges', (req, res) => {
+      const graph = this.qclaw.memory?.graph;
+      if (!graph) return res.json([]);
+      res.json(graph.merges({ status: req.query.status || null, limit: Math.min(parseInt(req.query.limit) || 50, 500) })
+        .map(({ snapshot, ...m }) => ({ ...m, relationships: snapshot?.relationships?.length ?? null })));
+    });
+
+    // Manual merge: { keep, merge } as ids or names
+    this.app.post('/api/memory/entities/merge', (req, res) => {
+      const graph = this.qclaw.memory?.graph;
+      if (!graph) return res.status(503).json({ error: 'Knowledge graph not available' });
+      const keep = entityRef(graph, req.body?.keep);
+      const drop = entityRef(graph, req.body?.merge);
+      if (!keep || !drop) return res.status(404).json({ error: `No entity "${keep ? req.body?.merge : req.body?.keep}"` });
+      try {
+        const id = graph.merge(keep.id, drop.id, { method: 'owner', reason: req.body?.reason || null });
+        this.qclaw.audit.log('owner', 'entity_merged', `${drop.name} → ${keep.name}`, { merge: id });
+        res.json({ ok: true, id });
+      } catch (err) { res.status(400).json({ error: err.message }); }
+    });
+
+    // Settle a suggestion (merge | reject) or take back a merge (undo)
+    this.app.post('/api/memory/entities/merges/:id', (req, res) => {
+      const graph = this.qclaw.memory?.graph;
+      if (!graph) return res.status(503).json({ error: 'Knowledge graph not available' });
+      const { action } = req.body || {};
+      const id = parseInt(req.params.id);
+      try {
+        if (action === 'undo') graph.undoMerge(id);
+        else if (!['merge', 'reject'].includes(action)) return res.status(400).json({ error: 'action must be merge, reject or undo' });
+        else if (!graph.resolveSuggestion(id, action)) return res.status(404).json({ error: 'No such pending suggestion' });
+        const m = graph.getMerge(id);
+        this.qclaw.audit.log('owner', `entity_merge_${action}`, `${m.mergedName} → ${m.keptName}`, { merge: id });
+        res.json({ ok: true });
+      } catch (err) { res.status(400).json({ error: err.message }); }
+    });
+
+    this.app.post('/api/memory/entities/:id/split', (req, res) => {
+      const graph = this.qclaw.memory?.graph;
+      if (!graph) return res.status(503).json({ error: 'Knowledge graph not available' });
+      try {
+        const result = graph.split(parseInt(req.params.id), String(req.body?.alias || ''));
+        this.qclaw.audit.log('owner', 'entity_split', `${req.body.alias} from #${req.params.id}`, result);
+        res.json({ ok: true, ...result });
+      } catch (err) { res.status(400).json({ error: err.message }); }
+    });
+
+    // Look for duplicates across the whole graph now rather than as entities arrive
+    this.app.post('/api/memory/entities/resolve', async (req, res) => {
+      try {
+        if (!this.qclaw.memory?.graph) return res.status(503).json({ error: 'Knowledge graph not available' });
+        res.json(await this.qclaw.memory.resolveEntities());
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+    // Ingested documents — uploads arrive base64 in JSON; ingestion runs in
+    // the background and reports over the websocket as { type: 'ingest' }
+    this.app.get('/api/memory/documents', (req, res) => {
+      res.json(this.qclaw.documents?.list() || []);
+    });
+
+    const ingest = (input, options, label) => {
+      const documents = this.qclaw.documents;
+      documents.ingest(input, { ...options, onProgress: (p) => this.broadcast({ type: 'ingest', ...p }) })
+        .then(result => {
+          for (const doc of [result].flat()) {
+            if (doc.outcome === 'failed') this.broadcast({ type: 'ingest', source: doc.source, stage: 'failed', error: doc.error });
+            else this.broadcast({ type: 'ingest', id: doc.id, source: doc.source, title: doc.title, stage: 'ready', outcome: doc.outcome, chunks: doc.chunks });
+          }
+          this.qclaw.audit.log('owner', 'document_ingested', label, { documents: [result].flat().map(d => d.id).filter(Boolean) });
+        })
+        .catch(err => this.broadcast({ type: 'ingest', source: label, stage: 'failed', error: err.message }));
+    };
+
+    this.app.post('/api/memory/documents', (req, res) => {
+      if (!this.qclaw.documents) return res.status(503).json({ error: 'Document ingestion not available' });
+      const { data, name, contentType, url, path, extract } = req.body || {};
+      let input;
+      if (data) {
+        if (!name) return res.status(400).json({ error: 'name required with data' });
+        input = { data: Buffer.from(String(data), 'base64'), name, contentType };
+      } else if (url || path) {
+        input = String(url || path);
+      } else {
+        return res.status(400).json({ error: 'data (base64) and name, url or path required' });
+      }
+      const label = name || input;
+      ingest(input, { extract: extract ?? undefined }, label);
+      res.status(202).json({ ok: true, source: label });
+    });
+
+    this.app.post('/api/memory/documents/:id/reingest', (req, res) => {
+      const doc = this.qclaw.documents?.get(parseInt(req.params.id));
+      if (!doc) return res.status(404).json({ error: 'Document not found' });
+      if (doc.source.startsWith('upload:')) return res.status(400).json({ error: 'Uploads are re-ingested by uploading the file again' });
+      ingest(doc.source, { force: true }, doc.source);
+      res.status(202).json({ ok: true, source: doc.source });
+    });
+
+    this.app.delete('/api/memory/documents/:id', (req, res) => {
+      const doc = this.qclaw.documents?.get(parseInt(req.params.id));
+      if (!doc) return res.status(404).json({ error: 'Document not found' });
+      this.qclaw.documents.remove(doc.id);
+      this.qclaw.audit.log('owner', 'document_removed', doc.source, { id: doc.id, chunks: doc.chunks });
+      res.json({ ok: true });
+    });
+
     this.app.post('/api/memory/remember', async (req, res) => {
       try {
-        const { fact } = req.body;
+        const { fact, subject } = req.body;
         if (!fact) return res.status(400).json({ error: 'fact required' });
         if (this.qclaw.memory?.knowledge) {
-          this.qclaw.memory.knowledge.add('semantic', fact, { source: 'dashboard', confidence: 1.0 });
-          res.json({ ok: true });
+          const result = await this.qclaw.memory.knowledge.learn('semantic', fact,
+            { source: 'dashboard', confidence: 1.0, subject: subject || 'owner', channel: 'dashboard' },
+            { router: this.qclaw.router });
+          if (this.qclaw.memory._jsonStore) this.qclaw.memory._saveJsonStore();
+          res.json({ ok: true, ...result });
         } else {
           res.status(500).json({ error: 'Knowledge store not initialized' });
         }
       } catch (err) { res.status(500).json({ error: err.message }); }
     });
 
+    // Knowledge entries by subject — owner, shared, agent:<name>, user:<channel>:<id>
+    this.app.get('/api/memory/knowledge', (req, res) => {
+      const knowledge = this.qclaw.memory?.knowledge;
+      if (!knowledge) return res.json({ entries: [], subjects: [], agents: [] });
+      res.json({
+        entries: knowledge.list({ subject: req.query.subject || undefined, type: req.query.type || undefined }),
+        subjects: knowledge.subjects(),
+        agents: this.qclaw.agents.list(),
+      });
+    });
+
+    // Reassign an entry to someone else, or promote it to shared / an agent
+    this.app.put('/api/memory/knowledge/:id', (req, res) => {
+      try {
+        const knowledge = this.qclaw.memory?.knowledge;
+        if (!knowledge) return res.status(500).json({ error: 'Knowledge store not initialized' });
+        const { subject } = req.body;
+        if (!isSubject(subject)) return res.status(400).json({ error: 'subject must be owner, shared, agent:<name> or user:<channel>:<id>' });
+        if (!knowledge.setSubject(parseInt(req.params.id), subject)) return res.status(404).json({ error: 'Entry not found' });
+        if (this.qclaw.memory._jsonStore) this.qclaw.memory._saveJsonStore();
+        res.json({ ok: true });
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+    this.app.get('/api/memory/knowledge/:id/history', (req, res) => {
+      const knowledge = this.qclaw.memory?.knowledge;
+      res.json(knowledge ? knowledge.history(parseInt(req.params.id)) : []);
+    });
+
+    // Contradictions the fast model wasn't sure about, waiting for the owner
+    this.app.get('/api/memory/conflicts', (req, res) => {
+      const knowledge = this.qclaw.memory?.knowledge;
+      res.json(knowledge ? knowledge.conflicts({ status: req.query.status || 'pending' }) : []);
+    });
+
+    this.app.post('/api/memory/conflicts/:id', (req, res) => {
+      try {
+        const knowledge = this.qclaw.memory?.knowledge;
+        if (!knowledge) return res.status(500).json({ error: 'Knowledge store not initialized' });
+        const { action } = req.body;
+        if (!['replace', 'keep', 'discard'].includes(action)) return res.status(400).json({ error: 'action must be replace, keep or discard' });
+        if (!knowledge.resolveConflict(parseInt(req.params.id), action)) return res.status(404).json({ error: 'No such pending conflict' });
+        if (this.qclaw.memory._jsonStore) this.qclaw.memory._saveJsonStore();
+        res.json({ ok: true });
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
+    this.app.delete('/api/memory/knowledge/:id', (req, res) => {
+      const knowledge = this.qclaw.memory?.knowledge;
+      if (!knowledge) return res.status(500).json({ error: 'Knowledge store not initialized' });
+      knowledge.remove(parseInt(req.params.id));
+      if (this.qclaw.memory._jsonStore) this.qclaw.memory._saveJsonStore();
+      res.json({ ok: true });
+    });
+
     this.app.get('/api/memory/export', async (req, res) => {
       try {
         const knowledge = this.qclaw.memory?.knowledge;
@@ -1176,39 +1541,70 @@ Keep names as lowercase slugs with dashes. Make roles practical and specific to
       } catch (err) { res.status(500).json({ error: err.message }); }
     });
 
-    // ─── Scheduled Tasks ────────────────────────────────────
+    // ─── Scheduled Jobs ─────────────────────────────────────
     this.app.get('/api/scheduled', (req, res) => {
-      const tasks = this.qclaw.config.heartbeat?.scheduled || [];
-      res.json(tasks);
+      const scheduler = this.qclaw.scheduler;
+      if (!scheduler) return res.status(503).json({ error: 'Scheduler not available' });
+      res.json({ timezone: scheduler.timezone, jobs: scheduler.list() });
     });
 
-    this.app.post('/api/scheduled', async (req, res) => {
+    this.app.post('/api/scheduled', (req, res) => {
+      const scheduler = this.qclaw.scheduler;
+      if (!scheduler) return res.status(503).json({ error: 'Scheduler not available' });
       try {
-        const { name, prompt, schedule, notify, agent } = req.body;
-        if (!prompt || !schedule) return res.status(400).json({ error: 'prompt and schedule required' });
-        const validSchedules = ['every-minute', 'every-5-minutes', 'every-hour', 'every-day'];
-        if (!validSchedules.includes(schedule)) {
-          return res.status(400).json({ error: `Invalid schedule. Use: ${validSchedules.join(', ')}` });
-        }
-        if (!this.qclaw.config.heartbeat) this.qclaw.config.heartbeat = {};
-        if (!this.qclaw.config.heartbeat.scheduled) this.qclaw.config.heartbeat.scheduled = [];
-        const task = { name: name || prompt.slice(0, 30), prompt, schedule, notify: notify !== false, agent: agent || null };
-        this.qclaw.config.heartbeat.scheduled.push(task);
-        const { saveConfig } = await import('../core/config.js');
-        saveConfig(this.qclaw.config);
-        res.json({ ok: true, task, message: 'Task saved. Restart agent to activate.' });
-      } catch (err) { res.status(500).json({ error: err.message }); }
-    });
-
-    this.app.delete('/api/scheduled/:index', async (req, res) => {
+        const { name, prompt, schedule, cron, at, timezone, jitter, catchUp, notify, agent } = req.body;
+        const job = scheduler.add({ name, prompt, cron: cron || schedule, at, timezone, jitter, catchUp, notify, agent, source: 'dashboard' });
+        this.qclaw.audit.log('owner', 'job_scheduled', job.name, { job: job.id, cron: job.cron, at: job.at });
+        this.broadcast({ type: 'scheduled_changed', job: job.id });
+        res.json({ ok: true, job });
+      } catch (err) { res.status(400).json({ error: err.message }); }
+    });
+
+    this.app.get('/api/scheduled/:id/runs', (req, res) => {
+      const scheduler = this.qclaw.scheduler;
+      if (!scheduler) return res.status(503).json({ error: 'Scheduler not available' });
+      if (!scheduler.get(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+      res.json(scheduler.runs(req.params.id, { limit: req.query.limit }));
+    });
+
+    // { action: 'pause' | 'resume' | 'run' } — run answers straight away; the result arrives as scheduled_run
+    this.app.post('/api/scheduled/:id', (req, res) => {
+      const scheduler = this.qclaw.scheduler;
+      if (!scheduler) return res.status(503).json({ error: 'Scheduler not available' });
+      const job = scheduler.get(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
       try {
-        const idx = parseInt(req.params.index);
-        const tasks = this.qclaw.config.heartbeat?.scheduled || [];
-        if (idx < 0 || idx >= tasks.length) return res.status(404).json({ error: 'Task not found' });
-        tasks.splice(idx, 1);
-        const { saveConfig } = await import('../core/config.js');
-        saveConfig(this.qclaw.config);
-        res.json({ ok: true, message: 'Task removed. Restart agent to apply.' });
+        const { action } = req.body;
+        if (action === 'pause') scheduler.pause(job.id);
+        else if (action === 'resume') scheduler.resume(job.id);
+        else if (action === 'run') {
+          if (job.running) return res.status(409).json({ error: `"${job.name}" is already running` });
+          scheduler.runNow(job.id).catch(err => log.debug(`Run now failed: ${err.message}`));
+        } else return res.status(400).json({ error: 'action must be pause, resume or run' });
+        this.qclaw.audit.log('owner', `job_${action === 'run' ? 'run' : action + 'd'}`, job.name, { job: job.id });
+        this.broadcast({ type: 'scheduled_changed', job: job.id });
+        res.json({ ok: true, job: scheduler.get(job.id) });
+      } catch (err) { res.status(400).json({ error: err.message }); }
+    });
+
+    this.app.delete('/api/scheduled/:id', async (req, res) => {
+      const scheduler = this.qclaw.scheduler;
+      if (!scheduler) return res.status(503).json({ error: 'Scheduler not available' });
+      const job = scheduler.get(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      try {
+        // Jobs from config would come back on the next start unless config loses them too
+        if (job.source === 'config' || job.source === 'builtin') {
+          const heartbeat = this.qclaw.config.heartbeat || (this.qclaw.config.heartbeat = {});
+          if (job.source === 'builtin') heartbeat.weeklySummary = false;
+          else heartbeat.scheduled = (heartbeat.scheduled || []).filter(t => configJobKey(t) !== job.key);
+          const { saveConfig } = await import('../core/config.js');
+          saveConfig(this.qclaw.config);
+        }
+        scheduler.remove(job.id);
+        this.qclaw.audit.log('owner', 'job_removed', job.name, { job: job.id });
+        this.broadcast({ type: 'scheduled_changed', job: job.id });
+        res.json({ ok: true });
       } catch (err) { res.status(500).json({ error: err.message }); }
     });
 
@@ -1342,7 +1738,13 @@ Keep names as lowercase slugs with dashes. Make roles practical and specific to
           // Send typing indicator
           ws.send(JSON.stringify({ type: 'typing', agent: agent.name }));
 
-          const context = { channel: 'dashboard' };
+          const context = {
+            channel: 'dashboard',
+            // Stream deltas and tool-call boundaries; the final 'response' still follows
+            onStream: (event) => {
+              if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type: 'stream', agent: agent.name, event }));
+            },
+          };
           if (images && images.length > 0) {
             context.images = images;
           }
@@ -12,19 +12,23 @@ import { SecretStore } from './security/secrets.js';
 import { CredentialManager } from './credentials.js';
 import { TrustKernel } from './security/trust-kernel.js';
 import { AuditLog } from './security/audit.js';
-import { MemoryManager } from './memory/manager.js';
+import { MemoryManager, threadOf } from './memory/manager.js';
+import { formatGraphResult } from './memory/graph-query.js';
+import { DocumentIngestor } from './memory/ingest.js';
 import { ModelRouter } from './models/router.js';
 import { AgentRegistry } from './agents/registry.js';
 import { SkillLoader } from './skills/loader.js';
 import { ChannelManager } from './channels/manager.js';
 import { DashboardServer } from './dashboard/server.js';
 import { Heartbeat } from './core/heartbeat.js';
+import { Scheduler, describeReminder } from './core/scheduler.js';
 import { VoiceEngine } from './core/voice.js';
 import { ToolRegistry } from './tools/registry.js';
 import { ToolExecutor } from './tools/executor.js';
 import { getDb, closeDb } from './core/database.js';
 import { DeliveryQueue } from './core/delivery-queue.js';
 import { CompletionCache } from './core/completion-cache.js';
+import { BudgetManager } from './core/budgets.js';
 import { ExecApprovals } from './security/approvals.js';
 import { ApprovalGate } from './security/approval-gate.js';
 import { RateLimiter } from './security/rate-limiter.js';
@@ -33,7 +37,6 @@ import { banner } from './cli/brand.js';
 import { log } from './core/logger.js';
 import { writeFileSync, unlinkSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
 
 class QuantumClaw {
   constructor() {
@@ -52,6 +55,9 @@ class QuantumClaw {
     this.deliveryQueue = null;
     this.completionCache = null;
     this.approvals = null;
+    this.budgets = null;
+    this.rateLimiter = null;
+    this.contentQueue = null;
     this.channels = null;
     this.dashboard = null;
     this.heartbeat = null;
@@ -79,6 +85,7 @@ class QuantumClaw {
 
       await this.secrets.load();
       await this.trustKernel.load();
+      this.trustKernel.useAudit(this.audit);
       if (this.audit.log) this.audit.log('system', 'startup', 'QuantumClaw starting');
     } catch (err) {
       log.error(`Security layer failed: ${err.message}`);
@@ -127,6 +134,17 @@ class QuantumClaw {
         this.approvals = new ExecApprovals(this.config);
         this.approvals.attach(this.db);
 
+        this.budgets = new BudgetManager(this.config);
+        this.budgets.attach(this.db);
+
+        this.trustKernel.attach(this.db);
+
+        this.scheduler = new Scheduler(this.config);
+        this.scheduler.attach(this.db);
+
+        this.rateLimiter = new RateLimiter(this.config);
+        this.rateLimiter.attach(this.db);
+
         log.success('Shared database ready (SQLite)');
       } else {
         log.info('No SQLite available — using JSON fallbacks');
@@ -148,10 +166,28 @@ class QuantumClaw {
       this.approvals = new ExecApprovals(this.config);
       this.approvals.attach(null);
     }
+    if (!this.budgets) {
+      this.budgets = new BudgetManager(this.config);
+      this.budgets.attach(null);
+    }
+    if (!this.scheduler) {
+      this.scheduler = new Scheduler(this.config);
+      this.scheduler.attach(null);
+    }
+    if (!this.rateLimiter) {
+      this.rateLimiter = new RateLimiter(this.config);
+      this.rateLimiter.attach(null);
+    }
+
+    // Outbound filters for everything that leaves through a channel
+    this.contentQueue = new ContentQueue(this.config);
+    this.contentQueue.useSecrets(this.secrets);
+    this.contentQueue.useTrustKernel(this.trustKernel);
+    this.contentQueue.useAudit(this.audit);
 
     // ── Layer 2: Memory (degrades: graph → sqlite) ──
     try {
-      this.memory = new MemoryManager(this.config, this.credentials);
+      this.memory = new MemoryManager(this.config, this.credentials, this.db);
       const memoryStatus = await this.memory.connect();
       this.degradationLevel = memoryStatus.cognee ? 1 : 2;
 
@@ -160,6 +196,11 @@ class QuantumClaw {
       } else {
         log.info('Memory: SQLite + vector (local)');
       }
+
+      // Files, URLs and uploads read into memory; ingested files re-read when they change
+      this.documents = new DocumentIngestor(this.config, this.memory);
+      this.documents.attach(this.db || null);
+      this.documents.start();
     } catch (err) {
       log.warn(`Memory init: ${err.message} — continuing with basic memory`);
       log.warn('Continuing with no persistent memory — conversations will not be saved');
@@ -174,7 +215,14 @@ class QuantumClaw {
         _router: null,
         addMessage() {},
         getHistory() { return []; },
+        getThreadHistory() { return []; },
+        subjectOf() { return 'owner'; },
+        getThreadState() { return { summary: '', summarisedTo: 0, resetAfter: 0, edited: false, updated: null }; },
+        setThreadSummary() {},
+        resetThread() {},
+        async summariseThread() { return false; },
         async graphQuery() { return { results: [], source: 'offline' }; },
+        async retrieve() { return { items: [], context: '', counts: {} }; },
         setContext() {},
         getContext() { return null; },
         setRouter() {},
@@ -191,6 +239,25 @@ class QuantumClaw {
         throw new Error('No models verified. Check your API keys.');
       }
       log.success(`Models ready: ${routerStatus.models.join(', ')}`);
+
+      // Learned routing: corrections live in qclaw.db, past routes in the audit log
+      if (this.router.classifier) {
+        try {
+          this.router.classifier.attach(this.db || null);
+          const routing = this.router.classifier.train(this.audit);
+          log.debug(`Routing classifier: ${routing.audited + routing.corrections} examples${routing.ready ? '' : ' (keyword rules until trained)'}`);
+        } catch (err) {
+          log.debug(`Routing classifier: ${err.message} — using keyword rules`);
+        }
+      }
+
+      // Completion cache for opted-in tiers; vector embeddings enable near-duplicate hits
+      this.router.setCache(this.completionCache);
+      try { this.completionCache.prune(); } catch { /* stale entries just miss */ }
+      if (this.memory?.vector) this.completionCache.useEmbeddings(this.memory.vector);
+
+      // Prose VALUES.md rules are judged by the fast model
+      this.trustKernel.useJudge(this.router);
     } catch (err) {
       log.error(`Model router failed: ${err.message}`);
       log.error('Cannot start without at least one working model.');
@@ -212,6 +279,7 @@ class QuantumClaw {
     // ── Layer 4.5: Tools — MCP servers, API tools, built-ins (non-fatal) ──
     try {
       this.tools = new ToolRegistry(this.config, this.credentials);
+      this.tools.setSkills(this.skills);
       const toolStatus = await this.tools.init();
 
       // Wire the search_knowledge built-in to the live memory graph
@@ -227,6 +295,113 @@ class QuantumClaw {
         });
       }
 
+      // Multi-hop questions over the local entity graph
+      if (this.memory.graph) {
+        this.tools._builtins.set('graph_query', {
+          description: 'Query the knowledge graph of people, companies, projects and how they connect. Cypher-like syntax: '
+            + 'MATCH (p {name: "Sam"})-[:works-at]->(c) RETURN c.name | '
+            + 'MATCH (a)-[*1..3]-(b {name: "Stripe"}) WHERE a.type = "person" RETURN DISTINCT a | '
+            + 'MATCH path = shortestPath((a {name: "Ana"})-[*]-(b {name: "Acme"})) RETURN path. '
+            + 'Relations are hyphenated (works-at, knows, uses, manages, owns, part-of); node properties: name, type, description.',
+          inputSchema: { type: 'object', properties: {
+            query: { type: 'string', description: 'The MATCH … RETURN … query' },
+          }, required: ['query'] },
+          fn: async (args, caller) => {
+            try {
+              return formatGraphResult(this.memory.queryGraph(args.query || '', threadOf(caller)));
+            } catch (err) {
+              return `Error: ${err.message}`;
+            }
+          }
+        });
+      }
+
+      // Read a file, folder or URL into memory (chunks for search, facts, entities)
+      if (this.documents) {
+        this.tools._builtins.set('ingest_document', {
+          description: 'Read a document into long-term memory so it can be searched and cited later: a PDF, Word (.docx), Markdown, HTML, CSV or text file, '
+            + 'a folder of them, or a URL. Re-ingesting unchanged content does nothing; changed content replaces the old version.',
+          inputSchema: { type: 'object', properties: {
+            source: { type: 'string', description: 'File or folder path (relative paths are inside the workspace) or http(s) URL' },
+            force: { type: 'boolean', description: 'Re-read even if the content has not changed' },
+          }, required: ['source'] },
+          serial: ({ source }) => `ingest:${source}`,
+          risk: 'high', // copies files and pages into memory every conversation draws on
+          timeoutMs: 10 * 60 * 1000,
+          fn: async (args, caller = {}) => {
+            try {
+              const results = [await this.documents.ingest(args.source || '', {
+                force: !!args.force,
+                checkPath: (path) => this.tools.policy.checkPath(path, { agent: caller.agent, protect: true }),
+              })].flat();
+              this.audit.log('agent', 'document_ingested', String(args.source), { documents: results.map(d => d.id).filter(Boolean) });
+              return results.map(d => d.outcome === 'failed'
+                ? `${d.source}: failed — ${d.error}`
+                : `${d.title} (${d.format}): ${d.outcome} — ${d.chunks} chunks, ${d.facts} facts, ${d.entities} entities`).join('\n');
+            } catch (err) {
+              return `Error: ${err.message}`;
+            }
+          }
+        });
+      }
+
+      // Reminders and follow-ups, delivered back to the conversation that set them
+      const scheduler = this.scheduler;
+      const remindersChanged = (job) => this.dashboard?.broadcast({ type: 'scheduled_changed', job: job.id });
+      this.tools._builtins.set('schedule_reminder', {
+        description: 'Remind the user of something later, in this conversation — once (at a time, or in N minutes) or repeating (cron). '
+          + `Times without an offset are the user's local time (${scheduler.timezone} unless a timezone is given); check get_current_time first. `
+          + 'With follow_up, you work on the message at that time (e.g. check whether an invoice was paid) and send what you find, instead of sending it as it is.',
+        inputSchema: { type: 'object', properties: {
+          message: { type: 'string', description: 'What to remind them of, e.g. "Chase the Acme invoice"' },
+          at: { type: 'string', description: 'When, as ISO 8601, e.g. 2026-10-23T09:00' },
+          in_minutes: { type: 'number', description: 'Or: this many minutes from now' },
+          cron: { type: 'string', description: 'Or: repeat on this cron schedule, e.g. "0 9 * * 5" for Fridays at 9am' },
+          timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/London' },
+          follow_up: { type: 'boolean', description: 'Work on it then, rather than just sending the message' },
+        }, required: ['message'] },
+        fn: async (args, caller) => {
+          try {
+            const job = scheduler.remind(threadOf(caller), {
+              message: args.message, at: args.at, inMinutes: args.in_minutes, cron: args.cron,
+              timezone: args.timezone, followUp: !!args.follow_up, agent: caller.agent,
+            });
+            this.audit.log(caller.agent || 'agent', 'reminder_set', job.prompt.slice(0, 80), { job: job.id, channel: job.target.channel, at: job.nextRun, cron: job.cron });
+            remindersChanged(job);
+            return `Reminder set: ${describeReminder(job, scheduler.timezone)}`;
+          } catch (err) {
+            return `Error: ${err.message}`;
+          }
+        }
+      });
+      this.tools._builtins.set('list_reminders', {
+        description: 'List the reminders and follow-ups still to come in this conversation, with their ids.',
+        inputSchema: { type: 'object', properties: {} },
+        fn: async (args, caller) => {
+          const thread = threadOf(caller);
+          // The dashboard is the owner's, so it sees every conversation's
+          const jobs = scheduler.reminders(thread.channel === 'dashboard' ? null : thread);
+          return jobs.length
+            ? jobs.map(j => describeReminder(j, scheduler.timezone) + (thread.channel === 'dashboard' ? ` (${j.target.channel})` : '')).join('\n')
+            : 'No reminders set.';
+        }
+      });
+      this.tools._builtins.set('cancel_reminder', {
+        description: 'Cancel a reminder or follow-up by its id (from list_reminders).',
+        inputSchema: { type: 'object', properties: {
+          id: { type: 'number', description: 'Reminder id' },
+        }, required: ['id'] },
+        fn: async (args, caller) => {
+          const thread = threadOf(caller);
+          const job = scheduler.reminders(thread.channel === 'dashboard' ? null : thread).find(j => j.id === Number(args.id));
+          if (!job) return `Error: no reminder #${args.id} in this conversation`;
+          scheduler.remove(job.id);
+          this.audit.log(caller.agent || 'agent', 'reminder_cancelled', job.prompt.slice(0, 80), { job: job.id });
+          remindersChanged(job);
+          return `Cancelled reminder #${job.id}: ${job.prompt}`;
+        }
+      });
+
       // Wire the spawn_agent built-in for agentic sub-agent creation
       const maxAgents = this.config.agents?.maxConcurrent || 6; // 5 sub-agents + 1 primary
       this.tools._builtins.set('spawn_agent', {
@@ -237,6 +412,8 @@ class QuantumClaw {
           model_tier: { type: 'string', enum: ['simple', 'standard', 'complex'], description: 'Model tier (default: simple)' },
           scopes: { type: 'array', items: { type: 'string' }, description: 'Tool scopes (default: ["chat"])' },
         }, required: ['name', 'role'] },
+        serial: ({ name }) => `agent:${name}`,
+        risk: 'medium',
         fn: async (args) => {
           const { name, role, model_tier, scopes } = args;
           if (!name || !role) return 'Error: name and role are required';
@@ -295,6 +472,7 @@ class QuantumClaw {
           task: { type: 'string', description: 'The task or message to send to the agent' },
           context: { type: 'string', description: 'Optional additional context for the agent' },
         }, required: ['agent_name', 'task'] },
+        timeoutMs: 180000, // the sub-agent may run its own tool loop
         fn: async ({ agent_name, task, context: extraContext }) => {
           const target = this.agents.get(agent_name);
           if (!target) return `Error: Agent "${agent_name}" not found. Available: ${this.agents.list().join(', ')}`;
@@ -314,26 +492,14 @@ class QuantumClaw {
       });
 
       // AGEX Security Stack
-      const workspaceDir = this.config._dir ? join(this.config._dir, 'workspace') : join(homedir(), '.quantumclaw', 'workspace');
-      const approvalGate = new ApprovalGate(this.approvals, {
-        gatedTools: this.config.tools?.requireApproval,
-      });
-      const rateLimiter = new RateLimiter({
-        _dir: workspaceDir,
-        rateLimits: {
-          social_posts: { daily: 10, hourly: 3 },
-          emails: { daily: 50, hourly: 10 },
-          file_changes: { daily: 100, hourly: 20 },
-          api_calls: { daily: 1000, hourly: 200 },
-          shell_commands: { daily: 50, hourly: 10 },
-        },
-      });
-      const contentQueue = new ContentQueue({
-        _dir: workspaceDir,
-      });
+      const approvalGate = new ApprovalGate(this.approvals, this.trustKernel);
 
       this.toolExecutor = new ToolExecutor(this.router, this.tools, {
-        requireApproval: this.config.tools?.requireApproval || ['shell', 'file_write'],
+        requireApproval: this.config.tools?.requireApproval || [],
+        approvalGate,
+        budgets: this.budgets,
+        rateLimiter: this.rateLimiter,
+        concurrency: this.config.tools?.concurrency,
         onToolCall: (call) => {
           log.debug(`Tool call: ${call.name}(${JSON.stringify(call.args).slice(0, 100)})`);
           this.audit.log('tool', call.name, JSON.stringify(call.args).slice(0, 200));
@@ -362,6 +528,7 @@ class QuantumClaw {
         completionCache: this.completionCache,
         deliveryQueue: this.deliveryQueue,
         approvals: this.approvals,
+        budgets: this.budgets,
         voice: new VoiceEngine(this.credentials),
       });
       await this.agents.loadAll();
@@ -401,7 +568,12 @@ class QuantumClaw {
     // ── Layer 6: Channels (non-fatal, dashboard is the fallback) ──
     try {
       this.channels = new ChannelManager(this.config, this.agents, this.credentials);
+      this.channels.wireSecurity({ rateLimiter: this.rateLimiter, contentQueue: this.contentQueue });
+      this.channels.wireDelivery(this.deliveryQueue);
       await this.channels.startAll();
+      this.channels.wireApprovals(this.approvals);
+      // Replies and pushes that failed (including before a restart) are retried from here
+      this.deliveryQueue.startRetryLoop();
     } catch (err) {
       log.warn(`Channel startup failed: ${err.message} — dashboard still available`);
     }
@@ -416,6 +588,9 @@ class QuantumClaw {
         if (this.channels) {
           this.channels.setBroadcast((data) => this.dashboard.broadcast(data));
         }
+        // Approval requests open a modal in the dashboard, whatever channel they came from
+        this.approvals.onRequest((item) => this.dashboard.broadcast({ type: 'approval_request', approval: item }));
+        this.approvals.onResolve((event) => this.dashboard.broadcast({ type: 'approval_resolved', ...event }));
         // Wire canvas tools to dashboard broadcast
         if (this.tools) {
           this.tools.setBroadcast((data) => this.dashboard.broadcast(data));
@@ -492,11 +667,13 @@ class QuantumClaw {
           };
         }
       }
-      this.heartbeat = new Heartbeat(this.config, this.agents, this.memory, this.audit);
+      this.heartbeat = new Heartbeat(this.config, this.agents, this.memory, this.audit, this.scheduler);
 
       // Wire proactive push to channels and dashboard
       if (this.channels) this.heartbeat.wireChannels(this.channels);
       if (this.dashboard) this.heartbeat.wireBroadcast((data) => this.dashboard.broadcast(data));
+      this.heartbeat.wireContent(this.contentQueue);
+      this.budgets.wireNotify((message) => this.heartbeat.pushToUser(message, { source: 'budget' }));
 
       await this.heartbeat.start();
     } catch (err) {
@@ -544,6 +721,7 @@ class QuantumClaw {
       try { this.audit.log('system', 'shutdown', signal); } catch { /* db might be closed */ }
       if (this.heartbeat) try { await this.heartbeat.stop(); } catch { /* */ }
       if (this.deliveryQueue) try { this.deliveryQueue.stop(); } catch { /* */ }
+      if (this.documents) try { this.documents.stop(); } catch { /* */ }
       if (this.channels) try { await this.channels.stopAll(); } catch { /* */ }
       if (this.dashboard) try { await this.dashboard.stop(); } catch { /* */ }
       if (this.credentials?.shutdown) try { await this.credentials.shutdown(); } catch { /* */ }
@@ -0,0 +1,337 @@
+/**
+ * QuantumClaw — Document Parsing
+ *
+ * Turns files into plain text for ingestion, offline and without native
+ * dependencies: Markdown and text as they are, HTML without its markup,
+ * CSV/TSV as one "column: value" line per row, DOCX straight from the
+ * zip, and PDF through pdfjs-dist when it's installed (a small built-in
+ * reader otherwise — fine for simple PDFs, not for scans or embedded
+ * CID fonts).
+ *
+ * Chunking splits on paragraphs first, then sentences, then words, and
+ * repeats the tail of each chunk at the start of the next so a fact on a
+ * boundary survives in one piece.
+ */
+
+import { inflateRawSync, inflateSync } from 'zlib';
+import { extname, basename } from 'path';
+import { log } from '../core/logger.js';
+
+export const FORMATS = {
+  '.md': 'markdown', '.markdown': 'markdown', '.txt': 'text', '.text': 'text',
+  '.html': 'html', '.htm': 'html', '.csv': 'csv', '.tsv': 'tsv',
+  '.docx': 'docx', '.pdf': 'pdf',
+};
+
+const CONTENT_TYPES = {
+  'text/markdown': 'markdown', 'text/plain': 'text', 'text/html': 'html', 'application/xhtml+xml': 'html',
+  'text/csv': 'csv', 'text/tab-separated-values': 'tsv', 'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+};
+
+/** The format of a file, from its extension, content type or first bytes — null if unsupported */
+export function detectFormat(name = '', contentType = '', data = null) {
+  const byExt = FORMATS[extname(String(name).split(/[?#]/)[0]).toLowerCase()];
+  if (byExt) return byExt;
+  const byType = CONTENT_TYPES[String(contentType).split(';')[0].trim().toLowerCase()];
+  if (byType) return byType;
+  if (data?.length >= 4) {
+    if (data.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (data[0] === 0x50 && data[1] === 0x4b && readZip(data).has('word/document.xml')) return 'docx';
+    if (/^\s*<(!doctype html|html)/i.test(data.subarray(0, 200).toString('utf-8'))) return 'html';
+  }
+  return null;
+}
+
+/**
+ * Parse a document.
+ * @param {Buffer} data
+ * @param {{ name?: string, contentType?: string }} [hints]
+ * @returns {Promise<{ format: string, title: string, text: string }>}
+ */
+export async function parseDocument(data, { name = '', contentType = '' } = {}) {
+  const format = detectFormat(name, contentType, data);
+  if (!format) throw new Error(`Unsupported document type: ${name || contentType || 'unknown'} (supported: ${[...new Set(Object.values(FORMATS))].join(', ')})`);
+  const fallbackTitle = basename(String(name).split(/[?#]/)[0]) || 'Untitled';
+
+  let parsed;
+  if (format === 'markdown' || format === 'text') {
+    const text = data.toString('utf-8').replace(/^﻿/, '');
+    parsed = { text, title: text.match(/^#\s+(.+)$/m)?.[1].trim() };
+  } else if (format === 'html') {
+    parsed = parseHtml(data.toString('utf-8'));
+  } else if (format === 'csv' || format === 'tsv') {
+    parsed = { text: csvToText(data.toString('utf-8').replace(/^﻿/, ''), format === 'tsv' ? '\t' : ',') };
+  } else if (format === 'docx') {
+    parsed = parseDocx(data);
+  } else {
+    parsed = await parsePdf(data);
+  }
+  const text = tidy(parsed.text);
+  return { format, title: parsed.title || fallbackTitle, text };
+}
+
+function tidy(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ─── HTML ─────────────────────────────────────────────────────
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©', pound: '£', euro: '€' };
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function parseHtml(html) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|section|article|header|main|aside|h[1-6]|ul|ol|tr|table|blockquote|pre|dd|dt)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<[^>]+>/g, '');
+  return { title: title ? decodeEntities(title.replace(/\s+/g, ' ').trim()) : null, text: decodeEntities(body) };
+}
+
+// ─── CSV ──────────────────────────────────────────────────────
+
+/** RFC 4180-ish: quoted fields, doubled quotes, newlines inside quotes */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === delimiter) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+function csvToText(text, delimiter) {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) return '';
+  if (!rows.length) return header.join(', ');
+  // Blank line between rows so the chunker treats each row as a paragraph
+  return rows.map(row => row.map((value, i) => value.trim() && `${(header[i] || `column ${i + 1}`).trim()}: ${value.trim()}`)
+    .filter(Boolean).join('; ')).filter(Boolean).join('\n\n');
+}
+
+// ─── DOCX ─────────────────────────────────────────────────────
+
+/**
+ * Read a zip archive's files.
+ * @returns {Map<string, () => Buffer>} name → lazy reader
+ */
+export function readZip(data) {
+  const files = new Map();
+  // End of central directory: last 22+ bytes, signature 0x06054b50
+  let end = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 65557); i--) {
+    if (data.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) return files;
+  const count = data.readUInt16LE(end + 10);
+  let at = data.readUInt32LE(end + 16);
+  for (let n = 0; n < count && at + 46 <= data.length && data.readUInt32LE(at) === 0x02014b50; n++) {
+    const method = data.readUInt16LE(at + 10);
+    const size = data.readUInt32LE(at + 20);
+    const nameLength = data.readUInt16LE(at + 28);
+    const extra = data.readUInt16LE(at + 30);
+    const comment = data.readUInt16LE(at + 32);
+    const offset = data.readUInt32LE(at + 42);
+    const name = data.subarray(at + 46, at + 46 + nameLength).toString('utf-8');
+    files.set(name, () => {
+      const start = offset + 30 + data.readUInt16LE(offset + 26) + data.readUInt16LE(offset + 28);
+      const raw = data.subarray(start, start + size);
+      if (method === 0) return raw;
+      if (method === 8) return inflateRawSync(raw);
+      throw new Error(`Unsupported zip compression (method ${method}) for ${name}`);
+    });
+    at += 46 + nameLength + extra + comment;
+  }
+  return files;
+}
+
+function parseDocx(data) {
+  const zip = readZip(data);
+  const document = zip.get('word/document.xml');
+  if (!document) throw new Error('Not a Word document (no word/document.xml)');
+  const xml = document().toString('utf-8');
+  const text = xml
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(br|cr)\b[^>]*\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n\n')
+    .replace(/<\/w:tc>/g, ' | ')
+    .replace(/<w:instrText[\s\S]*?<\/w:instrText>/g, '')
+    .replace(/<[^>]+>/g, '');
+  const core = zip.get('docProps/core.xml')?.().toString('utf-8');
+  const title = core?.match(/<dc:title>([\s\S]*?)<\/dc:title>/)?.[1];
+  return { text: decodeEntities(text), title: title ? decodeEntities(title).trim() : null };
+}
+
+// ─── PDF ──────────────────────────────────────────────────────
+
+async function parsePdf(data) {
+  try {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const doc = await pdfjs.getDocument({ data: new Uint8Array(data), isEvalSupported: false, useSystemFonts: false }).promise;
+    const pages = [];
+    for (let p = 1; p <= doc.numPages; p++) {
+      const content = await (await doc.getPage(p)).getTextContent();
+      pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+    }
+    const info = (await doc.getMetadata().catch(() => null))?.info;
+    await doc.destroy();
+    return { text: pages.join('\n\n'), title: info?.Title || null };
+  } catch (err) {
+    if (err.code !== 'ERR_MODULE_NOT_FOUND') log.debug(`pdfjs-dist failed, using the built-in PDF reader: ${err.message}`);
+  }
+  const parsed = readPdfText(data);
+  if (parsed.text.replace(/\s/g, '').length < 20) {
+    log.warn('Little or no text found in the PDF — for scanned or font-embedded PDFs, npm install pdfjs-dist');
+  }
+  return parsed;
+}
+
+/**
+ * Text from a PDF's content streams: Tj/TJ/'/" show operators between BT
+ * and ET, with a line break wherever the text position moves down.
+ */
+export function readPdfText(data) {
+  const raw = data.toString('latin1');
+  const pages = [];
+  const streams = /<<((?:(?!>>\s*stream)[\s\S])*)>>\s*stream\r?\n/g;
+  let match;
+  while ((match = streams.exec(raw))) {
+    const dict = match[1];
+    const start = match.index + match[0].length;
+    const length = Number(dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/)?.[1]);
+    const stop = Number.isFinite(length) && raw.slice(start + length, start + length + 20).includes('endstream')
+      ? start + length
+      : raw.indexOf('endstream', start);
+    if (stop < 0) break;
+    streams.lastIndex = stop;
+    if (/\/Subtype\s*\/(Image|XML)|\/Type\s*\/(XObject|Metadata|XRef|ObjStm)|\/Length1/.test(dict)) continue;
+    let body = data.subarray(start, stop);
+    if (/\/FlateDecode/.test(dict)) {
+      try { body = inflateSync(body); } catch {
+        try { body = inflateRawSync(body.subarray(2)); } catch { continue; }
+      }
+    } else if (/\/Filter/.test(dict)) continue;
+    const text = showText(body.toString('latin1'));
+    if (text.trim()) pages.push(text);
+  }
+  const title = raw.match(/\/Title\s*\(((?:\\.|[^\\)])*)\)/)?.[1];
+  return { text: pages.join('\n\n'), title: title ? pdfString(title) : null };
+}
+
+function pdfString(s) {
+  return s.replace(/\\(\d{1,3}|.)/gs, (_, c) => {
+    if (/^\d/.test(c)) return String.fromCharCode(parseInt(c, 8));
+    return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[c] ?? (c === '\n' ? '' : c);
+  });
+}
+
+function hexString(s) {
+  const hex = s.replace(/\s/g, '');
+  let out = '';
+  for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+  // Two-byte glyph ids (CID fonts) aren't text without the font's ToUnicode map
+  return /[\x00-\x08]/.test(out) ? '' : out;
+}
+
+function showText(content) {
+  let out = '';
+  const blocks = content.match(/\bBT\b[\s\S]*?\bET\b/g) || [];
+  const token = /\((?:\\[\s\S]|[^\\)])*\)|<[0-9a-fA-F\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/<>()[\]]+|[A-Za-z'"*]+/g;
+  for (const block of blocks) {
+    const operands = [];
+    let array = null;
+    let t;
+    token.lastIndex = 0;
+    while ((t = token.exec(block))) {
+      const v = t[0];
+      if (v === '[') { array = []; continue; }
+      if (v === ']') { operands.push(array || []); array = null; continue; }
+      const value = v[0] === '(' ? pdfString(v.slice(1, -1)) : v[0] === '<' ? hexString(v.slice(1, -1)) : /^-?\d*\.?\d+$/.test(v) ? Number(v) : v;
+      if (array) { array.push(value); continue; }
+      if (typeof value !== 'string' || v[0] === '(' || v[0] === '<' || v[0] === '/') { operands.push(value); continue; }
+      // An operator
+      if (v === 'Tj') out += operands.at(-1) ?? '';
+      else if (v === "'" || v === '"') out += '\n' + (operands.at(-1) ?? '');
+      else if (v === 'TJ') {
+        for (const part of operands.at(-1) || []) out += typeof part === 'string' ? part : part < -200 ? ' ' : '';
+      } else if (v === 'T*') out += '\n';
+      else if ((v === 'Td' || v === 'TD') && operands.at(-1) !== 0) out += '\n';
+      else if (v === 'Tm' && out && !out.endsWith('\n')) out += '\n';
+      operands.length = 0;
+    }
+    out += '\n';
+  }
+  return out;
+}
+
+// ─── Chunking ─────────────────────────────────────────────────
+
+/**
+ * Split text into chunks of about `size` characters, each starting with
+ * the last `overlap` characters of the one before.
+ */
+export function chunkText(text, { size = 1000, overlap = 150 } = {}) {
+  overlap = Math.max(0, Math.min(overlap, Math.floor(size / 2)));
+  const pieces = [];
+  for (const para of String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (para.length <= size) { pieces.push(para); continue; }
+    for (const sentence of para.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [para]) {
+      let rest = sentence.trim();
+      while (rest.length > size) {
+        const cut = rest.lastIndexOf(' ', size) > size / 2 ? rest.lastIndexOf(' ', size) : size;
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+      }
+      if (rest) pieces.push(rest);
+    }
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > size) {
+      chunks.push(current);
+      const tail = current.slice(-overlap);
+      const from = tail.indexOf(' ');
+      current = overlap && from >= 0 ? tail.slice(from + 1) : '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
@@ -0,0 +1,222 @@
+/**
+ * QuantumClaw — Entity Resolution
+ *
+ * Extraction names the same thing several ways: "Hayley", "Hayley S.",
+ * "hayley@company" and "Hayly Smith" all end up as separate nodes. This
+ * pass scores pairs of entities by name — exact key, email local part,
+ * initials, a shorter form of the name, edit distance — and acts on the
+ * score:
+ *
+ *   ≥ autoMerge           merged straight away
+ *   confirm – autoMerge   the fast model is asked; without one, the pair
+ *                         is suggested to the owner in the dashboard
+ *   < confirm             left alone
+ *
+ * A strong match with an almost-as-strong rival is treated as borderline.
+ * Every decision goes into the graph's merge log, so merges can be undone
+ * and pairs already turned down aren't raised again.
+ */
+
+import { log } from '../core/logger.js';
+import { entityKey, typesCompatible } from './graph.js';
+
+const COMPANY_SUFFIXES = new Set(['inc', 'ltd', 'llc', 'plc', 'corp', 'co', 'gmbh', 'limited', 'incorporated', 'the']);
+
+const isEmail = (key) => key.includes('@');
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** "Hayley S." and "Hayley Smith", "H Smith" and "Hayley Smith" */
+function initialsAgree(a, b) {
+  if (a.length !== b.length || a.length < 2) return false;
+  let full = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) { if (a[i].length > 1) full++; continue; }
+    const [short, long] = a[i].length < b[i].length ? [a[i], b[i]] : [b[i], a[i]];
+    if (short.length !== 1 || !long.startsWith(short)) return false;
+  }
+  return full > 0;
+}
+
+/** Every token of the shorter name, in order, in the longer: "Hayley" and "Hayley Smith" */
+function shorterForm(a, b) {
+  const [short, long] = a.length < b.length ? [a, b] : [b, a];
+  if (!short.length || short.length === long.length) return false;
+  let at = 0;
+  for (const token of long) if (token === short[at]) at++;
+  return at === short.length && short.every(t => t.length > 1);
+}
+
+function emailScore(email, name) {
+  const local = email.split('@')[0];
+  const parts = local.split(/[._+-]+/).map(p => p.replace(/\d+/g, '')).filter(Boolean);
+  const tokens = name.split(' ');
+  if (tokens.length >= 2) {
+    if (parts.join(' ') === name || local === tokens.join('')) return 0.95;
+    const [first, last] = [tokens[0], tokens[tokens.length - 1]];
+    if ([first[0] + last, first + last[0], last + first[0]].includes(parts.join(''))) return 0.85;
+    if (parts.length === 1 && parts[0] === first) return 0.8;
+    return 0;
+  }
+  // hayley@company for "Hayley": plausible, but first names repeat
+  return parts.length === 1 && parts[0] === tokens[0] ? 0.85 : 0;
+}
+
+/**
+ * How alike two entity names are.
+ * @returns {{ score: number, method: string }|null} method: exact, email, initial, partial or fuzzy
+ */
+export function nameMatch(a, b) {
+  const ka = entityKey(a);
+  const kb = entityKey(b);
+  if (!ka || !kb) return null;
+  if (ka === kb) return { score: 1, method: 'exact' };
+  if (isEmail(ka) && isEmail(kb)) return null;
+  if (isEmail(ka) || isEmail(kb)) {
+    const score = isEmail(ka) ? emailScore(ka, kb) : emailScore(kb, ka);
+    return score ? { score, method: 'email' } : null;
+  }
+
+  const strip = (key) => key.split(' ').filter(t => !COMPANY_SUFFIXES.has(t));
+  const ta = strip(ka);
+  const tb = strip(kb);
+  if (ta.length && ta.join(' ') === tb.join(' ')) return { score: 0.95, method: 'exact' };
+  if (initialsAgree(ta, tb)) return { score: 0.9, method: 'initial' };
+  const distance = levenshtein(ka, kb);
+  const similarity = 1 - distance / Math.max(ka.length, kb.length);
+  // A letter or two apart is a typo as often as a different person (John/Joan): never enough on its own
+  if (similarity >= 0.8 && distance <= 2) return { score: Math.round(similarity * 900) / 1000, method: 'fuzzy' };
+  if (shorterForm(ta, tb)) return { score: 0.75, method: 'partial' };
+  return null;
+}
+
+/** Which of two entities survives a merge: a real type, a name over an email, the fuller name, then the better known */
+export function pickKeeper(a, b) {
+  const rank = (e) => [
+    e.type !== 'unknown' ? 1 : 0,
+    isEmail(entityKey(e.name)) ? 0 : 1,
+    entityKey(e.name).length,
+    e.mentions || 1,
+    -e.id,
+  ];
+  const [ra, rb] = [rank(a), rank(b)];
+  for (let i = 0; i < ra.length; i++) if (ra[i] !== rb[i]) return ra[i] > rb[i] ? [a, b] : [b, a];
+  return [a, b];
+}
+
+const CONFIRM = `You decide whether two entries in someone's personal knowledge graph are the same real-world person, company or thing.
+Reply with JSON only: {"same": true or false, "reason": "a few words"}. Answer false unless the details fit together.`;
+
+function describe(graph, entity) {
+  const links = graph.edges(entity.id).slice(0, 6).map(e => {
+    const other = graph.getEntity(e.other)?.name || '?';
+    return e.direction === 'out' ? `${e.relation} ${other}` : `${other} ${e.relation} it`;
+  });
+  return `${entity.name} (${entity.type})${entity.description ? ` — ${entity.description}` : ''}`
+    + (links.length ? `\n   connections: ${links.join('; ')}` : '');
+}
+
+/** Ask the fast model about one pair. Resolves to { same, reason }, or null if it couldn't say. */
+export async function confirmMerge(router, graph, a, b) {
+  try {
+    const result = await router.complete([
+      { role: 'system', content: CONFIRM },
+      { role: 'user', content: `A: ${describe(graph, a)}\nB: ${describe(graph, b)}` },
+    ], {
+      model: router.fast || router.primary,
+      tier: 'extraction',
+      maxTokens: 80,
+      noEscalate: true,
+    });
+    const json = String(result?.content || '').match(/\{[\s\S]*\}/);
+    if (!json) return null;
+    const verdict = JSON.parse(json[0]);
+    if (typeof verdict.same !== 'boolean') return null;
+    return { same: verdict.same, reason: String(verdict.reason || '').slice(0, 200) || null };
+  } catch (err) {
+    log.debug(`Entity merge check failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * One resolution pass.
+ * @param {KnowledgeGraph} graph
+ * @param {Object} options
+ * @param {ModelRouter} [options.router] - for borderline pairs; without it they're suggested instead
+ * @param {number[]} [options.ids] - only look for matches for these entities (say, just extracted)
+ * @returns {Promise<{ merged: object[], suggested: object[], rejected: number }>}
+ */
+export async function resolveEntities(graph, {
+  router = null, ids = null, autoMerge = 0.9, confirm = 0.75, askModel = true, maxAsks = 3,
+} = {}) {
+  const all = graph.findEntities({ limit: 5000 });
+  const blockOf = (e) => entityKey(e.name)[0];
+  const blocks = new Map();
+  for (const e of all) {
+    const block = blockOf(e);
+    if (!blocks.has(block)) blocks.set(block, []);
+    blocks.get(block).push(e);
+  }
+
+  const wanted = ids ? new Set(ids.map(Number)) : null;
+  const gone = new Set();
+  const summary = { merged: [], suggested: [], rejected: 0 };
+  let asks = 0;
+
+  for (const target of all) {
+    if ((wanted && !wanted.has(target.id)) || gone.has(target.id)) continue;
+    const matches = [];
+    for (const other of blocks.get(blockOf(target)) || []) {
+      if (other.id === target.id || gone.has(other.id) || !typesCompatible(target.type, other.type)) continue;
+      const match = nameMatch(target.name, other.name);
+      if (!match || match.score < confirm) continue;
+      if (graph.mergeDecision(target.id, other.id)) continue;
+      matches.push({ other, ...match });
+    }
+    if (!matches.length) continue;
+    matches.sort((x, y) => y.score - x.score);
+    const best = matches[0];
+    const [keep, drop] = pickKeeper(graph.getEntity(target.id), graph.getEntity(best.other.id));
+    // "Hayley S." with both a Hayley Smith and a Hayley Stone around is anyone's guess
+    const ambiguous = best.score < 1 && matches.length > 1 && matches[1].score >= autoMerge - 0.05;
+    const pair = { keep: keep.name, merged: drop.name, method: best.method, score: best.score };
+
+    if (best.score >= autoMerge && !ambiguous) {
+      graph.merge(keep.id, drop.id, { method: best.method, score: best.score, reason: 'names match' });
+      gone.add(drop.id);
+      summary.merged.push(pair);
+      log.debug(`Graph: merged "${drop.name}" into "${keep.name}" (${best.method}, ${best.score})`);
+      continue;
+    }
+
+    const reason = ambiguous ? `${matches.length} similar entities` : null;
+    let verdict = null;
+    if (router && askModel && asks < maxAsks) {
+      asks++;
+      verdict = await confirmMerge(router, graph, keep, drop);
+    }
+    if (verdict?.same) {
+      graph.merge(keep.id, drop.id, { method: 'llm', score: best.score, reason: verdict.reason || reason });
+      gone.add(drop.id);
+      summary.merged.push({ ...pair, method: 'llm' });
+      log.debug(`Graph: merged "${drop.name}" into "${keep.name}" (confirmed: ${verdict.reason})`);
+    } else if (verdict) {
+      graph.rejectMerge(keep.id, drop.id, { method: 'llm', score: best.score, reason: verdict.reason });
+      summary.rejected++;
+    } else if (graph.suggestMerge(keep.id, drop.id, { method: best.method, score: best.score, reason })) {
+      summary.suggested.push(pair);
+    }
+  }
+  return summary;
+}
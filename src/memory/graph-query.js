@@ -0,0 +1,412 @@
+/**
+ * QuantumClaw — Graph query language
+ *
+ * A small, read-only, Cypher-like language over KnowledgeGraph:
+ *
+ *   MATCH (p:person)-[:works-at]->(c:company)-[:uses]->({name: "Stripe"}) RETURN DISTINCT p, c
+ *   MATCH (a {name: "Sam"})-[*1..3]-(b:company) RETURN b.name LIMIT 10
+ *   MATCH path = shortestPath((a {name: "Sam"})-[*..6]-(b {name: "Stripe"})) RETURN path
+ *   MATCH (p:person) WHERE p.description CONTAINS "designer" RETURN p
+ *
+ * Nodes: (var:type {name: "…", id: 3}) — every part optional.
+ * Relationships: -[var:type|type*min..max]->, <-[…]- or -[…]- (either way);
+ *   -->, <-- and -- are one hop of any type. Types match loosely, so
+ *   works_at, works-at and `works at` are the same. A bare * is 1..3 hops.
+ * WHERE: var.prop =, <>, CONTAINS or STARTS WITH a string, joined by AND.
+ * RETURN: variables, var.prop, or *. DISTINCT drops repeated rows.
+ *
+ * Matching starts from whichever end of the pattern names an entity, and
+ * stops at MAX_STEPS edges walked — the result says when it was cut short.
+ */
+
+import { MAX_HOPS, relationKey, entityKey } from './graph.js';
+
+const MAX_STEPS = 20000;
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 200;
+const PROPS = ['id', 'name', 'type', 'description', 'mentions'];
+
+// ─── Parsing ─────────────────────────────────────────────────
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s+|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(`[^`]*`)|(\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\.\.|<>|[()[\]{}:,.*\-<>=|])/y;
+  let m;
+  while (re.lastIndex < text.length) {
+    const at = re.lastIndex;
+    if (!(m = re.exec(text))) throw new Error(`Unexpected "${text[at]}" at position ${at + 1}`);
+    if (m[1]) tokens.push({ kind: 'string', value: JSON.parse(m[1][0] === "'" ? `"${m[1].slice(1, -1).replace(/"/g, '\\"')}"` : m[1]), at });
+    else if (m[2]) tokens.push({ kind: 'ident', value: m[2].slice(1, -1), quoted: true, at });
+    else if (m[3]) tokens.push({ kind: 'number', value: Number(m[3]), at });
+    else if (m[4]) tokens.push({ kind: 'ident', value: m[4], at });
+    else if (m[5]) tokens.push({ kind: 'punct', value: m[5], at });
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.i = 0;
+  }
+
+  peek(offset = 0) { return this.tokens[this.i + offset]; }
+  done() { return this.i >= this.tokens.length; }
+
+  fail(expected) {
+    const t = this.peek();
+    throw new Error(t ? `Expected ${expected} at position ${t.at + 1}, found "${t.value}"` : `Expected ${expected} at the end of the query`);
+  }
+
+  isPunct(value, offset = 0) { const t = this.peek(offset); return t?.kind === 'punct' && t.value === value; }
+  isWord(word, offset = 0) { const t = this.peek(offset); return t?.kind === 'ident' && !t.quoted && t.value.toUpperCase() === word; }
+
+  punct(value) { if (!this.isPunct(value)) this.fail(`"${value}"`); this.i++; }
+  word(word) { if (!this.isWord(word)) this.fail(word); this.i++; }
+  ident(what) { const t = this.peek(); if (t?.kind !== 'ident') this.fail(what); this.i++; return t.value; }
+
+  query() {
+    this.word('MATCH');
+    const q = { pathVar: null, shortest: false, where: [], distinct: false, returns: [], limit: DEFAULT_LIMIT };
+
+    if (this.peek()?.kind === 'ident' && this.isPunct('=', 1)) {
+      q.pathVar = this.ident('a path name');
+      this.punct('=');
+    }
+    if (this.isWord('SHORTESTPATH')) {
+      this.i++;
+      this.punct('(');
+      Object.assign(q, this.pattern());
+      this.punct(')');
+      q.shortest = true;
+      if (q.nodes.length !== 2) throw new Error('shortestPath takes one relationship between two nodes');
+    } else {
+      Object.assign(q, this.pattern());
+    }
+
+    if (this.isWord('WHERE')) {
+      this.i++;
+      do q.where.push(this.condition()); while (this.isWord('AND') && ++this.i);
+    }
+
+    this.word('RETURN');
+    if (this.isWord('DISTINCT')) { this.i++; q.distinct = true; }
+    if (this.isPunct('*')) { this.i++; q.returns = '*'; } else {
+      do q.returns.push(this.projection()); while (this.isPunct(',') && ++this.i);
+    }
+
+    if (this.isWord('LIMIT')) {
+      this.i++;
+      const t = this.peek();
+      if (t?.kind !== 'number') this.fail('a number');
+      this.i++;
+      q.limit = Math.max(1, Math.min(MAX_LIMIT, t.value));
+    }
+    if (!this.done()) this.fail('the end of the query');
+
+    const known = new Set([q.pathVar, ...q.nodes.map(n => n.var), ...q.rels.map(r => r.var)].filter(Boolean));
+    for (const ref of [...q.where, ...(q.returns === '*' ? [] : q.returns)]) {
+      if (!known.has(ref.var)) throw new Error(`Unknown variable "${ref.var}"`);
+    }
+    return q;
+  }
+
+  pattern() {
+    const nodes = [this.node()];
+    const rels = [];
+    while (this.isPunct('-') || this.isPunct('<')) {
+      rels.push(this.relationship());
+      nodes.push(this.node());
+    }
+    return { nodes, rels };
+  }
+
+  node() {
+    this.punct('(');
+    const n = { var: null, type: null, props: {} };
+    if (this.peek()?.kind === 'ident') n.var = this.ident('a variable');
+    if (this.isPunct(':')) { this.i++; n.type = this.ident('an entity type'); }
+    if (this.isPunct('{')) n.props = this.props();
+    this.punct(')');
+    return n;
+  }
+
+  props() {
+    this.punct('{');
+    const props = {};
+    while (!this.isPunct('}')) {
+      const key = this.ident('a property name').toLowerCase();
+      if (!PROPS.includes(key)) throw new Error(`Unknown property "${key}" — use ${PROPS.join(', ')}`);
+      this.punct(':');
+      const t = this.peek();
+      if (t?.kind !== 'string' && t?.kind !== 'number') this.fail('a string or number');
+      this.i++;
+      props[key] = t.value;
+      if (!this.isPunct(',')) break;
+      this.i++;
+    }
+    this.punct('}');
+    return props;
+  }
+
+  relationship() {
+    let incoming = false;
+    if (this.isPunct('<')) { this.i++; incoming = true; }
+    this.punct('-');
+    const r = { var: null, types: [], min: 1, max: 1 };
+    if (this.isPunct('[')) {
+      this.i++;
+      if (this.peek()?.kind === 'ident') r.var = this.ident('a variable');
+      if (this.isPunct(':')) {
+        this.i++;
+        do r.types.push(this.relationName()); while (this.isPunct('|') && ++this.i);
+      }
+      if (this.isPunct('*')) {
+        this.i++;
+        r.min = 1; r.max = 3;
+        if (this.peek()?.kind === 'number') { r.min = this.peek().value; r.max = r.min; this.i++; }
+        if (this.isPunct('..')) {
+          this.i++;
+          r.max = MAX_HOPS;
+          if (this.peek()?.kind === 'number') { r.max = this.peek().value; this.i++; }
+        }
+        if (r.max > MAX_HOPS) throw new Error(`At most ${MAX_HOPS} hops`);
+        if (r.min > r.max) throw new Error(`Hop range ${r.min}..${r.max} is empty`);
+      }
+      this.punct(']');
+    }
+    this.punct('-');
+    let outgoing = false;
+    if (this.isPunct('>')) { this.i++; outgoing = true; }
+    if (incoming && outgoing) throw new Error('A relationship points one way, not both');
+    r.direction = outgoing ? 'out' : incoming ? 'in' : 'both';
+    return r;
+  }
+
+  /** works-at, works_at or `works at` */
+  relationName() {
+    let name = this.ident('a relation type');
+    while (this.isPunct('-') && this.peek(1)?.kind === 'ident' && this.peek(1).at === this.peek().at + 1) {
+      this.i++;
+      name += '-' + this.ident('a relation type');
+    }
+    return name;
+  }
+
+  condition() {
+    const ref = this.projection();
+    if (!ref.prop) this.fail('a property, e.g. p.name');
+    let op;
+    if (this.isPunct('=')) { this.i++; op = '='; }
+    else if (this.isPunct('<>')) { this.i++; op = '<>'; }
+    else if (this.isWord('CONTAINS')) { this.i++; op = 'contains'; }
+    else if (this.isWord('STARTS')) { this.i++; this.word('WITH'); op = 'starts'; }
+    else this.fail('=, <>, CONTAINS or STARTS WITH');
+    const t = this.peek();
+    if (t?.kind !== 'string' && t?.kind !== 'number') this.fail('a string or number');
+    this.i++;
+    return { ...ref, op, value: String(t.value).toLowerCase() };
+  }
+
+  projection() {
+    const ref = { var: this.ident('a variable'), prop: null };
+    if (this.isPunct('.')) {
+      this.i++;
+      ref.prop = this.ident('a property name').toLowerCase();
+      if (!PROPS.includes(ref.prop)) throw new Error(`Unknown property "${ref.prop}" — use ${PROPS.join(', ')}`);
+    }
+    return ref;
+  }
+}
+
+/** Parse a query; throws with the position of the first problem */
+export function parseGraphQuery(text) {
+  if (!String(text || '').trim()) throw new Error('Empty query');
+  return new Parser(String(text)).query();
+}
+
+// ─── Matching ────────────────────────────────────────────────
+
+const flip = { out: 'in', in: 'out', both: 'both' };
+
+function nodeMatches(graph, entity, pattern, conditions) {
+  if (pattern.type && String(entity.type).toLowerCase() !== pattern.type.toLowerCase()) return false;
+  for (const [key, value] of Object.entries(pattern.props)) {
+    if (key === 'name') {
+      const wanted = entityKey(value);
+      if (entityKey(entity.name) !== wanted && !graph.aliasesOf(entity.id).some(a => a.key === wanted)) return false;
+    } else if (String(entity[key] ?? '').toLowerCase() !== String(value).toLowerCase()) return false;
+  }
+  return conditions.every(c => {
+    const actual = String(entity[c.prop] ?? '').toLowerCase();
+    if (c.op === '=') return actual === c.value;
+    if (c.op === '<>') return actual !== c.value;
+    if (c.op === 'contains') return actual.includes(c.value);
+    return actual.startsWith(c.value);
+  });
+}
+
+const anchored = (node) => node.props.name !== undefined || node.props.id !== undefined;
+
+function candidates(graph, node) {
+  if (node.props.id !== undefined) {
+    const e = graph.getEntity(node.props.id);
+    return e ? [e] : [];
+  }
+  return graph.findEntities({ name: node.props.name ?? null, type: node.type });
+}
+
+/**
+ * Run a query against a KnowledgeGraph.
+ * @returns {{ columns: string[], rows: object[], truncated: boolean }}
+ */
+export function runGraphQuery(graph, text) {
+  const q = typeof text === 'string' ? parseGraphQuery(text) : text;
+  let nodes = q.nodes;
+  let rels = q.rels;
+  let reversed = false;
+
+  // Walk from the named end — "people at companies using Stripe" starts at Stripe
+  if (!anchored(nodes[0]) && anchored(nodes[nodes.length - 1])) {
+    nodes = [...nodes].reverse();
+    rels = [...rels].reverse().map(r => ({ ...r, direction: flip[r.direction] }));
+    reversed = true;
+  }
+  const conditionsFor = (node) => node.var ? q.where.filter(c => c.var === node.var) : [];
+
+  const columns = q.returns === '*'
+    ? [q.pathVar, ...q.nodes.map(n => n.var), ...q.rels.map(r => r.var)].filter(Boolean)
+    : q.returns.map(r => r.prop ? `${r.var}.${r.prop}` : r.var);
+  const rows = [];
+  const seen = new Set();
+  let steps = 0;
+  let truncated = false;
+
+  const emit = (bound, path) => {
+    const ordered = reversed
+      ? { nodes: [...path.nodes].reverse(), relations: [...path.relations].reverse().map(r => ({ ...r, direction: flip[r.direction] })) }
+      : path;
+    const row = {};
+    for (const column of columns) {
+      const [name, prop] = column.split('.');
+      const value = name === q.pathVar ? ordered : bound[name];
+      row[column] = prop ? value?.[prop] ?? null : value;
+    }
+    const key = JSON.stringify(row);
+    if (q.distinct && seen.has(key)) return;
+    seen.add(key);
+    if (rows.length >= q.limit) { truncated = true; return; } // one past the limit: there's more
+    rows.push(row);
+  };
+
+  const bind = (bound, node, entity) => {
+    if (!node.var) return bound;
+    if (bound[node.var] && bound[node.var].id !== entity.id) return null;
+    return { ...bound, [node.var]: clean(entity) };
+  };
+
+  if (q.shortest) {
+    const [a, b] = nodes;
+    const rel = rels[0];
+    const from = candidates(graph, a).filter(e => nodeMatches(graph, e, a, conditionsFor(a))).slice(0, 10);
+    const to = candidates(graph, b).filter(e => nodeMatches(graph, e, b, conditionsFor(b))).slice(0, 10);
+    let best = null;
+    for (const x of from) {
+      for (const y of to) {
+        const path = graph.shortestPath(x.id, y.id, { maxHops: rel.max, relations: rel.types, direction: rel.direction });
+        if (path && path.relations.length >= rel.min && (!best || path.relations.length < best.relations.length)) best = path;
+      }
+    }
+    if (best) {
+      const bound = { ...bind({}, a, best.nodes[0]), ...bind({}, b, best.nodes[best.nodes.length - 1]) };
+      if (rel.var) bound[rel.var] = best.relations.map(r => r.relation);
+      emit(bound, { nodes: best.nodes.map(clean), relations: best.relations });
+    }
+    return { columns, rows, truncated: false };
+  }
+
+  // Depth-first over the pattern; variable-length hops expand breadth-first
+  const extend = (index, entity, bound, path) => {
+    if (truncated) return;
+    if (index === rels.length) return emit(bound, path);
+    const rel = rels[index];
+    const next = nodes[index + 1];
+    for (const hop of expand(graph, entity, rel, () => ++steps > MAX_STEPS)) {
+      if (truncated) return;
+      if (!nodeMatches(graph, hop.entity, next, conditionsFor(next))) continue;
+      let nextBound = bind(bound, next, hop.entity);
+      if (!nextBound) continue;
+      if (rel.var) nextBound = { ...nextBound, [rel.var]: hop.relations.map(r => r.relation) };
+      extend(index + 1, hop.entity, nextBound, {
+        nodes: [...path.nodes, ...hop.via.map(clean), clean(hop.entity)],
+        relations: [...path.relations, ...hop.relations],
+      });
+    }
+    if (steps > MAX_STEPS) truncated = true;
+  };
+
+  for (const start of candidates(graph, nodes[0])) {
+    if (truncated) break;
+    if (!nodeMatches(graph, start, nodes[0], conditionsFor(nodes[0]))) continue;
+    extend(0, start, bind({}, nodes[0], start), { nodes: [clean(start)], relations: [] });
+  }
+  return { columns, rows, truncated };
+}
+
+/**
+ * Entities reachable over one relationship pattern, min..max hops, without
+ * revisiting a node on the way. Yields { entity, via, relations }.
+ */
+function* expand(graph, start, rel, overBudget) {
+  let frontier = [{ id: start.id, via: [], relations: [], visited: new Set([start.id]) }];
+  for (let depth = 1; depth <= rel.max && frontier.length; depth++) {
+    const next = [];
+    for (const walk of frontier) {
+      for (const edge of graph.edges(walk.id, { relations: rel.types, direction: rel.direction })) {
+        if (overBudget()) return;
+        if (walk.visited.has(edge.other)) continue;
+        const entity = graph.getEntity(edge.other);
+        if (!entity) continue;
+        const step = {
+          id: entity.id,
+          via: walk.relations.length ? [...walk.via, walk.entity] : [],
+          entity,
+          relations: [...walk.relations, { relation: edge.relation, direction: edge.direction }],
+          visited: new Set([...walk.visited, entity.id]),
+        };
+        if (depth >= rel.min) yield { entity, via: step.via, relations: step.relations };
+        if (depth < rel.max) next.push(step);
+      }
+    }
+    frontier = next;
+  }
+}
+
+function clean(entity) {
+  return { id: entity.id, name: entity.name, type: entity.type, description: entity.description || null, mentions: entity.mentions ?? 1 };
+}
+
+// ─── Output ──────────────────────────────────────────────────
+
+function describe(value) {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.map(relationKey).join(', ');
+  if (value.nodes) {
+    let text = value.nodes[0]?.name || '';
+    value.relations.forEach((r, i) => {
+      const name = value.nodes[i + 1]?.name || '?';
+      text += r.direction === 'in' ? ` <-[${r.relation}]- ${name}` : ` -[${r.relation}]-> ${name}`;
+    });
+    return text;
+  }
+  if (typeof value === 'object') return `${value.name} (${value.type})`;
+  return String(value);
+}
+
+/** Plain-text rendering for the agent tool and the CLI */
+export function formatGraphResult(result) {
+  if (!result.rows.length) return 'No matches.';
+  const lines = result.rows.map(row => result.columns.map(c => `${c}: ${describe(row[c])}`).join(' | '));
+  if (result.truncated) lines.push(`(stopped at ${result.rows.length} row${result.rows.length === 1 ? '' : 's'} — raise LIMIT or narrow the pattern)`);
+  return lines.join('\n');
+}
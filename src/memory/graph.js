@@ -9,6 +9,7 @@
  * - Entity extraction (people, companies, projects, concepts)
  * - Relationship mapping (works-at, uses, built, knows, etc.)
  * - Graph traversal (find connections between entities)
+ * - Aliases and merges, so one person under three names is one node
  * - Context building (inject relevant graph context into prompts)
  *
  * For users who want deeper knowledge graph capabilities (vector embeddings,
@@ -20,12 +21,36 @@
 
 import { log } from '../core/logger.js';
 
+/** Longest traversal anything here will do — past this the graph is mostly noise */
+export const MAX_HOPS = 6;
+
+/** Relation types compare loosely: "works-at", "works_at" and "Works at" are one */
+export function relationKey(relation) {
+  return String(relation || '').trim().toLowerCase().replace(/[\s_-]+/g, '-');
+}
+
+/**
+ * What an entity name is looked up by: lowercase, no accents, punctuation
+ * as spaces — "Hayley S." and "hayley s" are one key. Email addresses are
+ * kept whole.
+ */
+export function entityKey(name) {
+  const text = String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  if (/^[^\s@]+@[^\s@]+$/.test(text)) return text;
+  return text.replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/** An "unknown" placeholder can be anything; otherwise types have to agree */
+export const typesCompatible = (a, b) => a === b || a === 'unknown' || b === 'unknown';
+
 export class KnowledgeGraph {
   constructor(db) {
     this.db = db; // from @agexhq/store or JSON fallback
     this._useJson = !db;
     this._entities = [];
     this._relationships = [];
+    this._aliases = [];  // JSON fallback for entity_aliases
+    this._merges = [];   // ...and entity_merges
   }
 
   init() {
@@ -58,53 +83,133 @@ export class KnowledgeGraph {
         );
         CREATE INDEX IF NOT EXISTS idx_rel_source ON relationships(source_id);
         CREATE INDEX IF NOT EXISTS idx_rel_target ON relationships(target_id);
+
+        -- Every name an entity goes by, its own included, keyed by entityKey()
+        CREATE TABLE IF NOT EXISTS entity_aliases (
+          entity_id INTEGER NOT NULL,
+          alias TEXT NOT NULL,
+          key TEXT NOT NULL,
+          source TEXT DEFAULT 'name',
+          created TEXT DEFAULT (datetime('now')),
+          UNIQUE(entity_id, key)
+        );
+        CREATE INDEX IF NOT EXISTS idx_alias_key ON entity_aliases(key);
+
+        -- Merges done, suggested or turned down. A done merge keeps a snapshot
+        -- of what it changed so it can be undone.
+        CREATE TABLE IF NOT EXISTS entity_merges (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          kept_id INTEGER NOT NULL,
+          merged_id INTEGER NOT NULL,
+          kept_name TEXT,
+          merged_name TEXT,
+          method TEXT,
+          score REAL,
+          reason TEXT,
+          status TEXT DEFAULT 'suggested',
+          snapshot TEXT,
+          created TEXT DEFAULT (datetime('now')),
+          resolved TEXT
+        );
       `);
+      // Graphs from before the alias table: each entity's name, then the old aliases column
+      const unkeyed = this.db.prepare(
+        "SELECT id, name, aliases FROM entities WHERE id NOT IN (SELECT entity_id FROM entity_aliases WHERE source = 'name')"
+      ).all();
+      for (const e of unkeyed) {
+        this.addAlias(e.id, e.name, 'name');
+        try { for (const alias of JSON.parse(e.aliases || '[]')) this.addAlias(e.id, alias, 'import'); } catch { /* not JSON */ }
+      }
     }
   }
 
   /**
-   * Add or update an entity
+   * Add or update an entity. A name (or alias) already known under the same
+   * type, or under "unknown", is the same entity — a placeholder gets the
+   * real type the first time one is given.
    */
   upsertEntity(name, type = 'unknown', description = null) {
-    if (!name || name.length < 2) return null;
-    const normalised = name.trim().toLowerCase();
+    if (!name || name.length < 2 || !entityKey(name)) return null;
+    type = type || 'unknown';
+    const existing = this.resolve(name, type);
 
     if (this.db) {
-      const existing = this.db.prepare(
-        'SELECT id, mentions FROM entities WHERE LOWER(name) = ? AND type = ?'
-      ).get(normalised, type);
-
       if (existing) {
         this.db.prepare(
           'UPDATE entities SET mentions = mentions + 1, last_seen = datetime(\'now\'), description = COALESCE(?, description) WHERE id = ?'
         ).run(description, existing.id);
+        if (existing.type === 'unknown' && type !== 'unknown') {
+          try { this.db.prepare('UPDATE entities SET type = ? WHERE id = ?').run(type, existing.id); } catch { /* name taken under that type */ }
+        }
         return existing.id;
       }
 
       const result = this.db.prepare(
         'INSERT INTO entities (name, type, description) VALUES (?, ?, ?)'
       ).run(name.trim(), type, description);
+      this.addAlias(result.lastInsertRowid, name, 'name');
       return result.lastInsertRowid;
     }
 
     // JSON fallback
-    const existing = this._entities.find(e => e.name.toLowerCase() === normalised && e.type === type);
     if (existing) {
       existing.mentions = (existing.mentions || 1) + 1;
       existing.last_seen = new Date().toISOString();
       if (description) existing.description = description;
+      if (existing.type === 'unknown') existing.type = type;
       return existing.id;
     }
-    const id = this._entities.length + 1;
+    const id = this._entities.reduce((max, e) => Math.max(max, e.id), this._lastEntityId || 0) + 1;
+    this._lastEntityId = id; // ids of merged-away entities aren't reused, so a merge can be undone
     this._entities.push({ id, name: name.trim(), type, description, mentions: 1, first_seen: new Date().toISOString(), last_seen: new Date().toISOString() });
+    this.addAlias(id, name, 'name');
     return id;
   }
 
+  /**
+   * The entity a name refers to, by its key against every known name and
+   * alias, among types compatible with `type`. The same type wins, then the
+   * most mentioned.
+   */
+  resolve(name, type = 'unknown') {
+    const key = entityKey(name);
+    if (!key) return null;
+    const matches = this.db
+      ? this.db.prepare(
+        'SELECT e.* FROM entity_aliases a JOIN entities e ON e.id = a.entity_id WHERE a.key = ? ORDER BY e.mentions DESC'
+      ).all(key)
+      : this._aliases.filter(a => a.key === key).map(a => this._entities.find(e => e.id === a.entity_id)).filter(Boolean)
+        .sort((a, b) => (b.mentions || 1) - (a.mentions || 1));
+    const compatible = matches.filter(e => typesCompatible(e.type, type));
+    return compatible.find(e => e.type === type) || compatible[0] || null;
+  }
+
+  /** Record another name for an entity. Returns false if it already had it. */
+  addAlias(entityId, alias, source = 'owner') {
+    const key = entityKey(alias);
+    if (!key || !entityId) return false;
+    if (this.db) {
+      return this.db.prepare('INSERT OR IGNORE INTO entity_aliases (entity_id, alias, key, source) VALUES (?, ?, ?, ?)')
+        .run(entityId, String(alias).trim(), key, source).changes > 0;
+    }
+    if (this._aliases.some(a => a.entity_id === Number(entityId) && a.key === key)) return false;
+    this._aliases.push({ entity_id: Number(entityId), alias: String(alias).trim(), key, source, created: new Date().toISOString() });
+    return true;
+  }
+
+  /** Every name an entity goes by: { alias, key, source } — source is name, owner, import, extraction or merge:<id> */
+  aliasesOf(entityId) {
+    if (this.db) return this.db.prepare('SELECT alias, key, source FROM entity_aliases WHERE entity_id = ? ORDER BY created').all(entityId);
+    return this._aliases.filter(a => a.entity_id === Number(entityId)).map(({ alias, key, source }) => ({ alias, key, source }));
+  }
+
   /**
    * Add a relationship between two entities
    */
   addRelationship(sourceId, targetId, relation, context = null) {
     if (!sourceId || !targetId || !relation) return;
+    sourceId = Number(sourceId);
+    targetId = Number(targetId);
 
     if (this.db) {
       // Check for existing relationship
@@ -123,7 +228,15 @@ export class KnowledgeGraph {
         'INSERT INTO relationships (source_id, target_id, relation, context) VALUES (?, ?, ?, ?)'
       ).run(sourceId, targetId, relation, context);
     } else {
-      this._relationships.push({ source_id: sourceId, target_id: targetId, relation, context, strength: 1.0 });
+      const existing = this._relationships.find(r => r.source_id === sourceId && r.target_id === targetId && r.relation === relation);
+      if (existing) {
+        existing.strength += 0.5;
+        if (context) existing.context = context;
+        return;
+      }
+      const id = this._relationships.reduce((max, r) => Math.max(max, r.id), this._lastRelationshipId || 0) + 1;
+      this._lastRelationshipId = id;
+      this._relationships.push({ id, source_id: sourceId, target_id: targetId, relation, context, strength: 1.0 });
     }
   }
 
@@ -132,14 +245,7 @@ export class KnowledgeGraph {
    */
   findEntity(name) {
     if (!name) return null;
-    const normalised = name.trim().toLowerCase();
-
-    if (this.db) {
-      return this.db.prepare(
-        'SELECT * FROM entities WHERE LOWER(name) = ? OR aliases LIKE ? ORDER BY mentions DESC LIMIT 1'
-      ).get(normalised, `%${normalised}%`);
-    }
-    return this._entities.find(e => e.name.toLowerCase() === normalised);
+    return this.resolve(name, 'unknown');
   }
 
   /**
@@ -168,6 +274,423 @@ export class KnowledgeGraph {
     };
   }
 
+  getEntity(id) {
+    if (this.db) return this.db.prepare('SELECT * FROM entities WHERE id = ?').get(id) || null;
+    return this._entities.find(e => e.id === Number(id)) || null;
+  }
+
+  /**
+   * Entities by exact name (case-insensitive, aliases too) and/or type.
+   * Without either, every entity up to the limit.
+   */
+  findEntities({ name = null, type = null, limit = 5000 } = {}) {
+    const n = name ? entityKey(name) : null;
+    const t = type?.trim().toLowerCase();
+    if (this.db) {
+      const where = [];
+      const params = [];
+      if (n) { where.push('id IN (SELECT entity_id FROM entity_aliases WHERE key = ?)'); params.push(n); }
+      if (t) { where.push('LOWER(type) = ?'); params.push(t); }
+      return this.db.prepare(
+        `SELECT * FROM entities${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY mentions DESC LIMIT ?`
+      ).all(...params, limit);
+    }
+    const named = n ? new Set(this._aliases.filter(a => a.key === n).map(a => a.entity_id)) : null;
+    return this._entities
+      .filter(e => (!named || named.has(e.id)) && (!t || String(e.type).toLowerCase() === t))
+      .slice(0, limit);
+  }
+
+  /**
+   * Edges touching an entity: { relation, direction: 'out'|'in', other, strength }.
+   * relations: only these types (matched loosely, see relationKey);
+   * direction: 'out', 'in' or 'both'.
+   */
+  edges(entityId, { relations = null, direction = 'both' } = {}) {
+    const wanted = relations?.length ? new Set(relations.map(relationKey)) : null;
+    let rows;
+    if (this.db) {
+      rows = [];
+      if (direction !== 'in') {
+        for (const r of this.db.prepare('SELECT relation, strength, target_id FROM relationships WHERE source_id = ?').all(entityId)) {
+          rows.push({ relation: r.relation, direction: 'out', other: r.target_id, strength: r.strength });
+        }
+      }
+      if (direction !== 'out') {
+        for (const r of this.db.prepare('SELECT relation, strength, source_id FROM relationships WHERE target_id = ?').all(entityId)) {
+          rows.push({ relation: r.relation, direction: 'in', other: r.source_id, strength: r.strength });
+        }
+      }
+    } else {
+      rows = [
+        ...(direction !== 'in' ? this._relationships.filter(r => r.source_id === entityId)
+          .map(r => ({ relation: r.relation, direction: 'out', other: r.target_id, strength: r.strength })) : []),
+        ...(direction !== 'out' ? this._relationships.filter(r => r.target_id === entityId)
+          .map(r => ({ relation: r.relation, direction: 'in', other: r.source_id, strength: r.strength })) : []),
+      ];
+    }
+    return wanted ? rows.filter(r => wanted.has(relationKey(r.relation))) : rows;
+  }
+
+  /**
+   * Everything within `hops` of an entity, breadth first.
+   * @returns {{ nodes: Array<entity & { depth }>, edges: Array<{ source, target, relation }>, truncated: boolean }}
+   */
+  neighbourhood(entityId, { hops = 2, relations = null, direction = 'both', limit = 200 } = {}) {
+    const start = this.getEntity(entityId);
+    if (!start) return { nodes: [], edges: [], truncated: false };
+    const depth = new Map([[start.id, 0]]);
+    const nodes = [{ ...start, depth: 0 }];
+    const edges = [];
+    const seenEdges = new Set();
+    let frontier = [start.id];
+    let truncated = false;
+
+    for (let d = 1; d <= Math.min(hops, MAX_HOPS) && frontier.length && !truncated; d++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const e of this.edges(id, { relations, direction })) {
+          const [source, target] = e.direction === 'out' ? [id, e.other] : [e.other, id];
+          const key = `${source}|${target}|${e.relation}`;
+          if (!seenEdges.has(key)) { seenEdges.add(key); edges.push({ source, target, relation: e.relation }); }
+          if (depth.has(e.other)) continue;
+          if (nodes.length >= limit) { truncated = true; break; }
+          const entity = this.getEntity(e.other);
+          if (!entity) continue;
+          depth.set(e.other, d);
+          nodes.push({ ...entity, depth: d });
+          next.push(e.other);
+        }
+        if (truncated) break;
+      }
+      frontier = next;
+    }
+    return { nodes, edges: edges.filter(e => depth.has(e.source) && depth.has(e.target)), truncated };
+  }
+
+  /**
+   * Fewest-hop path between two entities, or null.
+   * @returns {{ nodes: entity[], relations: Array<{ relation, direction }> }|null}
+   */
+  shortestPath(fromId, toId, { maxHops = MAX_HOPS, relations = null, direction = 'both' } = {}) {
+    const from = this.getEntity(fromId);
+    const to = this.getEntity(toId);
+    if (!from || !to) return null;
+    if (from.id === to.id) return { nodes: [from], relations: [] };
+
+    const parent = new Map([[from.id, null]]);
+    let frontier = [from.id];
+    for (let d = 0; d < Math.min(maxHops, MAX_HOPS) && frontier.length; d++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const e of this.edges(id, { relations, direction })) {
+          if (parent.has(e.other)) continue;
+          parent.set(e.other, { id, relation: e.relation, direction: e.direction });
+          if (e.other === to.id) {
+            const nodes = [to];
+            const rels = [];
+            for (let step = parent.get(to.id); step; step = parent.get(step.id)) {
+              nodes.unshift(this.getEntity(step.id));
+              rels.unshift({ relation: step.relation, direction: step.direction });
+            }
+            return { nodes, relations: rels };
+          }
+          next.push(e.other);
+        }
+      }
+      frontier = next;
+    }
+    return null;
+  }
+
+  /**
+   * Fold one entity into another: its relationships move over (a duplicate
+   * edge adds its strength instead, an edge between the two is dropped),
+   * its names become aliases, its mentions add up, and a placeholder type
+   * or missing description is filled in. The merge log keeps a snapshot of
+   * everything changed so undoMerge() can put it back.
+   * @param {number} [options.suggestion] - a suggested merge this carries out
+   * @returns {number} the merge's id
+   */
+  merge(keepId, mergeId, { method = 'owner', score = null, reason = null, suggestion = null } = {}) {
+    const keep = this.getEntity(keepId);
+    const drop = this.getEntity(mergeId);
+    if (!keep || !drop) throw new Error(`No entity #${keep ? mergeId : keepId}`);
+    if (keep.id === drop.id) throw new Error('An entity cannot be merged into itself');
+
+    const run = () => {
+      const snapshot = {
+        kept: { type: keep.type, description: keep.description, mentions: keep.mentions || 1 },
+        merged: drop,
+        aliases: this.aliasesOf(drop.id),
+        relationships: [],
+      };
+      const id = suggestion ? Number(suggestion) : this._logMerge(keep, drop, { method, score, reason, status: 'merged' });
+
+      for (const row of this._relationshipsOf(drop.id)) {
+        const source = row.source_id === drop.id ? keep.id : row.source_id;
+        const target = row.target_id === drop.id ? keep.id : row.target_id;
+        const twin = source !== target && this._relationshipBetween(source, target, row.relation, row.id);
+        if (source === target) {
+          this._deleteRelationship(row.id);
+          snapshot.relationships.push({ row, action: 'dropped' });
+        } else if (twin) {
+          this._updateRelationship(twin.id, { strength: twin.strength + row.strength });
+          this._deleteRelationship(row.id);
+          snapshot.relationships.push({ row, action: 'folded', into: twin.id });
+        } else {
+          this._updateRelationship(row.id, { source_id: source, target_id: target });
+          snapshot.relationships.push({ row, action: 'moved' });
+        }
+      }
+      for (const a of snapshot.aliases) this.addAlias(keep.id, a.alias, `merge:${id}`);
+      this._deleteEntity(drop.id);
+      this._updateEntity(keep.id, {
+        mentions: (keep.mentions || 1) + (drop.mentions || 1),
+        description: keep.description ?? drop.description ?? null,
+      });
+      if (keep.type === 'unknown' && drop.type !== 'unknown') this._updateEntity(keep.id, { type: drop.type });
+
+      this._updateMerge(id, {
+        kept_id: keep.id, merged_id: drop.id, kept_name: keep.name, merged_name: drop.name,
+        method, score, reason, status: 'merged', snapshot: JSON.stringify(snapshot), resolved: this._now(),
+      });
+      return id;
+    };
+    return this.db ? this.db.transaction(run)() : run();
+  }
+
+  /**
+   * Put a merged entity back as it was, with its own id, names and
+   * relationships. The kept entity has to still exist — undo a later merge
+   * that swallowed it first.
+   */
+  undoMerge(id) {
+    const merge = this.getMerge(id);
+    if (!merge || merge.status !== 'merged') throw new Error(`Merge #${id} is not in effect`);
+    const { snapshot } = merge;
+    const keep = this.getEntity(merge.keptId);
+    if (!keep) throw new Error(`"${merge.keptName}" has since been merged into another entity — undo that merge first`);
+    if (this.getEntity(merge.mergedId)) throw new Error(`Entity #${merge.mergedId} already exists`);
+
+    const run = () => {
+      this._insertEntity(snapshot.merged);
+      for (const a of snapshot.aliases) this.addAlias(merge.mergedId, a.alias, a.source);
+      this._removeAliases(merge.keptId, { source: `merge:${merge.id}` });
+      for (const { row, action, into } of [...snapshot.relationships].reverse()) {
+        if (action === 'moved' && this._relationship(row.id)) {
+          this._updateRelationship(row.id, { source_id: row.source_id, target_id: row.target_id });
+        } else {
+          this._insertRelationship(row);
+        }
+        const twin = action === 'folded' && this._relationship(into);
+        if (twin) this._updateRelationship(into, { strength: Math.max(1, twin.strength - row.strength) });
+      }
+      this._updateEntity(keep.id, {
+        mentions: Math.max(1, (keep.mentions || 1) - (snapshot.merged.mentions || 1)),
+        description: snapshot.kept.description ?? (keep.description === snapshot.merged.description ? null : keep.description),
+      });
+      if (snapshot.kept.type === 'unknown' && keep.type === snapshot.merged.type) this._updateEntity(keep.id, { type: 'unknown' });
+      this._updateMerge(merge.id, { status: 'undone', resolved: this._now() });
+    };
+    if (this.db) this.db.transaction(run)();
+    else run();
+    return true;
+  }
+
+  /**
+   * Take a name back off an entity. If a merge brought it in, that merge is
+   * undone, relationships and all. Otherwise the name becomes an entity of
+   * its own, of the same type, with nothing attached yet.
+   * @returns {{ id: number, undone: number|null }} the split-off entity, and the merge undone if any
+   */
+  split(entityId, alias) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`No entity #${entityId}`);
+    const entry = this.aliasesOf(entity.id).find(a => a.key === entityKey(alias));
+    if (!entry) throw new Error(`"${entity.name}" has no alias "${alias}"`);
+    if (entry.key === entityKey(entity.name)) throw new Error(`"${alias}" is the entity's own name`);
+
+    const from = /^merge:(\d+)$/.exec(entry.source);
+    const merge = from && this.getMerge(Number(from[1]));
+    if (merge?.status === 'merged' && merge.keptId === entity.id) {
+      this.undoMerge(merge.id);
+      return { id: merge.mergedId, undone: merge.id };
+    }
+    this._removeAliases(entity.id, { key: entry.key });
+    return { id: Number(this.upsertEntity(entry.alias, entity.type)), undone: null };
+  }
+
+  /**
+   * Propose a merge for the owner to decide. A pair that's already been
+   * suggested, merged or turned down isn't proposed again.
+   * @returns {number|null} the suggestion's id, or null if the pair was already decided
+   */
+  suggestMerge(keepId, mergeId, { method = null, score = null, reason = null } = {}) {
+    const keep = this.getEntity(keepId);
+    const drop = this.getEntity(mergeId);
+    if (!keep || !drop || keep.id === drop.id) return null;
+    if (this.mergeDecision(keep.id, drop.id)) return null;
+    return this._logMerge(keep, drop, { method, score, reason, status: 'suggested' });
+  }
+
+  /** Record that two entities are not the same, so nobody asks again */
+  rejectMerge(keepId, mergeId, { method = 'owner', score = null, reason = null } = {}) {
+    const keep = this.getEntity(keepId);
+    const drop = this.getEntity(mergeId);
+    if (!keep || !drop) throw new Error(`No entity #${keep ? mergeId : keepId}`);
+    return this._logMerge(keep, drop, { method, score, reason, status: 'rejected' });
+  }
+
+  /** Settle a suggestion: 'merge' carries it out, 'reject' turns it down. False if it isn't pending. */
+  resolveSuggestion(id, action) {
+    if (!['merge', 'reject'].includes(action)) throw new Error('action must be merge or reject');
+    const merge = this.getMerge(id);
+    if (!merge || merge.status !== 'suggested') return false;
+    if (action === 'merge') this.merge(merge.keptId, merge.mergedId, { method: merge.method, score: merge.score, reason: merge.reason, suggestion: merge.id });
+    else this._updateMerge(merge.id, { status: 'rejected', resolved: this._now() });
+    return true;
+  }
+
+  /** The latest status logged for a pair, either way round — suggested, merged, undone, rejected — or null */
+  mergeDecision(a, b) {
+    const [x, y] = [Number(a), Number(b)];
+    if (this.db) {
+      return this.db.prepare(
+        'SELECT status FROM entity_merges WHERE (kept_id = ? AND merged_id = ?) OR (kept_id = ? AND merged_id = ?) ORDER BY id DESC LIMIT 1'
+      ).get(x, y, y, x)?.status || null;
+    }
+    return [...this._merges].reverse().find(m => (m.kept_id === x && m.merged_id === y) || (m.kept_id === y && m.merged_id === x))?.status || null;
+  }
+
+  getMerge(id) {
+    const row = this.db
+      ? this.db.prepare('SELECT * FROM entity_merges WHERE id = ?').get(id)
+      : this._merges.find(m => m.id === Number(id));
+    return row ? mergeRecord(row) : null;
+  }
+
+  /** The merge log, newest first — status: suggested, merged, undone, rejected, or null for all */
+  merges({ status = null, limit = 100 } = {}) {
+    const rows = this.db
+      ? this.db.prepare(`SELECT * FROM entity_merges${status ? ' WHERE status = ?' : ''} ORDER BY id DESC LIMIT ?`).all(...(status ? [status] : []), limit)
+      : this._merges.filter(m => !status || m.status === status).reverse().slice(0, limit);
+    return rows.map(mergeRecord);
+  }
+
+  _now() {
+    return this.db ? new Date().toISOString().replace('T', ' ').slice(0, 19) : new Date().toISOString();
+  }
+
+  _logMerge(keep, drop, { method, score, reason, status }) {
+    const row = {
+      kept_id: keep.id, merged_id: drop.id, kept_name: keep.name, merged_name: drop.name,
+      method, score: score === null ? null : Math.round(score * 1000) / 1000, reason, status,
+    };
+    if (this.db) {
+      return Number(this.db.prepare(
+        `INSERT INTO entity_merges (kept_id, merged_id, kept_name, merged_name, method, score, reason, status, resolved)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(row.kept_id, row.merged_id, row.kept_name, row.merged_name, row.method, row.score, row.reason, row.status,
+            status === 'suggested' ? null : this._now()).lastInsertRowid);
+    }
+    const id = this._merges.reduce((max, m) => Math.max(max, m.id), 0) + 1;
+    this._merges.push({ id, ...row, snapshot: null, created: this._now(), resolved: status === 'suggested' ? null : this._now() });
+    return id;
+  }
+
+  // Row-level helpers merge/undo share between SQLite and the JSON fallback
+
+  _updateMerge(id, fields) {
+    if (this.db) {
+      const cols = Object.keys(fields);
+      this.db.prepare(`UPDATE entity_merges SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`).run(...cols.map(c => fields[c]), id);
+    } else {
+      Object.assign(this._merges.find(m => m.id === id), fields);
+    }
+  }
+
+  _updateEntity(id, fields) {
+    if (this.db) {
+      const cols = Object.keys(fields);
+      try {
+        this.db.prepare(`UPDATE entities SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`).run(...cols.map(c => fields[c]), id);
+      } catch { /* a type change that would clash with UNIQUE(name, type) */ }
+    } else {
+      Object.assign(this._entities.find(e => e.id === id), fields);
+    }
+  }
+
+  _insertEntity(row) {
+    if (this.db) {
+      this.db.prepare(
+        'INSERT INTO entities (id, name, type, description, aliases, mentions, first_seen, last_seen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+      ).run(row.id, row.name, row.type, row.description, row.aliases || '[]', row.mentions || 1, row.first_seen, row.last_seen);
+    } else {
+      this._entities.push({ ...row });
+    }
+  }
+
+  _deleteEntity(id) {
+    if (this.db) {
+      this.db.prepare('DELETE FROM entity_aliases WHERE entity_id = ?').run(id);
+      this.db.prepare('DELETE FROM entities WHERE id = ?').run(id);
+    } else {
+      this._aliases = this._aliases.filter(a => a.entity_id !== id);
+      this._entities = this._entities.filter(e => e.id !== id);
+    }
+  }
+
+  _removeAliases(entityId, { source = null, key = null }) {
+    if (this.db) {
+      this.db.prepare(`DELETE FROM entity_aliases WHERE entity_id = ? AND ${source ? 'source' : 'key'} = ?`).run(entityId, source ?? key);
+    } else {
+      this._aliases = this._aliases.filter(a => a.entity_id !== entityId || (source ? a.source !== source : a.key !== key));
+    }
+  }
+
+  _relationship(id) {
+    if (this.db) return this.db.prepare('SELECT * FROM relationships WHERE id = ?').get(id) || null;
+    return this._relationships.find(r => r.id === id) || null;
+  }
+
+  _relationshipsOf(entityId) {
+    if (this.db) return this.db.prepare('SELECT * FROM relationships WHERE source_id = ? OR target_id = ? ORDER BY id').all(entityId, entityId);
+    return this._relationships.filter(r => r.source_id === entityId || r.target_id === entityId).map(r => ({ ...r }));
+  }
+
+  _relationshipBetween(sourceId, targetId, relation, exceptId) {
+    if (this.db) {
+      return this.db.prepare('SELECT * FROM relationships WHERE source_id = ? AND target_id = ? AND relation = ? AND id != ?')
+        .get(sourceId, targetId, relation, exceptId) || null;
+    }
+    return this._relationships.find(r => r.source_id === sourceId && r.target_id === targetId && r.relation === relation && r.id !== exceptId) || null;
+  }
+
+  _updateRelationship(id, fields) {
+    if (this.db) {
+      const cols = Object.keys(fields);
+      this.db.prepare(`UPDATE relationships SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`).run(...cols.map(c => fields[c]), id);
+    } else {
+      Object.assign(this._relationships.find(r => r.id === id), fields);
+    }
+  }
+
+  _insertRelationship(row) {
+    if (this.db) {
+      this.db.prepare(
+        'INSERT INTO relationships (id, source_id, target_id, relation, context, strength, created) VALUES (?, ?, ?, ?, ?, ?, ?)'
+      ).run(row.id, row.source_id, row.target_id, row.relation, row.context, row.strength, row.created);
+    } else {
+      this._relationships.push({ ...row });
+    }
+  }
+
+  _deleteRelationship(id) {
+    if (this.db) this.db.prepare('DELETE FROM relationships WHERE id = ?').run(id);
+    else this._relationships = this._relationships.filter(r => r.id !== id);
+  }
+
   /**
    * Search entities by name/description
    */
@@ -232,26 +755,39 @@ export class KnowledgeGraph {
       const entities = this.db.prepare('SELECT COUNT(*) as c FROM entities').get().c;
       const relationships = this.db.prepare('SELECT COUNT(*) as c FROM relationships').get().c;
       const types = this.db.prepare('SELECT type, COUNT(*) as c FROM entities GROUP BY type').all();
-      return { entities, relationships, types };
+      const suggestedMerges = this.db.prepare("SELECT COUNT(*) as c FROM entity_merges WHERE status = 'suggested'").get().c;
+      return { entities, relationships, types, suggestedMerges };
     }
     return {
       entities: this._entities.length,
       relationships: this._relationships.length,
       types: [],
+      suggestedMerges: this._merges.filter(m => m.status === 'suggested').length,
     };
   }
 }
 
+function mergeRecord(row) {
+  let snapshot = row.snapshot;
+  if (typeof snapshot === 'string') { try { snapshot = JSON.parse(snapshot); } catch { snapshot = null; } }
+  return {
+    id: row.id, keptId: row.kept_id, mergedId: row.merged_id, keptName: row.kept_name, mergedName: row.merged_name,
+    method: row.method, score: row.score, reason: row.reason, status: row.status, snapshot: snapshot || null,
+    created: row.created, resolved: row.resolved,
+  };
+}
+
 /**
  * Extract entities and relationships from a message using the LLM.
  * Runs async — doesn't block the response.
  *
  * Token cost: ~300 input + ~100 output = ~400 tokens per extraction
+ * @returns {Promise<number[]>} ids of the entities it touched, for entity resolution
  */
 export async function extractGraph(router, graph, message, role) {
-  if (role !== 'user') return;
-  if (message.length < 40) return;
-  if (/^(hi|hey|hello|thanks|ok|bye|yes|no|cheers|ta)\b/i.test(message.trim())) return;
+  if (role !== 'user') return [];
+  if (message.length < 40) return [];
+  if (/^(hi|hey|hello|thanks|ok|bye|yes|no|cheers|ta)\b/i.test(message.trim())) return [];
 
   try {
     const result = await router.complete([
@@ -275,10 +811,11 @@ Rules:
       { role: 'user', content: message.slice(0, 1500) }
     ], {
       model: router.fast || router.primary,
+      tier: 'extraction',
       maxTokens: 200,
     });
 
-    if (!result.content || result.content.includes('NONE')) return;
+    if (!result.content || result.content.includes('NONE')) return [];
 
     // First pass: create entities
     const entityMap = {};
@@ -302,17 +839,20 @@ Rules:
         if (parts.length >= 3) {
           const [sourceName, relation, targetName, context] = parts;
 
-          // Find or create entities referenced in relationships
+          // Find or create entities referenced in relationships — a name or
+          // alias already known under any type is used before a placeholder
           let sourceId = entityMap[sourceName.toLowerCase()];
           let targetId = entityMap[targetName.toLowerCase()];
 
           if (!sourceId) {
             const found = graph.findEntity(sourceName);
             sourceId = found?.id || graph.upsertEntity(sourceName, 'unknown');
+            if (sourceId) entityMap[sourceName.toLowerCase()] = sourceId;
           }
           if (!targetId) {
             const found = graph.findEntity(targetName);
             targetId = found?.id || graph.upsertEntity(targetName, 'unknown');
+            if (targetId) entityMap[targetName.toLowerCase()] = targetId;
           }
 
           if (sourceId && targetId) {
@@ -321,7 +861,9 @@ Rules:
         }
       }
     }
+    return [...new Set(Object.values(entityMap).map(Number))];
   } catch (err) {
     log.debug(`Graph extraction failed: ${err.message}`);
+    return [];
   }
 }
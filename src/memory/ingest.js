@@ -0,0 +1,462 @@
+/**
+ * QuantumClaw — Document Ingestion
+ *
+ * Files, folders, URLs and dashboard uploads go into memory the same way:
+ * parsed to text (documents.js), chunked with overlap, each chunk embedded
+ * into vector memory, and — unless turned off — read by the fast model for
+ * facts (knowledge store) and entities (graph), with new names folded into
+ * known entities afterwards.
+ *
+ * Every source is tracked in qclaw.db (documents + document_chunks) with a
+ * content hash. Ingesting it again with the same content does nothing; with
+ * new content its old chunks and the facts taken from them are replaced.
+ * Graph entities stay, since other conversations may mention them too.
+ * Local files are re-checked every memory.ingest.watchMinutes; URLs and
+ * uploads are re-read when asked.
+ *
+ * Without SQLite the tracking lives in ~/.quantumclaw/documents.json.
+ */
+
+import { createHash } from 'crypto';
+import { lookup } from 'dns/promises';
+import { isIP } from 'net';
+import { request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+import { existsSync, readFileSync, writeFileSync, renameSync, statSync, readdirSync } from 'fs';
+import { join, resolve, basename, extname } from 'path';
+import { log } from '../core/logger.js';
+import { parseDocument, chunkText, FORMATS } from './documents.js';
+import { extractKnowledge, OWNER } from './knowledge.js';
+import { extractGraph } from './graph.js';
+
+const MAX_FILES = 500; // per folder
+const MAX_REDIRECTS = 5;
+
+const isUrl = (source) => /^https?:\/\//i.test(source);
+const isFile = (source) => !isUrl(source) && !source.startsWith('upload:');
+
+/** Loopback, private, link-local, shared (CGNAT) and unspecified addresses */
+function isPrivateAddress(ip) {
+  const v4 = /^(?:::ffff:)?(\d+)\.(\d+)\.\d+\.\d+$/i.exec(ip);
+  if (v4) {
+    const [a, b] = [Number(v4[1]), Number(v4[2])];
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  const v6 = ip.toLowerCase();
+  const mapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(v6); // how URL writes [::ffff:127.0.0.1]
+  if (mapped) {
+    const [hi, lo] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+    return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return v6 === '::' || v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6);
+}
+
+export class DocumentIngestor {
+  /** memory: the MemoryManager — vector store, knowledge, graph and router come from it */
+  constructor(config, memory) {
+    this.config = config;
+    this.memory = memory;
+    this.db = null;
+    this._jsonPath = join(config._dir, 'documents.json');
+    this._data = null;
+    this._running = new Map(); // source → promise, so a source is never ingested twice at once
+    this._timer = null;
+  }
+
+  get settings() {
+    return { chunkSize: 1000, overlap: 150, extract: true, extractLimit: 100, maxMegabytes: 25, watchMinutes: 60, ...this.config.memory?.ingest };
+  }
+
+  /** Call after construction with the shared db instance (null → documents.json) */
+  attach(db) {
+    this.db = db || null;
+    if (!this.db) this._data = this._loadJson();
+  }
+
+  /** Re-check local files every memory.ingest.watchMinutes (0 turns it off) */
+  start() {
+    const minutes = this.settings.watchMinutes;
+    if (!minutes || this._timer) return;
+    this._timer = setInterval(() => {
+      this.refresh().catch(err => log.debug(`Document refresh failed: ${err.message}`));
+    }, minutes * 60 * 1000);
+    this._timer.unref();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Ingest a file, a folder (every supported file in it), a URL, or an
+   * upload ({ data: Buffer, name, contentType }).
+   *
+   * options: force (re-ingest unchanged content), extract (default
+   * memory.ingest.extract), onProgress({ id, source, title, stage, done, total })
+   * with stage parsing, embedding, extracting, ready or failed, and
+   * checkPath(path) → { ok, path, reason } to jail file paths (agents go
+   * through ExecPolicy — files in a folder that fail it are skipped).
+   *
+   * @returns {Promise<object|object[]>} the document record plus outcome
+   *   (added, updated or unchanged) — an array of them for a folder
+   */
+  async ingest(input, options = {}) {
+    if (input && typeof input === 'object' && Buffer.isBuffer(input.data)) {
+      const name = basename(String(input.name || 'upload')).slice(0, 200);
+      return this._once(`upload:${name}`, () => this._ingest(`upload:${name}`, async () => ({
+        data: input.data, name, contentType: input.contentType || '', mtime: null,
+      }), options));
+    }
+
+    const raw = String(input || '').trim();
+    if (!raw) throw new Error('Nothing to ingest: give a file, folder or URL');
+    if (isUrl(raw)) return this._once(raw, () => this._ingest(raw, () => this._fetch(raw), options));
+
+    let path = resolve(raw.replace(/^~(?=$|\/)/, process.env.HOME || '~'));
+    if (options.checkPath) {
+      const check = options.checkPath(raw);
+      if (!check.ok) throw new Error(check.reason);
+      path = check.path;
+    }
+    if (!existsSync(path)) throw new Error(`No such file or folder: ${raw}`);
+    if (statSync(path).isDirectory()) {
+      const files = this._walk(path).filter(file => !options.checkPath || options.checkPath(file).ok);
+      if (!files.length) throw new Error(`No supported documents in ${raw} (${Object.keys(FORMATS).join(' ')})`);
+      const results = [];
+      for (const [i, file] of files.entries()) {
+        try {
+          results.push(await this.ingest(file, options));
+        } catch (err) {
+          results.push({ source: file, title: basename(file), status: 'failed', error: err.message, outcome: 'failed' });
+        }
+        options.onProgress?.({ source: path, stage: 'folder', done: i + 1, total: files.length });
+      }
+      return results;
+    }
+    return this._once(path, () => this._ingest(path, () => this._read(path), options));
+  }
+
+  /** Re-ingest local files whose modification time changed. Resolves to the number updated. */
+  async refresh() {
+    let updated = 0;
+    for (const doc of this.list()) {
+      if (!isFile(doc.source) || doc.status === 'ingesting' || !existsSync(doc.source)) continue;
+      if (Math.round(statSync(doc.source).mtimeMs) === doc.mtime && doc.status === 'ready') continue;
+      try {
+        const result = await this.ingest(doc.source);
+        if (result.outcome === 'updated') updated++;
+      } catch (err) {
+        log.debug(`Document refresh: ${doc.source}: ${err.message}`);
+      }
+    }
+    if (updated) log.info(`Documents: re-ingested ${updated} changed file${updated === 1 ? '' : 's'}`);
+    return updated;
+  }
+
+  /** Every tracked document, newest first */
+  list() {
+    if (this.db) {
+      return this.db.prepare('SELECT * FROM documents ORDER BY updated DESC, id DESC').all().map(record);
+    }
+    return [...this._data.documents].reverse().map(record);
+  }
+
+  /** One document by id or source */
+  get(ref) {
+    if (this.db) {
+      const row = /^\d+$/.test(String(ref))
+        ? this.db.prepare('SELECT * FROM documents WHERE id = ?').get(Number(ref))
+        : this.db.prepare('SELECT * FROM documents WHERE source = ?').get(String(ref));
+      return row ? record(row) : null;
+    }
+    const doc = this._data.documents.find(d => d.id === Number(ref) || d.source === String(ref));
+    return doc ? record(doc) : null;
+  }
+
+  /** Forget a document: its chunks, the facts taken from it and its record */
+  remove(id) {
+    const doc = this.get(id);
+    if (!doc) return false;
+    this._dropContent(doc.id);
+    if (this.db) {
+      this.db.prepare('DELETE FROM documents WHERE id = ?').run(doc.id);
+    } else {
+      this._data.documents = this._data.documents.filter(d => d.id !== doc.id);
+      this._saveJson();
+    }
+    return true;
+  }
+
+  // ─── Internals ────────────────────────────────────────────
+
+  _once(source, fn) {
+    if (this._running.has(source)) return this._running.get(source);
+    const run = fn().finally(() => this._running.delete(source));
+    this._running.set(source, run);
+    return run;
+  }
+
+  async _ingest(source, load, { force = false, extract = this.settings.extract, onProgress = null } = {}) {
+    const { vector, knowledge, graph } = this.memory;
+    if (!vector) throw new Error('Vector memory is not available');
+
+    let doc = this.get(source);
+    const progress = (stage, done = 0, total = 0) => {
+      try { onProgress?.({ id: doc?.id ?? null, source, title: doc?.title || basename(source), stage, done, total }); } catch { /* a listener's problem */ }
+    };
+
+    progress('parsing');
+    let file;
+    try {
+      file = await load();
+    } catch (err) {
+      if (doc) this._update(doc.id, { status: 'failed', error: err.message });
+      progress('failed');
+      throw err;
+    }
+    const hash = createHash('sha256').update(file.data).digest('hex');
+    if (doc && doc.hash === hash && doc.status === 'ready' && !force) {
+      if (file.mtime && file.mtime !== doc.mtime) this._update(doc.id, { mtime: file.mtime });
+      progress('ready', doc.chunks, doc.chunks);
+      return { ...doc, outcome: 'unchanged' };
+    }
+
+    const outcome = doc ? 'updated' : 'added';
+    if (!doc) doc = this._insert(source, basename(file.name || source));
+    this._update(doc.id, { status: 'ingesting', progress: 0, error: null });
+
+    try {
+      const parsed = await parseDocument(file.data, { name: file.name, contentType: file.contentType });
+      if (!parsed.text) throw new Error('No text found in the document');
+      const chunks = chunkText(parsed.text, { size: this.settings.chunkSize, overlap: this.settings.overlap });
+      doc = { ...doc, title: parsed.title };
+
+      // The previous version goes before the new one is read in
+      this._dropContent(doc.id);
+      this._update(doc.id, { title: parsed.title, format: parsed.format, bytes: file.data.length, chunks: 0, facts: 0, entities: 0 });
+
+      const router = this.memory._router;
+      const extracting = !!(extract && router && (knowledge || graph));
+      const limit = extracting ? Math.min(chunks.length, this.settings.extractLimit) : 0;
+      const total = chunks.length + limit;
+
+      for (const [i, chunk] of chunks.entries()) {
+        const vectorId = await vector.add(chunk, {
+          type: 'document', document: doc.id, source, title: parsed.title, chunk: i + 1, chunks: chunks.length,
+        });
+        this._addChunk(doc.id, i, vectorId);
+        this._update(doc.id, { progress: (i + 1) / total });
+        progress('embedding', i + 1, chunks.length);
+      }
+
+      let facts = 0;
+      const touched = new Set();
+      for (let i = 0; i < limit; i++) {
+        if (knowledge) facts += await extractKnowledge(router, knowledge, chunks[i], 'user', { subject: OWNER, source: `document:${doc.id}` }) || 0;
+        if (graph) for (const id of await extractGraph(router, graph, chunks[i], 'user')) touched.add(id);
+        this._update(doc.id, { progress: (chunks.length + i + 1) / total });
+        progress('extracting', i + 1, limit);
+      }
+      if (limit < chunks.length && extracting) {
+        log.info(`Documents: "${parsed.title}" has ${chunks.length} chunks — facts and entities were taken from the first ${limit} (memory.ingest.extractLimit)`);
+      }
+      if (touched.size && this.memory.resolveEntities) {
+        await this.memory.resolveEntities({ ids: [...touched] }).catch(err => log.debug(`Entity resolution failed: ${err.message}`));
+      }
+      if (this.memory._jsonStore) this.memory._saveJsonStore();
+
+      this._update(doc.id, {
+        status: 'ready', progress: 1, hash, mtime: file.mtime, chunks: chunks.length,
+        facts, entities: touched.size, ingested: new Date().toISOString(),
+      });
+      doc = this.get(doc.id);
+      progress('ready', chunks.length, chunks.length);
+      log.debug(`Documents: ${outcome} "${doc.title}" — ${doc.chunks} chunks, ${facts} facts, ${touched.size} entities`);
+      return { ...doc, outcome };
+    } catch (err) {
+      this._update(doc.id, { status: 'failed', error: err.message });
+      progress('failed');
+      throw err;
+    }
+  }
+
+  async _read(path) {
+    const stat = statSync(path);
+    this._checkSize(stat.size, path);
+    return { data: readFileSync(path), name: path, contentType: '', mtime: Math.round(stat.mtimeMs) };
+  }
+
+  /**
+   * Redirects are followed by hand so every hop's host is checked, and each
+   * request connects to the address that was checked — a second DNS answer
+   * can't swap in a local one.
+   */
+  async _fetch(url) {
+    const signal = AbortSignal.timeout(30000);
+    let current = url;
+    let res;
+    for (let hops = 0; ; hops++) {
+      const pinned = await this._checkHost(current);
+      res = await this._get(current, pinned, signal);
+      const location = res.statusCode >= 300 && res.statusCode < 400 && res.headers.location;
+      if (!location) break;
+      res.resume();
+      if (hops >= MAX_REDIRECTS) throw new Error(`Fetching ${url} failed: more than ${MAX_REDIRECTS} redirects`);
+      current = new URL(location, current).href;
+      if (!isUrl(current)) throw new Error(`Fetching ${url} failed: redirected to ${current}`);
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume();
+      throw new Error(`Fetching ${url} failed: HTTP ${res.statusCode}`);
+    }
+    this._checkSize(Number(res.headers['content-length']) || 0, url);
+    const parts = [];
+    let size = 0;
+    for await (const part of res) {
+      size += part.length;
+      this._checkSize(size, url);
+      parts.push(part);
+    }
+    return { data: Buffer.concat(parts), name: new URL(current).pathname, contentType: res.headers['content-type'] || '', mtime: null };
+  }
+
+  /** GET a URL, connecting to `pinned` ({ address, family }) when given */
+  _get(url, pinned, signal) {
+    const lookup = pinned && ((host, options, done) => options?.all ? done(null, [pinned]) : done(null, pinned.address, pinned.family));
+    return new Promise((resolve, reject) => {
+      const send = new URL(url).protocol === 'https:' ? httpsRequest : httpRequest;
+      const req = send(url, { signal, lookup, headers: { 'User-Agent': 'QuantumClaw' } }, resolve);
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  /**
+   * Refuse hosts on this machine or the local network unless they (or their
+   * addresses) are listed in memory.ingest.allowHosts. Resolves to the
+   * address to connect to — null for an IP literal or an allowed name.
+   */
+  async _checkHost(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const allowed = (this.settings.allowHosts || []).map(h => String(h).toLowerCase());
+    if (allowed.includes(host)) return null;
+    const addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await this._resolve(host);
+    const local = addresses.find(a => isPrivateAddress(a.address) && !allowed.includes(a.address));
+    if (local) throw new Error(`${host} is on this machine or the local network (${local.address}) — add it to memory.ingest.allowHosts to ingest from it`);
+    if (!addresses.length) throw new Error(`${host} has no addresses`);
+    return isIP(host) ? null : addresses[0];
+  }
+
+  /** Every address a host name resolves to — [{ address, family }] */
+  async _resolve(host) {
+    return lookup(host, { all: true });
+  }
+
+  _checkSize(bytes, name) {
+    const max = this.settings.maxMegabytes;
+    if (max && bytes > max * 1024 * 1024) throw new Error(`${basename(name)} is over memory.ingest.maxMegabytes (${max} MB)`);
+  }
+
+  /** Supported files under a folder, skipping hidden ones and node_modules */
+  _walk(dir, found = []) {
+    for (const entry of readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      if (found.length >= MAX_FILES) {
+        log.warn(`Documents: stopped at ${MAX_FILES} files in ${dir}`);
+        break;
+      }
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) this._walk(path, found);
+      else if (entry.isFile() && FORMATS[extname(entry.name).toLowerCase()]) found.push(path);
+    }
+    return found;
+  }
+
+  /** Remove a document's chunks from vector memory and the facts learned from them */
+  _dropContent(id) {
+    for (const vectorId of this._chunkIds(id)) this.memory.vector?.remove(vectorId);
+    this.memory.knowledge?.removeBySource?.(`document:${id}`);
+    if (this.db) {
+      this.db.prepare('DELETE FROM document_chunks WHERE document_id = ?').run(id);
+    } else {
+      const doc = this._data.documents.find(d => d.id === id);
+      if (doc) doc.vectorIds = [];
+      this._saveJson();
+    }
+  }
+
+  _chunkIds(id) {
+    if (this.db) {
+      return this.db.prepare('SELECT vector_id FROM document_chunks WHERE document_id = ? ORDER BY chunk').all(id).map(r => r.vector_id);
+    }
+    return this._data.documents.find(d => d.id === id)?.vectorIds || [];
+  }
+
+  _addChunk(id, chunk, vectorId) {
+    if (this.db) {
+      this.db.prepare('INSERT OR REPLACE INTO document_chunks (document_id, chunk, vector_id) VALUES (?, ?, ?)').run(id, chunk, vectorId);
+    } else {
+      const doc = this._data.documents.find(d => d.id === id);
+      if (doc) doc.vectorIds = [...(doc.vectorIds || []), vectorId];
+      this._saveJson();
+    }
+  }
+
+  _insert(source, title) {
+    if (this.db) {
+      const id = Number(this.db.prepare('INSERT INTO documents (source, title) VALUES (?, ?)').run(source, title).lastInsertRowid);
+      return this.get(id);
+    }
+    const now = new Date().toISOString();
+    const doc = {
+      id: this._data.nextId++, source, title, format: null, hash: null, bytes: 0, mtime: null, chunks: 0,
+      facts: 0, entities: 0, status: 'ingesting', progress: 0, error: null, ingested: null, updated: now, vectorIds: [],
+    };
+    this._data.documents.push(doc);
+    this._saveJson();
+    return record(doc);
+  }
+
+  _update(id, fields) {
+    if (this.db) {
+      const keys = Object.keys(fields);
+      this.db.prepare(`UPDATE documents SET ${keys.map(k => `${k} = ?`).join(', ')}, updated = datetime('now') WHERE id = ?`)
+        .run(...keys.map(k => fields[k] ?? null), id);
+      return;
+    }
+    const doc = this._data.documents.find(d => d.id === id);
+    if (!doc) return;
+    Object.assign(doc, fields, { updated: new Date().toISOString() });
+    // Progress ticks are too frequent to write out one by one
+    if (Object.keys(fields).some(k => k !== 'progress')) this._saveJson();
+  }
+
+  _loadJson() {
+    try {
+      const data = JSON.parse(readFileSync(this._jsonPath, 'utf-8'));
+      return { nextId: data.nextId || 1, documents: data.documents || [] };
+    } catch {
+      return { nextId: 1, documents: [] };
+    }
+  }
+
+  _saveJson() {
+    try {
+      writeFileSync(this._jsonPath + '.tmp', JSON.stringify(this._data));
+      renameSync(this._jsonPath + '.tmp', this._jsonPath);
+    } catch (err) {
+      log.debug(`documents.json save failed: ${err.message}`);
+    }
+  }
+}
+
+function record(row) {
+  return {
+    id: row.id, source: row.source, title: row.title, format: row.format, hash: row.hash,
+    bytes: row.bytes || 0, mtime: row.mtime ?? null, chunks: row.chunks || 0, facts: row.facts || 0,
+    entities: row.entities || 0, status: row.status, progress: row.progress ?? 0, error: row.error || null,
+    ingested: row.ingested || null, updated: row.updated,
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * QuantumClaw — IVF (inverted file) vector index helpers
+ *
+ * Embeddings are clustered with spherical k-means; each document is filed
+ * under its nearest centroid ("cell"). A search scores the query against
+ * the centroids, then only against documents in the closest few cells —
+ * roughly k/probe times fewer comparisons than a full scan, at the cost
+ * of occasionally missing a neighbour that sits just across a boundary.
+ *
+ * Vectors are unit-normalised Float32Arrays, so cosine similarity is a dot
+ * product. Pure JS, no native code.
+ */
+
+/** Unit-length Float32Array copy of a vector */
+export function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/** Float32 BLOB for SQLite */
+export function toBlob(vector) {
+  const f32 = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+  return Buffer.from(f32.buffer, f32.byteOffset, f32.byteLength);
+}
+
+/** Buffer / Uint8Array from SQLite back to a Float32Array (copied — BLOBs needn't be aligned) */
+export function fromBlob(blob) {
+  if (!blob) return null;
+  const bytes = Uint8Array.from(blob);
+  return new Float32Array(bytes.buffer, 0, bytes.byteLength >> 2);
+}
+
+/** Indices of the `n` centroids closest to `vector`, best first */
+export function nearest(centroids, vector, n = 1) {
+  return centroids
+    .map((c, i) => [i, dot(c, vector)])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([i]) => i);
+}
+
+/**
+ * Spherical k-means over normalised vectors.
+ * @returns {Float32Array[]} k unit-length centroids (fewer if there aren't k vectors)
+ */
+export function kmeans(vectors, k, { iterations = 10, random = Math.random } = {}) {
+  if (!vectors.length) return [];
+  k = Math.min(k, vectors.length);
+  const dims = vectors[0].length;
+
+  // Seed with distinct random members
+  const picks = new Set();
+  while (picks.size < k) picks.add(Math.floor(random() * vectors.length));
+  let centroids = [...picks].map(i => Float32Array.from(vectors[i]));
+  const assignment = new Int32Array(vectors.length).fill(-1);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let moved = 0;
+    for (let v = 0; v < vectors.length; v++) {
+      const best = nearest(centroids, vectors[v])[0];
+      if (assignment[v] !== best) { assignment[v] = best; moved++; }
+    }
+    if (moved === 0 && iter > 0) break;
+
+    const sums = Array.from({ length: k }, () => new Float32Array(dims));
+    const counts = new Int32Array(k);
+    for (let v = 0; v < vectors.length; v++) {
+      const c = assignment[v];
+      counts[c]++;
+      for (let d = 0; d < dims; d++) sums[c][d] += vectors[v][d];
+    }
+    // An empty cell takes a random vector and tries again next round
+    centroids = sums.map((sum, c) => counts[c] ? normalize(sum) : Float32Array.from(vectors[Math.floor(random() * vectors.length)]));
+  }
+  return centroids;
+}
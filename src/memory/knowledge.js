@@ -25,6 +25,23 @@
  *   Episodic:   ~300 tokens  (relevant events via search, loaded on demand)
  *   Total:      ~1,000 tokens — vs 5,000+ tokens for 20 raw messages
  *
+ * Every entry has a subject — whose knowledge it is:
+ *   owner              the person QClaw works for (dashboard + memory.owners)
+ *   user:<channel>:<id> a paired user, e.g. user:telegram:12345
+ *   agent:<name>       something one agent needs to know, whoever is talking
+ *   shared             general knowledge, visible to everyone
+ * and provenance (channel, user and conversation message it came from).
+ * A speaker only ever sees their own subject plus shared and the agent's,
+ * so a paired friend's chat can't read — or overwrite — the owner's facts.
+ *
+ * Facts are versioned. learn() compares a new fact with the subject's
+ * current ones (embeddings via VectorMemory, TF-IDF without): a near-copy
+ * re-confirms the old entry; a contradiction ("Now works at Globex" vs
+ * "Works at Acme") supersedes it, keeping the old one in a history chain;
+ * a conflict the fast model isn't sure about waits in a queue for the
+ * owner. Facts nobody re-confirms for memory.knowledge.decayMonths lose
+ * confidence each month until they drop out of the prompt.
+ *
  * Storage: SQLite table `knowledge` (or JSON fallback on Termux)
  * Extraction: LLM-based, runs async after each conversation turn
  * Zero native dependencies. Works everywhere.
@@ -47,12 +64,96 @@ const MAX_ENTRIES = {
 // Approximate tokens per entry (for budget calculations)
 const AVG_TOKENS_PER_ENTRY = 15;
 
+// Similarity bands: at or above `duplicate` it's the same fact, between
+// `related` and `duplicate` it's about the same thing and may contradict.
+// TF-IDF on one-line facts scores much lower than embeddings do.
+const BANDS = {
+  embedding: { duplicate: 0.9, related: 0.6 },
+  tfidf: { duplicate: 0.85, related: 0.3 },
+};
+
+const DEFAULT_OPTIONS = {
+  autoSupersede: 0.8,  // contradictions judged at least this sure replace the old fact
+  decayMonths: 6,      // unconfirmed for this long → confidence starts to drop
+  decayStep: 0.1,      // per month after that
+  minConfidence: 0.3,  // below this a fact stays stored but leaves the prompt
+};
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'has', 'her', 'was', 'one', 'our',
+  'his', 'how', 'its', 'now', 'new', 'who', 'did', 'get', 'use', 'with', 'that', 'this', 'from',
+  'they', 'been', 'have', 'will', 'into', 'than', 'them', 'then', 'when', 'what', 'user', 'users',
+  'their', 'there', 'about', 'which', 'would', 'currently', 'also', 'very', 'likes',
+]);
+
+function tokens(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+    .filter(t => t.length > 2 && !STOP_WORDS.has(t));
+}
+
+/** TF-IDF cosine of `text` against each document (IDF over all of them) */
+function tfidfScores(text, docs) {
+  const all = [tokens(text), ...docs.map(tokens)];
+  const df = new Map();
+  for (const toks of all) for (const t of new Set(toks)) df.set(t, (df.get(t) || 0) + 1);
+  const vec = (toks) => {
+    const v = new Map();
+    for (const t of toks) v.set(t, (v.get(t) || 0) + Math.log((all.length + 1) / (df.get(t) + 1)) + 1);
+    return v;
+  };
+  const norm = (v) => Math.sqrt([...v.values()].reduce((sum, x) => sum + x * x, 0));
+  const query = vec(all[0]);
+  const qn = norm(query);
+  return all.slice(1).map(toks => {
+    const v = vec(toks);
+    let dot = 0;
+    for (const [t, x] of query) dot += x * (v.get(t) || 0);
+    const denom = qn * norm(v);
+    return denom ? dot / denom : 0;
+  });
+}
+
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return null;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/** SQLite datetime('now') format, for timestamps compared in SQL */
+const sqlTime = (ms = Date.now()) => new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+
+const COLUMNS = {
+  confidence: 'confidence', subject: 'subject', updated: 'updated', confirmed: 'confirmed', decayed: 'decayed',
+  supersededBy: 'superseded_by', supersededAt: 'superseded_at', supersedes: 'supersedes', embedding: 'embedding',
+  embeddingModel: 'embedding_model',
+};
+
+const OWNER = 'owner';
+const SHARED = 'shared';
+
+/** owner, shared, agent:<name> or user:<channel>:<id> */
+export function isSubject(subject) {
+  return typeof subject === 'string' && /^(owner|shared|agent:.+|user:[^:]+:.+)$/.test(subject);
+}
+
+/** Subjects a speaker may read: their own, the agent's, and shared */
+export function visibleSubjects(subject = OWNER, agent = null) {
+  return [...new Set([subject, SHARED, ...(agent ? [`agent:${agent}`] : [])])];
+}
+
 export class KnowledgeStore {
-  constructor(db, jsonStore) {
+  constructor(db, jsonStore, options = {}) {
     this.db = db;             // SQLite database (null on Termux)
     this._jsonStore = jsonStore; // JSON fallback store
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this._vector = null;      // VectorMemory, for embeddings
+    this._embeddings = new Map(); // JSON mode: id → embedding (not written to disk)
   }
 
+  /** Compare facts by embedding when VectorMemory has a provider */
+  useEmbeddings(vector) { this._vector = vector; }
+
   /**
    * Initialise the knowledge tables/structure
    */
@@ -67,19 +168,118 @@ export class KnowledgeStore {
           source TEXT DEFAULT 'conversation',
           created TEXT DEFAULT (datetime('now')),
           updated TEXT DEFAULT (datetime('now')),
-          accessed INTEGER DEFAULT 0
+          accessed INTEGER DEFAULT 0,
+          subject TEXT DEFAULT 'owner',
+          source_channel TEXT,
+          source_user TEXT,
+          source_message INTEGER,
+          confirmed TEXT,
+          decayed TEXT,
+          supersedes INTEGER,
+          superseded_by INTEGER,
+          superseded_at TEXT,
+          embedding TEXT,
+          embedding_model TEXT
         );
         CREATE INDEX IF NOT EXISTS idx_knowledge_type ON knowledge(type);
+
+        -- Contradictions waiting for the owner: the existing entry vs what was just learned
+        CREATE TABLE IF NOT EXISTS knowledge_conflicts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entry_id INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          subject TEXT DEFAULT 'owner',
+          content TEXT NOT NULL,
+          confidence REAL,
+          similarity REAL,
+          reason TEXT,
+          source TEXT,
+          source_channel TEXT,
+          source_user TEXT,
+          source_message INTEGER,
+          status TEXT DEFAULT 'pending',
+          created TEXT DEFAULT (datetime('now')),
+          resolved TEXT
+        );
       `);
+      // Databases from before subjects and versions: existing entries were the owner's
+      for (const col of ["subject TEXT DEFAULT 'owner'", 'source_channel TEXT', 'source_user TEXT', 'source_message INTEGER',
+        'confirmed TEXT', 'decayed TEXT', 'supersedes INTEGER', 'superseded_by INTEGER', 'superseded_at TEXT', 'embedding TEXT',
+        'embedding_model TEXT']) {
+        try { this.db.exec(`ALTER TABLE knowledge ADD COLUMN ${col}`); } catch { /* already there */ }
+      }
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_knowledge_subject ON knowledge(subject, type)');
     } else if (this._jsonStore) {
       if (!this._jsonStore.knowledge) {
         this._jsonStore.knowledge = [];
       }
+      if (!this._jsonStore.knowledgeConflicts) {
+        this._jsonStore.knowledgeConflicts = [];
+      }
+      for (const k of this._jsonStore.knowledge) {
+        if (!k.id) k.id = this._nextJsonId();
+        if (!k.subject) k.subject = OWNER;
+      }
+    }
+  }
+
+  _nextJsonId() {
+    this._jsonStore.knowledgeNextId = (this._jsonStore.knowledgeNextId
+      || Math.max(0, ...this._jsonStore.knowledge.map(k => k.id || 0))) + 1;
+    return this._jsonStore.knowledgeNextId;
+  }
+
+  /** SQL filter for current (not superseded) entries of some subjects */
+  _scope(subjects) {
+    const current = ' AND superseded_by IS NULL';
+    if (!subjects?.length) return { sql: current, params: [] };
+    return { sql: `${current} AND subject IN (${subjects.map(() => '?').join(',')})`, params: subjects };
+  }
+
+  /** JSON-mode equivalent of _scope */
+  _inScope(k, subjects) {
+    return !k.supersededBy && (!subjects?.length || subjects.includes(k.subject || OWNER));
+  }
+
+  _entry(id) {
+    if (this.db) {
+      const row = this.db.prepare('SELECT * FROM knowledge WHERE id = ?').get(id);
+      if (!row) return null;
+      return {
+        id: row.id, type: row.type, content: row.content, confidence: row.confidence, source: row.source,
+        subject: row.subject || OWNER, created: row.created, updated: row.updated, confirmed: row.confirmed,
+        supersedes: row.supersedes, supersededBy: row.superseded_by, supersededAt: row.superseded_at,
+        embedding: row.embedding ? JSON.parse(row.embedding) : null, embeddingModel: row.embedding_model,
+      };
+    }
+    const entry = (this._jsonStore?.knowledge || []).find(k => k.id === Number(id));
+    return entry ? { ...entry, subject: entry.subject || OWNER, embedding: this._embeddings.get(entry.id) || null } : null;
+  }
+
+  _update(id, fields) {
+    if (this.db) {
+      const keys = Object.keys(fields);
+      this.db.prepare(`UPDATE knowledge SET ${keys.map(k => `${COLUMNS[k]} = ?`).join(', ')} WHERE id = ?`)
+        .run(...keys.map(k => k === 'embedding' && fields[k] ? JSON.stringify(fields[k]) : fields[k]), id);
+      return;
     }
+    const entry = (this._jsonStore?.knowledge || []).find(k => k.id === Number(id));
+    if (!entry) return;
+    const { embedding, ...rest } = fields;
+    if (embedding !== undefined) this._embeddings.set(entry.id, embedding);
+    Object.assign(entry, rest);
   }
 
+  _now() { return this.db ? sqlTime() : new Date().toISOString(); }
+
   /**
-   * Add a knowledge entry. Deduplicates by checking for similar existing entries.
+   * Add a knowledge entry. Deduplicates by checking for similar existing
+   * entries of the same subject.
+   *
+   * options: confidence, source, subject (default owner) and provenance —
+   * channel, userId, messageId (the conversation row it was learned from).
+   * dedupe: false always inserts — learn() and supersede() have already
+   * decided it's a new fact, and a shared opening doesn't make it the same.
    */
   add(type, content, options = {}) {
     if (!content || content.length < 3) return;
@@ -89,35 +289,46 @@ export class KnowledgeStore {
       content: content.trim().slice(0, 500), // cap entry length
       confidence: options.confidence ?? 1.0,
       source: options.source || 'conversation',
+      subject: isSubject(options.subject) ? options.subject : OWNER,
+      sourceChannel: options.channel || null,
+      sourceUser: options.userId != null ? String(options.userId) : null,
+      sourceMessage: options.messageId || null,
     };
 
     if (this.db) {
-      // Check for duplicate (fuzzy — same first 50 chars of same type)
+      // Check for duplicate (fuzzy — same first 50 chars of same type and subject)
       const prefix = entry.content.slice(0, 50);
-      const existing = this.db.prepare(
-        'SELECT id, content FROM knowledge WHERE type = ? AND content LIKE ? LIMIT 1'
-      ).get(type, prefix + '%');
+      const existing = options.dedupe !== false && this.db.prepare(
+        'SELECT id, content FROM knowledge WHERE type = ? AND subject = ? AND superseded_by IS NULL AND content LIKE ? LIMIT 1'
+      ).get(type, entry.subject, prefix + '%');
 
       if (existing) {
         // Update existing entry (newer info wins)
         this.db.prepare(
-          'UPDATE knowledge SET content = ?, confidence = ?, updated = datetime(\'now\') WHERE id = ?'
-        ).run(entry.content, entry.confidence, existing.id);
+          `UPDATE knowledge SET content = ?, confidence = ?, updated = datetime('now'), confirmed = datetime('now'), decayed = NULL,
+             source_channel = COALESCE(?, source_channel), source_user = COALESCE(?, source_user),
+             source_message = COALESCE(?, source_message)
+           WHERE id = ?`
+        ).run(entry.content, entry.confidence, entry.sourceChannel, entry.sourceUser, entry.sourceMessage, existing.id);
         return existing.id;
       }
 
-      // Enforce max entries per type
-      const count = this.db.prepare('SELECT COUNT(*) as c FROM knowledge WHERE type = ?').get(type).c;
+      // Enforce max entries per type, per subject — a chatty user can't push out the owner's facts
+      const count = this.db.prepare('SELECT COUNT(*) as c FROM knowledge WHERE type = ? AND subject = ? AND superseded_by IS NULL').get(type, entry.subject).c;
       if (count >= (MAX_ENTRIES[type] || 100)) {
         // Delete oldest, least-accessed entry
         this.db.prepare(
-          'DELETE FROM knowledge WHERE id = (SELECT id FROM knowledge WHERE type = ? ORDER BY accessed ASC, updated ASC LIMIT 1)'
-        ).run(type);
+          'DELETE FROM knowledge WHERE id = (SELECT id FROM knowledge WHERE type = ? AND subject = ? AND superseded_by IS NULL ORDER BY accessed ASC, updated ASC LIMIT 1)'
+        ).run(type, entry.subject);
       }
 
       const result = this.db.prepare(
-        'INSERT INTO knowledge (type, content, confidence, source) VALUES (?, ?, ?, ?)'
-      ).run(entry.type, entry.content, entry.confidence, entry.source);
+        `INSERT INTO knowledge (type, content, confidence, source, subject, source_channel, source_user, source_message, confirmed, embedding, embedding_model)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?, ?)`
+      ).run(entry.type, entry.content, entry.confidence, entry.source,
+            entry.subject, entry.sourceChannel, entry.sourceUser, entry.sourceMessage,
+            options.embedding ? JSON.stringify(options.embedding) : null,
+            options.embedding ? this._vector?.embeddingModel || null : null);
 
       return result.lastInsertRowid;
     }
@@ -127,37 +338,56 @@ export class KnowledgeStore {
 
       // Deduplicate
       const prefix = entry.content.slice(0, 50);
-      const existingIdx = knowledge.findIndex(k => k.type === type && k.content.startsWith(prefix));
+      const sameScope = (k) => k.type === type && (k.subject || OWNER) === entry.subject && !k.supersededBy;
+      const existingIdx = options.dedupe === false ? -1 : knowledge.findIndex(k => sameScope(k) && k.content.startsWith(prefix));
       if (existingIdx !== -1) {
-        knowledge[existingIdx] = { ...knowledge[existingIdx], ...entry, updated: new Date().toISOString() };
-        return;
+        const old = knowledge[existingIdx];
+        knowledge[existingIdx] = {
+          ...old, ...entry,
+          sourceChannel: entry.sourceChannel || old.sourceChannel || null,
+          sourceUser: entry.sourceUser || old.sourceUser || null,
+          sourceMessage: entry.sourceMessage || old.sourceMessage || null,
+          updated: new Date().toISOString(),
+          confirmed: new Date().toISOString(),
+          decayed: null,
+        };
+        return old.id;
       }
 
-      // Enforce max entries per type
-      const typeEntries = knowledge.filter(k => k.type === type);
+      // Enforce max entries per type and subject
+      const typeEntries = knowledge.filter(sameScope);
       if (typeEntries.length >= (MAX_ENTRIES[type] || 100)) {
         // Remove oldest of this type
-        const oldestIdx = knowledge.findIndex(k => k.type === type);
+        const oldestIdx = knowledge.findIndex(sameScope);
         if (oldestIdx !== -1) knowledge.splice(oldestIdx, 1);
       }
 
+      const id = this._nextJsonId();
       knowledge.push({
+        id,
         ...entry,
         created: new Date().toISOString(),
         updated: new Date().toISOString(),
+        confirmed: new Date().toISOString(),
         accessed: 0,
       });
+      if (options.embedding) this._embeddings.set(id, options.embedding);
+      return id;
     }
   }
 
   /**
-   * Get all entries of a given type
+   * Get all entries of a given type. options.subjects limits it to those
+   * subjects; without it every subject comes back (owner/dashboard views).
    */
-  getByType(type, limit = 50) {
+  getByType(type, limit = 50, options = {}) {
+    const { subjects } = options;
     if (this.db) {
+      const scope = this._scope(subjects);
       const rows = this.db.prepare(
-        'SELECT id, content, confidence, source, created, updated FROM knowledge WHERE type = ? ORDER BY confidence DESC, updated DESC LIMIT ?'
-      ).all(type, limit);
+        `SELECT id, content, confidence, source, created, updated, subject, source_channel, source_user, source_message
+         FROM knowledge WHERE type = ?${scope.sql} ORDER BY confidence DESC, updated DESC LIMIT ?`
+      ).all(type, ...scope.params, limit);
 
       // Mark as accessed (for pruning priority)
       if (rows.length > 0) {
@@ -172,7 +402,7 @@ export class KnowledgeStore {
 
     if (this._jsonStore) {
       return (this._jsonStore.knowledge || [])
-        .filter(k => k.type === type)
+        .filter(k => k.type === type && this._inScope(k, subjects))
         .sort((a, b) => (b.confidence || 1) - (a.confidence || 1))
         .slice(0, limit);
     }
@@ -181,9 +411,10 @@ export class KnowledgeStore {
   }
 
   /**
-   * Search across all knowledge types
+   * Search across all knowledge types (options.subjects as for getByType)
    */
-  search(query, limit = 10) {
+  search(query, limit = 10, options = {}) {
+    const { subjects } = options;
     const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 2);
     if (terms.length === 0) return [];
 
@@ -191,13 +422,15 @@ export class KnowledgeStore {
       // SQLite LIKE search (good enough for <350 entries)
       const conditions = terms.map(() => 'content LIKE ?').join(' OR ');
       const params = terms.map(t => `%${t}%`);
+      const scope = this._scope(subjects);
       return this.db.prepare(
-        `SELECT type, content, confidence FROM knowledge WHERE ${conditions} ORDER BY confidence DESC LIMIT ?`
-      ).all(...params, limit);
+        `SELECT id, type, content, confidence, subject FROM knowledge WHERE (${conditions})${scope.sql} ORDER BY confidence DESC LIMIT ?`
+      ).all(...params, ...scope.params, limit);
     }
 
     if (this._jsonStore) {
       return (this._jsonStore.knowledge || [])
+        .filter(k => this._inScope(k, subjects))
         .filter(k => terms.some(t => k.content.toLowerCase().includes(t)))
         .sort((a, b) => (b.confidence || 1) - (a.confidence || 1))
         .slice(0, limit);
@@ -212,12 +445,17 @@ export class KnowledgeStore {
    * a tight summary of what the agent knows about the user.
    *
    * Target: ~1,000 tokens total (vs 5,000+ for raw history)
+   *
+   * Scoped to whoever is talking: their own entries (subject, default the
+   * owner), then what's shared or belongs to the agent.
    */
-  buildContext() {
+  buildContext({ subject = OWNER, agent = null } = {}) {
     const parts = [];
+    const own = { subjects: [subject] };
+    const trusted = (e) => (e.confidence ?? 1) >= this.options.minConfidence;
 
     // Semantic memory — core facts (always loaded, ~500 tokens)
-    const facts = this.getByType(SEMANTIC, 30);
+    const facts = this.getByType(SEMANTIC, 30, own).filter(trusted);
     if (facts.length > 0) {
       parts.push('## What I Know About You');
       for (const f of facts) {
@@ -226,7 +464,7 @@ export class KnowledgeStore {
     }
 
     // Procedural memory — preferences (always loaded, ~200 tokens)
-    const prefs = this.getByType(PROCEDURAL, 20);
+    const prefs = this.getByType(PROCEDURAL, 20, own).filter(trusted);
     if (prefs.length > 0) {
       parts.push('\n## Your Preferences');
       for (const p of prefs) {
@@ -235,7 +473,7 @@ export class KnowledgeStore {
     }
 
     // Episodic memory — recent events only (~300 tokens)
-    const events = this.getByType(EPISODIC, 10);
+    const events = this.getByType(EPISODIC, 10, own);
     if (events.length > 0) {
       parts.push('\n## Recent Events');
       for (const e of events) {
@@ -244,7 +482,315 @@ export class KnowledgeStore {
       }
     }
 
-    return parts.join('\n');
+    // Shared and agent knowledge — not about the speaker, true for everyone
+    const common = { subjects: visibleSubjects(subject, agent).filter(s => s !== subject) };
+    const general = [SEMANTIC, PROCEDURAL].flatMap(type => this.getByType(type, 15, common)).filter(trusted);
+    if (general.length > 0) {
+      parts.push(`${parts.length ? '\n' : ''}## Background Knowledge`);
+      for (const g of general) {
+        parts.push(`- ${g.content}`);
+      }
+    }
+
+    return parts.join('\n').trim();
+  }
+
+  /**
+   * Current entries with subject and provenance, newest first — for the dashboard.
+   * `supersedes` is set on entries that replaced an older version (see history).
+   * @returns {Array<{ id, type, content, confidence, source, subject, sourceChannel, sourceUser, sourceMessage, supersedes, created, updated }>}
+   */
+  list({ subject, type, limit = 200 } = {}) {
+    if (this.db) {
+      let sql = `SELECT id, type, content, confidence, source, subject, source_channel, source_user, source_message, supersedes, created, updated
+                 FROM knowledge WHERE superseded_by IS NULL`;
+      const params = [];
+      if (subject) { sql += ' AND subject = ?'; params.push(subject); }
+      if (type) { sql += ' AND type = ?'; params.push(type); }
+      sql += ' ORDER BY updated DESC, id DESC LIMIT ?';
+      params.push(limit);
+      return this.db.prepare(sql).all(...params).map(r => ({
+        id: r.id, type: r.type, content: r.content, confidence: r.confidence, source: r.source,
+        subject: r.subject || OWNER, sourceChannel: r.source_channel, sourceUser: r.source_user,
+        sourceMessage: r.source_message, supersedes: r.supersedes, created: r.created, updated: r.updated,
+      }));
+    }
+
+    if (this._jsonStore) {
+      return (this._jsonStore.knowledge || [])
+        .filter(k => !k.supersededBy && (!subject || (k.subject || OWNER) === subject) && (!type || k.type === type))
+        .map(k => ({ sourceChannel: null, sourceUser: null, sourceMessage: null, supersedes: null, ...k, subject: k.subject || OWNER }))
+        .reverse()
+        .slice(0, limit);
+    }
+
+    return [];
+  }
+
+  /** Entry counts per subject */
+  subjects() {
+    if (this.db) {
+      return this.db.prepare(
+        "SELECT COALESCE(subject, 'owner') as subject, COUNT(*) as count FROM knowledge WHERE superseded_by IS NULL GROUP BY COALESCE(subject, 'owner') ORDER BY count DESC"
+      ).all();
+    }
+    const counts = new Map();
+    for (const k of (this._jsonStore?.knowledge || []).filter(k => !k.supersededBy)) {
+      const subject = k.subject || OWNER;
+      counts.set(subject, (counts.get(subject) || 0) + 1);
+    }
+    return [...counts].map(([subject, count]) => ({ subject, count })).sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Move an entry to another subject — reassign a fact to the right person,
+   * or promote one to shared / an agent. Returns false if there's no such entry.
+   */
+  setSubject(id, subject) {
+    if (!isSubject(subject)) throw new Error(`Invalid subject "${subject}" — use owner, shared, agent:<name> or user:<channel>:<id>`);
+    if (this.db) {
+      return this.db.prepare("UPDATE knowledge SET subject = ?, updated = datetime('now') WHERE id = ?").run(subject, id).changes > 0;
+    }
+    const entry = (this._jsonStore?.knowledge || []).find(k => k.id === Number(id));
+    if (!entry) return false;
+    entry.subject = subject;
+    entry.updated = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Learn a fact, checking it against what the subject already knows.
+   * Same options as add(); pass the router so the fast model can tell a
+   * contradiction from a compatible fact.
+   *
+   * @returns {Promise<{ action: 'added'|'confirmed'|'superseded'|'queued'|'skipped', id?, previous?, conflictId? }>}
+   */
+  async learn(type, content, options = {}, { router } = {}) {
+    const text = String(content || '').trim().slice(0, 500);
+    if (text.length < 3) return { action: 'skipped' };
+    const subject = isSubject(options.subject) ? options.subject : OWNER;
+
+    const embedding = this._vector ? await this._vector.embed(text) : null;
+    const match = await this._closest(type, subject, text, embedding);
+    const opts = { ...options, subject, embedding, dedupe: false };
+    if (!match) return { action: 'added', id: this.add(type, text, opts) };
+    if (match.duplicate) {
+      this.confirm(match.entry.id, options.confidence);
+      return { action: 'confirmed', id: match.entry.id };
+    }
+
+    const verdict = router ? await judgeFacts(router, match.entry.content, text) : null;
+    if (verdict?.relation === 'same') {
+      this.confirm(match.entry.id, options.confidence);
+      return { action: 'confirmed', id: match.entry.id };
+    }
+    if (verdict?.relation === 'compatible') return { action: 'added', id: this.add(type, text, opts) };
+
+    // A contradiction — or a related fact nobody could judge
+    const sure = Math.min(verdict?.confidence ?? 0, options.confidence ?? 1);
+    if (verdict?.relation === 'contradicts' && sure >= this.options.autoSupersede) {
+      const id = this.supersede(match.entry.id, text, opts);
+      log.debug(`Knowledge: "${text}" supersedes #${match.entry.id}`);
+      return { action: 'superseded', id, previous: match.entry.id };
+    }
+    const conflictId = this._queueConflict(match.entry, type, text, {
+      ...opts, confidence: options.confidence ?? 1, similarity: match.score,
+      reason: verdict?.reason || (verdict ? `Possible contradiction (${Math.round(sure * 100)}% sure)` : 'Related fact — no model to check it'),
+    });
+    return { action: 'queued', conflictId };
+  }
+
+  /** Closest current entry in the related band, or null */
+  async _closest(type, subject, text, embedding) {
+    const candidates = this.getByType(type, MAX_ENTRIES[type] || 100, { subjects: [subject] });
+    if (!candidates.length) return null;
+
+    const vectors = embedding ? await this._candidateEmbeddings(candidates) : new Map();
+    const tfidf = tfidfScores(text, candidates.map(c => c.content));
+    let best = null;
+    candidates.forEach((entry, i) => {
+      const emb = cosine(embedding, vectors.get(entry.id));
+      const band = emb === null ? BANDS.tfidf : BANDS.embedding;
+      const score = emb === null ? tfidf[i] : emb;
+      if (score < band.related) return;
+      const rank = score / band.duplicate;
+      if (!best || rank > best.rank) best = { entry, score, rank, duplicate: score >= band.duplicate };
+    });
+    return best;
+  }
+
+  /**
+   * Stored embeddings for candidates, filling in a few missing ones per call.
+   * One made by a different model than the current one counts as missing.
+   */
+  async _candidateEmbeddings(candidates) {
+    const out = new Map();
+    const model = this._vector.embeddingModel || null;
+    let budget = 20;
+    for (const c of candidates) {
+      const stored = this._entry(c.id);
+      let emb = this.db && stored?.embeddingModel !== model ? null : stored?.embedding;
+      if (!emb && budget-- > 0) {
+        emb = await this._vector.embed(c.content);
+        if (emb) this._update(c.id, this.db ? { embedding: emb, embeddingModel: model } : { embedding: emb });
+      }
+      if (emb) out.set(c.id, emb);
+    }
+    return out;
+  }
+
+  /** Re-confirm an entry: resets decay and restores confidence */
+  confirm(id, confidence = 1) {
+    const entry = this._entry(id);
+    if (!entry) return false;
+    const now = this._now();
+    this._update(id, { confidence: Math.max(entry.confidence ?? 0, confidence ?? 1), confirmed: now, decayed: null, updated: now });
+    return true;
+  }
+
+  /** Replace an entry with a new version, keeping the old one in its history */
+  supersede(id, content, options = {}) {
+    const old = this._entry(id);
+    if (!old) throw new Error(`No knowledge entry #${id}`);
+    const newId = Number(this.add(old.type, content, { ...options, subject: old.subject, dedupe: false }));
+    if (!newId || newId === old.id) return old.id;
+    const now = this._now();
+    this._update(old.id, { supersededBy: newId, supersededAt: now });
+    this._update(newId, { supersedes: old.id });
+    return newId;
+  }
+
+  /**
+   * Every version of an entry, oldest first.
+   * @returns {Array<{ id, content, confidence, created, supersededAt, current }>}
+   */
+  history(id) {
+    let entry = this._entry(id);
+    if (!entry) return [];
+    const seen = new Set();
+    while (entry.supersedes && !seen.has(entry.id)) {
+      seen.add(entry.id);
+      const prev = this._entry(entry.supersedes);
+      if (!prev) break;
+      entry = prev;
+    }
+    const versions = [];
+    seen.clear();
+    while (entry && !seen.has(entry.id)) {
+      seen.add(entry.id);
+      versions.push({
+        id: entry.id, content: entry.content, confidence: entry.confidence, created: entry.created,
+        supersededAt: entry.supersededAt || null, current: !entry.supersededBy,
+      });
+      entry = entry.supersededBy ? this._entry(entry.supersededBy) : null;
+    }
+    return versions;
+  }
+
+  _queueConflict(existing, type, content, options) {
+    const fields = {
+      entryId: existing.id, type, subject: options.subject || OWNER, content,
+      confidence: options.confidence, similarity: Math.round(options.similarity * 1000) / 1000, reason: options.reason,
+      source: options.source || 'conversation', sourceChannel: options.channel || null,
+      sourceUser: options.userId != null ? String(options.userId) : null, sourceMessage: options.messageId || null,
+    };
+    if (this.db) {
+      const dup = this.db.prepare("SELECT id FROM knowledge_conflicts WHERE status = 'pending' AND entry_id = ? AND content = ?").get(existing.id, content);
+      if (dup) return dup.id;
+      return Number(this.db.prepare(
+        `INSERT INTO knowledge_conflicts (entry_id, type, subject, content, confidence, similarity, reason, source, source_channel, source_user, source_message)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(fields.entryId, fields.type, fields.subject, fields.content, fields.confidence, fields.similarity, fields.reason,
+            fields.source, fields.sourceChannel, fields.sourceUser, fields.sourceMessage).lastInsertRowid);
+    }
+    const queue = this._jsonStore.knowledgeConflicts;
+    const dup = queue.find(c => c.status === 'pending' && c.entryId === existing.id && c.content === content);
+    if (dup) return dup.id;
+    const id = (queue.reduce((max, c) => Math.max(max, c.id), 0)) + 1;
+    queue.push({ id, ...fields, status: 'pending', created: new Date().toISOString(), resolved: null });
+    return id;
+  }
+
+  /**
+   * Conflicts for the owner, with the entry each one would replace.
+   * @returns {Array<{ id, entryId, existing, content, type, subject, confidence, similarity, reason, sourceChannel, sourceUser, status, created }>}
+   */
+  conflicts({ status = 'pending', limit = 100 } = {}) {
+    let rows;
+    if (this.db) {
+      rows = this.db.prepare('SELECT * FROM knowledge_conflicts WHERE status = ? ORDER BY id DESC LIMIT ?').all(status, limit).map(r => ({
+        id: r.id, entryId: r.entry_id, type: r.type, subject: r.subject, content: r.content, confidence: r.confidence,
+        similarity: r.similarity, reason: r.reason, source: r.source, sourceChannel: r.source_channel,
+        sourceUser: r.source_user, sourceMessage: r.source_message, status: r.status, created: r.created, resolved: r.resolved,
+      }));
+    } else {
+      rows = (this._jsonStore?.knowledgeConflicts || []).filter(c => c.status === status).reverse().slice(0, limit);
+    }
+    return rows.map(c => ({ ...c, existing: this._entry(c.entryId)?.content ?? null }));
+  }
+
+  /**
+   * Settle a queued conflict:
+   *   replace — the new fact supersedes the existing one
+   *   keep    — both are true, store the new one alongside
+   *   discard — the existing one stands (and counts as re-confirmed)
+   * Returns false if there's no such pending conflict.
+   */
+  resolveConflict(id, action) {
+    if (!['replace', 'keep', 'discard'].includes(action)) throw new Error('action must be replace, keep or discard');
+    const conflict = this.conflicts({ limit: 1000 }).find(c => c.id === Number(id));
+    if (!conflict) return false;
+
+    const options = {
+      subject: conflict.subject, confidence: conflict.confidence ?? 1, source: conflict.source,
+      channel: conflict.sourceChannel, userId: conflict.sourceUser, messageId: conflict.sourceMessage, dedupe: false,
+    };
+    // The entry may have moved on since — act on its current version
+    const versions = this.history(conflict.entryId);
+    const current = versions.find(v => v.current)?.id;
+    if (action === 'replace' && current) this.supersede(current, conflict.content, options);
+    else if (action === 'replace' || action === 'keep') this.add(conflict.type, conflict.content, options);
+    else if (current) this.confirm(current);
+
+    const status = { replace: 'replaced', keep: 'kept', discard: 'discarded' }[action];
+    if (this.db) {
+      this.db.prepare("UPDATE knowledge_conflicts SET status = ?, resolved = datetime('now') WHERE id = ?").run(status, conflict.id);
+    } else {
+      Object.assign(this._jsonStore.knowledgeConflicts.find(c => c.id === conflict.id), { status, resolved: new Date().toISOString() });
+    }
+    return true;
+  }
+
+  /**
+   * Lower confidence on facts and preferences nobody has re-confirmed for
+   * options.decayMonths — one decayStep per month, never below 0.1.
+   * Safe to run as often as you like. Returns how many entries decayed.
+   */
+  decay(now = Date.now()) {
+    const { decayMonths, decayStep } = this.options;
+    if (!decayMonths || !decayStep) return 0;
+    const MONTH = 30 * 24 * 60 * 60 * 1000;
+    const stale = now - decayMonths * MONTH;
+    const lastDecay = now - MONTH;
+
+    if (this.db) {
+      return this.db.prepare(
+        `UPDATE knowledge SET confidence = MAX(0.1, confidence - ?), decayed = ?
+         WHERE superseded_by IS NULL AND type IN (?, ?) AND confidence > 0.1
+           AND COALESCE(confirmed, updated, created) < ? AND (decayed IS NULL OR decayed < ?)`
+      ).run(decayStep, sqlTime(now), SEMANTIC, PROCEDURAL, sqlTime(stale), sqlTime(lastDecay)).changes;
+    }
+
+    let count = 0;
+    const time = (t) => (t ? new Date(t).getTime() : 0);
+    for (const k of this._jsonStore?.knowledge || []) {
+      if (k.supersededBy || ![SEMANTIC, PROCEDURAL].includes(k.type) || (k.confidence ?? 1) <= 0.1) continue;
+      if (time(k.confirmed || k.updated || k.created) >= stale || (k.decayed && time(k.decayed) >= lastDecay)) continue;
+      k.confidence = Math.max(0.1, Math.round(((k.confidence ?? 1) - decayStep) * 100) / 100);
+      k.decayed = new Date(now).toISOString();
+      count++;
+    }
+    return count;
   }
 
   /**
@@ -253,10 +799,10 @@ export class KnowledgeStore {
   stats() {
     const count = (type) => {
       if (this.db) {
-        return this.db.prepare('SELECT COUNT(*) as c FROM knowledge WHERE type = ?').get(type).c;
+        return this.db.prepare('SELECT COUNT(*) as c FROM knowledge WHERE type = ? AND superseded_by IS NULL').get(type).c;
       }
       if (this._jsonStore) {
-        return (this._jsonStore.knowledge || []).filter(k => k.type === type).length;
+        return (this._jsonStore.knowledge || []).filter(k => k.type === type && !k.supersededBy).length;
       }
       return 0;
     };
@@ -278,10 +824,27 @@ export class KnowledgeStore {
       this.db.prepare('DELETE FROM knowledge WHERE id = ?').run(id);
     }
     if (this._jsonStore) {
-      this._jsonStore.knowledge = (this._jsonStore.knowledge || []).filter((_, i) => i !== id);
+      this._jsonStore.knowledge = (this._jsonStore.knowledge || []).filter(k => k.id !== Number(id));
     }
   }
 
+  /**
+   * Remove every entry learned from one source (say, document:12)
+   * @returns {number} how many went
+   */
+  removeBySource(source) {
+    let removed = 0;
+    if (this.db) {
+      removed = this.db.prepare('DELETE FROM knowledge WHERE source = ?').run(source).changes;
+    }
+    if (this._jsonStore) {
+      const before = (this._jsonStore.knowledge || []).length;
+      this._jsonStore.knowledge = (this._jsonStore.knowledge || []).filter(k => k.source !== source);
+      removed = removed || before - this._jsonStore.knowledge.length;
+    }
+    return removed;
+  }
+
   /**
    * Clear all knowledge of a given type
    */
@@ -295,6 +858,43 @@ export class KnowledgeStore {
   }
 }
 
+const JUDGE = `You compare two facts about the same person or thing.
+Reply with JSON only: {"relation": "same" | "contradicts" | "compatible", "confidence": 0-1, "reason": "<short>"}
+
+same        = B says what A says
+contradicts = B and A can't both be true now (B is usually the update)
+compatible  = both can be true together`;
+
+/**
+ * Ask the fast model how a new fact relates to an existing one.
+ * @returns {Promise<{ relation, confidence, reason }|null>} null when it couldn't say
+ */
+export async function judgeFacts(router, existing, candidate) {
+  try {
+    const result = await router.complete([
+      { role: 'system', content: JUDGE },
+      { role: 'user', content: `A: ${existing}\nB: ${candidate}` },
+    ], {
+      model: router.fast || router.primary,
+      maxTokens: 80,
+      noEscalate: true,
+    });
+    const json = String(result?.content || '').match(/\{[\s\S]*\}/);
+    if (!json) return null;
+    const parsed = JSON.parse(json[0]);
+    if (!['same', 'contradicts', 'compatible'].includes(parsed.relation)) return null;
+    const confidence = Number(parsed.confidence);
+    return {
+      relation: parsed.relation,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5,
+      reason: parsed.reason ? String(parsed.reason).slice(0, 200) : null,
+    };
+  } catch (err) {
+    log.debug(`Fact comparison failed: ${err.message}`);
+    return null;
+  }
+}
+
 /**
  * Extract knowledge from a conversation message using the LLM.
  * Runs async — doesn't block the response.
@@ -307,17 +907,22 @@ export class KnowledgeStore {
  *
  * Token cost per extraction: ~200 input + ~50 output = ~250 tokens
  * At Groq free tier: £0.00. At Claude Haiku: £0.0001.
+ *
+ * scope: { subject, agent, channel, userId, messageId, source } — what's
+ * learned is filed under the speaker's subject, with where it came from.
+ * Each fact goes through learn(), so updates supersede what they contradict.
+ * Resolves to the number of lines taken from the model's answer.
  */
-export async function extractKnowledge(router, knowledgeStore, message, role) {
+export async function extractKnowledge(router, knowledgeStore, message, role, scope = {}) {
   // Only extract from user messages (agent messages don't contain user knowledge)
-  if (role !== 'user') return;
+  if (role !== 'user') return 0;
 
   // Skip trivial messages
-  if (message.length < 30) return;
-  if (/^(hi|hey|hello|thanks|ok|bye|yes|no|cheers|ta)\b/i.test(message.trim())) return;
+  if (message.length < 30) return 0;
+  if (/^(hi|hey|hello|thanks|ok|bye|yes|no|cheers|ta)\b/i.test(message.trim())) return 0;
 
   // Get existing knowledge to avoid duplicates
-  const existing = knowledgeStore.buildContext();
+  const existing = knowledgeStore.buildContext({ subject: scope.subject, agent: scope.agent });
   const existingSnippet = existing.slice(0, 800); // cap to save tokens
 
   try {
@@ -342,25 +947,31 @@ ${existingSnippet || '(nothing yet)'}`
       { role: 'user', content: message.slice(0, 1000) } // cap input
     ], {
       model: router.fast || router.primary,
+      tier: 'extraction', // cacheable — same message, same facts
       maxTokens: 150,
     });
 
-    if (!result.content || result.content.includes('NONE')) return;
+    if (!result.content || result.content.includes('NONE')) return 0;
 
     // Parse the response
+    const options = { subject: scope.subject, channel: scope.channel, userId: scope.userId, messageId: scope.messageId, source: scope.source };
+    let learned = 0;
     for (const line of result.content.split('\n')) {
       const trimmed = line.trim();
       if (trimmed.startsWith('FACT:')) {
-        knowledgeStore.add(SEMANTIC, trimmed.slice(5).trim());
+        await knowledgeStore.learn(SEMANTIC, trimmed.slice(5).trim(), options, { router });
       } else if (trimmed.startsWith('PREF:')) {
-        knowledgeStore.add(PROCEDURAL, trimmed.slice(5).trim());
+        await knowledgeStore.learn(PROCEDURAL, trimmed.slice(5).trim(), options, { router });
       } else if (trimmed.startsWith('EVENT:')) {
-        knowledgeStore.add(EPISODIC, trimmed.slice(6).trim());
-      }
+        knowledgeStore.add(EPISODIC, trimmed.slice(6).trim(), options);
+      } else continue;
+      learned++;
     }
+    return learned;
   } catch (err) {
     log.debug(`Knowledge extraction failed: ${err.message}`);
+    return 0;
   }
 }
 
-export { SEMANTIC, EPISODIC, PROCEDURAL };
+export { SEMANTIC, EPISODIC, PROCEDURAL, OWNER, SHARED };
@@ -17,8 +17,27 @@ import { join } from 'path';
 import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
 import { log } from '../core/logger.js';
 import { VectorMemory } from './vector.js';
-import { KnowledgeStore } from './knowledge.js';
+import { KnowledgeStore, visibleSubjects, OWNER } from './knowledge.js';
 import { KnowledgeGraph, extractGraph } from './graph.js';
+import { resolveEntities } from './entity-resolver.js';
+import { runGraphQuery } from './graph-query.js';
+import { summariseMessages } from './summary.js';
+import { terms, overlap, fuse, dedupe, rerank, pack, formatContext } from './retriever.js';
+
+/**
+ * Thread identity for a process() context: channel + user, plus the chat
+ * for group conversations. A private chat whose id is the user's own
+ * (Telegram DMs) or that the channel marks `direct` counts as no chat.
+ */
+export function threadOf(context = {}) {
+  const userId = context.userId !== undefined && context.userId !== null ? String(context.userId) : null;
+  const chat = context.chatId !== undefined && context.chatId !== null ? String(context.chatId) : null;
+  return {
+    channel: context.channel || 'dashboard',
+    userId,
+    chatId: chat && !context.direct && chat !== userId ? chat : null,
+  };
+}
 
 // Try to load better-sqlite3 (native module, may fail without build tools)
 let Database = null;
@@ -31,9 +50,11 @@ try {
 }
 
 export class MemoryManager {
-  constructor(config, secrets) {
+  /** sharedDb: the shared qclaw.db (getDb) — vector memory lives there */
+  constructor(config, secrets, sharedDb = null) {
     this.config = config;
     this.secrets = secrets;
+    this.sharedDb = sharedDb;
     this.cognee = null;
     this.cogneeConnected = false;
     this.cogneeUrl = config.memory?.cognee?.url || 'http://localhost:8000';
@@ -66,7 +87,8 @@ export class MemoryManager {
         tokens INTEGER,
         channel TEXT DEFAULT 'dashboard',
         user_id TEXT,
-        username TEXT
+        username TEXT,
+        chat_id TEXT
       );
       CREATE INDEX IF NOT EXISTS idx_conv_agent ON conversations(agent, timestamp);
       CREATE INDEX IF NOT EXISTS idx_conv_channel ON conversations(channel, timestamp);
@@ -77,8 +99,24 @@ export class MemoryManager {
         value TEXT NOT NULL,
         updated TEXT DEFAULT (datetime('now'))
       );
+
+      CREATE TABLE IF NOT EXISTS thread_summaries (
+        agent TEXT NOT NULL,
+        thread TEXT NOT NULL,
+        summary TEXT DEFAULT '',
+        summarised_to INTEGER DEFAULT 0,
+        reset_after INTEGER DEFAULT 0,
+        edited INTEGER DEFAULT 0,
+        updated TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (agent, thread)
+      );
     `);
 
+      // Databases created before group threads lack the chat column
+      try {
+        this.db.exec('ALTER TABLE conversations ADD COLUMN chat_id TEXT');
+      } catch { /* column already exists */ }
+
       log.debug('Memory: using SQLite (native)');
     } else {
       // Fallback: JSON file store (works on Android/Termux without native compilation)
@@ -104,11 +142,26 @@ export class MemoryManager {
 
     // Always init vector memory (works everywhere, fallback for graph queries)
     this.vector = new VectorMemory(this.config, this.secrets);
+    this.vector.attach(this.sharedDb);
     const vectorStats = await this.vector.init();
 
     // Init structured knowledge store (human-like memory types)
-    this.knowledge = new KnowledgeStore(this.db, this._jsonStore);
+    this.knowledge = new KnowledgeStore(this.db, this._jsonStore, this.config.memory?.knowledge);
     this.knowledge.init();
+    this.knowledge.useEmbeddings(this.vector);
+
+    // Facts nobody re-confirms fade — checked at start and daily
+    const decay = () => {
+      try {
+        const decayed = this.knowledge.decay();
+        if (decayed) log.debug(`Knowledge: confidence decayed on ${decayed} unconfirmed entries`);
+        if (decayed && this._jsonStore) this._saveJsonStore();
+      } catch (err) { log.debug(`Knowledge decay failed: ${err.message}`); }
+    };
+    decay();
+    this._decayTimer = setInterval(decay, 24 * 60 * 60 * 1000);
+    this._decayTimer.unref();
+
     const knowledgeStats = this.knowledge.stats();
     if (knowledgeStats.total > 0) {
       log.debug(`Knowledge: ${knowledgeStats.semantic} facts, ${knowledgeStats.episodic} events, ${knowledgeStats.procedural} prefs (~${knowledgeStats.estimatedTokens} tokens)`);
@@ -134,20 +187,26 @@ export class MemoryManager {
   }
 
   /**
-   * Store a conversation turn
+   * Store a conversation turn. meta.chatId files it under a group thread.
+   * Returns the message id (null without storage).
    */
   addMessage(agent, role, content, meta = {}) {
+    let id = null;
     if (this.db) {
-      this.db.prepare(`
-        INSERT INTO conversations (agent, role, content, model, tier, tokens, channel, user_id, username)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      id = Number(this.db.prepare(`
+        INSERT INTO conversations (agent, role, content, model, tier, tokens, channel, user_id, username, chat_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(agent, role, content, meta.model || null, meta.tier || null, meta.tokens || null,
-             meta.channel || 'dashboard', meta.userId || null, meta.username || null);
+             meta.channel || 'dashboard', meta.userId || null, meta.username || null, meta.chatId || null).lastInsertRowid);
     } else if (this._jsonStore) {
+      this._jsonStore.nextId = (this._jsonStore.nextId || this._jsonStore.conversations.length) + 1;
+      id = this._jsonStore.nextId;
       this._jsonStore.conversations.push({
+        id: this._jsonStore.nextId,
         agent, role, content, timestamp: new Date().toISOString(),
         model: meta.model || null, tier: meta.tier || null, tokens: meta.tokens || null,
-        channel: meta.channel || 'dashboard', userId: meta.userId || null, username: meta.username || null
+        channel: meta.channel || 'dashboard', userId: meta.userId || null, username: meta.username || null,
+        chatId: meta.chatId || null
       });
       if (this._jsonStore.conversations.length > 500) {
         this._jsonStore.conversations = this._jsonStore.conversations.slice(-500);
@@ -164,34 +223,51 @@ export class MemoryManager {
 
     // Index into vector memory (works everywhere — Termux, desktop, server)
     if (this.vector && content.length > 20) {
-      this.vector.add(content, { agent, role }).catch(() => {});
+      this.vector.add(content, { agent, role, channel: meta.channel || 'dashboard' }).catch(() => {});
     }
 
-    // Extract entities/relationships into knowledge graph
+    // Extract entities/relationships into knowledge graph, then fold new
+    // names into entities already known ("Hayley S." → "Hayley Smith")
     if (this.graph && this._router && content.length > 40) {
-      extractGraph(this._router, this.graph, content, role).catch(() => {});
+      extractGraph(this._router, this.graph, content, role)
+        .then(ids => ids.length ? this.resolveEntities({ ids }) : null)
+        .catch(err => log.debug(`Entity resolution failed: ${err.message}`));
     }
+
+    return id;
   }
 
   /**
-   * Get recent conversation history for context
+   * Get recent conversation history for context.
+   *
+   * options.threads ([{ channel, userId, chatId }]) limits it to exact
+   * threads — a null userId or chatId only matches null. afterId and
+   * beforeId bound it by message id; oldest takes the first `limit`
+   * messages instead of the latest.
    */
   getHistory(agent, limit = 20, options = {}) {
-    const { channel, userId, before } = options;
+    const { channel, userId, before, threads, afterId, beforeId, oldest } = options;
 
     if (this.db) {
-      let sql = `SELECT role, content, timestamp, model, tier, channel, user_id, username
+      let sql = `SELECT id, role, content, timestamp, model, tier, channel, user_id, username, chat_id
                  FROM conversations WHERE agent = ?`;
       const params = [agent];
 
       if (channel) { sql += ' AND channel = ?'; params.push(channel); }
       if (userId) { sql += ' AND user_id = ?'; params.push(userId); }
       if (before) { sql += ' AND timestamp < ?'; params.push(before); }
+      if (afterId) { sql += ' AND id > ?'; params.push(afterId); }
+      if (beforeId) { sql += ' AND id < ?'; params.push(beforeId); }
+      if (threads?.length) {
+        sql += ` AND (${threads.map(() => '(channel = ? AND user_id IS ? AND chat_id IS ?)').join(' OR ')})`;
+        for (const t of threads) params.push(t.channel, t.userId ?? null, t.chatId ?? null);
+      }
 
-      sql += ' ORDER BY id DESC LIMIT ?';
+      sql += ` ORDER BY id ${oldest ? 'ASC' : 'DESC'} LIMIT ?`;
       params.push(limit);
 
-      return this.db.prepare(sql).all(...params).reverse();
+      const rows = this.db.prepare(sql).all(...params);
+      return oldest ? rows : rows.reverse();
     }
 
     if (this._jsonStore) {
@@ -199,25 +275,170 @@ export class MemoryManager {
       if (channel) msgs = msgs.filter(m => m.channel === channel);
       if (userId) msgs = msgs.filter(m => m.userId === userId);
       if (before) msgs = msgs.filter(m => m.timestamp < before);
-      return msgs.slice(-limit);
+      if (afterId) msgs = msgs.filter(m => (m.id || 0) > afterId);
+      if (beforeId) msgs = msgs.filter(m => (m.id || 0) < beforeId);
+      if (threads?.length) {
+        msgs = msgs.filter(m => threads.some(t => (m.channel || 'dashboard') === t.channel &&
+          (m.userId ?? null) === (t.userId ?? null) && (m.chatId ?? null) === (t.chatId ?? null)));
+      }
+      return oldest ? msgs.slice(0, limit) : msgs.slice(-limit);
     }
 
     return [];
   }
 
   /**
-   * Get conversation threads (grouped by channel + user)
+   * History for one conversation thread (see threadOf). With
+   * memory.sharedContext on, the owner's direct threads — the dashboard
+   * plus each memory.owners identity — read as one conversation. Other
+   * people and group chats always stay separate.
+   */
+  getThreadHistory(agent, thread, limit = 20) {
+    const threads = this.isSharedThread(thread) ? this.ownerThreads() : [thread];
+    return this.getHistory(agent, limit, { threads, afterId: this.getThreadState(agent, thread).resetAfter });
+  }
+
+  /** Summary row key — the owner's shared context is one thread */
+  _threadKey(thread) {
+    if (this.isSharedThread(thread)) return 'shared';
+    return [thread.channel, thread.userId || '', thread.chatId || ''].join('|');
+  }
+
+  /**
+   * Rolling summary and window for a thread.
+   * @returns {{ summary: string, summarisedTo: number, resetAfter: number, edited: boolean, updated: string|null }}
+   */
+  getThreadState(agent, thread) {
+    const key = this._threadKey(thread);
+    let row = null;
+    if (this.db) {
+      row = this.db.prepare('SELECT summary, summarised_to, reset_after, edited, updated FROM thread_summaries WHERE agent = ? AND thread = ?').get(agent, key);
+    } else if (this._jsonStore) {
+      row = this._jsonStore.threads?.[`${agent}|${key}`] || null;
+    }
+    return {
+      summary: row?.summary || '',
+      summarisedTo: row?.summarised_to || 0,
+      resetAfter: row?.reset_after || 0,
+      edited: !!row?.edited,
+      updated: row?.updated || null,
+    };
+  }
+
+  _setThreadState(agent, thread, state) {
+    const key = this._threadKey(thread);
+    const next = { ...this.getThreadState(agent, thread), ...state };
+    if (this.db) {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO thread_summaries (agent, thread, summary, summarised_to, reset_after, edited, updated)
+        VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+      `).run(agent, key, next.summary, next.summarisedTo, next.resetAfter, next.edited ? 1 : 0);
+    } else if (this._jsonStore) {
+      if (!this._jsonStore.threads) this._jsonStore.threads = {};
+      this._jsonStore.threads[`${agent}|${key}`] = {
+        summary: next.summary, summarised_to: next.summarisedTo, reset_after: next.resetAfter,
+        edited: next.edited ? 1 : 0, updated: new Date().toISOString(),
+      };
+      this._saveJsonStore();
+    }
+  }
+
+  /** The owner's edit replaces the summary; later turns build on it */
+  setThreadSummary(agent, thread, summary) {
+    this._setThreadState(agent, thread, { summary: String(summary || '').trim(), edited: true });
+  }
+
+  /**
+   * Start the thread afresh: no summary, and nothing said so far comes
+   * back as context. The messages stay in the log.
+   */
+  resetThread(agent, thread) {
+    let last = 0;
+    if (this.db) last = this.db.prepare('SELECT MAX(id) AS id FROM conversations').get()?.id || 0;
+    else if (this._jsonStore) last = this._jsonStore.nextId || this._jsonStore.conversations.length;
+    this._setThreadState(agent, thread, { summary: '', summarisedTo: last, resetAfter: last, edited: false });
+  }
+
+  /**
+   * Fold messages that have aged out of the context window into the
+   * thread's summary. `windowStart` is the id of the oldest message still
+   * in the window. Waits for memory.summary.minMessages aged-out messages
+   * and then folds the whole backlog, oldest first, 40 messages per call.
+   */
+  async summariseThread(router, agent, thread, windowStart) {
+    const options = this.config.memory?.summary || {};
+    if (options.enabled === false || !router || !windowStart) return false;
+
+    const key = `${agent}|${this._threadKey(thread)}`;
+    if (!this._summarising) this._summarising = new Set();
+    if (this._summarising.has(key)) return false;
+    this._summarising.add(key);
+
+    try {
+      const state = this.getThreadState(agent, thread);
+      const threads = this.isSharedThread(thread) ? this.ownerThreads() : [thread];
+      const backlog = (afterId) => this.getHistory(agent, 40, { threads, afterId, beforeId: windowStart, oldest: true });
+      let aged = backlog(Math.max(state.summarisedTo, state.resetAfter));
+      if (aged.length < (options.minMessages || 6)) return false;
+
+      // Fold the whole backlog oldest-first, one batch per call
+      let summary = state.summary;
+      let folded = false;
+      while (aged.length) {
+        summary = await summariseMessages(router, summary, aged, { maxChars: options.maxChars || 2000 });
+        if (!summary) return folded;
+        // A /reset while the model was busy wins
+        if (this.getThreadState(agent, thread).resetAfter !== state.resetAfter) return folded;
+        const summarisedTo = aged[aged.length - 1].id;
+        this._setThreadState(agent, thread, { summary, summarisedTo, edited: false });
+        folded = true;
+        aged = backlog(summarisedTo);
+      }
+      return folded;
+    } finally {
+      this._summarising.delete(key);
+    }
+  }
+
+  /** The owner's direct threads: the dashboard, then "channel:userId" entries from memory.owners */
+  ownerThreads() {
+    const owners = [];
+    for (const entry of this.config.memory?.owners || []) {
+      const [channel, ...rest] = String(entry).split(':');
+      if (channel && rest.length) owners.push({ channel, userId: rest.join(':'), chatId: null });
+    }
+    return [{ channel: 'dashboard', userId: null, chatId: null }, ...owners];
+  }
+
+  /**
+   * Knowledge subject for whoever is talking in a thread: 'owner' for the
+   * dashboard and memory.owners identities (in any chat), otherwise
+   * user:<channel>:<userId>.
+   */
+  subjectOf(thread) {
+    if (!thread?.userId) return thread?.channel && thread.channel !== 'dashboard' ? `user:${thread.channel}:unknown` : 'owner';
+    const owner = this.ownerThreads().some(t => t.channel === thread.channel && t.userId === thread.userId);
+    return owner ? 'owner' : `user:${thread.channel}:${thread.userId}`;
+  }
+
+  isSharedThread(thread) {
+    if (!this.config.memory?.sharedContext || !thread || thread.chatId) return false;
+    return this.ownerThreads().some(t => t.channel === thread.channel && t.userId === thread.userId);
+  }
+
+  /**
+   * Get conversation threads (grouped by channel + user + chat)
    */
   getThreads(agent) {
     if (this.db) {
       return this.db.prepare(`
-        SELECT channel, user_id, username,
+        SELECT channel, user_id, username, chat_id,
                COUNT(*) as messageCount,
                MAX(timestamp) as lastMessage,
                MIN(timestamp) as firstMessage
         FROM conversations
         WHERE agent = ?
-        GROUP BY channel, user_id
+        GROUP BY channel, user_id, chat_id
         ORDER BY MAX(timestamp) DESC
       `).all(agent);
     }
@@ -227,12 +448,13 @@ export class MemoryManager {
       this._jsonStore.conversations
         .filter(m => m.agent === agent)
         .forEach(m => {
-          const key = `${m.channel || 'dashboard'}:${m.userId || 'local'}`;
+          const key = `${m.channel || 'dashboard'}:${m.userId || 'local'}:${m.chatId || ''}`;
           if (!threads.has(key)) {
             threads.set(key, {
               channel: m.channel || 'dashboard',
               user_id: m.userId || null,
               username: m.username || null,
+              chat_id: m.chatId || null,
               messageCount: 0,
               lastMessage: m.timestamp,
               firstMessage: m.timestamp
@@ -267,10 +489,11 @@ export class MemoryManager {
         total: total.count,
         today: today.count,
         byChannel,
-        byAgent
+        byAgent,
+        vector: this.vector?.stats() || null
       };
     }
-    return { total: this._jsonStore?.conversations?.length || 0, today: 0, byChannel: [], byAgent: [] };
+    return { total: this._jsonStore?.conversations?.length || 0, today: 0, byChannel: [], byAgent: [], vector: this.vector?.stats() || null };
   }
 
   /**
@@ -290,6 +513,16 @@ export class MemoryManager {
    *   RAG_COMPLETION    — LLM answer from retrieved chunks
    *   FEELING_LUCKY     — auto-select search type
    */
+  /**
+   * Merge duplicate graph entities (see entity-resolver.js).
+   * @param {number[]} [options.ids] - only these entities; default every entity
+   */
+  async resolveEntities({ ids = null, router = this._router } = {}) {
+    const settings = this.config.memory?.graph?.resolution || {};
+    if (!this.graph || settings.enabled === false) return { merged: [], suggested: [], rejected: 0 };
+    return resolveEntities(this.graph, { ...settings, router, ids });
+  }
+
   /**
    * Get knowledge graph as nodes + edges for visualization.
    */
@@ -336,6 +569,16 @@ export class MemoryManager {
     return { nodes, edges };
   }
 
+  /**
+   * Run a graph-query.js query for whoever is talking in a thread. The graph
+   * is built from every conversation, so only the owner may query it.
+   */
+  queryGraph(text, thread) {
+    if (this.subjectOf(thread) !== OWNER) throw new Error('The knowledge graph is only available to the owner');
+    if (!this.graph) throw new Error('The knowledge graph is not available');
+    return runGraphQuery(this.graph, text);
+  }
+
   async graphQuery(query) {
     // Try Cognee first (remote knowledge graph)
     if (this.cogneeConnected) {
@@ -390,7 +633,7 @@ export class MemoryManager {
     if (this.vector) {
       try {
         const results = await this.vector.search(query, 10);
-        return { results, source: this.vector._embeddingProvider ? 'vector-embedding' : 'vector-tfidf' };
+        return { results, source: this.vector._embeddingProvider ? 'vector-embedding' : 'vector-bm25' };
       } catch (err) {
         log.debug(`Vector search failed: ${err.message}`);
       }
@@ -399,6 +642,122 @@ export class MemoryManager {
     return { results: [], source: 'offline' };
   }
 
+  /**
+   * Hybrid retrieval for one turn (see retriever.js): vector hits, knowledge
+   * entries the speaker may see, graph entities and older turns of this
+   * thread, fused, deduped and packed into memory.retrieval.budgetTokens.
+   *
+   * recent: the thread turns going into the prompt; known: other text
+   * already there (the knowledge summary). Neither is repeated. Vector hits
+   * span every conversation, so only the owner gets them. Reranking needs
+   * memory.retrieval.rerank and a router with a fast model.
+   *
+   * @returns {Promise<{ items: Array<{ id, source, label, text, ref }>, context: string, counts: object }>}
+   */
+  async retrieve(query, { agent = null, subject = OWNER, thread = null, recent = [], known = [], router = null } = {}) {
+    const settings = this.config.memory?.retrieval || {};
+    if (settings.enabled === false || !terms(query).length) return { items: [], context: '', counts: {} };
+    const per = settings.perSource || 8;
+
+    const layer = async (name, fn) => {
+      try { return await fn(); } catch (err) { log.debug(`Retrieval from ${name} failed: ${err.message}`); return []; }
+    };
+    const [vector, knowledge, graph, history] = await Promise.all([
+      layer('vector', () => this._recallVector(query, agent, subject, per)),
+      layer('knowledge', () => this._recallKnowledge(query, agent, subject, per)),
+      layer('graph', () => this._recallGraph(query, subject, per)),
+      layer('history', () => this._recallHistory(query, agent, thread, recent[0]?.id, per)),
+    ]);
+
+    const inPrompt = [...known, ...recent.map(m => m.content)].filter(Boolean).map(k => String(k).toLowerCase());
+    const fresh = (items) => items.filter(i => !inPrompt.some(k => k.includes(i.text.toLowerCase().trim())));
+    const lists = { vector: fresh(vector), knowledge: fresh(knowledge), graph: fresh(graph), history: fresh(history) };
+
+    let ranked = fuse(lists, { weights: settings.weights });
+    if (settings.rerank && router?.fast && ranked.length > 1) {
+      ranked = [...await rerank(router, query, ranked.slice(0, 20)), ...ranked.slice(20)];
+    }
+    const items = pack(dedupe(ranked), settings.budgetTokens || 800);
+    const counts = Object.fromEntries(Object.entries(lists).map(([k, v]) => [k, v.length]));
+    return { items, context: formatContext(items), counts };
+  }
+
+  async _recallVector(query, agent, subject, limit) {
+    if (!this.vector || subject !== OWNER) return [];
+    let results = await this.vector.search(query, limit, agent ? { agent } : {});
+    // Ingested documents belong to no agent, so an agent's search misses them: take turns
+    if (agent) {
+      const documents = await this.vector.search(query, limit, { type: 'document' });
+      results = results.flatMap((r, i) => [r, documents[i]]).concat(documents.slice(results.length))
+        .filter(Boolean).slice(0, limit);
+    }
+    return results.map(r => ({
+      text: r.text,
+      source: 'vector',
+      label: r.metadata?.type === 'document'
+        ? `${r.metadata.title || 'document'}${r.metadata.chunks > 1 ? `, part ${r.metadata.chunk} of ${r.metadata.chunks}` : ''}`
+        : `${r.metadata?.role === 'assistant' ? 'you' : 'user'}, ${new Date(r.timestamp).toISOString().slice(0, 10)}`,
+      ref: { layer: 'vector', id: r.id },
+    }));
+  }
+
+  _recallKnowledge(query, agent, subject, limit) {
+    if (!this.knowledge) return [];
+    const labels = { semantic: 'fact', procedural: 'preference', episodic: 'event' };
+    const floor = this.knowledge.options.minConfidence;
+    return this.knowledge.search(query, limit * 3, { subjects: visibleSubjects(subject, agent) })
+      .filter(e => (e.confidence ?? 1) >= floor)
+      .map(e => ({ e, score: overlap(query, e.content) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ e }) => ({ text: e.content, source: 'knowledge', label: labels[e.type] || e.type, ref: { layer: 'knowledge', id: e.id } }));
+  }
+
+  /** The graph spans every conversation and document, not one speaker's — so only the owner recalls from it */
+  async _recallGraph(query, subject, limit) {
+    if (subject !== OWNER) return [];
+    if (this.cogneeConnected) {
+      const remote = await this.graphQuery(query);
+      if (remote.source?.startsWith('cognee')) {
+        return remote.results.slice(0, limit).map(r => ({ text: r.content, source: 'graph', label: 'graph', ref: { layer: 'cognee' } }));
+      }
+    }
+    if (!this.graph) return [];
+    return this.graph.searchEntities(query, limit * 2)
+      .map(e => ({ e, score: overlap(query, `${e.name} ${e.description || ''}`) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ e }) => {
+        const rels = this.graph.getRelationships(e.id);
+        const links = [
+          ...rels.outgoing.slice(0, 3).map(r => `→ ${r.relation} → ${r.target_name}`),
+          ...rels.incoming.slice(0, 3).map(r => `← ${r.relation} ← ${r.source_name}`),
+        ];
+        const text = [`${e.name} (${e.type})${e.description ? `: ${e.description}` : ''}`, ...links].join('; ');
+        return { text, source: 'graph', label: 'graph', ref: { layer: 'graph', id: e.id } };
+      });
+  }
+
+  /** Turns of this thread from before the recent window that share words with the query */
+  _recallHistory(query, agent, thread, windowStart, limit) {
+    if (!thread || !agent) return [];
+    const threads = this.isSharedThread(thread) ? this.ownerThreads() : [thread];
+    const older = this.getHistory(agent, 500, {
+      threads, afterId: this.getThreadState(agent, thread).resetAfter, beforeId: windowStart,
+    });
+    return older
+      .map((m, i) => ({ m, i, score: overlap(query, m.content) }))
+      .filter(x => x.score > 0)
+      .sort((a, b) => b.score - a.score || b.i - a.i)
+      .slice(0, limit)
+      .map(({ m }) => ({
+        text: String(m.content),
+        source: 'history',
+        label: `${m.role === 'assistant' ? 'you' : 'user'}, ${String(m.timestamp || '').slice(0, 10)}`,
+        ref: { layer: 'conversation', id: m.id },
+      }));
+  }
+
   /**
    * Store/retrieve arbitrary context
    */
@@ -430,6 +789,7 @@ export class MemoryManager {
 
   async disconnect() {
     if (this._reconnectTimer) clearInterval(this._reconnectTimer);
+    if (this._decayTimer) clearInterval(this._decayTimer);
     if (this.db) this.db.close();
     if (this._jsonStore) this._saveJsonStore();
   }
@@ -0,0 +1,159 @@
+/**
+ * QuantumClaw — Hybrid Retrieval
+ *
+ * One query fans out to every memory layer (vector search, the knowledge
+ * store, the entity graph, older turns of the thread), each returning its
+ * own ranked list. Reciprocal rank fusion merges the lists by position
+ * alone, so BM25 scores, cosines and LIKE hits never have to be compared.
+ * The fast model can reorder the top of the fused list, near-duplicates
+ * are dropped, and what's left is packed into a token budget. Every packed
+ * item gets a citation ID ([M1], [M2]…) the agent can point back to.
+ *
+ * Gathering the lists is MemoryManager.retrieve's job; this module only
+ * ranks and packs them.
+ */
+
+import { log } from '../core/logger.js';
+
+export const RRF_K = 60; // the usual constant: damps how much rank 1 beats rank 5
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'her', 'was', 'one', 'our', 'out',
+  'has', 'his', 'how', 'its', 'may', 'who', 'did', 'get', 'got', 'let', 'say', 'she', 'too', 'use',
+  'that', 'with', 'have', 'this', 'will', 'your', 'from', 'they', 'been', 'what', 'when', 'which',
+  'their', 'about', 'would', 'there', 'could', 'other', 'into', 'than', 'them', 'some', 'just',
+]);
+
+export function terms(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+    .filter(t => t.length > 2 && !STOP_WORDS.has(t));
+}
+
+/** Share of the query's terms that appear in text (0–1) — for ranking LIKE-style hits */
+export function overlap(query, text) {
+  const wanted = new Set(terms(query));
+  if (!wanted.size) return 0;
+  const have = new Set(terms(text));
+  let hits = 0;
+  for (const t of wanted) if (have.has(t)) hits++;
+  return hits / wanted.size;
+}
+
+const normalise = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Reciprocal rank fusion.
+ * @param {Object<string, Array<{ text, source, label?, ref? }>>} lists - best first, keyed by layer
+ * @returns items with a fused `score`, best first. The same text from two
+ *   layers is one item, credited to both (`sources`).
+ */
+export function fuse(lists, { k = RRF_K, weights = {} } = {}) {
+  const merged = new Map();
+  for (const [layer, items] of Object.entries(lists)) {
+    const weight = weights[layer] ?? 1;
+    (items || []).forEach((item, rank) => {
+      const key = normalise(item.text);
+      if (!key) return;
+      const gain = weight / (k + rank + 1);
+      const seen = merged.get(key);
+      if (seen) {
+        seen.score += gain;
+        if (!seen.sources.includes(layer)) seen.sources.push(layer);
+      } else {
+        merged.set(key, { ...item, source: item.source || layer, sources: [layer], score: gain });
+      }
+    });
+  }
+  return [...merged.values()].sort((a, b) => b.score - a.score);
+}
+
+/** Drop items whose words mostly repeat a better-ranked one (Jaccard ≥ threshold) */
+export function dedupe(items, threshold = 0.8) {
+  const kept = [];
+  const sets = [];
+  for (const item of items) {
+    const words = new Set(terms(item.text));
+    const repeat = sets.some(other => {
+      if (!words.size || !other.size) return false;
+      let shared = 0;
+      for (const w of words) if (other.has(w)) shared++;
+      return shared / (words.size + other.size - shared) >= threshold;
+    });
+    if (repeat) continue;
+    kept.push(item);
+    sets.push(words);
+  }
+  return kept;
+}
+
+const RERANK = `You rank memory snippets by how useful they are for replying to the user's message.
+Reply with JSON only: an array of snippet numbers, most useful first. Leave out snippets that don't help.`;
+
+/**
+ * Reorder items with the fast model. Items it leaves out keep their fused
+ * order behind the ones it ranked; any failure returns items unchanged.
+ */
+export async function rerank(router, query, items) {
+  if (items.length < 2) return items;
+  try {
+    const list = items.map((item, i) => `${i + 1}. ${item.text.slice(0, 300).replace(/\n/g, ' ')}`).join('\n');
+    const result = await router.complete([
+      { role: 'system', content: RERANK },
+      { role: 'user', content: `Message: ${String(query).slice(0, 500)}\n\nSnippets:\n${list}` },
+    ], {
+      model: router.fast || router.primary,
+      maxTokens: 100,
+      noEscalate: true,
+    });
+    const json = String(result?.content || '').match(/\[[\s\S]*?\]/);
+    if (!json) return items;
+    const order = [...new Set(JSON.parse(json[0]).map(Number))].filter(n => n >= 1 && n <= items.length);
+    if (!order.length) return items;
+    const ranked = order.map(n => items[n - 1]);
+    return [...ranked, ...items.filter(item => !ranked.includes(item))];
+  } catch (err) {
+    log.debug(`Memory rerank failed: ${err.message}`);
+    return items;
+  }
+}
+
+/** Rough token count: ~4 characters per token */
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Take items in order while they fit the budget. An item longer than
+ * maxItemTokens is cut down to it; one that doesn't fit is skipped so a
+ * shorter one further down can still go in.
+ * @returns items with citation `id`s M1, M2… in packed order
+ */
+export function pack(items, budgetTokens, { maxItemTokens = 150 } = {}) {
+  const packed = [];
+  let used = 0;
+  for (const item of items) {
+    let text = item.text.trim();
+    if (estimateTokens(text) > maxItemTokens) text = text.slice(0, maxItemTokens * 4 - 1).trimEnd() + '…';
+    const line = formatItem({ ...item, id: `M${packed.length + 1}`, text });
+    const cost = estimateTokens(line);
+    if (used + cost > budgetTokens) continue;
+    used += cost;
+    packed.push({ ...item, id: `M${packed.length + 1}`, text, tokens: cost });
+  }
+  return packed;
+}
+
+function formatItem(item) {
+  return `[${item.id}] (${item.label || item.source}) ${item.text.replace(/\n+/g, ' ')}`;
+}
+
+/**
+ * The system-prompt section for packed items. Headed "Relevant Context"
+ * so the completion cache treats it as volatile.
+ */
+export function formatContext(items) {
+  if (!items.length) return '';
+  return [
+    '## Relevant Context',
+    'From memory. When your answer relies on one, cite it by ID, e.g. [M1].',
+    ...items.map(formatItem),
+  ].join('\n');
+}
@@ -0,0 +1,45 @@
+/**
+ * QuantumClaw — Thread Summaries
+ *
+ * Once a thread outgrows its context window, the turns that fall out of it
+ * are folded into a rolling summary by the fast model. The summary goes in
+ * the system prompt ahead of the recent turns, so a long conversation keeps
+ * its names, decisions and open questions instead of silently losing them.
+ *
+ * Storage lives with the conversation log (MemoryManager.getThreadState).
+ */
+
+const SYSTEM = `You keep the running summary of a conversation between a user and an AI assistant.
+Merge the new messages into the existing summary and output only the updated summary.
+
+Keep: names, facts, decisions, numbers, commitments, open questions, anything the user asked to remember.
+Drop: greetings, filler, and anything the newer messages supersede.
+Write short plain bullets, newest context last. Stay under {words} words.`;
+
+/**
+ * Merge aged-out messages into a summary.
+ *
+ * @param {object} router - ModelRouter (uses the fast model when there is one)
+ * @param {string} previous - current summary, may be empty
+ * @param {Array<{ role, content }>} messages - oldest first
+ * @returns {Promise<string>} the new summary, or '' if the model gave nothing
+ */
+export async function summariseMessages(router, previous, messages, { maxChars = 2000 } = {}) {
+  const transcript = messages
+    .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${String(m.content || '').slice(0, 1500)}`)
+    .join('\n');
+
+  const result = await router.complete([
+    { role: 'system', content: SYSTEM.replace('{words}', String(Math.round(maxChars / 6))) },
+    {
+      role: 'user',
+      content: `Existing summary:\n${previous || '(none yet)'}\n\nNew messages:\n${transcript}`,
+    },
+  ], {
+    model: router.fast || router.primary,
+    maxTokens: Math.ceil(maxChars / 3),
+    noEscalate: true,
+  });
+
+  return String(result?.content || '').trim().slice(0, maxChars);
+}
@@ -4,59 +4,131 @@
  * Lightweight vector search for environments where Cognee can't run
  * (Termux/Android, no Docker, no Python wheels for lancedb).
  *
- * Three retrieval strategies:
- *   1. Embedding search (if an LLM API is available for embeddings)
- *   2. TF-IDF keyword search (always works, no API needed)
- *   3. Recency (newest first)
+ * Two retrieval strategies:
+ *   1. Embedding search — a remote API (OpenAI, OpenRouter, Groq), a local
+ *      Ollama, or a transformers.js model loaded from disk in-process
+ *   2. BM25 keyword search (always works, no API needed)
+ * with recency as the fallback for queries with no usable words.
  *
- * Storage: JSON file in ~/.quantumclaw/vectors.json
- * No native dependencies. No Python. No compilation.
+ * Every embedding is stored with the model that made it. When the model
+ * changes (new provider, different size), documents are re-embedded in
+ * the background; until then they're still found by keyword.
+ *
+ * Storage: the shared qclaw.db —
+ *   vector_docs   text, agent/channel/type for filtering, embedding as a float32 BLOB
+ *   vector_terms  inverted index (term → document, term frequency), updated per document
+ *   vector_cells  IVF centroids per embedding size (see ivf.js)
+ * Embedding search only compares documents in the cells nearest the query,
+ * once there are enough embeddings to cluster; below that it scans them all.
+ * Nothing is dropped unless memory.vector.maxDocuments says so.
+ *
+ * Without SQLite (Termux) documents live in ~/.quantumclaw/vectors.json,
+ * newest 5000 kept, embeddings held in memory only. A vectors.json left
+ * from before is imported into SQLite once and renamed .migrated.
  */
 
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, renameSync } from 'fs';
 import { join } from 'path';
 import { log } from '../core/logger.js';
+import { normalize, dot, toBlob, fromBlob, nearest, kmeans } from './ivf.js';
+
+const JSON_CAP = 5000;        // documents kept in vectors.json
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MIN_CLUSTER = 1000;     // embeddings of one size before the IVF index kicks in
+const RETRAIN_GROWTH = 4;     // re-cluster once the collection is this many times bigger
+
+const FILTERS = ['agent', 'channel', 'type'];
+
+const REMOTE_PROVIDERS = [
+  { name: 'openai', keyName: 'openai_api_key', url: 'https://api.openai.com/v1/embeddings', model: 'text-embedding-3-small' },
+  { name: 'anthropic-via-openrouter', keyName: 'openrouter_api_key', url: 'https://openrouter.ai/api/v1/embeddings', model: 'openai/text-embedding-3-small' },
+  { name: 'groq', keyName: 'groq_api_key', url: 'https://api.groq.com/openai/v1/embeddings', model: 'nomic-embed-text-v1.5' },
+];
+const OLLAMA_MODEL = 'nomic-embed-text';
+const LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
 
 export class VectorMemory {
   constructor(config, secrets) {
     this.config = config;
     this.secrets = secrets;
     this.storePath = join(config._dir, 'vectors.json');
-    this.documents = [];  // { id, text, embedding, metadata, timestamp }
-    this.idfCache = null;
+    this.db = null;
+    this.documents = [];  // JSON mode: { id, text, embedding, metadata, timestamp, _tokens }
+    this._postings = new Map(); // JSON mode: term → Map(docId → tf)
+    this._bm25 = { docs: 0, totalLength: 0 };
+    this._cells = new Map(); // embedding size → { centroids, trainedOn }
+    this._training = null;
     this._dirty = false;
     this._saveTimer = null;
     this._embeddingProvider = null;
+    this._reembedding = null;
+    this._stopped = false;
+  }
+
+  /** Keep documents in the shared database (null → vectors.json) */
+  attach(db) {
+    this.db = db || null;
+    if (this.db) {
+      // Databases from before model tracking
+      try { this.db.exec('ALTER TABLE vector_docs ADD COLUMN model TEXT'); } catch { /* already there */ }
+    }
+  }
+
+  /** "provider:model" of the embeddings being made now, or null */
+  get embeddingModel() {
+    const p = this._embeddingProvider;
+    return p ? `${p.name}:${p.model}` : null;
   }
 
   async init() {
-    // Load existing store
-    if (existsSync(this.storePath)) {
-      try {
-        this.documents = JSON.parse(readFileSync(this.storePath, 'utf-8'));
-        log.debug(`VectorMemory: loaded ${this.documents.length} documents`);
-      } catch {
-        this.documents = [];
+    // Provider first: embeddings imported from vectors.json are recorded under its model
+    this._embeddingProvider = await this._detectEmbeddingProvider();
+
+    if (this.db) {
+      this._migrateJson();
+      const row = this.db.prepare('SELECT COUNT(*) as n, COALESCE(SUM(length), 0) as total FROM vector_docs').get();
+      this._bm25 = { docs: row.n, totalLength: row.total };
+      this._loadCells();
+      log.debug(`VectorMemory: ${row.n} documents in qclaw.db`);
+    } else {
+      // Load existing store
+      if (existsSync(this.storePath)) {
+        try {
+          this.documents = JSON.parse(readFileSync(this.storePath, 'utf-8'));
+          log.debug(`VectorMemory: loaded ${this.documents.length} documents`);
+        } catch {
+          this.documents = [];
+        }
       }
+      for (const doc of this.documents) {
+        doc._tokens = doc._tokens || this._tokenize(doc.text);
+        this._index(doc, doc._tokens);
+        // Saved before model tracking: taken to be the current model's, as in _migrateJson
+        if (doc.embedding?.length) {
+          doc.embedding = normalize(doc.embedding);
+          doc.embeddingModel ||= this.embeddingModel;
+        }
+      }
+
+      // Auto-save every 30s if dirty
+      this._saveTimer = setInterval(() => this._flush(), 30000);
+      this._saveTimer.unref();
     }
 
-    // Detect embedding provider
-    this._embeddingProvider = await this._detectEmbeddingProvider();
     if (this._embeddingProvider) {
-      log.debug(`VectorMemory: using ${this._embeddingProvider.name} for embeddings`);
+      log.debug(`VectorMemory: using ${this.embeddingModel} for embeddings`);
+      this._startReembed();
     } else {
-      log.debug('VectorMemory: no embedding API — using TF-IDF keyword search');
+      log.debug('VectorMemory: no embedding provider — using BM25 keyword search');
     }
 
-    // Auto-save every 30s if dirty
-    this._saveTimer = setInterval(() => this._flush(), 30000);
-    this._saveTimer.unref();
-
-    return { documents: this.documents.length, provider: this._embeddingProvider?.name || 'tfidf' };
+    return { documents: this.count(), provider: this._embeddingProvider?.name || 'bm25', model: this.embeddingModel };
   }
 
   /**
-   * Add a document to memory
+   * Add a document to memory. metadata.agent, .channel and .type (or .role)
+   * are what search() can filter on.
    */
   async add(text, metadata = {}) {
     const id = `doc_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
@@ -70,110 +142,261 @@ export class VectorMemory {
 
     // Generate embedding if provider available
     if (this._embeddingProvider) {
-      try {
-        doc.embedding = await this._embed(text);
-      } catch (err) {
-        log.debug(`VectorMemory: embedding failed: ${err.message}`);
+      const embedding = await this.embed(doc.text);
+      if (embedding) {
+        doc.embedding = normalize(embedding);
+        doc.embeddingModel = this.embeddingModel;
       }
     }
 
-    // Generate TF-IDF tokens (always, as fallback)
-    doc._tokens = this._tokenize(text);
+    const tokens = this._tokenize(doc.text);
 
+    if (this.db) {
+      this._transaction(() => this._insert(doc, tokens));
+      this._prune();
+      if (doc.embedding) this._maybeCluster(doc.embedding.length);
+      return id;
+    }
+
+    doc._tokens = tokens;
     this.documents.push(doc);
+    this._index(doc, tokens);
     this._dirty = true;
-    this.idfCache = null; // invalidate
 
     // Prune if over limit (keep most recent 5000)
-    if (this.documents.length > 5000) {
-      this.documents = this.documents.slice(-5000);
+    if (this.documents.length > JSON_CAP) {
+      for (const old of this.documents.splice(0, this.documents.length - JSON_CAP)) this._unindex(old);
+      if (!this._warnedCap) {
+        this._warnedCap = true;
+        log.info(`VectorMemory: vectors.json keeps the newest ${JSON_CAP} documents — older ones are being dropped (SQLite keeps everything)`);
+      }
     }
 
     return id;
   }
 
+  /** Delete a document */
+  remove(id) {
+    if (this.db) {
+      const doc = this.db.prepare('SELECT length FROM vector_docs WHERE id = ?').get(id);
+      if (!doc) return false;
+      this._transaction(() => {
+        this.db.prepare('DELETE FROM vector_terms WHERE doc_id = ?').run(id);
+        this.db.prepare('DELETE FROM vector_docs WHERE id = ?').run(id);
+      });
+      this._bm25.docs--;
+      this._bm25.totalLength -= doc.length;
+      return true;
+    }
+    const idx = this.documents.findIndex(d => d.id === id);
+    if (idx === -1) return false;
+    this._unindex(this.documents[idx]);
+    this.documents.splice(idx, 1);
+    this._dirty = true;
+    return true;
+  }
+
   /**
-   * Search for similar documents
+   * Search for similar documents.
+   * filters: { agent, channel, type } — each a value or an array of values.
    */
-  async search(query, limit = 5) {
-    if (this.documents.length === 0) return [];
-
-    let results;
+  async search(query, limit = 5, filters = {}) {
+    if (this.count() === 0) return [];
 
     // Try embedding search first
     if (this._embeddingProvider) {
-      try {
-        const queryEmb = await this._embed(query);
-        results = this._cosineSimilaritySearch(queryEmb, limit);
+      const queryEmb = await this.embed(query);
+      if (queryEmb) {
+        const results = this._vectorSearch(normalize(queryEmb), limit, filters);
         if (results.length > 0) return results;
-      } catch {
-        // Fall through to TF-IDF
       }
     }
 
-    // TF-IDF keyword search
-    results = this._tfidfSearch(query, limit);
-    return results;
+    // Fall back to keyword search
+    return this._keywordSearch(query, limit, filters);
   }
 
   /**
    * Get recent documents (for conversation context)
    */
-  recent(limit = 10) {
+  recent(limit = 10, filters = {}) {
+    if (this.db) {
+      const where = this._where(filters);
+      return this.db.prepare(
+        `SELECT id, text, metadata, created FROM vector_docs WHERE 1 = 1${where.sql} ORDER BY created DESC LIMIT ?`
+      ).all(...where.params, limit).map(r => this._result(r));
+    }
     return this.documents
+      .filter(d => this._matches(d, filters))
       .slice(-limit)
       .reverse()
       .map(d => ({ id: d.id, text: d.text, metadata: d.metadata, timestamp: d.timestamp }));
   }
 
+  count() {
+    return this.db ? this._bm25.docs : this.documents.length;
+  }
+
   /**
    * Get stats
    */
   stats() {
-    const hasEmbeddings = this.documents.filter(d => d.embedding).length;
+    const hasEmbeddings = this.db
+      ? this.db.prepare('SELECT COUNT(*) as n FROM vector_docs WHERE embedding IS NOT NULL').get().n
+      : this.documents.filter(d => d.embedding).length;
     return {
-      total: this.documents.length,
+      total: this.count(),
       withEmbeddings: hasEmbeddings,
-      provider: this._embeddingProvider?.name || 'tfidf',
-      storePath: this.storePath,
+      provider: this._embeddingProvider?.name || 'bm25',
+      model: this.embeddingModel,
+      stale: this._embeddingProvider ? this._staleCount() : 0,
+      store: this.db ? 'sqlite' : 'json',
+      storePath: this.db ? null : this.storePath,
+      cells: Object.fromEntries([...this._cells].map(([dims, c]) => [dims, c.centroids.length])),
     };
   }
 
   async disconnect() {
+    this._stopped = true;
+    await this._reembedding;
     this._flush();
     if (this._saveTimer) clearInterval(this._saveTimer);
   }
 
   // ─── Embedding Providers ───────────────────────────────────
 
+  /**
+   * Pick the embedding backend from memory.vector.embeddings:
+   *   provider "auto" (default) — a remote API key, else a running Ollama
+   *     with the model pulled, else a transformers.js model already on disk
+   *   "openai" | "openrouter" | "groq" | "ollama" | "local" — only that one
+   *   "none" — keyword search only
+   * Auto never downloads anything.
+   */
   async _detectEmbeddingProvider() {
-    // Check for available embedding APIs in order of preference
-    const providers = [
-      { name: 'openai', keyName: 'openai_api_key', url: 'https://api.openai.com/v1/embeddings', model: 'text-embedding-3-small' },
-      { name: 'anthropic-via-openrouter', keyName: 'openrouter_api_key', url: 'https://openrouter.ai/api/v1/embeddings', model: 'openai/text-embedding-3-small' },
-      { name: 'groq', keyName: 'groq_api_key', url: 'https://api.groq.com/openai/v1/embeddings', model: 'nomic-embed-text-v1.5' },
-    ];
-
-    for (const p of providers) {
+    const settings = this.config.memory?.vector?.embeddings || {};
+    const wanted = settings.provider || 'auto';
+    if (wanted === 'none') return null;
+
+    // Remote APIs, in order of preference
+    const remote = REMOTE_PROVIDERS.filter(p => wanted === 'auto' || p.name.includes(wanted));
+    for (const p of remote) {
       try {
-        const key = this.secrets?.get?.(p.keyName);
-        if (key) return { ...p, key };
+        const key = await this.secrets?.get?.(p.keyName);
+        if (key) return { ...p, kind: 'remote', key, model: (wanted !== 'auto' && settings.model) || p.model };
       } catch { /* no key */ }
     }
 
     // Check config for primary provider key
     const primary = this.config.models?.primary;
-    if (primary?.apiKey && primary.provider === 'openai') {
-      return { name: 'openai', key: primary.apiKey, url: 'https://api.openai.com/v1/embeddings', model: 'text-embedding-3-small' };
+    if ((wanted === 'auto' || wanted === 'openai') && primary?.apiKey && primary.provider === 'openai') {
+      return { name: 'openai', kind: 'remote', key: primary.apiKey, url: 'https://api.openai.com/v1/embeddings', model: (wanted !== 'auto' && settings.model) || 'text-embedding-3-small' };
+    }
+
+    if (wanted === 'auto' || wanted === 'ollama') {
+      const ollama = await this._detectOllama(settings, wanted === 'ollama');
+      if (ollama) return ollama;
+    }
+    if (wanted === 'auto' || wanted === 'local') {
+      const local = await this._detectLocal(settings, wanted === 'local');
+      if (local) return local;
     }
 
+    if (wanted !== 'auto') log.warn(`Embedding provider "${wanted}" isn't available — using keyword search`);
     return null;
   }
 
+  async _detectOllama(settings, explicit) {
+    const url = (settings.url || this.config.models?.ollamaUrl || 'http://localhost:11434').replace(/\/$/, '');
+    // The knowledge graph's Ollama model (from onboarding) is the next best guess
+    const graph = this.config.memory?.embedding;
+    const model = settings.model || (graph?.provider === 'ollama' && graph.model) || OLLAMA_MODEL;
+    try {
+      const res = await fetch(`${url}/api/tags`, { signal: AbortSignal.timeout(2000) });
+      if (!res.ok) return null;
+      const { models = [] } = await res.json();
+      const pulled = models.some(m => m.name === model || m.name === `${model}:latest` || m.model === model);
+      if (!pulled) {
+        if (explicit || models.length) log.info(`Ollama is running but "${model}" isn't pulled — run: ollama pull ${model}`);
+        return null;
+      }
+      return { name: 'ollama', kind: 'ollama', url, model };
+    } catch {
+      if (explicit) log.warn(`Ollama isn't reachable at ${url}`);
+      return null;
+    }
+  }
+
+  /** transformers.js (optional: npm install @huggingface/transformers) with a model from disk */
+  async _detectLocal(settings, explicit) {
+    const model = settings.localModel || LOCAL_MODEL;
+    const path = settings.localPath || join(this.config._dir, 'models');
+    if (!explicit && !existsSync(join(path, model))) return null;
+
+    let lib = null;
+    for (const name of ['@huggingface/transformers', '@xenova/transformers']) {
+      try { lib = await import(name); break; } catch { /* not installed */ }
+    }
+    if (!lib) {
+      if (explicit) log.warn('Local embeddings need transformers.js — npm install @huggingface/transformers');
+      return null;
+    }
+    try {
+      lib.env.localModelPath = path;
+      lib.env.allowRemoteModels = settings.allowDownload === true;
+      const extractor = await lib.pipeline('feature-extraction', model);
+      return { name: 'local', kind: 'local', model, extractor };
+    } catch (err) {
+      log.warn(`Local embedding model "${model}" didn't load from ${path}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Embed text with the detected provider. Returns null when there's no
+   * provider or the call fails — callers fall back to keyword matching.
+   */
+  async embed(text) {
+    if (!this._embeddingProvider) return null;
+    try {
+      return await this._embed(text);
+    } catch (err) {
+      log.debug(`VectorMemory: embedding failed: ${err.message}`);
+      return null;
+    }
+  }
+
   async _embed(text) {
     const p = this._embeddingProvider;
     if (!p) throw new Error('No embedding provider');
 
+    if (p.kind === 'local') {
+      const output = await p.extractor(text.slice(0, 2000), { pooling: 'mean', normalize: true });
+      return Array.from(output.data);
+    }
+
+    if (p.kind === 'ollama') {
+      const res = await fetch(`${p.url}/api/embed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: p.model, input: text.slice(0, 8000) }),
+        signal: AbortSignal.timeout(30000),
+      });
+      if (res.status === 404) {
+        // Ollama before 0.2 only has the older endpoint
+        const old = await fetch(`${p.url}/api/embeddings`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ model: p.model, prompt: text.slice(0, 8000) }),
+          signal: AbortSignal.timeout(30000),
+        });
+        if (!old.ok) throw new Error(`Ollama embeddings ${old.status}`);
+        return (await old.json()).embedding || null;
+      }
+      if (!res.ok) throw new Error(`Ollama embed ${res.status}`);
+      return (await res.json()).embeddings?.[0] || null;
+    }
+
     const res = await fetch(p.url, {
       method: 'POST',
       headers: {
@@ -192,127 +415,408 @@ export class VectorMemory {
     return data.data?.[0]?.embedding || null;
   }
 
-  // ─── Cosine Similarity Search ──────────────────────────────
+  // ─── Re-embedding ──────────────────────────────────────────
 
-  _cosineSimilaritySearch(queryEmb, limit) {
-    if (!queryEmb) return [];
+  /**
+   * Stored documents without an embedding from the current model. vectors.json
+   * doesn't save new embeddings, so there it's only old ones from another model.
+   */
+  _staleCount() {
+    if (!this.db) return this._staleDocs().length;
+    return this.db.prepare('SELECT COUNT(*) as n FROM vector_docs WHERE embedding IS NULL OR model IS NOT ?').get(this.embeddingModel).n;
+  }
 
-    const scored = [];
-    for (const doc of this.documents) {
-      if (!doc.embedding) continue;
-      const sim = this._cosine(queryEmb, doc.embedding);
-      scored.push({ ...doc, score: sim });
+  /** JSON mode: documents holding another model's embedding */
+  _staleDocs() {
+    return this.documents.filter(d => d.embedding?.length && d.embeddingModel !== this.embeddingModel);
+  }
+
+  _startReembed() {
+    const stale = this._staleCount();
+    if (!stale) return;
+    if (!this.db) {
+      log.info(`VectorMemory: embedding model is now ${this.embeddingModel} — re-embedding ${stale} documents in the background`);
+      this._reembedding = this.reembed()
+        .catch(err => log.debug(`VectorMemory: re-embedding stopped: ${err.message}`))
+        .finally(() => { this._reembedding = null; });
+      return;
+    }
+    const replaced = this.db.prepare('SELECT COUNT(*) as n FROM vector_docs WHERE embedding IS NOT NULL AND model IS NOT ?').get(this.embeddingModel).n;
+    if (replaced) {
+      log.info(`VectorMemory: embedding model is now ${this.embeddingModel} — re-embedding ${stale} documents in the background`);
+      // Cells from the old model's space mean nothing to the new one
+      this.db.exec('DELETE FROM vector_cells; UPDATE vector_docs SET cell = NULL');
+      this._cells.clear();
+    } else {
+      log.debug(`VectorMemory: embedding ${stale} documents in the background`);
     }
+    this._reembedding = this.reembed()
+      .catch(err => log.debug(`VectorMemory: re-embedding stopped: ${err.message}`))
+      .finally(() => { this._reembedding = null; });
+  }
 
-    return scored
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit)
-      .map(d => ({
-        id: d.id,
-        text: d.text,
-        metadata: d.metadata,
-        score: d.score,
-        timestamp: d.timestamp,
-      }));
+  /**
+   * Embed every stored document the current model hasn't, oldest first.
+   * Stops after five failures in a row (provider down) — the next start
+   * picks up where this one left off.
+   * @returns {Promise<number>} documents embedded
+   */
+  async reembed({ batch = 50 } = {}) {
+    const model = this.embeddingModel;
+    if (!model) return 0;
+    if (!this.db) return this._reembedJson(model);
+    const page = this.db.prepare('SELECT rowid as rid, id, text FROM vector_docs WHERE (embedding IS NULL OR model IS NOT ?) AND rowid > ? ORDER BY rowid LIMIT ?');
+    const update = this.db.prepare('UPDATE vector_docs SET embedding = ?, dims = ?, model = ?, cell = ? WHERE id = ?');
+    let done = 0;
+    let failures = 0;
+    let last = 0;
+
+    while (!this._stopped && failures < 5) {
+      const rows = page.all(model, last, batch);
+      if (!rows.length) break;
+      for (const row of rows) {
+        if (this._stopped || failures >= 5) break;
+        last = row.rid;
+        const raw = await this.embed(row.text);
+        if (!raw) { failures++; continue; }
+        failures = 0;
+        const embedding = normalize(raw);
+        update.run(toBlob(embedding), embedding.length, model, this._cellFor(embedding), row.id);
+        done++;
+        if (done % 500 === 0) log.debug(`VectorMemory: re-embedded ${done} documents`);
+      }
+    }
+
+    if (failures >= 5) log.warn(`VectorMemory: embedding provider keeps failing — ${done} documents done, the rest wait for the next start`);
+    else if (done) log.info(`VectorMemory: ${done} documents embedded with ${model}`);
+
+    if (done) {
+      this.db.exec('DELETE FROM vector_cells WHERE dims NOT IN (SELECT DISTINCT dims FROM vector_docs WHERE dims IS NOT NULL)');
+      this._loadCells();
+      const dims = this.db.prepare('SELECT dims FROM vector_docs WHERE model = ? LIMIT 1').get(model)?.dims;
+      if (dims) this._maybeCluster(dims);
+    }
+    return done;
   }
 
-  _cosine(a, b) {
-    if (a.length !== b.length) return 0;
-    let dot = 0, normA = 0, normB = 0;
-    for (let i = 0; i < a.length; i++) {
-      dot += a[i] * b[i];
-      normA += a[i] * a[i];
-      normB += b[i] * b[i];
+  /** reembed() for vectors.json — the same five-failures rule, nothing to re-cluster */
+  async _reembedJson(model) {
+    let done = 0;
+    let failures = 0;
+    for (const doc of this._staleDocs()) {
+      if (this._stopped || failures >= 5) break;
+      const raw = await this.embed(doc.text);
+      if (!raw) { failures++; continue; }
+      failures = 0;
+      doc.embedding = normalize(raw);
+      doc.embeddingModel = model;
+      done++;
     }
-    const denom = Math.sqrt(normA) * Math.sqrt(normB);
-    return denom === 0 ? 0 : dot / denom;
+    if (failures >= 5) log.warn(`VectorMemory: embedding provider keeps failing — ${done} documents done, the rest wait for the next start`);
+    else if (done) log.info(`VectorMemory: ${done} documents embedded with ${model}`);
+    return done;
   }
 
-  // ─── TF-IDF Keyword Search ────────────────────────────────
+  // ─── Storage ───────────────────────────────────────────────
 
-  _tfidfSearch(query, limit) {
-    const queryTokens = this._tokenize(query);
-    if (queryTokens.length === 0) {
-      // No meaningful tokens — return recent
-      return this.recent(limit);
+  _transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      try { this.db.exec('ROLLBACK'); } catch { /* nothing open */ }
+      throw err;
     }
+  }
+
+  _insert(doc, tokens) {
+    const meta = doc.metadata || {};
+    const embedding = doc.embedding;
+    const result = this.db.prepare(
+      `INSERT OR IGNORE INTO vector_docs (id, text, agent, channel, type, metadata, embedding, dims, model, cell, length, created)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(doc.id, doc.text, meta.agent || null, meta.channel || null, meta.type || meta.role || null,
+          JSON.stringify(meta), embedding ? toBlob(embedding) : null, embedding ? embedding.length : null,
+          embedding ? doc.embeddingModel || this.embeddingModel : null,
+          embedding ? this._cellFor(embedding) : null, tokens.length, doc.timestamp);
+    if (result.changes === 0) return false;
+
+    const post = this.db.prepare('INSERT INTO vector_terms (term, doc_id, tf) VALUES (?, ?, ?)');
+    for (const [term, tf] of termCounts(tokens)) post.run(term, doc.id, tf);
+    this._bm25.docs++;
+    this._bm25.totalLength += tokens.length;
+    return true;
+  }
 
-    // Build IDF cache if needed
-    if (!this.idfCache) {
-      this.idfCache = this._buildIDF();
+  /** Drop the oldest documents past memory.vector.maxDocuments (0 = keep everything) */
+  _prune() {
+    const max = this.config.memory?.vector?.maxDocuments || 0;
+    if (!max || this._bm25.docs <= max) return;
+    const old = this.db.prepare('SELECT id, length FROM vector_docs ORDER BY created ASC LIMIT ?').all(this._bm25.docs - max);
+    this._transaction(() => {
+      for (const doc of old) {
+        this.db.prepare('DELETE FROM vector_terms WHERE doc_id = ?').run(doc.id);
+        this.db.prepare('DELETE FROM vector_docs WHERE id = ?').run(doc.id);
+        this._bm25.docs--;
+        this._bm25.totalLength -= doc.length;
+      }
+    });
+    log.info(`VectorMemory: removed ${old.length} oldest documents (memory.vector.maxDocuments = ${max})`);
+  }
+
+  /**
+   * One-shot import of a vectors.json from before SQLite storage. Saved
+   * embeddings come across as BLOBs; ones saved before model tracking are
+   * taken to be the current model's, and re-embedded if that's wrong.
+   */
+  _migrateJson() {
+    if (!existsSync(this.storePath)) return;
+    try {
+      const docs = JSON.parse(readFileSync(this.storePath, 'utf-8'));
+      let imported = 0;
+      this._transaction(() => {
+        for (const d of Array.isArray(docs) ? docs : []) {
+          if (!d?.text) continue;
+          const doc = { id: d.id || `doc_${d.timestamp || Date.now()}_${imported}`, text: d.text, metadata: d.metadata || {}, timestamp: d.timestamp || Date.now() };
+          if (Array.isArray(d.embedding) && d.embedding.length) {
+            doc.embedding = normalize(d.embedding);
+            doc.embeddingModel = d.embeddingModel || this.embeddingModel;
+          }
+          if (this._insert(doc, d._tokens || this._tokenize(d.text))) imported++;
+        }
+      });
+      renameSync(this.storePath, `${this.storePath}.migrated`);
+      log.info(`VectorMemory: imported ${imported} documents from vectors.json into qclaw.db`);
+    } catch (err) {
+      log.warn(`VectorMemory: couldn't import vectors.json: ${err.message}`);
     }
+  }
 
-    const scored = [];
-    for (const doc of this.documents) {
-      const tokens = doc._tokens || this._tokenize(doc.text);
-      const score = this._tfidfScore(queryTokens, tokens, this.idfCache);
+  /** SQL conditions for { agent, channel, type } */
+  _where(filters = {}, alias = '') {
+    const parts = [];
+    const params = [];
+    for (const key of FILTERS) {
+      const value = filters[key];
+      if (value === undefined || value === null) continue;
+      const values = Array.isArray(value) ? value : [value];
+      parts.push(` AND ${alias}${key} IN (${values.map(() => '?').join(',')})`);
+      params.push(...values);
+    }
+    return { sql: parts.join(''), params };
+  }
 
-      // Boost recent documents slightly
-      const ageHours = (Date.now() - doc.timestamp) / 3600000;
-      const recencyBoost = Math.max(0, 1 - ageHours / 720); // decay over 30 days
+  /** JSON-mode equivalent of _where */
+  _matches(doc, filters = {}) {
+    const meta = doc.metadata || {};
+    const fields = { agent: meta.agent, channel: meta.channel, type: meta.type || meta.role };
+    return FILTERS.every(key => {
+      const value = filters[key];
+      if (value === undefined || value === null) return true;
+      return (Array.isArray(value) ? value : [value]).includes(fields[key]);
+    });
+  }
 
-      scored.push({
-        id: doc.id,
-        text: doc.text,
-        metadata: doc.metadata,
-        score: score + recencyBoost * 0.1,
-        timestamp: doc.timestamp,
-      });
+  _result(row, score) {
+    let metadata = {};
+    try { metadata = JSON.parse(row.metadata || '{}'); } catch { /* keep empty */ }
+    const out = { id: row.id, text: row.text, metadata, timestamp: row.created };
+    if (score !== undefined) out.score = score;
+    return out;
+  }
+
+  // ─── Embedding Search (IVF) ────────────────────────────────
+
+  _vectorSearch(query, limit, filters) {
+    if (!this.db) {
+      return this.documents
+        .filter(d => d.embedding?.length === query.length && d.embeddingModel === this.embeddingModel && this._matches(d, filters))
+        .map(d => ({ id: d.id, text: d.text, metadata: d.metadata, score: dot(query, d.embedding), timestamp: d.timestamp }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
     }
 
-    return scored
-      .filter(d => d.score > 0)
+    const cells = this._cells.get(query.length);
+    const probe = this.config.memory?.vector?.probe || 8;
+    let rows = this._candidates(query.length, cells ? nearest(cells.centroids, query, probe) : null, filters);
+    // Narrow filters can leave the probed cells short — then look everywhere
+    if (cells && rows.length < limit) rows = this._candidates(query.length, null, filters);
+
+    return rows
+      .map(r => ({ row: r, score: dot(query, fromBlob(r.embedding)) }))
       .sort((a, b) => b.score - a.score)
-      .slice(0, limit);
+      .slice(0, limit)
+      .map(({ row, score }) => this._result(row, score));
   }
 
-  _tokenize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, ' ')
-      .split(/\s+/)
-      .filter(t => t.length > 2 && !STOP_WORDS.has(t));
+  _candidates(dims, cellIds, filters) {
+    const where = this._where(filters);
+    let sql = `SELECT id, text, metadata, created, embedding FROM vector_docs WHERE dims = ? AND model IS ?${where.sql}`;
+    const params = [dims, this.embeddingModel, ...where.params];
+    if (cellIds) {
+      sql += ` AND cell IN (${cellIds.map(() => '?').join(',')})`;
+      params.push(...cellIds);
+    }
+    return this.db.prepare(sql).all(...params);
+  }
+
+  _loadCells() {
+    this._cells.clear();
+    for (const row of this.db.prepare('SELECT dims, cell, centroid, trained_on FROM vector_cells ORDER BY dims, cell').all()) {
+      if (!this._cells.has(row.dims)) this._cells.set(row.dims, { centroids: [], trainedOn: row.trained_on });
+      this._cells.get(row.dims).centroids[row.cell] = fromBlob(row.centroid);
+    }
   }
 
-  _buildIDF() {
-    const docCount = this.documents.length;
-    const df = new Map(); // document frequency
+  _cellFor(embedding) {
+    const cells = this._cells.get(embedding.length);
+    return cells ? nearest(cells.centroids, embedding)[0] : null;
+  }
+
+  /** Cluster (or re-cluster) an embedding size once it's grown enough — in the background */
+  _maybeCluster(dims) {
+    if (this._training) return;
+    const cells = this._cells.get(dims);
+    const count = this.db.prepare('SELECT COUNT(*) as n FROM vector_docs WHERE dims = ?').get(dims).n;
+    if (count < MIN_CLUSTER || (cells && count < cells.trainedOn * RETRAIN_GROWTH)) return;
+    this._training = new Promise(resolve => setImmediate(() => {
+      try { this.cluster(dims); } catch (err) { log.debug(`VectorMemory: clustering failed: ${err.message}`); }
+      this._training = null;
+      resolve();
+    }));
+  }
 
-    for (const doc of this.documents) {
-      const tokens = doc._tokens || this._tokenize(doc.text);
-      const unique = new Set(tokens);
-      for (const token of unique) {
-        df.set(token, (df.get(token) || 0) + 1);
+  /**
+   * Build the IVF index for one embedding size: k-means on a sample, then
+   * every document of that size is filed under its nearest centroid.
+   */
+  cluster(dims) {
+    const count = this.db.prepare('SELECT COUNT(*) as n FROM vector_docs WHERE dims = ?').get(dims).n;
+    if (!count) return 0;
+    const k = Math.max(1, Math.min(256, Math.round(Math.sqrt(count))));
+    // Trained on the current model only — leftovers from an old one are mid re-embed
+    const sample = this.db.prepare('SELECT embedding FROM vector_docs WHERE dims = ? AND model IS ? ORDER BY RANDOM() LIMIT ?')
+      .all(dims, this.embeddingModel, Math.min(count, k * 40)).map(r => fromBlob(r.embedding));
+    const centroids = kmeans(sample, k);
+
+    this._transaction(() => {
+      this.db.prepare('DELETE FROM vector_cells WHERE dims = ?').run(dims);
+      const save = this.db.prepare('INSERT INTO vector_cells (dims, cell, centroid, trained_on) VALUES (?, ?, ?, ?)');
+      centroids.forEach((c, i) => save.run(dims, i, toBlob(c), count));
+
+      // Reassign in pages — never the whole collection in memory at once
+      const page = this.db.prepare('SELECT rowid as rid, embedding FROM vector_docs WHERE dims = ? AND rowid > ? ORDER BY rowid LIMIT 500');
+      const assign = this.db.prepare('UPDATE vector_docs SET cell = ? WHERE rowid = ?');
+      let last = 0;
+      for (let rows = page.all(dims, last); rows.length; rows = page.all(dims, last)) {
+        for (const row of rows) assign.run(nearest(centroids, fromBlob(row.embedding))[0], row.rid);
+        last = rows[rows.length - 1].rid;
       }
+    });
+    this._cells.set(dims, { centroids, trainedOn: count });
+    log.debug(`VectorMemory: indexed ${count} ${dims}-d embeddings into ${centroids.length} cells`);
+    return centroids.length;
+  }
+
+  // ─── BM25 Keyword Search ──────────────────────────────────
+
+  _keywordSearch(query, limit, filters) {
+    const terms = [...new Set(this._tokenize(query))];
+    if (terms.length === 0) {
+      // No meaningful tokens — return recent
+      return this.recent(limit, filters);
     }
 
-    const idf = new Map();
-    for (const [token, freq] of df) {
-      idf.set(token, Math.log((docCount + 1) / (freq + 1)) + 1);
+    const { docs, totalLength } = this._bm25;
+    const avgLength = docs ? totalLength / docs : 1;
+    const scores = new Map();
+    const score = (id, tf, length, idf) => {
+      const s = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+      scores.set(id, (scores.get(id) || 0) + s);
+    };
+
+    if (this.db) {
+      const where = this._where(filters, 'd.');
+      const df = this.db.prepare('SELECT COUNT(*) as n FROM vector_terms WHERE term = ?');
+      const postings = this.db.prepare(
+        `SELECT t.doc_id as id, t.tf, d.length FROM vector_terms t JOIN vector_docs d ON d.id = t.doc_id WHERE t.term = ?${where.sql}`
+      );
+      for (const term of terms) {
+        const n = df.get(term).n;
+        if (!n) continue;
+        const idf = Math.log(1 + (docs - n + 0.5) / (n + 0.5));
+        for (const p of postings.all(term, ...where.params)) score(p.id, p.tf, p.length, idf);
+      }
+    } else {
+      const byId = new Map(this.documents.map(d => [d.id, d]));
+      for (const term of terms) {
+        const list = this._postings.get(term);
+        if (!list) continue;
+        const idf = Math.log(1 + (docs - list.size + 0.5) / (list.size + 0.5));
+        for (const [id, tf] of list) {
+          const doc = byId.get(id);
+          if (doc && this._matches(doc, filters)) score(id, tf, doc._tokens.length, idf);
+        }
+      }
     }
-    return idf;
+
+    // Best few by relevance, then a slight boost for recent documents
+    const top = [...scores].sort((a, b) => b[1] - a[1]).slice(0, limit * 3);
+    const found = this.db
+      ? this._fetch(top.map(([id]) => id))
+      : top.map(([id]) => this.documents.find(d => d.id === id)).map(d => ({ id: d.id, text: d.text, metadata: d.metadata, timestamp: d.timestamp }));
+    const relevance = new Map(top);
+    return found
+      .map(d => {
+        const ageHours = (Date.now() - d.timestamp) / 3600000;
+        const recencyBoost = Math.max(0, 1 - ageHours / 720); // decay over 30 days
+        return { ...d, score: relevance.get(d.id) * (1 + recencyBoost * 0.1) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  _fetch(ids) {
+    if (!ids.length) return [];
+    return this.db.prepare(`SELECT id, text, metadata, created FROM vector_docs WHERE id IN (${ids.map(() => '?').join(',')})`)
+      .all(...ids).map(r => this._result(r));
   }
 
-  _tfidfScore(queryTokens, docTokens, idf) {
-    // Term frequency in document
-    const tf = new Map();
-    for (const t of docTokens) {
-      tf.set(t, (tf.get(t) || 0) + 1);
+  /** JSON mode: add a document's terms to the in-memory inverted index */
+  _index(doc, tokens) {
+    for (const [term, tf] of termCounts(tokens)) {
+      if (!this._postings.has(term)) this._postings.set(term, new Map());
+      this._postings.get(term).set(doc.id, tf);
     }
+    this._bm25.docs++;
+    this._bm25.totalLength += tokens.length;
+  }
 
-    let score = 0;
-    for (const qt of queryTokens) {
-      const termFreq = (tf.get(qt) || 0) / (docTokens.length || 1);
-      const inverseDocFreq = idf.get(qt) || 0;
-      score += termFreq * inverseDocFreq;
+  _unindex(doc) {
+    const tokens = doc._tokens || this._tokenize(doc.text);
+    for (const term of new Set(tokens)) {
+      const list = this._postings.get(term);
+      list?.delete(doc.id);
+      if (list && !list.size) this._postings.delete(term);
     }
-    return score;
+    this._bm25.docs--;
+    this._bm25.totalLength -= tokens.length;
+  }
+
+  _tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(t => t.length > 2 && !STOP_WORDS.has(t));
   }
 
   // ─── Persistence ───────────────────────────────────────────
 
   _flush() {
-    if (!this._dirty) return;
+    if (!this._dirty || this.db) return;
     try {
       const dir = this.config._dir;
       if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
@@ -335,6 +839,12 @@ export class VectorMemory {
   }
 }
 
+function termCounts(tokens) {
+  const tf = new Map();
+  for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+}
+
 // Common English stop words
 const STOP_WORDS = new Set([
   'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i',
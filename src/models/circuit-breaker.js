@@ -0,0 +1,66 @@
+/**
+ * QuantumClaw — Provider circuit breaker
+ *
+ * One breaker per provider/model. After `failureThreshold` consecutive
+ * failures the breaker opens and the router skips that provider for
+ * `cooldownMs`. After the cooldown one trial call is let through
+ * (half-open): success closes the breaker, failure re-opens it.
+ */
+
+export class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  /** Whether a call may be attempted right now */
+  allow() {
+    return this.state !== 'open';
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  failure(err) {
+    this.failures++;
+    this.lastError = err?.message || String(err);
+    // A failed half-open trial re-opens immediately
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+
+  toJSON() {
+    return { state: this.state, failures: this.failures, lastError: this.lastError };
+  }
+}
+
+/**
+ * Transient provider errors worth retrying: rate limits, server errors,
+ * overloads and network failures. Errors from the call paths carry `status`.
+ */
+export function isRetryable(err) {
+  if (err?.status) return err.status === 408 || err.status === 429 || err.status >= 500;
+  if (['AbortError', 'TimeoutError'].includes(err?.name)) return true;
+  return /fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(err?.message || '');
+}
+
+/**
+ * Errors that say something about the provider rather than the request.
+ * A 400 for an oversized prompt shouldn't trip the breaker; a 401 or 503 should.
+ */
+export function countsAsProviderFailure(err) {
+  if (!err?.status) return true;
+  return err.status === 401 || err.status === 403 || isRetryable(err);
+}
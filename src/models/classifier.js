@@ -0,0 +1,278 @@
+/**
+ * QuantumClaw — Message Classifiers
+ *
+ * Decide which model tier a message needs. The router asks, in order:
+ *   1. Reflex intents — exact phrases with canned replies (built-in + config)
+ *   2. Learned classifier — TF-IDF nearest neighbours over past routes and
+ *      owner corrections, used when it is confident enough
+ *   3. Keyword heuristics — the original pattern rules, always available
+ *
+ * Any object with classify(text, { fastAvailable }) → { tier, confidence } | null
+ * can be plugged in via router.setClassifier().
+ */
+
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { log } from '../core/logger.js';
+
+export const DEFAULT_REFLEX_INTENTS = {
+  'hello': 'Hey! What can I do for you?',
+  'hi': 'Hi! What do you need?',
+  'hey': 'Hey! What\'s up?',
+  'thanks': 'No problem.',
+  'thank you': 'You\'re welcome.',
+  'cheers': 'No worries.',
+  'ta': 'Anytime.',
+  'ok': 'Got it.',
+  'bye': 'Catch you later.',
+  'yes': 'Noted.',
+  'no': 'Understood.',
+};
+
+// Tiers a classifier may pick. Reflex is reserved for intents (it needs a canned reply).
+export const LLM_TIERS = ['simple', 'standard', 'complex'];
+
+/** Lowercase, trim and drop trailing punctuation so "Thanks!" matches "thanks" */
+export function normaliseIntent(text) {
+  return String(text || '').trim().toLowerCase().replace(/[\s.!?,;:]+$/g, '');
+}
+
+/**
+ * The original keyword rules. Low confidence by design — they're the floor.
+ */
+export class KeywordClassifier {
+  classify(text, { fastAvailable = true } = {}) {
+    const msg = String(text || '').trim().toLowerCase();
+    // Without a fast model, short messages still get checked for complexity
+    if (fastAvailable && this._isSimple(msg)) return { tier: 'simple', confidence: 0.5 };
+    if (this._isComplex(msg)) return { tier: 'complex', confidence: 0.5 };
+    return { tier: 'standard', confidence: 0.4 };
+  }
+
+  _isSimple(msg) {
+    const simplePatterns = [
+      /^what time/i, /^when is/i, /^remind me/i, /^send (a )?message/i,
+      /^check my/i, /^show me/i, /^how many/i, /^list/i,
+      /^next meeting/i, /^schedule/i, /^what's (on|next)/i
+    ];
+    return simplePatterns.some(p => p.test(msg)) || msg.split(' ').length <= 5;
+  }
+
+  _isComplex(msg) {
+    const complexPatterns = [
+      /analys/i, /strateg/i, /compare/i, /review/i, /plan/i,
+      /research/i, /deep dive/i, /evaluate/i, /assess/i,
+      /pipeline/i, /forecast/i, /recommend/i, /optimis/i
+    ];
+    return complexPatterns.some(p => p.test(msg)) || msg.split(' ').length > 50;
+  }
+}
+
+/**
+ * TF-IDF k-nearest-neighbour classifier.
+ *
+ * Examples come from two places:
+ *   - audited routes (audit log 'completion' entries) — weight 1, rebuilt on train()
+ *   - owner corrections — weight 3, persisted in route_examples
+ *
+ * Confidence is the similarity-weighted vote share of the winning tier,
+ * scaled by how similar the closest neighbour actually is.
+ */
+export class NearestNeighbourClassifier {
+  constructor(config, options = {}) {
+    const dir = config._dir;
+    if (dir && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+    this.k = options.k || 7;
+    this.minExamples = options.minExamples || 20; // weighted — ~7 corrections alone will do
+    this.correctionWeight = options.correctionWeight || 3;
+    this._jsonPath = dir ? join(dir, 'route-examples.json') : null;
+    this.db = null;
+    this._useJson = true;
+    this._corrections = [];
+    this._audited = [];
+    this._index = null; // { docs, idf, weight } — rebuilt lazily
+  }
+
+  attach(db) {
+    if (db) {
+      this.db = db;
+      this._useJson = false;
+      this._corrections = this.db.prepare(
+        'SELECT text, tier, source FROM route_examples ORDER BY id DESC LIMIT 5000'
+      ).all();
+    } else {
+      this._corrections = this._loadJson();
+    }
+    this._index = null;
+  }
+
+  _loadJson() {
+    if (!this._jsonPath) return [];
+    try { return JSON.parse(readFileSync(this._jsonPath, 'utf8')); }
+    catch { return []; }
+  }
+
+  _saveJson() {
+    if (!this._jsonPath) return;
+    writeFileSync(this._jsonPath, JSON.stringify(this._corrections.slice(0, 5000)));
+  }
+
+  /**
+   * Load audited routes as training examples. Reflex and blocked turns are
+   * skipped — only LLM tiers are learnable — and so are budget downgrades,
+   * whose tier says what the budget allowed, not what the message needed.
+   */
+  train(audit, limit = 2000) {
+    let entries = [];
+    try {
+      entries = audit?.recent?.(limit) || [];
+    } catch { /* audit unavailable — corrections only */ }
+
+    this._audited = entries
+      .filter(e => e.action === 'completion' && LLM_TIERS.includes(e.tier) && e.detail && !e.routed_tier)
+      .map(e => ({ text: e.detail, tier: e.tier, source: 'audit' }));
+    this._index = null;
+
+    log.debug(`Classifier: ${this._audited.length} audited routes, ${this._corrections.length} corrections`);
+    return this.stats();
+  }
+
+  /**
+   * Record an owner correction: "this message should have gone to <tier>".
+   */
+  correct(text, tier) {
+    if (!LLM_TIERS.includes(tier)) throw new Error(`Unknown tier "${tier}" — use one of: ${LLM_TIERS.join(', ')}`);
+    const example = { text: String(text).slice(0, 500), tier, source: 'correction' };
+
+    if (this._useJson) {
+      this._corrections.unshift(example);
+      this._saveJson();
+    } else {
+      this.db.prepare('INSERT INTO route_examples (text, tier, source) VALUES (?, ?, ?)')
+        .run(example.text, example.tier, example.source);
+      this._corrections.unshift(example);
+    }
+    this._index = null;
+    return example;
+  }
+
+  classify(text) {
+    const index = this._getIndex();
+    if (index.weight < this.minExamples) return null;
+
+    const neighbours = this._neighbours(index, this._vector(text, index.idf));
+    if (neighbours.length === 0 || neighbours[0].score === 0) return null;
+
+    const votes = {};
+    let total = 0;
+    for (const n of neighbours) {
+      const w = n.score * n.weight;
+      votes[n.tier] = (votes[n.tier] || 0) + w;
+      total += w;
+    }
+    const [tier, score] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+    const confidence = total > 0 ? (score / total) * Math.min(1, neighbours[0].score * 2) : 0;
+
+    return {
+      tier,
+      confidence: Math.round(confidence * 1000) / 1000,
+      neighbours: neighbours.slice(0, 3).map(n => ({ text: n.text.slice(0, 80), tier: n.tier, score: Math.round(n.score * 1000) / 1000 })),
+    };
+  }
+
+  /**
+   * Leave-one-out accuracy against owner corrections — how often the
+   * classifier would have picked the tier the owner wanted.
+   */
+  evaluate() {
+    const index = this._getIndex();
+    const corrections = index.docs.filter(d => d.source === 'correction');
+    if (corrections.length === 0) return { evaluated: 0, accuracy: null };
+
+    let correct = 0;
+    for (const held of corrections) {
+      const neighbours = this._neighbours(index, held.vec, held);
+      const votes = {};
+      for (const n of neighbours) votes[n.tier] = (votes[n.tier] || 0) + n.score * n.weight;
+      const best = Object.entries(votes).sort((a, b) => b[1] - a[1])[0]?.[0];
+      if (best === held.tier) correct++;
+    }
+    return { evaluated: corrections.length, accuracy: Math.round((correct / corrections.length) * 1000) / 1000 };
+  }
+
+  stats() {
+    const byTier = {};
+    for (const e of [...this._audited, ...this._corrections]) byTier[e.tier] = (byTier[e.tier] || 0) + 1;
+    return {
+      audited: this._audited.length,
+      corrections: this._corrections.length,
+      byTier,
+      ready: this._audited.length + this._corrections.length * this.correctionWeight >= this.minExamples,
+    };
+  }
+
+  // ─── TF-IDF internals ────────────────────────────────────
+
+  _tokenize(text) {
+    // Keep short and function words — "ok", "what", "why" carry routing signal.
+    const words = String(text || '').toLowerCase().match(/[a-z0-9£$%']+/g) || [];
+    const tokens = [...words];
+    for (let i = 0; i < words.length - 1; i++) tokens.push(`${words[i]} ${words[i + 1]}`);
+    // Length bucket as a pseudo-token: long messages lean complex
+    tokens.push(`__len${Math.min(5, Math.floor(words.length / 10))}`);
+    return tokens;
+  }
+
+  _getIndex() {
+    if (this._index) return this._index;
+
+    const examples = [
+      ...this._corrections.map(e => ({ ...e, weight: this.correctionWeight })),
+      ...this._audited.map(e => ({ ...e, weight: 1 })),
+    ];
+    const tokenised = examples.map(e => ({ ...e, tokens: this._tokenize(e.text) }));
+
+    const df = new Map();
+    for (const d of tokenised) {
+      for (const t of new Set(d.tokens)) df.set(t, (df.get(t) || 0) + 1);
+    }
+    const n = tokenised.length || 1;
+    const idf = new Map();
+    for (const [t, count] of df) idf.set(t, Math.log(1 + n / count));
+
+    const docs = tokenised.map(d => ({ text: d.text, tier: d.tier, source: d.source, weight: d.weight, vec: this._vector(d.text, idf, d.tokens) }));
+    // Corrections count extra towards the activation threshold
+    this._index = { docs, idf, weight: docs.reduce((sum, d) => sum + d.weight, 0) };
+    return this._index;
+  }
+
+  _vector(text, idf, tokens = this._tokenize(text)) {
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    const vec = new Map();
+    let norm = 0;
+    for (const [t, count] of tf) {
+      const w = count * (idf.get(t) || 0);
+      if (w > 0) { vec.set(t, w); norm += w * w; }
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [t, w] of vec) vec.set(t, w / norm);
+    return vec;
+  }
+
+  _neighbours(index, vec, exclude = null) {
+    const scored = [];
+    for (const d of index.docs) {
+      if (d === exclude) continue;
+      let dot = 0;
+      const [small, large] = vec.size < d.vec.size ? [vec, d.vec] : [d.vec, vec];
+      for (const [t, w] of small) {
+        const other = large.get(t);
+        if (other) dot += w * other;
+      }
+      if (dot > 0) scored.push({ ...d, score: dot });
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, this.k);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * QuantumClaw — Price catalogue and token estimation
+ *
+ * Prices ship in prices.json (versioned with the package). Owners can add
+ * or correct entries in config without waiting for a release:
+ *
+ *   "models": { "prices": { "my-finetune": { "input": 2, "output": 8 } } }
+ *
+ * Model ids are matched loosely so provider variants resolve to one entry:
+ *   anthropic/claude-sonnet-4.5  →  claude-sonnet-4-5
+ *   gpt-4o-2024-08-06            →  gpt-4o   (longest known prefix)
+ *
+ * Anything still unmatched is priced at a conservative default and
+ * reported as unknown, so under-reporting is visible rather than silent.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../core/logger.js';
+
+const CATALOGUE_FILE = join(dirname(fileURLToPath(import.meta.url)), 'prices.json');
+
+// Used when a model isn't in the catalogue — deliberately not zero
+const UNKNOWN_PRICE = { input: 1, output: 5, cachedInput: 1, cacheWrite: 1.25, image: 0.005 };
+
+// Prompt-cache writes cost more than plain input where a provider charges for them
+const CACHE_WRITE_MULTIPLIER = 1.25;
+
+/** Lowercase, and "4.5" → "4-5" so dotted and dashed spellings match */
+export function normaliseModelId(id) {
+  return String(id || '').toLowerCase().trim().replace(/(\d)\.(\d)/g, '$1-$2');
+}
+
+export class PriceCatalogue {
+  constructor(config = {}) {
+    let shipped = { version: 'unknown', models: {}, providers: {} };
+    try {
+      shipped = JSON.parse(readFileSync(CATALOGUE_FILE, 'utf-8'));
+    } catch (err) {
+      log.warn(`Price catalogue unreadable: ${err.message} — all models priced as unknown`);
+    }
+
+    this.version = shipped.version;
+    this.updated = shipped.updated || null;
+    this.providers = shipped.providers || {};
+    this.models = new Map();
+    for (const [id, price] of Object.entries(shipped.models || {})) {
+      this.models.set(normaliseModelId(id), price);
+    }
+
+    // Config overrides win over the shipped catalogue
+    this.overrides = 0;
+    for (const [id, price] of Object.entries(config.models?.prices || {})) {
+      if (!price || typeof price !== 'object') continue;
+      const key = normaliseModelId(id);
+      this.models.set(key, { ...this.models.get(key), ...price });
+      this.overrides++;
+    }
+
+    // Longest first, so gpt-4o-mini wins over gpt-4o for prefix matches
+    this._keys = [...this.models.keys()].sort((a, b) => b.length - a.length);
+    this._warned = new Set();
+  }
+
+  get size() {
+    return this.models.size;
+  }
+
+  /**
+   * Find the price entry for a model. Returns { price, known, matched }.
+   */
+  lookup(model, provider = null) {
+    const id = normaliseModelId(model);
+    const bare = id.includes('/') ? id.slice(id.lastIndexOf('/') + 1) : id;
+
+    for (const candidate of [id, bare]) {
+      if (this.models.has(candidate)) return { price: this.models.get(candidate), known: true, matched: candidate };
+    }
+    for (const candidate of [id, bare]) {
+      const key = this._keys.find(k => candidate.startsWith(k));
+      if (key) return { price: this.models.get(key), known: true, matched: key };
+    }
+    if (provider && this.providers[provider]) {
+      return { price: this.providers[provider], known: true, matched: provider };
+    }
+    return { price: UNKNOWN_PRICE, known: false, matched: null };
+  }
+
+  isKnown(model, provider = null) {
+    return this.lookup(model, provider).known;
+  }
+
+  /**
+   * Cost of a call from its usage. input_tokens is the total prompt size;
+   * cached_input_tokens is the part of it billed at the cached rate and
+   * cache_write_input_tokens the part billed at the cache-write rate.
+   * Images are only priced separately when usage was estimated locally —
+   * provider-reported input tokens already include them.
+   *
+   * @returns {{ cost: number, known: boolean }}
+   */
+  cost(model, usage, provider = null) {
+    if (!usage) return { cost: 0, known: true };
+    const { price, known } = this.lookup(model, provider);
+
+    if (!known && !this._warned.has(model)) {
+      this._warned.add(model);
+      log.warn(`No price for model "${model}" — estimating, add it under models.prices in config`);
+    }
+
+    const cached = Math.min(usage.cached_input_tokens || 0, usage.input_tokens || 0);
+    const written = Math.min(usage.cache_write_input_tokens || 0, (usage.input_tokens || 0) - cached);
+    const uncached = (usage.input_tokens || 0) - cached - written;
+    const cachedRate = price.cachedInput ?? price.input ?? 0;
+    const writeRate = price.cacheWrite ?? (price.input || 0) * CACHE_WRITE_MULTIPLIER;
+
+    let cost = uncached / 1_000_000 * (price.input || 0)
+      + cached / 1_000_000 * cachedRate
+      + written / 1_000_000 * writeRate
+      + (usage.output_tokens || 0) / 1_000_000 * (price.output || 0);
+    if (usage.estimated && usage.images) cost += usage.images * (price.image || 0);
+
+    return { cost: Math.round(cost * 10000) / 10000, known }; // 4 decimal places
+  }
+
+  /**
+   * Models in an audit cost breakdown (audit.costs()) that have no catalogue
+   * entry — their spend is an estimate at the default price. Rows carry the
+   * provider, so models served by a priced provider (Ollama) aren't listed.
+   */
+  unpriced(rows = []) {
+    const byModel = new Map();
+    for (const r of rows) {
+      if (!r.model || this.isKnown(r.model, r.provider)) continue;
+      const entry = byModel.get(r.model) || { model: r.model, messages: 0, total_cost: 0 };
+      entry.messages += r.messages || 0;
+      entry.total_cost += r.total_cost || 0;
+      byModel.set(r.model, entry);
+    }
+    return [...byModel.values()].sort((a, b) => b.total_cost - a.total_cost);
+  }
+}
+
+// ─── Local token estimation ──────────────────────────────────
+// For providers that don't report usage. Splits text the way BPE
+// pre-tokenisers do (words, numbers, punctuation runs, whitespace) and
+// charges long pieces roughly one token per four characters. Within
+// ~10-15% of real tokenisers on English prose and code.
+
+const PRETOKENIZE = /'(?:[sdmt]|ll|ve|re)|\s?[A-Za-zÀ-ɏ]+|\s?\d{1,3}|\s?[^\sA-Za-z\d]+|\s+/g;
+
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const piece of String(text).match(PRETOKENIZE) || []) {
+    const len = piece.trim().length || 1;
+    if (/^\s+$/.test(piece)) tokens += piece.includes('\n') ? 1 : 0;
+    else if (/[^\x00-\x7F]/.test(piece)) tokens += len; // non-Latin scripts: ~1 token per char
+    else tokens += Math.max(1, Math.ceil(len / 4));
+  }
+  return tokens;
+}
+
+/**
+ * Estimate prompt usage for a message array: text tokens, a few tokens of
+ * per-message framing, and a count of attached images.
+ */
+export function estimateMessages(messages = []) {
+  let tokens = 0;
+  let images = 0;
+  for (const m of messages) {
+    tokens += 4; // role + framing
+    if (typeof m.content === 'string') {
+      tokens += estimateTokens(m.content);
+    } else if (Array.isArray(m.content)) {
+      for (const part of m.content) {
+        if (part.type === 'image' || part.type === 'image_url') images++;
+        else tokens += estimateTokens(part.text || part.content || (part.input ? JSON.stringify(part.input) : ''));
+      }
+    }
+  }
+  return { tokens, images };
+}
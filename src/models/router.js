@@ -12,31 +12,10 @@
  */
 
 import { log } from '../core/logger.js';
-
-// Cost per 1M tokens (approximate, for tracking)
-const COST_TABLE = {
-  'claude-opus-4-5': { input: 15, output: 75 },
-  'claude-sonnet-4-5': { input: 3, output: 15 },
-  'claude-haiku-4-5': { input: 0.8, output: 4 },
-  'gpt-4o': { input: 2.5, output: 10 },
-  'gpt-4o-mini': { input: 0.15, output: 0.6 },
-  'llama-3.3-70b': { input: 0, output: 0 }, // Groq free tier
-  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
-};
-
-const REFLEX_RESPONSES = {
-  'hello': 'Hey! What can I do for you?',
-  'hi': 'Hi! What do you need?',
-  'hey': 'Hey! What\'s up?',
-  'thanks': 'No problem.',
-  'thank you': 'You\'re welcome.',
-  'cheers': 'No worries.',
-  'ta': 'Anytime.',
-  'ok': 'Got it.',
-  'bye': 'Catch you later.',
-  'yes': 'Noted.',
-  'no': 'Understood.',
-};
+import { readSSE, readNDJSON, streamParams } from './stream.js';
+import { CircuitBreaker, isRetryable, countsAsProviderFailure } from './circuit-breaker.js';
+import { DEFAULT_REFLEX_INTENTS, KeywordClassifier, NearestNeighbourClassifier, normaliseIntent } from './classifier.js';
+import { PriceCatalogue, estimateTokens, estimateMessages } from './pricing.js';
 
 export class ModelRouter {
   constructor(config, secrets) {
@@ -48,6 +27,25 @@ export class ModelRouter {
     this.fast = (fast && fast.provider) ? fast : null;
     this.routingConfig = config.models?.routing || { enabled: true };
     this.providers = {};
+    this.prices = new PriceCatalogue(config);
+    this.cache = null; // set via setCache()
+
+    // Classification: owner reflex intents, then learned kNN, then keywords
+    this.reflexIntents = {};
+    for (const [phrase, reply] of Object.entries({ ...DEFAULT_REFLEX_INTENTS, ...this.routingConfig.reflexIntents })) {
+      if (reply) this.reflexIntents[normaliseIntent(phrase)] = reply; // null/'' disables a built-in
+    }
+    this.minConfidence = this.routingConfig.minConfidence ?? 0.35;
+    this.keywordClassifier = new KeywordClassifier();
+    this.classifier = this.routingConfig.classifier === 'keyword'
+      ? null
+      : new NearestNeighbourClassifier(config);
+
+    // Resilience: per-tier fallback chains, retries, per-provider circuit breakers
+    this.fallbacks = config.models?.fallback || {};
+    this.retry = { retries: 2, baseDelayMs: 500, maxDelayMs: 8000, ...config.models?.retry };
+    this.breakerConfig = config.models?.circuitBreaker || {};
+    this._breakers = new Map(); // 'provider/model' -> CircuitBreaker
 
     // Debug: log what we loaded
     if (this.primary.provider) {
@@ -85,40 +83,71 @@ export class ModelRouter {
   }
 
   /**
-   * Route a message to the appropriate model tier
+   * Route a message to the appropriate model tier.
+   *
+   * Returns { tier, model, confidence, classifier } where classifier is
+   * 'intent', 'learned', 'keyword' or 'disabled'.
    */
   classify(message) {
     if (!this.routingConfig.enabled) {
-      return { tier: 'standard', model: this.primary };
+      return { tier: 'standard', model: this.primary, confidence: 1, classifier: 'disabled' };
     }
 
-    const lower = message.trim().toLowerCase();
+    const text = typeof message === 'string' ? message : '';
 
     // Tier 0: Reflex (no LLM needed)
-    if (REFLEX_RESPONSES[lower]) {
-      return {
-        tier: 'reflex',
-        model: null,
-        response: REFLEX_RESPONSES[lower]
-      };
+    const reflex = this.reflexIntents[normaliseIntent(text)];
+    if (reflex) {
+      return { tier: 'reflex', model: null, response: reflex, confidence: 1, classifier: 'intent' };
     }
 
-    // Tier 1: Simple (fast model)
-    if (this.fast && this._isSimple(lower)) {
-      return { tier: 'simple', model: this.fast };
+    const context = { fastAvailable: !!this.fast };
+    let verdict = null;
+    let source = 'learned';
+    try {
+      verdict = this.classifier?.classify(text, context) || null;
+    } catch (err) {
+      log.debug(`Classifier failed: ${err.message}`);
     }
-
-    // Tier 3: Complex (primary with more context — checked before standard fallback)
-    if (this._isComplex(lower)) {
-      return { tier: 'complex', model: this.primary, extendedContext: true };
+    if (!verdict || verdict.confidence < this.minConfidence) {
+      verdict = this.keywordClassifier.classify(text, context);
+      source = 'keyword';
     }
 
+    return this._routeFor(verdict.tier, { confidence: verdict.confidence, classifier: source });
+  }
+
+  /** Swap in a custom classifier — any object with classify(text, context) */
+  setClassifier(classifier) {
+    this.classifier = classifier;
+  }
+
+  _routeFor(tier, meta) {
+    // Tier 1: Simple (fast model) — only if one is configured
+    if (tier === 'simple' && this.fast) return { tier: 'simple', model: this.fast, ...meta };
+    // Tier 3: Complex (primary with more context)
+    if (tier === 'complex') return { tier: 'complex', model: this.primary, extendedContext: true, ...meta };
     // Tier 2: Standard (primary model, default fallback)
-    return { tier: 'standard', model: this.primary };
+    return { tier: 'standard', model: this.primary, ...meta };
+  }
+
+  /**
+   * Use a CompletionCache for tiers that opt in (cache.tiers).
+   */
+  setCache(cache) {
+    this.cache = cache || null;
   }
 
   /**
-   * Make an LLM completion call
+   * Make an LLM completion call.
+   *
+   * Pass options.onDelta(text) to stream: the provider is called in
+   * streaming mode and each text fragment is forwarded as it arrives.
+   * The resolved value is the same full result either way.
+   *
+   * Calls with options.tier are served from the completion cache when that
+   * tier is opted in; cache hits cost nothing and report provider 'cache'.
+   * options.requester (the knowledge subject asking) keeps answers per user.
    */
   async complete(messages, options = {}) {
     const model = options.model || this.primary;
@@ -131,6 +160,141 @@ export class ModelRouter {
       );
     }
 
+    const cacheable = this.cache?.accepts(options);
+    if (cacheable) {
+      const hit = await this.cacheLookup(messages, model, options);
+      if (hit) return hit;
+    }
+
+    // Once text has been streamed to the user, a retry would duplicate it
+    let streamed = false;
+    const callOptions = options.onDelta
+      ? { ...options, onDelta: (text) => { streamed = true; options.onDelta(text); } }
+      : options;
+
+    const result = await this.withFallback(
+      this.chainFor(options),
+      (m) => this._completeOnce(m, messages, callOptions),
+      { canRetry: () => !streamed }
+    );
+    if (cacheable) this.cacheStore(messages, model, result, options);
+    return result;
+  }
+
+  /**
+   * Cached result shaped like a completion, or null. Streaming callers get
+   * the whole answer as a single delta.
+   */
+  async cacheLookup(messages, model, options = {}) {
+    let hit = null;
+    try {
+      hit = await this.cache.lookup(messages, model.model, { requester: options.requester });
+    } catch (err) {
+      log.debug(`Cache lookup failed: ${err.message}`);
+    }
+    if (!hit) return null;
+
+    if (options.onDelta) options.onDelta(hit.content);
+    return {
+      content: hit.content,
+      model: hit.model,
+      provider: 'cache',
+      usage: { input_tokens: 0, output_tokens: 0 },
+      cost: 0,
+      cached: true,
+      similarity: hit.similarity,
+      duration: 0
+    };
+  }
+
+  /** Store a completion under the model that was asked for (non-fatal) */
+  cacheStore(messages, model, result, options = {}) {
+    if (!result?.content) return;
+    const tokens = (result.usage?.input_tokens || 0) + (result.usage?.output_tokens || 0);
+    this.cache.store(messages, model.model, result.content, { tokens, cost: result.cost, requester: options.requester })
+      .catch(err => log.debug(`Cache store failed: ${err.message}`));
+  }
+
+  /**
+   * Ordered list of models to try for a call: the requested model, then the
+   * configured fallbacks for its tier (models.fallback[tier], else
+   * models.fallback.default). The fast model falls back to primary unless
+   * options.noEscalate is set (budget downgrades must stay cheap).
+   */
+  chainFor(options = {}) {
+    const first = options.model || this.primary;
+    const configured = this.fallbacks[options.tier] || this.fallbacks.default || [];
+    const chain = [first, ...configured];
+    if (this.fast && first === this.fast && !options.noEscalate) chain.push(this.primary);
+
+    const seen = new Set();
+    return chain.filter(m => {
+      if (!m?.provider) return false;
+      const key = `${m.provider}/${m.model}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Run fn(model) against each model in the chain until one succeeds.
+   * Transient errors (429, 5xx, network) are retried with exponential
+   * backoff before moving on; providers with an open breaker are skipped.
+   * If every breaker is open the first model is tried anyway.
+   *
+   * canRetry() lets streaming callers stop retries once output has been sent.
+   */
+  async withFallback(chain, fn, { canRetry = () => true } = {}) {
+    const available = chain.filter(m => this._breaker(m).allow());
+    const candidates = available.length > 0 ? available : chain.slice(0, 1);
+    let lastErr;
+
+    for (const model of candidates) {
+      const breaker = this._breaker(model);
+      try {
+        const result = await this._withRetry(model, fn, canRetry);
+        breaker.success();
+        if (model !== chain[0]) {
+          log.warn(`Fallback: answered by ${model.provider}/${model.model} (${chain[0].provider} unavailable)`);
+        }
+        return { ...result, provider: model.provider, fallback: model !== chain[0] };
+      } catch (err) {
+        lastErr = err;
+        if (countsAsProviderFailure(err)) breaker.failure(err);
+        if (!canRetry()) throw err;
+      }
+    }
+
+    throw lastErr;
+  }
+
+  /** Breaker state per provider/model — for status displays */
+  breakerStatus() {
+    return Object.fromEntries([...this._breakers].map(([key, b]) => [key, b.toJSON()]));
+  }
+
+  _breaker(model) {
+    const key = `${model.provider}/${model.model}`;
+    if (!this._breakers.has(key)) this._breakers.set(key, new CircuitBreaker(this.breakerConfig));
+    return this._breakers.get(key);
+  }
+
+  async _withRetry(model, fn, canRetry) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(model);
+      } catch (err) {
+        if (attempt >= this.retry.retries || !isRetryable(err) || !canRetry()) throw err;
+        const backoff = Math.min(this.retry.baseDelayMs * 2 ** attempt, this.retry.maxDelayMs);
+        const delay = err.retryAfterMs ? Math.min(err.retryAfterMs, this.retry.maxDelayMs) : backoff + Math.random() * backoff * 0.2;
+        log.debug(`Retrying ${model.provider}/${model.model} in ${Math.round(delay)}ms (${err.message.slice(0, 80)})`);
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+  }
+
+  async _completeOnce(model, messages, options) {
     const provider = model.provider;
     const startTime = Date.now();
 
@@ -169,47 +333,37 @@ export class ModelRouter {
           result = await this._callOpenAICompat(provider, apiKey, model.model, messages, options);
       }
     } catch (err) {
-      log.error(`LLM call failed [${provider}/${model.model}]: ${err.message}`);
+      // warn, not error — a retry or fallback may still answer
+      log.warn(`LLM call failed [${provider}/${model.model}]: ${err.message}`);
       throw err;
     }
 
     const duration = Date.now() - startTime;
-    const cost = this._estimateCost(model.model, result.usage);
+    const { usage, cost, priceKnown } = this.meter(model.model, provider, messages, result.content, result.usage);
 
     return {
       content: result.content,
       model: model.model,
       provider,
-      usage: result.usage,
+      usage,
       cost,
+      priceKnown,
       duration
     };
   }
 
-  _isSimple(msg) {
-    const simplePatterns = [
-      /^what time/i, /^when is/i, /^remind me/i, /^send (a )?message/i,
-      /^check my/i, /^show me/i, /^how many/i, /^list/i,
-      /^next meeting/i, /^schedule/i, /^what's (on|next)/i
-    ];
-    return simplePatterns.some(p => p.test(msg)) || msg.split(' ').length <= 5;
-  }
-
-  _isComplex(msg) {
-    const complexPatterns = [
-      /analys/i, /strateg/i, /compare/i, /review/i, /plan/i,
-      /research/i, /deep dive/i, /evaluate/i, /assess/i,
-      /pipeline/i, /forecast/i, /recommend/i, /optimis/i
-    ];
-    return complexPatterns.some(p => p.test(msg)) || msg.split(' ').length > 50;
-  }
-
-  _estimateCost(model, usage) {
-    if (!usage) return 0;
-    const rates = COST_TABLE[model] || { input: 1, output: 5 };
-    const inputCost = (usage.input_tokens || 0) / 1_000_000 * rates.input;
-    const outputCost = (usage.output_tokens || 0) / 1_000_000 * rates.output;
-    return Math.round((inputCost + outputCost) * 10000) / 10000; // 4 decimal places
+  /**
+   * Price a call. When the provider reported no usage, tokens are estimated
+   * locally and the usage is marked `estimated`.
+   */
+  meter(model, provider, messages, content, usage) {
+    let metered = usage;
+    if (!usage?.input_tokens && !usage?.output_tokens) {
+      const prompt = estimateMessages(messages);
+      metered = { input_tokens: prompt.tokens, output_tokens: estimateTokens(content), images: prompt.images, estimated: true };
+    }
+    const { cost, known } = this.prices.cost(model, metered, provider);
+    return { usage: metered, cost, priceKnown: known };
   }
 
   async _testProvider(model) {
@@ -339,22 +493,19 @@ export class ModelRouter {
         model,
         max_tokens: options.maxTokens || 4096,
         system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
-        messages: merged
+        messages: merged,
+        stream: options.onDelta ? true : undefined
       })
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`Anthropic ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await providerError('Anthropic', res);
+
+    if (options.onDelta) return this._streamAnthropic(res, options.onDelta);
 
     const data = await res.json();
     return {
       content: data.content[0]?.text || '',
-      usage: {
-        input_tokens: data.usage?.input_tokens || 0,
-        output_tokens: data.usage?.output_tokens || 0
-      }
+      usage: anthropicUsage(data.usage)
     };
   }
 
@@ -380,22 +531,19 @@ export class ModelRouter {
       body: JSON.stringify({
         model,
         messages,
-        max_tokens: options.maxTokens || 4096
+        max_tokens: options.maxTokens || 4096,
+        ...(options.onDelta ? streamParams(provider) : {})
       })
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`${provider} ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await providerError(provider, res);
+
+    if (options.onDelta) return this._streamOpenAICompat(res, options.onDelta);
 
     const data = await res.json();
     return {
       content: data.choices[0]?.message?.content || '',
-      usage: {
-        input_tokens: data.usage?.prompt_tokens || 0,
-        output_tokens: data.usage?.completion_tokens || 0
-      }
+      usage: openaiUsage(data.usage)
     };
   }
 
@@ -405,10 +553,12 @@ export class ModelRouter {
     const res = await fetch(`${url}/api/chat`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ model, messages, stream: false })
+      body: JSON.stringify({ model, messages, stream: !!options.onDelta })
     });
 
-    if (!res.ok) throw new Error(`Ollama ${res.status}`);
+    if (!res.ok) throw await providerError('Ollama', res);
+
+    if (options.onDelta) return this._streamOllama(res, options.onDelta);
 
     const data = await res.json();
     return {
@@ -419,4 +569,107 @@ export class ModelRouter {
       }
     };
   }
+
+  // ─── Streaming readers ───────────────────────────────────
+  // Each returns the same { content, usage } shape as its non-streaming call.
+
+  async _streamAnthropic(res, onDelta) {
+    let content = '';
+    let usage = {};
+
+    for await (const { data } of readSSE(res)) {
+      switch (data.type) {
+        case 'message_start':
+          usage = { ...data.message?.usage };
+          break;
+        case 'content_block_delta':
+          if (data.delta?.type === 'text_delta' && data.delta.text) {
+            content += data.delta.text;
+            onDelta(data.delta.text);
+          }
+          break;
+        case 'message_delta':
+          usage.output_tokens = data.usage?.output_tokens || usage.output_tokens;
+          break;
+        case 'error':
+          throw new Error(`Anthropic stream: ${data.error?.message || 'unknown error'}`);
+      }
+    }
+
+    return { content, usage: anthropicUsage(usage) };
+  }
+
+  async _streamOpenAICompat(res, onDelta) {
+    let content = '';
+    let usage = null;
+
+    for await (const { data } of readSSE(res)) {
+      const text = data.choices?.[0]?.delta?.content;
+      if (text) {
+        content += text;
+        onDelta(text);
+      }
+      if (data.usage) usage = data.usage;
+    }
+
+    // Not every provider reports usage on streams — meter() estimates when it's missing
+    return { content, usage: openaiUsage(usage) };
+  }
+
+  async _streamOllama(res, onDelta) {
+    let content = '';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    for await (const chunk of readNDJSON(res)) {
+      const text = chunk.message?.content;
+      if (text) {
+        content += text;
+        onDelta(text);
+      }
+      if (chunk.done) {
+        usage.input_tokens = chunk.prompt_eval_count || 0;
+        usage.output_tokens = chunk.eval_count || 0;
+      }
+    }
+
+    return { content, usage };
+  }
+}
+
+/**
+ * Build an Error for a non-2xx provider response. Carries `status` (and
+ * `retryAfterMs` when the provider sent Retry-After) so callers can decide
+ * whether to retry or fall back.
+ */
+export async function providerError(label, res) {
+  const body = await res.text().catch(() => '');
+  const err = new Error(`${label} ${res.status}: ${body}`);
+  err.status = res.status;
+  const retryAfter = Number(res.headers?.get?.('retry-after'));
+  if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+  return err;
+}
+
+/**
+ * Normalise provider usage: input_tokens is the whole prompt,
+ * cached_input_tokens the part of it served from the prompt cache and
+ * cache_write_input_tokens the part written to it.
+ */
+export function anthropicUsage(u) {
+  const cached = u?.cache_read_input_tokens || 0;
+  const written = u?.cache_creation_input_tokens || 0;
+  return {
+    input_tokens: (u?.input_tokens || 0) + cached + written,
+    cached_input_tokens: cached,
+    cache_write_input_tokens: written,
+    output_tokens: u?.output_tokens || 0
+  };
+}
+
+export function openaiUsage(u) {
+  return {
+    input_tokens: u?.prompt_tokens || 0,
+    cached_input_tokens: u?.prompt_tokens_details?.cached_tokens || 0,
+    output_tokens: u?.completion_tokens || 0
+  };
 }
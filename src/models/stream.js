@@ -0,0 +1,84 @@
+/**
+ * QuantumClaw — Streaming response readers
+ *
+ * Providers stream completions in one of two wire formats:
+ *   - Server-Sent Events (Anthropic, OpenAI-compatible)
+ *   - Newline-delimited JSON (Ollama)
+ *
+ * Both readers take a fetch() Response and yield parsed JSON payloads,
+ * so the router and tool executor only deal with provider event shapes.
+ */
+
+/**
+ * Yield { event, data } for each SSE message. `data` is parsed JSON.
+ * Stops at the OpenAI-style `[DONE]` sentinel.
+ */
+export async function* readSSE(res) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      let event = 'message';
+      const dataLines = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      }
+      if (dataLines.length === 0) continue;
+
+      const raw = dataLines.join('\n');
+      if (raw === '[DONE]') return;
+
+      try {
+        yield { event, data: JSON.parse(raw) };
+      } catch { /* keep-alive or malformed chunk — skip */ }
+    }
+  }
+}
+
+/**
+ * Yield one parsed object per line of a newline-delimited JSON stream.
+ */
+export async function* readNDJSON(res) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      try {
+        yield JSON.parse(line);
+      } catch { /* partial or malformed line — skip */ }
+    }
+  }
+
+  const tail = buffer.trim();
+  if (tail) {
+    try {
+      yield JSON.parse(tail);
+    } catch { /* trailing garbage — skip */ }
+  }
+}
+
+/**
+ * Request body additions for an OpenAI-compatible streaming call.
+ * Usage reporting on streams is opt-in and only some providers accept the flag.
+ */
+export function streamParams(provider) {
+  const reportsUsage = ['openai', 'groq', 'openrouter', 'together', 'xai'];
+  return reportsUsage.includes(provider)
+    ? { stream: true, stream_options: { include_usage: true } }
+    : { stream: true };
+}
@@ -11,29 +11,46 @@ export class ApprovalGate {
     this.trustKernel = trustKernel;
   }
 
-  async check(agent, action, detail, riskLevel = 'medium') {
-    // Low-risk actions pass through
-    if (riskLevel === 'low') {
-      log.debug(`ApprovalGate: auto-approved low-risk action: ${action}`);
-      return { approved: true, auto: true };
-    }
-
-    // Trust kernel can block actions outright
+  /**
+   * `detail` is the call's arguments — an object, or text for callers that
+   * only have a description. `context` ({ agent, channel, userId, chatId,
+   * tool }) is passed through to the approval request so the owner is asked
+   * where the conversation is.
+   *
+   * The Trust Kernel sees every action. A "deny" blocks it, an "ask" needs
+   * the owner whatever the risk. Low-risk actions are only checked against
+   * the deterministic rules — the judge model is kept for riskier calls.
+   * `onAsk` is called just before the owner is asked.
+   */
+  async check(agent, action, detail, riskLevel = 'medium', context = {}, { onAsk } = {}) {
+    const text = typeof detail === 'string' ? detail : JSON.stringify(detail ?? {});
+    let trust = null;
     if (this.trustKernel && typeof this.trustKernel.evaluate === 'function') {
-      const allowed = await this.trustKernel.evaluate(action, detail);
-      if (!allowed) {
-        log.warn(`ApprovalGate: Trust Kernel blocked action: ${action}`);
-        return { approved: false, reason: 'Blocked by Trust Kernel' };
+      try {
+        trust = await this.trustKernel.evaluate(action, detail, { agent, channel: context.channel, judge: riskLevel !== 'low' });
+      } catch (err) {
+        log.warn(`ApprovalGate: Trust Kernel check failed for ${action}: ${err.message}`);
+        trust = { verdict: 'ask', reason: 'the Trust Kernel check failed' };
+      }
+      if (trust.verdict === 'deny') {
+        log.warn(`ApprovalGate: Trust Kernel blocked action: ${action} (${trust.reason})`);
+        return { approved: false, reason: `Blocked by Trust Kernel: ${trust.reason}` };
       }
     }
 
-    // High/critical risk — require human approval
+    // Trust Kernel wants the owner to decide, or high/critical risk
+    if (trust?.verdict === 'ask') {
+      const level = riskLevel === 'low' || riskLevel === 'medium' ? 'high' : riskLevel;
+      onAsk?.();
+      return this.approvals.request(agent, action, text, level, { ...context, trust: trust.reason });
+    }
     if (riskLevel === 'high' || riskLevel === 'critical') {
-      return this.approvals.request(agent, action, detail, riskLevel);
+      onAsk?.();
+      return this.approvals.request(agent, action, text, riskLevel, context);
     }
 
-    // Medium risk — auto-approve but log
-    log.info(`ApprovalGate: auto-approved medium-risk action: ${action}`);
+    if (riskLevel === 'low') log.debug(`ApprovalGate: auto-approved low-risk action: ${action}`);
+    else log.info(`ApprovalGate: auto-approved medium-risk action: ${action}`);
     return { approved: true, auto: true };
   }
 }
@@ -4,6 +4,11 @@
  * Some actions need human approval before executing.
  * Uses shared database from @agexhq/store.
  * Falls back to JSON if no database is available.
+ *
+ * request() resolves once the owner approves or denies — from a channel
+ * button or the dashboard — or denies itself after
+ * approvals.timeoutMinutes. Listeners registered with onRequest/onResolve
+ * are how channels and the dashboard hear about it.
  */
 
 import { join } from 'path';
@@ -16,6 +21,8 @@ export class ExecApprovals {
     if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
 
     this.pendingCallbacks = new Map();
+    this.timeoutMs = (config.approvals?.timeoutMinutes || 10) * 60 * 1000;
+    this._listeners = { request: [], resolve: [] };
     this._jsonPath = join(dir, 'approvals.json');
     this.db = null;
     this._useJson = true;
@@ -24,6 +31,29 @@ export class ExecApprovals {
   attach(db) {
     if (db) { this.db = db; this._useJson = false; }
     else { this._data = this._loadJson(); }
+
+    // Nobody is waiting on requests left over from a previous run
+    try {
+      if (this._useJson) {
+        const stale = this._data.items.filter(i => i.status === 'pending');
+        for (const item of stale) Object.assign(item, { status: 'denied', resolved: new Date().toISOString(), resolved_by: 'system', reason: 'restarted before a decision' });
+        if (stale.length) this._saveJson();
+      } else {
+        this.db.prepare('UPDATE approvals SET status = \'denied\', resolved = datetime(\'now\'), resolved_by = \'system\', reason = \'restarted before a decision\' WHERE status = \'pending\'').run();
+      }
+    } catch { /* non-fatal */ }
+  }
+
+  /** Called with each new request: { id, agent, action, detail, risk_level, context } */
+  onRequest(fn) { this._listeners.request.push(fn); }
+
+  /** Called when a request is decided: { id, approved, by, reason, context } */
+  onResolve(fn) { this._listeners.resolve.push(fn); }
+
+  _emit(event, payload) {
+    for (const fn of this._listeners[event]) {
+      Promise.resolve().then(() => fn(payload)).catch(err => log.debug(`Approval ${event} listener failed: ${err.message}`));
+    }
   }
 
   _loadJson() {
@@ -36,7 +66,13 @@ export class ExecApprovals {
     writeFileSync(this._jsonPath, JSON.stringify(this._data, null, 2));
   }
 
-  async request(agent, action, detail, riskLevel = 'medium') {
+  /**
+   * Ask for approval. `context` says where the request came from
+   * ({ channel, userId, chatId, tool, trust }) so it can be asked in the same place.
+   *
+   * @returns {Promise<{ approved: boolean, id, reason? }>}
+   */
+  async request(agent, action, detail, riskLevel = 'medium', context = {}) {
     let id;
     if (this._useJson) {
       if (!this._data) this._data = this._loadJson();
@@ -51,35 +87,55 @@ export class ExecApprovals {
     log.warn(`Approval needed: [${id}] ${agent} wants to ${action}`);
 
     return new Promise((resolve, reject) => {
-      this.pendingCallbacks.set(id, { resolve, reject });
-      setTimeout(() => {
-        if (this.pendingCallbacks.has(id)) this.deny(id, 'system', 'Timed out after 10 minutes');
-      }, 10 * 60 * 1000);
+      const minutes = Math.round(this.timeoutMs / 60000);
+      const wait = minutes >= 1 ? `${minutes} minute${minutes === 1 ? '' : 's'}` : `${this.timeoutMs / 1000}s`;
+      const timer = setTimeout(() => {
+        if (this.pendingCallbacks.has(id)) this.deny(id, 'system', `no answer within ${wait}`);
+      }, this.timeoutMs);
+      this.pendingCallbacks.set(id, { resolve, reject, timer, context });
+      this._emit('request', { id, agent, action, detail, risk_level: riskLevel, context });
     });
   }
 
+  /** Whether a request is still waiting on a decision in this process */
+  isWaiting(id) {
+    return this.pendingCallbacks.has(Number(id));
+  }
+
+  _settle(id, outcome) {
+    const cb = this.pendingCallbacks.get(id);
+    if (!cb) return false;
+    clearTimeout(cb.timer);
+    this.pendingCallbacks.delete(id);
+    cb.resolve({ approved: outcome.approved, id, ...(outcome.approved ? {} : { reason: outcome.reason }) });
+    this._emit('resolve', { id, ...outcome, context: cb.context });
+    return true;
+  }
+
   approve(id, by = 'owner') {
+    id = Number(id);
     if (this._useJson) {
       const item = this._data?.items?.find(i => i.id === id && i.status === 'pending');
       if (item) { item.status = 'approved'; item.resolved = new Date().toISOString(); item.resolved_by = by; this._saveJson(); }
     } else {
       this.db.prepare('UPDATE approvals SET status = \'approved\', resolved = datetime(\'now\'), resolved_by = ? WHERE id = ? AND status = \'pending\'').run(by, id);
     }
-    const cb = this.pendingCallbacks.get(id);
-    if (cb) { cb.resolve({ approved: true, id }); this.pendingCallbacks.delete(id); }
-    log.success(`Approved: [${id}]`);
+    const settled = this._settle(id, { approved: true, by });
+    if (settled) log.success(`Approved: [${id}] by ${by}`);
+    return settled;
   }
 
   deny(id, by = 'owner', reason = '') {
+    id = Number(id);
     if (this._useJson) {
       const item = this._data?.items?.find(i => i.id === id && i.status === 'pending');
       if (item) { item.status = 'denied'; item.resolved = new Date().toISOString(); item.resolved_by = by; item.reason = reason; this._saveJson(); }
     } else {
       this.db.prepare('UPDATE approvals SET status = \'denied\', resolved = datetime(\'now\'), resolved_by = ?, reason = ? WHERE id = ? AND status = \'pending\'').run(by, reason, id);
     }
-    const cb = this.pendingCallbacks.get(id);
-    if (cb) { cb.resolve({ approved: false, id, reason }); this.pendingCallbacks.delete(id); }
-    log.info(`Denied: [${id}] ${reason}`);
+    const settled = this._settle(id, { approved: false, by, reason });
+    if (settled) log.info(`Denied: [${id}] ${reason}`);
+    return settled;
   }
 
   pending() {
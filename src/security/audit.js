@@ -43,13 +43,22 @@ export class AuditLog {
           cost REAL,
           tier TEXT,
           approved INTEGER DEFAULT 1,
-          duration_ms INTEGER
+          duration_ms INTEGER,
+          provider TEXT,
+          routed_tier TEXT
         )
       `);
 
+      // Databases created before provider tracking (or budget downgrades) lack the columns
+      for (const column of ['provider TEXT', 'routed_tier TEXT']) {
+        try {
+          this.db.exec(`ALTER TABLE audit ADD COLUMN ${column}`);
+        } catch { /* column already exists */ }
+      }
+
       this._insert = this.db.prepare(`
-        INSERT INTO audit (agent, action, detail, model, cost, tier, approved, duration_ms)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO audit (agent, action, detail, model, cost, tier, approved, duration_ms, provider, routed_tier)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
     } else {
       // Fallback: append-only JSONL file
@@ -66,13 +75,15 @@ export class AuditLog {
       cost: extra.cost || null,
       tier: extra.tier || null,
       approved: extra.approved !== undefined ? (extra.approved ? 1 : 0) : 1,
-      duration_ms: extra.duration || null
+      duration_ms: extra.duration || null,
+      provider: extra.provider || null,
+      routed_tier: extra.routedTier || null // the classifier's tier when a budget forced `tier`
     };
 
     if (this.db) {
       this._insert.run(
         entry.agent, entry.action, entry.detail, entry.model,
-        entry.cost, entry.tier, entry.approved, entry.duration_ms
+        entry.cost, entry.tier, entry.approved, entry.duration_ms, entry.provider, entry.routed_tier
       );
     } else if (this._logFile) {
       try {
@@ -119,21 +130,21 @@ export class AuditLog {
       const queries = {
         today: this.db.prepare(`
           SELECT COUNT(*) as messages, COALESCE(SUM(cost), 0) as total_cost,
-            COALESCE(AVG(cost), 0) as avg_cost, tier, model
+            COALESCE(AVG(cost), 0) as avg_cost, tier, model, provider
           FROM audit WHERE timestamp >= date('now') AND action = 'completion'
-          GROUP BY tier, model ORDER BY total_cost DESC
+          GROUP BY tier, model, provider ORDER BY total_cost DESC
         `),
         week: this.db.prepare(`
           SELECT COUNT(*) as messages, COALESCE(SUM(cost), 0) as total_cost,
-            COALESCE(AVG(cost), 0) as avg_cost, tier, model
+            COALESCE(AVG(cost), 0) as avg_cost, tier, model, provider
           FROM audit WHERE timestamp >= date('now', '-7 days') AND action = 'completion'
-          GROUP BY tier, model ORDER BY total_cost DESC
+          GROUP BY tier, model, provider ORDER BY total_cost DESC
         `),
         month: this.db.prepare(`
           SELECT COUNT(*) as messages, COALESCE(SUM(cost), 0) as total_cost,
-            COALESCE(AVG(cost), 0) as avg_cost, tier, model
+            COALESCE(AVG(cost), 0) as avg_cost, tier, model, provider
           FROM audit WHERE timestamp >= date('now', '-30 days') AND action = 'completion'
-          GROUP BY tier, model ORDER BY total_cost DESC
+          GROUP BY tier, model, provider ORDER BY total_cost DESC
         `)
       };
       return (queries[since] || queries.today).all();
@@ -1,35 +1,221 @@
 /**
- * ContentQueue — queues outbound content for review/filtering.
- * Scans for secrets, PII, and VALUES.md violations before delivery.
+ * ContentQueue — filters outbound content before it leaves through a channel.
+ *
+ * Built-in filters, set by security.outbound:
+ *   trust    — VALUES.md Action Rules for the "outbound_message" action, e.g.
+ *              - deny outbound_message when text contains "internal only"
+ *              - deny outbound_message when channel is email and recipient not in approved contacts
+ *   secrets  — stored secret values (SecretStore) redacted or blocked
+ *   pii      — card numbers, US SSNs, UK NI numbers, IBANs (and optionally
+ *              emails and phone numbers) redacted or blocked
+ * Filters added with addFilter() run after these.
+ *
+ * process() returns { delivered, content } — or { delivered: false, reason }
+ * when something blocked it. Blocks and redactions go to the audit log.
  */
 
 import { log } from '../core/logger.js';
 
+const MIN_SECRET_LENGTH = 8; // shorter values ("true", ports) would match ordinary text
+
+/** Luhn checksum — most random 16-digit runs fail it */
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/** ISO 13616 mod-97 check */
+function ibanValid(text) {
+  const iban = text.replace(/\s/g, '').toUpperCase();
+  const moved = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of moved) {
+    const value = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+const PII = {
+  card: { label: 'card number', re: /\b(?:\d[ -]?){12,18}\d\b/g, valid: (m) => luhn(m.replace(/\D/g, '')) },
+  ssn: { label: 'SSN', re: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+  ni: { label: 'NI number', re: /\b(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g },
+  iban: { label: 'IBAN', re: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, valid: ibanValid },
+  email: { label: 'email address', re: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  phone: { label: 'phone number', re: /(?<![\w+])\+?\d[\d ().-]{8,}\d\b/g, valid: (m) => m.replace(/\D/g, '').length >= 10 },
+};
+
 export class ContentQueue {
   constructor(config = {}) {
+    const outbound = config.security?.outbound || {};
+    this.secretsMode = outbound.secrets === undefined ? 'redact' : outbound.secrets;
+    this.pii = (outbound.pii || []).filter(name => PII[name]);
+    this.piiMode = outbound.piiAction === 'block' ? 'block' : 'redact';
+    this.trustMode = outbound.trust === undefined ? 'rules' : outbound.trust;
     this.filters = [];
-    this._queue = [];
+    this._secrets = null;     // set via useSecrets()
+    this._trustKernel = null; // set via useTrustKernel()
+    this._audit = null;       // set via useAudit()
   }
 
+  /** Secret store whose values must never go out — list() and get() */
+  useSecrets(store) { this._secrets = store; }
+
+  useTrustKernel(trustKernel) { this._trustKernel = trustKernel; }
+
+  useAudit(audit) { this._audit = audit; }
+
   addFilter(fn) {
     this.filters.push(fn);
   }
 
+  /**
+   * Redact secrets and PII without blocking — for text that's shown before
+   * the whole reply exists (streamed previews, unless checksReplies()).
+   * `partial` text may stop partway through a secret, so a tail that starts
+   * one is held back until the rest arrives. process() still decides about
+   * the final reply.
+   */
+  scrub(content, { partial = false } = {}) {
+    let text = String(content ?? '');
+    if (this.secretsMode) {
+      text = this._replaceSecrets(text).text;
+      if (partial) text = text.slice(0, text.length - this._secretTail(text));
+    }
+    return this._replacePii(text).text;
+  }
+
+  /**
+   * Whether VALUES.md rules can hold back a whole reply. They see all of
+   * it, so streamed previews can't show its text first.
+   */
+  checksReplies() {
+    return this.trustMode === 'rules' && !!this._trustKernel?.restricts?.('outbound_message');
+  }
+
+  /**
+   * Run every filter over one outbound message.
+   * @param {string} content
+   * @param {object} meta - { channel, userId, chatId, agent, source }
+   * @returns {Promise<{ delivered: boolean, content?: string, reason?: string, redacted?: string[] }>}
+   */
   async process(content, meta = {}) {
+    content = String(content ?? '');
+    const redacted = [];
+
+    const trust = this._checkTrust(content, meta);
+    if (trust) return this._block(trust, content, meta);
+
+    if (this.secretsMode) {
+      const { text, found } = this._replaceSecrets(content);
+      if (found.length && this.secretsMode === 'block') return this._block(`contains a stored secret (${found.join(', ')})`, content, meta);
+      content = text;
+      redacted.push(...found.map(key => `secret ${key}`));
+    }
+
+    const { text, found } = this._replacePii(content);
+    if (found.length && this.piiMode === 'block') return this._block(`contains a ${found[0]}`, content, meta);
+    content = text;
+    redacted.push(...found);
+
     for (const filter of this.filters) {
       try {
         const result = await filter(content, meta);
-        if (result && result.blocked) {
-          log.warn(`ContentQueue: blocked by filter — ${result.reason || 'no reason'}`);
-          return { delivered: false, reason: result.reason };
-        }
+        if (result && result.blocked) return this._block(result.reason || 'no reason', content, meta);
         if (result && result.modified) {
           content = result.content;
+          redacted.push(result.reason || 'custom filter');
         }
       } catch (err) {
         log.error(`ContentQueue: filter error — ${err.message}`);
       }
     }
-    return { delivered: true, content };
+
+    if (redacted.length) {
+      log.warn(`ContentQueue: redacted ${redacted.join(', ')} from a ${meta.channel || 'outbound'} message`);
+      this._record(meta, 'outbound_redacted', redacted.join(', '));
+    }
+    return { delivered: true, content, redacted };
+  }
+
+  _checkTrust(content, meta) {
+    if (this.trustMode !== 'rules' || !this._trustKernel?.matchRules) return null;
+    try {
+      const facts = this._trustKernel.facts('outbound_message', { text: content, to: meta.userId ?? undefined }, meta);
+      const verdict = this._trustKernel.matchRules(facts);
+      if (!verdict || verdict.verdict === 'allow') return null;
+      // Nobody is there to say yes to an outgoing reply, so "ask" holds it too
+      return `VALUES.md: ${verdict.reason}`;
+    } catch (err) {
+      log.debug(`ContentQueue: trust check failed — ${err.message}`);
+      return null;
+    }
+  }
+
+  /** Secret values, longest first so one containing another is caught whole */
+  _secretValues() {
+    const store = this._secrets;
+    if (!store?.list) return [];
+    const values = [];
+    for (const key of store.list()) {
+      const value = store.get(key);
+      if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) values.push([key, value]);
+    }
+    return values.sort((a, b) => b[1].length - a[1].length);
+  }
+
+  _replaceSecrets(text) {
+    const found = [];
+    for (const [key, value] of this._secretValues()) {
+      if (!text.includes(value)) continue;
+      text = text.split(value).join(`[redacted ${key}]`);
+      found.push(key);
+    }
+    return { text, found };
+  }
+
+  /** Length of the longest end of `text` that is how a secret value starts */
+  _secretTail(text) {
+    let longest = 0;
+    for (const [, value] of this._secretValues()) {
+      for (let n = Math.min(value.length - 1, text.length); n > longest; n--) {
+        if (text.endsWith(value.slice(0, n))) { longest = n; break; }
+      }
+    }
+    return longest;
+  }
+
+  _replacePii(text) {
+    const found = [];
+    for (const name of this.pii) {
+      const { label, re, valid } = PII[name];
+      text = text.replace(re, (match) => {
+        if (valid && !valid(match)) return match;
+        if (!found.includes(label)) found.push(label);
+        return `[redacted ${label}]`;
+      });
+    }
+    return { text, found };
+  }
+
+  _block(reason, content, meta) {
+    log.warn(`ContentQueue: blocked a ${meta.channel || 'outbound'} message — ${reason}`);
+    this._record(meta, 'outbound_blocked', reason, content);
+    return { delivered: false, reason };
+  }
+
+  _record(meta, action, detail, content = null) {
+    if (!this._audit?.log) return;
+    try {
+      const where = [meta.channel, meta.userId].filter(v => v != null).join(':') || 'outbound';
+      // A held message is kept scrubbed — the audit log shouldn't hold the secret either
+      const preview = content ? `: ${this.scrub(content).slice(0, 200)}` : '';
+      this._audit.log(meta.agent || 'system', action, `${where} — ${detail}${preview}`, { approved: !content });
+    } catch { /* auditing never blocks a delivery */ }
   }
 }
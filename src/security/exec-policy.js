@@ -0,0 +1,341 @@
+/**
+ * QuantumClaw Exec Policy
+ *
+ * What shell_exec, manage_process and the file tools may touch, per agent.
+ *
+ *   "security": {
+ *     "shellAllowlist": ["ls", "git", "node"],   // every agent
+ *     "shellDenylist": ["sudo", "dd"],           // never, whatever else allows it
+ *     "agents": {
+ *       "researcher": { "shell": { "allow": ["python3"], "deny": ["git"] }, "paths": ["~/projects/site"] }
+ *     },
+ *     "sandbox": { "runner": "auto", "maxOutputChars": 10000, "env": ["NODE_ENV"], "network": true }
+ *   }
+ *
+ * Skills widen their agent's policy through ## Permissions
+ * (`- shell: [python3]`, `- file: [~/projects/site/**]`). Only enabled,
+ * reviewed skills count.
+ *
+ * Files are jailed to the workspace plus any granted paths. agents/ and
+ * shared/skills stay read-only, so an agent can't write itself a skill that
+ * grants more. Commands get a scrubbed environment (no API keys or tokens)
+ * and capped output.
+ *
+ * The allowlist only sees the command line — program names, plus files
+ * written by redirects and tee, which must be inside the jail. On Linux,
+ * bubblewrap or firejail (runner "auto", "bwrap" or "firejail") also run
+ * the command in its own namespace where only the jail is writable;
+ * bubblewrap hides the rest of the home directory too. With no runner the
+ * command can reach whatever the qclaw user can, and "auto" warns when it
+ * finds neither.
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import { existsSync, mkdirSync, realpathSync } from 'fs';
+import { homedir } from 'os';
+import { basename, dirname, join, resolve, sep } from 'path';
+import { log } from '../core/logger.js';
+import { DEFAULTS } from '../core/config.js';
+
+const SAFE_ENV = ['PATH', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TERM', 'TZ', 'USER', 'LOGNAME', 'SHELL', 'TMPDIR'];
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc', '/opt'];
+const PROTECTED = ['agents', join('shared', 'skills')]; // relative to the workspace
+const DEVICES = ['/dev/null', '/dev/stdout', '/dev/stderr']; // always fine to write to
+
+/** "~/x/**" → absolute directory, relative paths against `base` */
+function expandPath(p, base) {
+  let path = String(p || '').trim().replace(/\/\*\*?$/, '');
+  if (path === '~' || path.startsWith('~/')) path = join(homedir(), path.slice(1));
+  return resolve(base, path || '.');
+}
+
+/** Resolve symlinks, for paths that don't exist yet via their nearest existing parent */
+function realPath(p) {
+  let head = p;
+  const tail = [];
+  while (!existsSync(head)) {
+    const parent = dirname(head);
+    if (parent === head) return p;
+    tail.unshift(basename(head));
+    head = parent;
+  }
+  try { return join(realpathSync(head), ...tail); } catch { return p; }
+}
+
+const inside = (path, root) => path === root || path.startsWith(root.endsWith(sep) ? root : root + sep);
+
+/**
+ * Programs a command line runs — the first word of each pipeline stage,
+ * skipping FOO=bar assignments. Returns null for command substitution,
+ * which would hide what actually runs.
+ */
+export function commandNames(command) {
+  const text = String(command || '');
+  if (/`|\$\(|[<>]\(/.test(text)) return null;
+  const names = [];
+  const bare = text
+    .replace(/'[^']*'|"(?:\\.|[^"\\])*"/g, 'x')  // quoted arguments can't start a stage
+    .replace(/\d*[<>]&\d*|&>>?/g, ' ');           // 2>&1, &> file
+  for (const stage of bare.split(/&&|\|\||[;|&\n]/)) {
+    const words = stage.trim().replace(/^[({!\s]+/, '').split(/\s+/).filter(Boolean);
+    const first = words.find(w => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(w));
+    if (first) names.push(basename(first));
+  }
+  return names;
+}
+
+/**
+ * Files a command line writes through the shell rather than a program's
+ * arguments: `>`, `>>`, `&>` and `2>` targets, and the files given to tee.
+ * Quoted names are unquoted; descriptor copies like 2>&1 aren't files.
+ */
+export function writeTargets(command) {
+  const quoted = [];
+  const masked = String(command || '').replace(/'[^']*'|"(?:\\.|[^"\\])*"/g, (q) => `\0${quoted.push(q.slice(1, -1)) - 1}\0`);
+  const restore = (w) => w.replace(/\0(\d+)\0/g, (_, i) => quoted[i]);
+  const targets = [];
+  for (const m of masked.matchAll(/(?:\d*>>?|&>>?)(?![&(>])\s*([^\s;&|<>()]+)/g)) targets.push(restore(m[1]));
+  for (const stage of masked.split(/&&|\|\||[;|&\n]/)) {
+    const words = stage.trim().replace(/^[({!\s]+/, '').split(/\s+/).filter(Boolean);
+    const at = words.findIndex(w => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(w));
+    if (at === -1 || basename(words[at]) !== 'tee') continue;
+    for (const w of words.slice(at + 1)) {
+      if (/^[<>\d&]/.test(w)) break; // a redirect, already counted
+      if (!w.startsWith('-')) targets.push(restore(w));
+    }
+  }
+  return targets;
+}
+
+export class ExecPolicy {
+  constructor(config = {}) {
+    this.config = config;
+    const security = config.security || {};
+    this.root = resolve(security.sandbox?.root || (config._dir ? join(config._dir, 'workspace') : join(homedir(), '.quantumclaw', 'workspace')));
+    this.sandbox = security.sandbox || {};
+    this.maxOutput = this.sandbox.maxOutputChars || 10000;
+    this._skills = null;
+    this._runner = undefined; // detected on first use
+  }
+
+  /** Skills widen per-agent grants — pass the SkillLoader */
+  useSkills(loader) { this._skills = loader; }
+
+  /** Reviewed skills' grants. A skill can't grant everything — `*` is the owner's call, in config */
+  _grants(agent) {
+    const grants = { shell: [], file: [] };
+    if (!agent || !this._skills?.forAgent) return grants;
+    for (const skill of this._skills.forAgent(agent)) {
+      if (skill.reviewed === false) continue;
+      for (const kind of ['shell', 'file']) {
+        for (const grant of skill.permissions?.[kind] || []) {
+          if (String(grant).trim() === '*') {
+            this._warnOnce(`grant:${skill.name}:${kind}`, `Skill "${skill.name}" asks for ${kind}: [*] — ignored, list what it needs instead`);
+            continue;
+          }
+          grants[kind].push(grant);
+        }
+      }
+    }
+    return grants;
+  }
+
+  _warnOnce(key, message) {
+    this._warned ||= new Set();
+    if (this._warned.has(key)) return;
+    this._warned.add(key);
+    log.warn(message);
+  }
+
+  /** Effective allow/deny lists and paths for an agent */
+  rules(agent) {
+    const security = this.config.security || {};
+    const own = (agent && security.agents?.[agent]) || {};
+    const grants = this._grants(agent);
+    const roots = [this.root, ...(own.paths || []), ...grants.file].map(p => realPath(expandPath(p, this.root)));
+    return {
+      allow: [...new Set([
+        ...(security.shellAllowlist || []),
+        ...(this.config.tools?.shell?.allowList || []),
+        ...(own.shell?.allow || []),
+        ...grants.shell,
+      ])],
+      deny: [...new Set([...(security.shellDenylist || DEFAULTS.security.shellDenylist), ...(own.shell?.deny || [])])],
+      roots: [...new Set(roots)],
+      readOnly: [
+        ...PROTECTED.map(p => realPath(join(this.root, p))),
+        ...(this.sandbox.readOnlyPaths || []).map(p => realPath(expandPath(p, this.root))),
+      ],
+    };
+  }
+
+  /**
+   * Programs against the allow/deny lists, and files written by redirects
+   * or tee against the path jail (relative to `cwd`, default the workspace).
+   * @returns {{ ok: boolean, reason?: string }}
+   */
+  checkCommand(command, agent, { cwd } = {}) {
+    const { allow, deny } = this.rules(agent);
+    const names = commandNames(command);
+    if (!names) return { ok: false, reason: 'Command substitution (`...` or $(...)) isn\'t allowed — run the inner command separately' };
+    if (names.length === 0) return { ok: false, reason: 'Empty command' };
+
+    const denied = names.find(n => deny.includes(n) || deny.includes('*'));
+    if (denied) return { ok: false, reason: `Command "${denied}" is denied by policy${agent ? ` for ${agent}` : ''}` };
+    if (!allow.includes('*')) {
+      const missing = names.find(n => !allow.includes(n));
+      if (missing) return { ok: false, reason: `Command "${missing}" not in shell allowlist. Allowed: ${allow.join(', ') || '(none)'}` };
+    }
+
+    const base = cwd ? this.resolvePath(cwd) : this.root;
+    for (const target of writeTargets(command)) {
+      if (DEVICES.includes(target)) continue;
+      const check = this.checkPath(expandPath(target, base), { agent, write: true });
+      if (!check.ok) return { ok: false, reason: `Can't write ${target}: ${check.reason}` };
+    }
+    return { ok: true };
+  }
+
+  /** Absolute path for a tool argument — relative paths are inside the workspace */
+  resolvePath(p) {
+    return expandPath(p, this.root);
+  }
+
+  /**
+   * Check a path against the agent's jail. `protect` refuses the read-only
+   * paths for a read too — for reads that copy a file where every agent
+   * can see it, like memory.
+   * @returns {{ ok: boolean, path: string, reason?: string }}
+   */
+  checkPath(p, { agent, write = false, protect = false } = {}) {
+    const path = realPath(this.resolvePath(p));
+    const { roots, readOnly } = this.rules(agent);
+    const inJail = roots.some(r => inside(path, r));
+    if (write) {
+      if (!inJail) return { ok: false, path, reason: `${path} is outside the workspace — writes are limited to ${roots.join(', ')}` };
+      if (readOnly.some(r => inside(path, r))) return { ok: false, path, reason: `${path} is read-only for agents` };
+      return { ok: true, path };
+    }
+    if (!inJail && !readOnly.some(r => inside(path, r))) {
+      return { ok: false, path, reason: `${path} is outside the workspace — reads are limited to ${roots.join(', ')}` };
+    }
+    if (protect && readOnly.some(r => inside(path, r))) return { ok: false, path, reason: `${path} is protected` };
+    return { ok: true, path };
+  }
+
+  /** Environment for commands: a short allowlist, never the process's secrets */
+  env() {
+    const env = {};
+    for (const name of [...SAFE_ENV, ...(this.sandbox.env || [])]) {
+      if (process.env[name] !== undefined) env[name] = process.env[name];
+    }
+    env.HOME = this.root;
+    return env;
+  }
+
+  /** Namespace runner in use: 'bwrap', 'firejail', null (none) or false (configured but unusable) */
+  runner() {
+    if (this._runner !== undefined) return this._runner;
+    const wanted = this.sandbox.runner || 'auto';
+    this._runner = null;
+    if (wanted === 'none') return this._runner;
+
+    const candidates = wanted === 'auto' ? ['bwrap', 'firejail'] : [wanted];
+    if (process.platform === 'linux') {
+      for (const name of candidates) {
+        const probe = name === 'bwrap' ? ['--ro-bind', '/', '/', 'true'] : ['--quiet', '--noprofile', 'true'];
+        try {
+          if (spawnSync(name, probe, { stdio: 'ignore', timeout: 5000 }).status === 0) {
+            this._runner = name;
+            log.debug(`Exec policy: commands run under ${name}`);
+            return this._runner;
+          }
+        } catch { /* not installed */ }
+      }
+    }
+    if (wanted !== 'auto') {
+      this._runner = false;
+      log.warn(`Sandbox runner "${wanted}" isn't usable here — shell commands are refused until it is (or set security.sandbox.runner to "auto")`);
+    } else {
+      log.warn('Exec policy: no bubblewrap or firejail found — shell commands run without a namespace jail, limited only by the allowlist. Install one, or set security.sandbox.runner to "none" to accept this');
+    }
+    return this._runner;
+  }
+
+  /**
+   * Program, arguments and options to spawn a command under the policy.
+   * Throws if the command or working directory isn't allowed.
+   */
+  spawnArgs(command, { agent, cwd } = {}) {
+    const check = this.checkCommand(command, agent, { cwd });
+    if (!check.ok) throw new Error(check.reason);
+    const dir = this.checkPath(cwd || '.', { agent });
+    if (!dir.ok) throw new Error(dir.reason);
+    if (!existsSync(this.root)) mkdirSync(this.root, { recursive: true });
+
+    const runner = this.runner();
+    if (runner === false) throw new Error(`Sandbox runner "${this.sandbox.runner}" isn't available`);
+    const options = { cwd: dir.path, env: this.env() };
+    if (!runner) return { file: 'sh', args: ['-c', command], options };
+
+    const { roots, readOnly } = this.rules(agent);
+    const network = this.sandbox.network !== false;
+    if (runner === 'bwrap') {
+      const args = ['--die-with-parent', '--new-session', '--unshare-all'];
+      if (network) args.push('--share-net');
+      const nodePrefix = dirname(dirname(process.execPath));
+      for (const p of [...SYSTEM_PATHS, nodePrefix]) args.push('--ro-bind-try', p, p);
+      args.push('--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp');
+      for (const p of roots) args.push('--bind-try', p, p);
+      for (const p of readOnly) args.push('--ro-bind-try', p, p);
+      args.push('--chdir', dir.path, '--', 'sh', '-c', command);
+      return { file: 'bwrap', args, options };
+    }
+
+    const args = ['--quiet', '--noprofile', '--private-tmp', '--nonewprivs', '--caps.drop=all', '--read-only=/'];
+    for (const p of roots) args.push(`--read-write=${p}`);
+    for (const p of readOnly) args.push(`--read-only=${p}`);
+    if (!network) args.push('--net=none');
+    args.push('--', 'sh', '-c', command);
+    return { file: 'firejail', args, options };
+  }
+
+  /**
+   * Run a command to completion with a timeout and capped output.
+   * @returns {Promise<{ code, stdout, stderr, truncated, timedOut }>}
+   */
+  run(command, { agent, cwd, timeoutMs = 30000 } = {}) {
+    const { file, args, options } = this.spawnArgs(command, { agent, cwd });
+    const cap = this.maxOutput;
+
+    return new Promise((done) => {
+      const out = { stdout: '', stderr: '' };
+      let truncated = false;
+      let timedOut = false;
+      const child = spawn(file, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+
+      for (const stream of ['stdout', 'stderr']) {
+        child[stream].on('data', (chunk) => {
+          if (out[stream].length >= cap) { truncated = true; return; }
+          out[stream] += chunk.toString();
+          if (out[stream].length > cap) { out[stream] = out[stream].slice(0, cap); truncated = true; }
+        });
+      }
+
+      // Kill the whole process group — `sh -c` children outlive a plain kill
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try { process.kill(-child.pid, 'SIGKILL'); } catch { child.kill('SIGKILL'); }
+      }, timeoutMs);
+
+      child.on('error', (err) => {
+        clearTimeout(timer);
+        done({ code: 127, stdout: out.stdout, stderr: err.message, truncated, timedOut });
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        done({ code: code ?? 1, stdout: out.stdout, stderr: out.stderr, truncated, timedOut });
+      });
+    });
+  }
+}
@@ -1,42 +1,209 @@
 /**
- * RateLimiter — per-channel, per-agent rate limiting.
- * In-memory sliding window. Resets on restart.
+ * RateLimiter — how often channel users can message and tools can run.
+ *
+ * Buckets come from security.rateLimits, each with optional per-minute,
+ * hourly and daily caps:
+ *
+ *   "rateLimits": {
+ *     "messages":       { "perMinute": 10, "hourly": 120, "daily": 600 },
+ *     "shell_commands": { "hourly": 10, "daily": 50 }
+ *   }
+ *
+ * "messages" counts inbound channel messages per paired user
+ * ("telegram:123456"). Every other bucket is a tool category (see
+ * ToolRegistry.getToolMeta) counted across all agents. Windows are fixed
+ * UTC minutes, hours and days, so counts survive a restart.
+ *
+ * Uses the shared database. Falls back to JSON if no database is available.
  */
 
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 import { log } from '../core/logger.js';
 
+const WINDOWS = [
+  { name: 'minute', field: 'perMinute', ms: 60_000, period: (iso) => iso.slice(0, 16) },
+  { name: 'hour', field: 'hourly', ms: 3_600_000, period: (iso) => iso.slice(0, 13) },
+  { name: 'day', field: 'daily', ms: 86_400_000, period: (iso) => iso.slice(0, 10) },
+];
+
+/** Seconds until the window containing `now` ends */
+function secondsLeft(window, now) {
+  return Math.max(1, Math.ceil((window.ms - (now % window.ms)) / 1000));
+}
+
+function waitText(seconds) {
+  if (seconds < 90) return `${seconds}s`;
+  if (seconds < 90 * 60) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds / 3600)}h`;
+}
+
 export class RateLimiter {
   constructor(config = {}) {
-    this.windowMs = config.windowMs || 60_000;
-    this.maxRequests = config.maxRequests || 30;
-    this._windows = new Map();
+    const dir = config._dir;
+    if (dir && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+    this.limits = config.security?.rateLimits || {};
+    this._jsonPath = dir ? join(dir, 'rate-limits.json') : null;
+    this.db = null;
+    this._useJson = true;
+    this._data = null;
   }
 
-  _key(channel, userId) {
-    return `${channel}:${userId || 'anon'}`;
+  attach(db) {
+    if (db) { this.db = db; this._useJson = false; }
+    else { this._data = this._loadJson(); }
+    this._prune();
   }
 
-  check(channel, userId) {
-    const key = this._key(channel, userId);
-    const now = Date.now();
+  _loadJson() {
+    if (!this._jsonPath) return {};
+    try { return JSON.parse(readFileSync(this._jsonPath, 'utf8')); }
+    catch { return {}; }
+  }
 
-    if (!this._windows.has(key)) {
-      this._windows.set(key, []);
+  _saveJson() {
+    if (this._jsonPath) writeFileSync(this._jsonPath, JSON.stringify(this._data));
+  }
+
+  /** Windows with a cap for a bucket, as [window, limit] */
+  _windows(bucket) {
+    const limit = this.limits[bucket];
+    if (!limit || typeof limit !== 'object') return [];
+    return WINDOWS.filter(w => limit[w.field] > 0).map(w => [w, limit[w.field]]);
+  }
+
+  _row(bucket, key, window) {
+    if (this._useJson) {
+      if (!this._data) this._data = this._loadJson();
+      return this._data[`${bucket}|${key}|${window}`] || null;
     }
+    return this.db.prepare('SELECT period, count, noticed FROM rate_limits WHERE bucket = ? AND key = ? AND window = ?')
+      .get(bucket, key, window) || null;
+  }
 
-    const timestamps = this._windows.get(key).filter(t => now - t < this.windowMs);
-    this._windows.set(key, timestamps);
+  _write(bucket, key, window, row) {
+    if (this._useJson) {
+      this._data[`${bucket}|${key}|${window}`] = row;
+      return;
+    }
+    this.db.prepare(`
+      INSERT INTO rate_limits (bucket, key, window, period, count, noticed) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(bucket, key, window) DO UPDATE SET period = excluded.period, count = excluded.count, noticed = excluded.noticed
+    `).run(bucket, key, window, row.period, row.count, row.noticed);
+  }
 
-    if (timestamps.length >= this.maxRequests) {
-      log.warn(`RateLimiter: limit hit for ${key} (${timestamps.length}/${this.maxRequests})`);
-      return { allowed: false, retryAfter: Math.ceil((timestamps[0] + this.windowMs - now) / 1000) };
+  /** Counts from an earlier window can't limit anything — drop them */
+  _prune(now = Date.now()) {
+    const iso = new Date(now).toISOString();
+    try {
+      if (this._useJson) {
+        for (const [id, row] of Object.entries(this._data || {})) {
+          const window = WINDOWS.find(w => w.name === id.split('|')[2]);
+          if (!window || row.period !== window.period(iso)) delete this._data[id];
+        }
+        this._saveJson();
+      } else {
+        for (const w of WINDOWS) {
+          this.db.prepare('DELETE FROM rate_limits WHERE window = ? AND period != ?').run(w.name, w.period(iso));
+        }
+      }
+    } catch (err) {
+      log.debug(`Rate limit prune failed: ${err.message}`);
     }
+  }
 
-    timestamps.push(now);
-    return { allowed: true, remaining: this.maxRequests - timestamps.length };
+  /**
+   * Would one more fit? Doesn't count it.
+   * @returns {{ allowed, bucket, key, window?, limit?, count?, retryAfter? }}
+   */
+  peek(bucket, key = '*', now = Date.now()) {
+    const iso = new Date(now).toISOString();
+    for (const [window, limit] of this._windows(bucket)) {
+      const row = this._row(bucket, key, window.name);
+      const count = row?.period === window.period(iso) ? row.count : 0;
+      if (count >= limit) {
+        return { allowed: false, bucket, key, window: window.name, limit, count, retryAfter: secondsLeft(window, now) };
+      }
+    }
+    return { allowed: true, bucket, key };
+  }
+
+  /**
+   * Count one against every window of a bucket, unless one is full. A
+   * refusal has `first: true` the first time in that window, so callers can
+   * say so once instead of on every message.
+   */
+  take(bucket, key = '*', now = Date.now()) {
+    const windows = this._windows(bucket);
+    if (windows.length === 0) return { allowed: true, bucket, key };
+    const iso = new Date(now).toISOString();
+
+    const verdict = this.peek(bucket, key, now);
+    try {
+      if (!verdict.allowed) {
+        const row = this._row(bucket, key, verdict.window);
+        verdict.first = !row.noticed;
+        if (verdict.first) {
+          this._write(bucket, key, verdict.window, { ...row, noticed: 1 });
+          log.warn(`Rate limit: ${bucket} ${key} hit ${verdict.limit} per ${verdict.window}`);
+        }
+      } else {
+        for (const [window] of windows) {
+          const row = this._row(bucket, key, window.name);
+          const period = window.period(iso);
+          this._write(bucket, key, window.name, row?.period === period
+            ? { period, count: row.count + 1, noticed: row.noticed }
+            : { period, count: 1, noticed: 0 });
+        }
+      }
+      if (this._useJson) this._saveJson();
+    } catch (err) {
+      // A limiter that can't count shouldn't stop the agent
+      log.debug(`Rate limit count failed for ${bucket}/${key}: ${err.message}`);
+    }
+    return verdict;
+  }
+
+  /** An inbound channel message from a paired user */
+  takeMessage(channel, userId, now) {
+    return this.take('messages', `${channel}:${userId ?? 'anon'}`, now);
   }
 
-  reset(channel, userId) {
-    this._windows.delete(this._key(channel, userId));
+  /** User-facing text for a refusal */
+  describe(verdict) {
+    const wait = waitText(verdict.retryAfter);
+    if (verdict.bucket === 'messages') {
+      return `You're sending messages faster than I can take them (${verdict.limit} per ${verdict.window}). Try again in ${wait}.`;
+    }
+    return `${verdict.bucket} is limited to ${verdict.limit} per ${verdict.window} — try again in ${wait}, or the owner can raise security.rateLimits.${verdict.bucket} in config.`;
+  }
+
+  /** Clear the counts for a bucket and key (all windows) */
+  reset(bucket, key = '*') {
+    if (this._useJson) {
+      for (const w of WINDOWS) delete this._data?.[`${bucket}|${key}|${w.name}`];
+      this._saveJson();
+    } else {
+      this.db.prepare('DELETE FROM rate_limits WHERE bucket = ? AND key = ?').run(bucket, key);
+    }
+  }
+
+  /** Current counts against their caps, fullest first — for the dashboard */
+  status(now = Date.now()) {
+    const iso = new Date(now).toISOString();
+    const rows = this._useJson
+      ? Object.entries(this._data || {}).map(([id, row]) => {
+        const [bucket, key, window] = id.split('|');
+        return { bucket, key, window, ...row };
+      })
+      : this.db.prepare('SELECT bucket, key, window, period, count FROM rate_limits').all();
+
+    return rows.flatMap(row => {
+      const found = this._windows(row.bucket).find(([w]) => w.name === row.window);
+      if (!found || row.period !== found[0].period(iso)) return [];
+      const [window, limit] = found;
+      return [{ bucket: row.bucket, key: row.key, window: row.window, count: row.count, limit, resetsIn: secondsLeft(window, now) }];
+    }).sort((a, b) => b.count / b.limit - a.count / a.limit);
   }
 }
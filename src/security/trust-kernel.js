@@ -3,8 +3,23 @@
  *
  * VALUES.md is the agent's constitution. Immutable at runtime.
  * Only the human owner can edit this file.
+ *
+ * evaluate() decides gated actions in stages:
+ *
+ *   1. ## Action Rules — one rule per line, first match wins:
+ *        - deny shell_exec when command contains "rm -rf"
+ *        - ask stripe__* when amount > 100 because payments over £100 need me
+ *        - ask send_message when recipient not in approved contacts
+ *        - deny any when domain in [*.onion, pastebin.com]
+ *   2. Hard Rules and Forbidden Actions are prose. When one might apply,
+ *      the fast model judges it; without a model, keyword matching does.
+ *   3. Nothing applies — allowed.
+ *
+ * Verdicts are cached (qclaw.db, or memory without a database) and written
+ * to the audit log.
  */
 
+import { createHash } from 'crypto';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { log } from '../core/logger.js';
@@ -31,6 +46,15 @@ Only you (the owner) can edit this file.
 - No sycophantic openers ("Great question!" etc.)
 - Prioritise the owner's time over everything
 
+## Action Rules
+
+Checked in order before every gated tool call; the first match decides.
+\`<allow|deny|ask> <tool or any> [when <field> <op> <value> [and ...]] [because <reason>]\`
+Fields: tool, domain, amount, recipient, command, path, text, agent, channel.
+Ops: is, is not, in [a, b], not in [a, b], matches (glob), contains, >, >=, <, <=.
+
+- deny shell_exec when command contains "rm -rf /"
+
 ## Approved Contacts
 
 The agent may proactively contact:
@@ -42,11 +66,128 @@ The agent must never:
 - (add specific actions to block)
 `;
 
+const VERDICTS = ['allow', 'deny', 'ask'];
+const FIELDS = ['tool', 'domain', 'amount', 'recipient', 'command', 'path', 'text', 'agent', 'channel'];
+const NUMERIC = ['>', '>=', '<', '<='];
+
+// Word stems that tie an action to a prose rule — a shared topic means the rule might apply
+const TOPICS = [
+  ['money', 'pay', 'charge', 'refund', 'transfer', 'invoice', 'purchase', 'buy', 'stripe'],
+  ['delete', 'remove', 'rm', 'drop', 'destroy', 'wipe', 'truncate', 'overwrite'],
+  ['share', 'secret', 'password', 'api key', 'token', 'credential'],
+  ['impersonat', 'on behalf', 'legally', 'contract', 'sign'],
+  ['contact', 'send', 'email', 'message', 'publish', 'webhook', 'external service'],
+];
+
+const JUDGE_PROMPT = `You check an AI agent's proposed action against its owner's rules before it runs.
+Reply with JSON only: {"verdict": "allow" | "deny" | "ask", "reason": "<one short sentence>"}
+- deny: the action clearly breaks a rule
+- ask: it might, and the owner should decide
+- allow: no rule applies, or the action is plainly within them`;
+
+/** Glob with * and ?, whole value, case-insensitive */
+function globMatch(pattern, value) {
+  const re = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${re}$`, 'i').test(String(value));
+}
+
+/** "£1,250.50" → 1250.5 */
+function toNumber(value) {
+  const n = Number(String(value).replace(/^[£$€]/, '').replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Lower-case words for topic matching; snake_case tool names split too */
+const words = (text) => ` ${String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+
+const topicsOf = (text) => {
+  const w = words(text);
+  return TOPICS.filter(stems => stems.some(stem => w.includes(` ${stem}`)));
+};
+
+/**
+ * Parse one Action Rules line (without the leading "- ").
+ * @returns {{ verdict, tool, conditions, reason, text }}
+ * @throws {Error} describing what's wrong with the line
+ */
+export function parseActionRule(line) {
+  const text = line.trim();
+  const head = text.match(/^(allow|deny|ask)\s+(\S+)\s*(.*)$/i);
+  if (!head) throw new Error('should start with allow, deny or ask, then a tool name or "any"');
+  const [, verdict, tool, rest] = head;
+
+  let when = rest;
+  let reason = null;
+  const because = rest.match(/^(.*?)\s*\bbecause\s+(.+)$/i);
+  if (because) { when = because[1]; reason = because[2].trim(); }
+  if (when && !/^when\s/i.test(when)) throw new Error(`expected "when" after the tool name, got "${when.split(/\s+/)[0]}"`);
+
+  const tokens = [];
+  const re = /"([^"]*)"|'([^']*)'|\[([^\]]*)\]|(>=|<=|!=|>|<|=)|([^\s<>=!\["']+)/g;
+  let m;
+  while ((m = re.exec(when.replace(/^when\s+/i, '')))) {
+    if (m[1] !== undefined || m[2] !== undefined) tokens.push({ value: m[1] ?? m[2] });
+    else if (m[3] !== undefined) tokens.push({ list: m[3].split(',').map(v => v.trim().replace(/^["']|["']$/g, '')).filter(Boolean) });
+    else if (m[4]) tokens.push({ op: m[4] });
+    else tokens.push({ word: m[5] });
+  }
+
+  const conditions = [];
+  let i = 0;
+  const word = () => tokens[i]?.word?.toLowerCase();
+  while (i < tokens.length) {
+    const field = word();
+    if (!FIELDS.includes(field)) throw new Error(`unknown field "${tokens[i].word || tokens[i].value || tokens[i].op}" — use ${FIELDS.join(', ')}`);
+    i++;
+
+    let op;
+    let negate = false;
+    if (tokens[i]?.op) { op = { '=': 'is', '!=': 'is' }[tokens[i].op] || tokens[i].op; negate = tokens[i].op === '!='; i++; }
+    else if (word() === 'is') { op = 'is'; i++; if (word() === 'not') { negate = true; i++; } }
+    else if (word() === 'not' && tokens[i + 1]?.word?.toLowerCase() === 'in') { op = 'in'; negate = true; i += 2; }
+    else if (['in', 'matches', 'contains'].includes(word())) { op = word(); i++; }
+    else throw new Error(`expected an operator after "${field}"`);
+
+    let values;
+    if (op === 'in' && word() === 'approved' && tokens[i + 1]?.word?.toLowerCase() === 'contacts') {
+      values = { contacts: true };
+      i += 2;
+    } else if (op === 'in') {
+      if (!tokens[i]?.list) throw new Error(`"in" needs a [list] or "approved contacts"`);
+      values = tokens[i++].list;
+    } else {
+      const t = tokens[i++];
+      const value = t?.value ?? t?.word;
+      if (value === undefined) throw new Error(`missing value after "${field} ${op}"`);
+      if (NUMERIC.includes(op) && toNumber(value) === null) throw new Error(`"${value}" isn't a number`);
+      values = [value];
+    }
+    conditions.push({ field, op, negate, values });
+
+    if (i < tokens.length) {
+      if (word() !== 'and') throw new Error(`expected "and" between conditions, got "${tokens[i].word || tokens[i].value || tokens[i].op}"`);
+      i++;
+      if (i >= tokens.length) throw new Error('dangling "and"');
+    }
+  }
+
+  return { verdict: verdict.toLowerCase(), tool, conditions, reason, text };
+}
+
 export class TrustKernel {
   constructor(config) {
     this.file = join(config._dir, 'VALUES.md');
-    this.rules = { hard: [], soft: [], forbidden: [] };
+    this.rules = { hard: [], soft: [], forbidden: [], actions: [], contacts: [] };
+    this.ruleErrors = [];
     this.raw = '';
+
+    const trust = config.trust || {};
+    this.judgeMode = ['always', 'off'].includes(trust.judge) ? trust.judge : 'ambiguous';
+    this.cacheHours = trust.cacheHours ?? 24;
+    this._router = null;  // set via useJudge()
+    this._audit = null;   // set via useAudit()
+    this._cache = new Map();
+    this.db = null;
   }
 
   async load() {
@@ -57,8 +198,20 @@ export class TrustKernel {
 
     this.raw = readFileSync(this.file, 'utf-8');
     this._parse();
+    for (const { line, error } of this.ruleErrors) log.warn(`VALUES.md action rule ignored — ${error}: ${line}`);
   }
 
+  /** Cache verdicts in the shared database; without one they stay in memory */
+  attach(db) {
+    this.db = db || null;
+  }
+
+  /** Router for the fast-model judge */
+  useJudge(router) { this._router = router; }
+
+  /** Audit log that records every verdict */
+  useAudit(audit) { this._audit = audit; }
+
   /**
    * Check if an action is allowed by the Trust Kernel.
    * Returns { allowed: boolean, reason: string }
@@ -87,6 +240,204 @@ export class TrustKernel {
     return { allowed: true, reason: null };
   }
 
+  /**
+   * Decide a gated action: Action Rules, then the judge (or keywords) for
+   * prose rules that might apply.
+   *
+   * @param {string} action - tool name
+   * @param {string|object} detail - the call's arguments, JSON or plain text
+   * @param {object} [context] - { agent, channel, judge: false to skip the model }
+   * @returns {Promise<{ verdict: 'allow'|'deny'|'ask', reason: string|null, stage: string, rule?: string, cached?: boolean }>}
+   */
+  async evaluate(action, detail = '', context = {}) {
+    const facts = this.facts(action, detail, context);
+    const key = createHash('sha256')
+      .update([this.raw, action, facts.text[0], context.agent || '', context.channel || ''].join('\0'))
+      .digest('hex');
+
+    const cached = this._cached(key);
+    if (cached) {
+      this._record(action, { ...cached, cached: true }, context);
+      return { ...cached, cached: true };
+    }
+
+    let result = this.matchRules(facts);
+    if (!result) {
+      const topics = topicsOf(`${action} ${facts.text[0]}`);
+      const related = [...this.rules.hard, ...this.rules.forbidden]
+        .filter(rule => this.judgeMode === 'always' || topicsOf(rule).some(t => topics.includes(t)));
+      const judge = this._router && this.judgeMode !== 'off' && context.judge !== false;
+      if (related.length > 0 && judge) {
+        result = await this._judge(action, facts.text[0], related);
+      } else if (related.length > 0) {
+        const broken = related.find(rule => this._violates({ type: action, description: facts.text[0] }, rule));
+        if (broken) result = { verdict: 'deny', reason: broken, stage: 'keywords' };
+      }
+    }
+    if (!result) return { verdict: 'allow', reason: null, stage: 'default' };
+
+    if (!result.error) this._store(key, action, result);
+    delete result.error;
+    this._record(action, result, context);
+    return result;
+  }
+
+  /** First Action Rule that matches, as a verdict — or null */
+  matchRules(facts) {
+    for (const rule of this.rules.actions) {
+      if (rule.tool.toLowerCase() !== 'any' && !globMatch(rule.tool, facts.tool[0])) continue;
+      if (!rule.conditions.every(c => this._test(c, facts[c.field], rule.verdict))) continue;
+      return { verdict: rule.verdict, reason: rule.reason || rule.text, stage: 'rules', rule: rule.text };
+    }
+    return null;
+  }
+
+  /** Whether a deny or ask Action Rule could apply to an action */
+  restricts(action) {
+    return this.rules.actions.some(rule => rule.verdict !== 'allow'
+      && (rule.tool.toLowerCase() === 'any' || globMatch(rule.tool, action)));
+  }
+
+  /**
+   * What the rules can see in an action. Every field is a list — a call can
+   * name several domains or recipients. Truncated JSON still yields what a
+   * regex can find. A broadcast (channel "all", or send_message with no
+   * channel) has the recipient "everyone", which no contact entry matches.
+   */
+  facts(action, detail = '', context = {}) {
+    const text = typeof detail === 'string' ? detail : JSON.stringify(detail ?? '');
+    let args = typeof detail === 'object' && detail ? detail : null;
+    if (!args) { try { args = JSON.parse(text); } catch { /* plain text or cut short */ } }
+    if (!args || typeof args !== 'object') args = {};
+
+    const list = (...values) => [...new Set(values.flat(2).filter(v => v !== undefined && v !== null && v !== '').map(String))];
+
+    const urls = text.match(/https?:\/\/[^\s"'<>\\]+/g) || [];
+    const hosts = urls.map(u => { try { return new URL(u).hostname; } catch { return null; } });
+    const amounts = [args.amount, args.value, args.price, args.total]
+      .filter(v => v !== undefined).map(toNumber)
+      .concat((text.match(/[£$€]\s?\d[\d,]*(?:\.\d+)?/g) || []).map(s => toNumber(s.replace(/\s/g, ''))));
+    const emails = text.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g) || [];
+    const broadcast = args.broadcast === true || String(args.channel ?? '').toLowerCase() === 'all'
+      || (action === 'send_message' && !args.channel);
+
+    return {
+      tool: [action],
+      domain: list(hosts, args.domain, args.host).map(d => d.toLowerCase()),
+      amount: list(amounts.filter(n => n !== null)),
+      recipient: list(
+        args.to, args.cc, args.bcc, args.recipient, args.recipients, args.target, args.email, args.attendees,
+        args.chat_id, args.chatId, args.channel_id, args.channelId, args.user_id, args.userId, args.phone,
+        emails, broadcast ? 'everyone' : null,
+      ),
+      command: list(args.command),
+      path: list(args.path, args.file, args.directory),
+      text: [text],
+      agent: list(context.agent),
+      channel: list(context.channel),
+    };
+  }
+
+  /**
+   * Whether a condition holds, failing closed. Deny and ask rules fire if
+   * any value satisfies the condition; an allow rule needs every value to —
+   * one approved recipient doesn't clear a message that also goes to a
+   * stranger. A field the action doesn't have satisfies a negated
+   * condition in a deny or ask rule ("recipient not in approved contacts"
+   * with no recipient at all) and nothing else.
+   */
+  _test({ op, negate, values }, facts, verdict = 'deny') {
+    if (!facts?.length) return negate && verdict !== 'allow';
+    const hit = (fact) => {
+      if (values.contacts) return this._isContact(fact);
+      if (op === 'contains') return fact.toLowerCase().includes(String(values[0]).toLowerCase());
+      if (NUMERIC.includes(op)) {
+        const n = toNumber(fact);
+        const limit = toNumber(values[0]);
+        if (n === null) return false;
+        return { '>': n > limit, '>=': n >= limit, '<': n < limit, '<=': n <= limit }[op];
+      }
+      return values.some(v => globMatch(v, fact));
+    };
+    const holds = (fact) => negate ? !hit(fact) : hit(fact);
+    return verdict === 'allow' ? facts.every(holds) : facts.some(holds);
+  }
+
+  /** A recipient is approved if it's a whole contact entry or any handle in one */
+  _isContact(value) {
+    const v = String(value).toLowerCase();
+    return this.rules.contacts.some(entry => {
+      const e = entry.toLowerCase();
+      return e === v || e.split(/[\s<>(),]+/).includes(v);
+    });
+  }
+
+  async _judge(action, text, related) {
+    const router = this._router;
+    const contacts = this.rules.contacts.length ? this.rules.contacts.join(', ') : '(none listed)';
+    try {
+      const result = await router.complete([
+        { role: 'system', content: JUDGE_PROMPT },
+        {
+          role: 'user',
+          content: `Rules:\n${related.map(r => `- ${r}`).join('\n')}\n\nApproved contacts: ${contacts}\n\n` +
+            `Action: ${action}\nDetails: ${String(text).slice(0, 1000)}`,
+        },
+      ], {
+        model: router.fast || router.primary,
+        maxTokens: 150,
+        noEscalate: true,
+      });
+      const json = JSON.parse(String(result.content).match(/\{[\s\S]*\}/)?.[0] || 'null');
+      const verdict = VERDICTS.includes(json?.verdict) ? json.verdict : 'ask';
+      const reason = String(json?.reason || 'the judge gave no reason').slice(0, 300);
+      return { verdict, reason, stage: 'judge', model: result.model, cost: result.cost };
+    } catch (err) {
+      log.debug(`Trust Kernel judge failed: ${err.message}`);
+      // Can't tell either way — the owner decides, and the next call asks the judge again
+      return { verdict: 'ask', reason: `couldn't check against ${related[0]}`, stage: 'judge', error: true };
+    }
+  }
+
+  _cached(key) {
+    if (!(this.cacheHours > 0)) return null;
+    try {
+      if (this.db) {
+        const row = this.db.prepare('SELECT verdict, reason, stage FROM trust_verdicts WHERE key = ? AND created > datetime(\'now\', ?)')
+          .get(key, `-${this.cacheHours} hours`);
+        return row || null;
+      }
+      const entry = this._cache.get(key);
+      if (entry && Date.now() - entry.at < this.cacheHours * 3600000) return entry.result;
+    } catch { /* a miss just evaluates again */ }
+    return null;
+  }
+
+  _store(key, action, result) {
+    if (!(this.cacheHours > 0)) return;
+    const { verdict, reason, stage } = result;
+    try {
+      if (this.db) {
+        this.db.prepare('INSERT OR REPLACE INTO trust_verdicts (key, action, verdict, reason, stage, created) VALUES (?, ?, ?, ?, ?, datetime(\'now\'))')
+          .run(key, action, verdict, reason, stage);
+      } else {
+        this._cache.set(key, { result: { verdict, reason, stage }, at: Date.now() });
+        if (this._cache.size > 1000) this._cache.delete(this._cache.keys().next().value);
+      }
+    } catch (err) {
+      log.debug(`Trust verdict cache: ${err.message}`);
+    }
+  }
+
+  _record(action, result, context) {
+    if (!this._audit?.log) return;
+    try {
+      this._audit.log(context.agent || 'trust-kernel', 'trust_verdict',
+        `${action}: ${result.verdict} (${result.stage}${result.cached ? ', cached' : ''}) — ${result.reason}`,
+        { approved: result.verdict !== 'deny', model: result.model, cost: result.cost });
+    } catch { /* auditing never blocks a decision */ }
+  }
+
   /**
    * Get soft rules for the agent's personality/behaviour
    */
@@ -103,6 +454,8 @@ export class TrustKernel {
 
   _parse() {
     let section = null;
+    this.rules = { hard: [], soft: [], forbidden: [], actions: [], contacts: [] };
+    this.ruleErrors = [];
 
     for (const line of this.raw.split('\n')) {
       const trimmed = line.trim();
@@ -110,10 +463,20 @@ export class TrustKernel {
       if (trimmed.startsWith('## Hard Rules')) section = 'hard';
       else if (trimmed.startsWith('## Soft Rules')) section = 'soft';
       else if (trimmed.startsWith('## Forbidden')) section = 'forbidden';
+      else if (trimmed.startsWith('## Action Rules')) section = 'actions';
+      else if (trimmed.startsWith('## Approved Contacts')) section = 'contacts';
       else if (trimmed.startsWith('## ')) section = null;
 
       if (section && trimmed.startsWith('- ') && !trimmed.includes('(add ')) {
-        this.rules[section].push(trimmed.slice(2));
+        if (section !== 'actions') {
+          this.rules[section].push(trimmed.slice(2));
+          continue;
+        }
+        try {
+          this.rules.actions.push(parseActionRule(trimmed.slice(2)));
+        } catch (err) {
+          this.ruleErrors.push({ line: trimmed.slice(2), error: err.message });
+        }
       }
     }
   }
@@ -122,8 +485,7 @@ export class TrustKernel {
     const ruleLower = rule.toLowerCase();
     const actionLower = (action.type + ' ' + (action.description || '')).toLowerCase();
 
-    // Simple keyword matching for v1
-    // TODO: Use LLM-based rule checking for nuanced cases
+    // Keyword matching — evaluate() only falls back to this without a judge model
     const keywords = ['delete', 'send money', 'share', 'impersonate', 'secret', 'password', 'api key'];
     for (const kw of keywords) {
       if (ruleLower.includes(kw) && actionLower.includes(kw)) {
@@ -13,6 +13,7 @@
 import { readdirSync, readFileSync, existsSync, writeFileSync, unlinkSync, mkdirSync } from 'fs';
 import { join, basename } from 'path';
 import { log } from '../core/logger.js';
+import { parsePermission } from '../agents/skill-parser.js';
 
 export class SkillLoader {
   constructor(config) {
@@ -324,7 +325,7 @@ export class SkillLoader {
       endpoints: [],
       hasCode: false,
       code: null,
-      permissions: { http: [], shell: false, file: false },
+      permissions: { http: [], shell: [], file: [] },
       source: 'local',
       reviewed: true, // local skills trusted by default
       enabled: true,
@@ -391,18 +392,12 @@ export class SkillLoader {
           }
           break;
 
-        case 'permissions':
-          if (trimmed.startsWith('- http:')) {
-            const domains = trimmed.match(/\[([^\]]+)\]/);
-            if (domains) skill.permissions.http = domains[1].split(',').map(d => d.trim());
-          }
-          if (trimmed.includes('shell:') && !trimmed.includes('none')) {
-            skill.permissions.shell = true;
-          }
-          if (trimmed.includes('file:') && !trimmed.includes('none')) {
-            skill.permissions.file = true;
-          }
+        case 'permissions': {
+          // shell: commands the skill needs, file: paths — enforced by ExecPolicy
+          const permission = parsePermission(trimmed);
+          if (permission) skill.permissions[permission[0]] = permission[1];
           break;
+        }
 
         case 'source':
           if (trimmed.startsWith('Imported from')) {
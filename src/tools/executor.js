@@ -5,108 +5,191 @@
  *
  * Supports:
  *   - Single tool calls
- *   - Parallel tool calls (multiple in one response)
+ *   - Parallel tool calls (multiple in one response, run concurrently
+ *     up to tools.concurrency; serial-only tools are ordered — see
+ *     ToolRegistry.getToolMeta)
  *   - Sequential chains (tool result triggers another tool call)
  *   - Max iterations guard (prevents infinite loops)
- *   - Approval system for dangerous tools (shell, file write)
+ *   - Trust Kernel rules and owner approval for high-risk tools (shell,
+ *     file write, payments) — the call waits on ApprovalGate; a denial
+ *     ends the turn
+ *   - Rate limits per tool category (security.rateLimits) — a call over
+ *     its limit fails on its own, the rest of the turn carries on
  *
  * Works with both Anthropic and OpenAI-compatible tool calling APIs.
  */
 
 import { log } from '../core/logger.js';
+import { readSSE, streamParams } from '../models/stream.js';
+import { providerError, anthropicUsage, openaiUsage } from '../models/router.js';
 
 const MAX_TOOL_ITERATIONS = 10;  // Safety limit
-const TOOL_TIMEOUT = 30000;      // 30s per tool call
+const TOOL_TIMEOUT = 30000;      // 30s per tool call, unless the tool declares its own
+const TOOL_CONCURRENCY = 4;      // calls from one turn running at once
+
+// Tool-calling wire format: everything except Anthropic speaks OpenAI's
+const apiFamily = (provider) => provider === 'anthropic' ? 'anthropic' : 'openai';
 
 export class ToolExecutor {
   constructor(router, toolRegistry, options = {}) {
     this.router = router;
     this.tools = toolRegistry;
     this.maxIterations = options.maxIterations || MAX_TOOL_ITERATIONS;
-    this.requireApproval = options.requireApproval || [];
+    this.concurrency = Math.max(1, options.concurrency || TOOL_CONCURRENCY);
+    this.requireApproval = options.requireApproval || []; // tool names always gated
+    this.approvalGate = options.approvalGate || null;
     this.onToolCall = options.onToolCall || null;   // callback for UI updates
     this.onToolResult = options.onToolResult || null;
+    this.budgets = options.budgets || null;
+    this.rateLimiter = options.rateLimiter || null;
   }
 
   /**
    * Run a full agentic completion with tool use.
    *
+   * Pass options.onEvent to stream the turn. It receives:
+   *   { type: 'delta', text }                       — text fragment from the model
+   *   { type: 'tool_call', id, name, args }         — before a tool runs
+   *   { type: 'tool_approval', id, name, status, reason } — call waiting on the owner, or refused
+   *   { type: 'tool_result', id, name, error, result } — after it returns (result truncated)
+   *
+   * Pass options.budget ({ agent, team, channel, userId }) to check budgets
+   * before every LLM call and record what the turn spends.
+   *
+   * Pass options.caller ({ agent, channel, userId, chatId }) so approval
+   * requests reach the owner where the conversation is happening, and
+   * shell/file tools apply that agent's exec policy.
+   *
    * @param {Array} messages - Chat messages [{role, content}]
-   * @param {Object} options - { model, system, maxTokens }
-   * @returns {Object} { content, toolCalls, usage }
+   * @param {Object} options - { model, system, maxTokens, onEvent, budget, caller }
+   * @returns {Object} { content, toolCalls, usage, cost }
    */
   async run(messages, options = {}) {
+    const onEvent = options.onEvent || null;
+    if (onEvent && !options.onDelta) {
+      options = { ...options, onDelta: (text) => onEvent({ type: 'delta', text }) };
+    }
+
     const model = options.model || this.router.primary;
     if (!model || !model.provider) {
       const result = await this.router.complete(messages, options);
-      return { content: result.content, toolCalls: [], usage: result.usage, model: result.model };
+      this._spend(options, result.cost);
+      return { content: result.content, toolCalls: [], usage: result.usage, cost: result.cost, model: result.model };
     }
     const provider = model.provider;
-    const toolDefs = this.tools.getToolDefinitions(provider === 'anthropic' ? 'anthropic' : 'openai');
+    const toolDefs = this.tools.getToolDefinitions(apiFamily(provider));
 
     // If no tools available, just do a normal completion
     if (toolDefs.length === 0) {
       const result = await this.router.complete(messages, options);
-      return { content: result.content, toolCalls: [], usage: result.usage, model: result.model };
+      this._spend(options, result.cost);
+      return { content: result.content, toolCalls: [], usage: result.usage, cost: result.cost, model: result.model };
     }
 
     let iteration = 0;
     let allToolCalls = [];
     let currentMessages = [...messages];
-    let totalUsage = { input_tokens: 0, output_tokens: 0 };
+    let totalUsage = { input_tokens: 0, cached_input_tokens: 0, cache_write_input_tokens: 0, output_tokens: 0 };
+    let totalCost = 0;
+
+    // Fallback chain for this tier. Once tool results are in the history the
+    // loop is tied to that wire format, so later iterations only fall back
+    // within the same API family.
+    let chain = this.router.chainFor({ ...options, model });
+    const defsByFamily = { [apiFamily(provider)]: toolDefs };
+    let family = null;
+
+    // Opted-in tiers may be answered from cache. Only answers that needed
+    // no tools are stored — tool results go stale.
+    const cacheable = this.router.cache?.accepts(options);
+    if (cacheable) {
+      const hit = await this.router.cacheLookup(messages, model, options);
+      if (hit) return { ...hit, toolCalls: [], iterations: 0 };
+    }
 
     while (iteration < this.maxIterations) {
       iteration++;
 
-      // Call LLM with tools
-      const result = await this._completionWithTools(currentMessages, toolDefs, model, options);
-      totalUsage.input_tokens += result.usage?.input_tokens || 0;
-      totalUsage.output_tokens += result.usage?.output_tokens || 0;
+      // Budget check before every call — a long tool loop can cross the limit mid-turn
+      const verdict = this.budgets && options.budget ? this.budgets.check(options.budget) : null;
+      if (verdict?.action === 'downgrade' && this.router.fast && !options.noEscalate) {
+        log.warn(`Budget exceeded mid-turn — switching to fast model (${this.router.fast.model})`);
+        chain = this.router.chainFor({ model: this.router.fast, tier: 'simple', noEscalate: true });
+        options = { ...options, noEscalate: true };
+      }
+      const candidates = family ? chain.filter(m => apiFamily(m.provider) === family) : chain;
+      const overBudget = verdict && verdict.action !== 'allow';
+      if (overBudget && (verdict.action === 'refuse' || !this.router.fast || candidates.length === 0)) {
+        return {
+          content: this.budgets.describe(verdict),
+          toolCalls: allToolCalls,
+          usage: totalUsage,
+          cost: Math.round(totalCost * 10000) / 10000,
+          iterations: iteration - 1,
+          budgetExceeded: true,
+        };
+      }
+
+      // Call LLM with tools — no retries once text has been streamed
+      let streamed = false;
+      const callOptions = options.onDelta
+        ? { ...options, onDelta: (text) => { streamed = true; options.onDelta(text); } }
+        : options;
+
+      const result = await this.router.withFallback(candidates, (m) => {
+        const fam = apiFamily(m.provider);
+        defsByFamily[fam] ||= this.tools.getToolDefinitions(fam);
+        return this._completionWithTools(currentMessages, defsByFamily[fam], m, callOptions);
+      }, { canRetry: () => !streamed });
+      // Each round is billed separately — the whole history is re-sent every time
+      const generated = result.content + (result.toolCalls?.length ? JSON.stringify(result.toolCalls) : '');
+      const metered = this.router.meter(result.model, result.provider, currentMessages, generated, result.usage);
+      totalUsage.input_tokens += metered.usage.input_tokens || 0;
+      totalUsage.cached_input_tokens += metered.usage.cached_input_tokens || 0;
+      totalUsage.cache_write_input_tokens += metered.usage.cache_write_input_tokens || 0;
+      totalUsage.output_tokens += metered.usage.output_tokens || 0;
+      if (metered.usage.estimated) totalUsage.estimated = true;
+      totalCost += metered.cost;
+      this._spend(options, metered.cost);
 
       // No tool use — we have the final text response
       if (!result.toolCalls || result.toolCalls.length === 0) {
+        if (cacheable && iteration === 1) {
+          this.router.cacheStore(messages, model, { content: result.content, usage: metered.usage, cost: metered.cost }, options);
+        }
         return {
           content: result.content,
           toolCalls: allToolCalls,
           usage: totalUsage,
+          cost: Math.round(totalCost * 10000) / 10000,
           model: result.model,
+          provider: result.provider,
           iterations: iteration,
         };
       }
 
-      // Execute tool calls
-      const toolResults = [];
-      for (const call of result.toolCalls) {
-        allToolCalls.push(call);
-
-        if (this.onToolCall) {
-          this.onToolCall(call);
-        }
-
-        try {
-          log.debug(`Tool: ${call.name}(${JSON.stringify(call.args).slice(0, 100)})`);
-
-          const toolResult = await Promise.race([
-            this.tools.executeTool(call.name, call.args),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Tool timeout')), TOOL_TIMEOUT))
-          ]);
-
-          const resultStr = typeof toolResult === 'string' ? toolResult : JSON.stringify(toolResult);
-          toolResults.push({ id: call.id, name: call.name, result: resultStr, error: false });
-
-          if (this.onToolResult) {
-            this.onToolResult({ ...call, result: resultStr });
-          }
+      // Execute tool calls — independent ones concurrently, results in call order
+      allToolCalls.push(...result.toolCalls);
+      const toolResults = await this._executeToolCalls(result.toolCalls, onEvent, options.caller);
 
-        } catch (err) {
-          const errorMsg = `Error executing ${call.name}: ${err.message}`;
-          toolResults.push({ id: call.id, name: call.name, result: errorMsg, error: true });
-          log.warn(errorMsg);
-        }
+      // The owner said no (or didn't answer) — stop rather than let the model work around it
+      const denied = toolResults.find(r => r.denied);
+      if (denied) {
+        return {
+          content: `I stopped before running ${denied.name}: ${denied.reason}.`,
+          toolCalls: allToolCalls,
+          usage: totalUsage,
+          cost: Math.round(totalCost * 10000) / 10000,
+          model: result.model,
+          provider: result.provider,
+          iterations: iteration,
+          approvalDenied: true,
+        };
       }
 
       // Append assistant message with tool calls + tool results to history
-      if (provider === 'anthropic') {
+      family = apiFamily(result.provider);
+      if (family === 'anthropic') {
         currentMessages = this._appendAnthropicToolLoop(currentMessages, result, toolResults);
       } else {
         currentMessages = this._appendOpenAIToolLoop(currentMessages, result, toolResults);
@@ -119,10 +202,147 @@ export class ToolExecutor {
       content: 'I made several tool calls but hit the iteration limit. Here\'s what I found so far.',
       toolCalls: allToolCalls,
       usage: totalUsage,
+      cost: Math.round(totalCost * 10000) / 10000,
       iterations: iteration,
     };
   }
 
+  /**
+   * Run one turn's tool calls. Each call waits for the earlier calls it
+   * conflicts with: a `serial: true` tool conflicts with everything, a keyed
+   * one with calls sharing its key. Everything else runs side by side, at
+   * most `concurrency` at a time.
+   *
+   * High-risk calls wait for approval without holding a slot. Once one is
+   * denied, calls that haven't started yet are skipped.
+   */
+  async _executeToolCalls(calls, onEvent, caller = null) {
+    const plans = calls.map(call => ({
+      call,
+      meta: this.tools.getToolMeta?.(call.name, call.args) || { timeoutMs: TOOL_TIMEOUT, serial: false, risk: 'low' },
+    }));
+
+    for (const { call } of plans) {
+      if (this.onToolCall) this.onToolCall(call);
+      if (onEvent) onEvent({ type: 'tool_call', id: call.id, name: call.name, args: call.args });
+    }
+
+    const slots = [];
+    let active = 0;
+    const acquire = () => active < this.concurrency
+      ? (active++, Promise.resolve())
+      : new Promise(resolve => slots.push(resolve));
+    const release = () => {
+      const next = slots.shift();
+      if (next) next(); else active--;
+    };
+
+    const conflicts = (a, b) => a.serial === true || b.serial === true || (a.serial && a.serial === b.serial);
+    const done = [];
+    let stopped = false;
+    plans.forEach((plan, i) => {
+      const waitFor = done.filter((_, j) => conflicts(plans[j].meta, plan.meta));
+      done[i] = Promise.all(waitFor).then(async () => {
+        const { call } = plan;
+        const refuse = (result, extra = {}) => {
+          if (onEvent) onEvent({ type: 'tool_result', id: call.id, name: call.name, error: true, result });
+          return { id: call.id, name: call.name, result, error: true, ...extra };
+        };
+        if (stopped) return refuse('Skipped: another tool call in this turn was denied');
+
+        // Checked before asking the owner, and counted once they've said yes
+        const category = plan.meta.category;
+        const limited = (verdict) => refuse(`Rate limited: ${this.rateLimiter.describe(verdict)}`, { limited: true });
+        if (category && this.rateLimiter) {
+          const room = this.rateLimiter.peek(category);
+          if (!room.allowed) return limited(room);
+        }
+
+        const verdict = await this._approve(call, plan.meta.risk, caller, onEvent);
+        if (!verdict.approved) {
+          stopped = true;
+          const reason = verdict.reason || 'denied by the owner';
+          return refuse(`Not approved: ${reason}`, { denied: true, reason });
+        }
+        if (stopped) return refuse('Skipped: another tool call in this turn was denied');
+        if (category && this.rateLimiter) {
+          const taken = this.rateLimiter.take(category);
+          if (!taken.allowed) return limited(taken);
+        }
+
+        await acquire();
+        try {
+          return await this._executeToolCall(call, plan.meta.timeoutMs, onEvent, caller);
+        } finally {
+          release();
+        }
+      });
+    });
+
+    return Promise.all(done);
+  }
+
+  /**
+   * Clear a call with the Trust Kernel, and ask the owner before a
+   * high-risk one. Resolves { approved, reason }. Without a gate (tests,
+   * CLI one-shots) everything runs as before.
+   */
+  async _approve(call, risk = 'low', caller, onEvent) {
+    if (!this.approvalGate) return { approved: true };
+    const level = this.requireApproval.includes(call.name) && (risk === 'low' || risk === 'medium') ? 'high' : risk;
+
+    let asked = false;
+    const onAsk = () => {
+      asked = true;
+      if (onEvent) onEvent({ type: 'tool_approval', id: call.id, name: call.name, status: 'pending' });
+    };
+    let verdict;
+    try {
+      // The whole argument object — the Trust Kernel's rules read fields from it
+      verdict = await this.approvalGate.check(caller?.agent || 'agent', call.name, call.args || {}, level, { ...caller, tool: call.name }, { onAsk });
+    } catch (err) {
+      verdict = { approved: false, reason: `approval failed (${err.message})` };
+    }
+    if (onEvent && (asked || !verdict.approved)) {
+      onEvent({ type: 'tool_approval', id: call.id, name: call.name, status: verdict.approved ? 'approved' : 'denied', reason: verdict.reason || null });
+    }
+    return verdict;
+  }
+
+  async _executeToolCall(call, timeoutMs, onEvent, caller = null) {
+    let timer;
+    try {
+      log.debug(`Tool: ${call.name}(${JSON.stringify(call.args).slice(0, 100)})`);
+
+      const toolResult = await Promise.race([
+        this.tools.executeTool(call.name, call.args, caller || {}),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Tool timeout after ${timeoutMs / 1000}s`)), timeoutMs);
+        })
+      ]);
+
+      const resultStr = typeof toolResult === 'string' ? toolResult : JSON.stringify(toolResult);
+
+      if (this.onToolResult) {
+        this.onToolResult({ ...call, result: resultStr });
+      }
+      if (onEvent) onEvent({ type: 'tool_result', id: call.id, name: call.name, error: false, result: resultStr.slice(0, 500) });
+      return { id: call.id, name: call.name, result: resultStr, error: false };
+
+    } catch (err) {
+      const errorMsg = `Error executing ${call.name}: ${err.message}`;
+      log.warn(errorMsg);
+      if (onEvent) onEvent({ type: 'tool_result', id: call.id, name: call.name, error: true, result: errorMsg });
+      return { id: call.id, name: call.name, result: errorMsg, error: true };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _spend(options, cost) {
+    if (this.budgets && options.budget) this.budgets.record(options.budget, cost);
+  }
+
   // ─── Provider-specific completion with tools ─────────────
 
   async _completionWithTools(messages, toolDefs, model, options) {
@@ -130,6 +350,9 @@ export class ToolExecutor {
 
     let apiKey = await this.router.secrets.get(`${provider}_api_key`);
     if (!apiKey) apiKey = model.apiKey;
+    if (!apiKey && provider !== 'ollama') {
+      throw new Error(`No API key found for ${provider}. Run: qclaw onboard`);
+    }
 
     if (provider === 'anthropic') {
       return this._anthropicWithTools(apiKey, model.model, messages, toolDefs, options);
@@ -176,6 +399,7 @@ export class ToolExecutor {
       tools,
     };
     if (systemParts.length > 0) body.system = systemParts.join('\n\n');
+    if (options.onDelta) body.stream = true;
 
     const res = await fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
@@ -187,12 +411,11 @@ export class ToolExecutor {
       body: JSON.stringify(body),
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`Anthropic ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await providerError('Anthropic', res);
 
-    const data = await res.json();
+    const data = options.onDelta
+      ? await this._collectAnthropicStream(res, options.onDelta)
+      : await res.json();
 
     // Parse response — can be mix of text and tool_use blocks
     let textContent = '';
@@ -215,10 +438,7 @@ export class ToolExecutor {
       toolCalls,
       stopReason: data.stop_reason,
       rawContent: data.content, // needed for appending to message history
-      usage: {
-        input_tokens: data.usage?.input_tokens || 0,
-        output_tokens: data.usage?.output_tokens || 0,
-      },
+      usage: anthropicUsage(data.usage),
       model,
     };
   }
@@ -232,6 +452,7 @@ export class ToolExecutor {
       mistral: 'https://api.mistral.ai/v1/chat/completions',
       xai: 'https://api.x.ai/v1/chat/completions',
       google: 'https://generativelanguage.googleapis.com/v1beta/openai/chat/completions',
+      ollama: `${this.router.config.models?.ollamaUrl || 'http://localhost:11434'}/v1/chat/completions`,
     };
 
     const url = endpoints[provider] || `${this.router.config.models?.customEndpoint}/v1/chat/completions`;
@@ -241,6 +462,7 @@ export class ToolExecutor {
       messages,
       max_tokens: options.maxTokens || 4096,
       tools,
+      ...(options.onDelta ? streamParams(provider) : {}),
     };
 
     const res = await fetch(url, {
@@ -252,12 +474,11 @@ export class ToolExecutor {
       body: JSON.stringify(body),
     });
 
-    if (!res.ok) {
-      const err = await res.text();
-      throw new Error(`${provider} ${res.status}: ${err}`);
-    }
+    if (!res.ok) throw await providerError(provider, res);
 
-    const data = await res.json();
+    const data = options.onDelta
+      ? await this._collectOpenAIStream(res, options.onDelta)
+      : await res.json();
     const choice = data.choices?.[0];
 
     const toolCalls = (choice?.message?.tool_calls || []).map(tc => ({
@@ -271,14 +492,98 @@ export class ToolExecutor {
       toolCalls,
       stopReason: choice?.finish_reason,
       rawMessage: choice?.message, // needed for appending to history
-      usage: {
-        input_tokens: data.usage?.prompt_tokens || 0,
-        output_tokens: data.usage?.completion_tokens || 0,
-      },
+      usage: openaiUsage(data.usage),
       model,
     };
   }
 
+  // ─── Streaming ──────────────────────────────────────────
+  // Rebuild the non-streaming response body from stream events, so the
+  // parsing and history code above handles both modes identically.
+
+  async _collectAnthropicStream(res, onDelta) {
+    const data = { content: [], stop_reason: null, usage: {} };
+    const partialJson = new Map(); // block index -> accumulated input JSON
+
+    for await (const { data: ev } of readSSE(res)) {
+      switch (ev.type) {
+        case 'message_start':
+          data.usage = { ...ev.message?.usage };
+          break;
+        case 'content_block_start':
+          data.content[ev.index] = { ...ev.content_block };
+          if (ev.content_block?.type === 'tool_use') partialJson.set(ev.index, '');
+          break;
+        case 'content_block_delta': {
+          const block = data.content[ev.index];
+          if (!block) break;
+          if (ev.delta?.type === 'text_delta') {
+            block.text = (block.text || '') + ev.delta.text;
+            onDelta(ev.delta.text);
+          } else if (ev.delta?.type === 'input_json_delta') {
+            partialJson.set(ev.index, partialJson.get(ev.index) + ev.delta.partial_json);
+          }
+          break;
+        }
+        case 'content_block_stop':
+          if (partialJson.has(ev.index)) {
+            const json = partialJson.get(ev.index);
+            try {
+              data.content[ev.index].input = json ? JSON.parse(json) : {};
+            } catch {
+              data.content[ev.index].input = {};
+            }
+          }
+          break;
+        case 'message_delta':
+          data.stop_reason = ev.delta?.stop_reason || data.stop_reason;
+          data.usage.output_tokens = ev.usage?.output_tokens || data.usage.output_tokens;
+          break;
+        case 'error':
+          throw new Error(`Anthropic stream: ${ev.error?.message || 'unknown error'}`);
+      }
+    }
+
+    data.content = data.content.filter(Boolean);
+    return data;
+  }
+
+  async _collectOpenAIStream(res, onDelta) {
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = []; // by delta index
+
+    for await (const { data: chunk } of readSSE(res)) {
+      if (chunk.usage) usage = chunk.usage;
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+      for (const tc of delta.tool_calls || []) {
+        const i = tc.index ?? toolCalls.length;
+        if (!toolCalls[i]) toolCalls[i] = { id: tc.id, type: 'function', function: { name: '', arguments: '' } };
+        if (tc.id) toolCalls[i].id = tc.id;
+        if (tc.function?.name) toolCalls[i].function.name += tc.function.name;
+        if (tc.function?.arguments) toolCalls[i].function.arguments += tc.function.arguments;
+      }
+    }
+
+    const message = { role: 'assistant', content: content || null };
+    const calls = toolCalls.filter(Boolean);
+    if (calls.length > 0) message.tool_calls = calls;
+
+    return {
+      choices: [{ message, finish_reason: finishReason }],
+      usage, // may be null — the router estimates tokens when the provider reports none
+    };
+  }
+
   // ─── Message history management for tool loops ──────────
 
   _appendAnthropicToolLoop(messages, assistantResult, toolResults) {
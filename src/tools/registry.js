@@ -15,6 +15,7 @@
  */
 
 import { MCPClient } from './mcp-client.js';
+import { ExecPolicy } from '../security/exec-policy.js';
 import { log } from '../core/logger.js';
 
 /**
@@ -264,6 +265,7 @@ export const PRESET_SERVERS = {
       {
         name: 'create_event',
         description: 'Create a new calendar event',
+        risk: 'medium', // sends invites to attendees
         inputSchema: { type: 'object', properties: {
           summary: { type: 'string', description: 'Event title' },
           start: { type: 'string', description: 'Start time (ISO 8601)' },
@@ -424,6 +426,7 @@ export const PRESET_SERVERS = {
     secretKey: 'stripe_api_key',
     setup: 'Get your secret key from https://dashboard.stripe.com/apikeys (use restricted key for safety)',
     requiresKey: true,
+    risk: 'high', // customer and payment data
     tools: [
       {
         name: 'list_payments',
@@ -513,6 +516,7 @@ export const PRESET_SERVERS = {
       {
         name: 'write_sheet',
         description: 'Write data to a Google Sheet',
+        risk: 'high',
         inputSchema: { type: 'object', properties: {
           spreadsheetId: { type: 'string', description: 'Spreadsheet ID' },
           range: { type: 'string', description: 'Range to write to (e.g. "Sheet1!A1")' },
@@ -534,6 +538,7 @@ export const PRESET_SERVERS = {
       {
         name: 'trigger_webhook',
         description: 'Trigger an n8n webhook workflow with custom data',
+        risk: 'high',
         inputSchema: { type: 'object', properties: {
           webhookPath: { type: 'string', description: 'Webhook path (e.g. /webhook/my-flow)' },
           data: { type: 'string', description: 'JSON data to send to the webhook' },
@@ -544,6 +549,8 @@ export const PRESET_SERVERS = {
 };
 
 
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
 export class ToolRegistry {
   constructor(config, secrets) {
     this.config = config;
@@ -554,6 +561,7 @@ export class ToolRegistry {
     this._builtins = new Map();  // toolName -> handler function
     this._broadcastFn = null;    // dashboard broadcast for canvas tools
     this._trustKernel = null;    // set via setTrustKernel()
+    this.policy = new ExecPolicy(config); // shell/file jail — see security/exec-policy.js
   }
 
   /** Wire dashboard broadcast for render_canvas tool */
@@ -562,6 +570,9 @@ export class ToolRegistry {
   /** Wire trust kernel for scope enforcement */
   setTrustKernel(tk) { this._trustKernel = tk; }
 
+  /** Wire the skill loader so skill ## Permissions widen each agent's exec policy */
+  setSkills(loader) { this.policy.useSkills(loader); }
+
   /**
    * Initialize: connect to all enabled MCP servers and register API tools
    */
@@ -634,9 +645,76 @@ export class ToolRegistry {
   }
 
   /**
-   * Execute a tool call from the LLM
+   * Execution metadata for a tool call, used by ToolExecutor to schedule
+   * calls from one assistant turn:
+   *   timeoutMs — this tool's own time limit
+   *   serial    — true: never overlaps another call in the turn
+   *               string: runs in order with calls sharing the same key
+   *
+   *   risk      — low | medium | high | critical; high and above wait for
+   *               the owner's approval before running
+   *   category  — the security.rateLimits bucket a call counts against
+   *               (shell_commands, file_changes, emails, api_calls…), or null
+   *
+   * Built-ins declare these next to their handler, API presets on the preset
+   * or tool definition. MCP tools are medium risk and api_calls unless
+   * configured. Config can override:
+   *   "tools": { "timeouts": { "github__search_code": 60000 }, "serial": ["notion__update_page"],
+   *              "risk": { "notion__update_page": "high" }, "categories": { "gmail__send": "emails" } }
+   */
+  getToolMeta(toolName, args = {}) {
+    const handler = this._builtins.get(toolName);
+    const configured = this.config.tools?.timeouts?.[toolName];
+
+    let serial = false;
+    if ((this.config.tools?.serial || []).includes(toolName)) serial = true;
+    else if (typeof handler?.serial === 'function') {
+      try { serial = handler.serial(args) || false; } catch { serial = true; }
+    } else if (handler?.serial) serial = true;
+
+    return {
+      timeoutMs: configured || handler?.timeoutMs || this.config.tools?.defaultTimeoutMs || 30000,
+      serial,
+      risk: this._riskFor(toolName, handler, args),
+      category: this._categoryFor(toolName, handler, args),
+    };
+  }
+
+  _categoryFor(toolName, handler, args) {
+    const configured = this.config.tools?.categories || {};
+    if (toolName in configured) return configured[toolName] || null;
+    if (handler) {
+      if (typeof handler.category !== 'function') return handler.category || null;
+      try { return handler.category(args) || null; } catch { return null; }
+    }
+    if (this._apiTools.has(toolName)) {
+      const { preset, toolDef } = this._apiTools.get(toolName);
+      return toolDef.category || preset.category || 'api_calls';
+    }
+    return 'api_calls';
+  }
+
+  _riskFor(toolName, handler, args) {
+    let risk = this.config.tools?.risk?.[toolName];
+    if (!risk && handler) {
+      if (typeof handler.risk === 'function') {
+        try { risk = handler.risk(args); } catch { risk = 'high'; }
+      } else {
+        risk = handler.risk || 'low';
+      }
+    } else if (!risk && this._apiTools.has(toolName)) {
+      const { preset, toolDef } = this._apiTools.get(toolName);
+      risk = toolDef.risk || preset.risk || 'low';
+    }
+    // MCP servers don't say what their tools touch
+    return RISK_LEVELS.includes(risk) ? risk : 'medium';
+  }
+
+  /**
+   * Execute a tool call from the LLM. `context` is the caller
+   * ({ agent, channel, userId }) — built-ins use it for per-agent policy.
    */
-  async executeTool(toolName, args = {}) {
+  async executeTool(toolName, args = {}, context = {}) {
     // Trust Kernel scope enforcement
     if (this._trustKernel) {
       const check = this._trustKernel.check({
@@ -651,7 +729,7 @@ export class ToolRegistry {
     // Built-in tool?
     if (this._builtins.has(toolName)) {
       const handler = this._builtins.get(toolName);
-      return await handler.fn(args);
+      return await handler.fn(args, context || {});
     }
 
     // API tool?
@@ -1168,6 +1246,7 @@ export class ToolRegistry {
       inputSchema: { type: 'object', properties: {
         timezone: { type: 'string', description: 'IANA timezone (e.g. Europe/London). Default: UTC' }
       }},
+      timeoutMs: 5000,
       fn: async ({ timezone }) => {
         const opts = { dateStyle: 'full', timeStyle: 'long' };
         if (timezone) opts.timeZone = timezone;
@@ -1181,6 +1260,7 @@ export class ToolRegistry {
       inputSchema: { type: 'object', properties: {
         expression: { type: 'string', description: 'Math expression (e.g. "2 * (3 + 4)")' }
       }, required: ['expression'] },
+      timeoutMs: 5000,
       fn: async ({ expression }) => {
         // Safe math eval (no eval())
         const sanitised = expression.replace(/[^0-9+\-*/().%\s]/g, '');
@@ -1199,6 +1279,8 @@ export class ToolRegistry {
       inputSchema: { type: 'object', properties: {
         url: { type: 'string', description: 'URL to fetch' }
       }, required: ['url'] },
+      timeoutMs: 20000, // fetch itself gives up at 15s
+      category: 'api_calls',
       fn: async ({ url }) => {
         try {
           const res = await fetch(url, {
@@ -1226,40 +1308,31 @@ export class ToolRegistry {
       }
     });
 
-    // Shell command execution (requires approval via Trust Kernel)
+    // Shell command execution — exec policy (allowlist, jail, scrubbed env) plus owner approval
     this._builtins.set('shell_exec', {
-      description: 'Execute a shell command. Returns stdout/stderr. Use for system tasks, package management, file operations, git commands, etc. Commands are subject to approval.',
+      description: 'Execute a shell command in the workspace. Returns stdout/stderr. Use for system tasks, package management, file operations, git commands, etc. Only allowlisted commands run, and each one needs the owner\'s approval.',
       inputSchema: { type: 'object', properties: {
         command: { type: 'string', description: 'Shell command to execute (e.g. "ls -la", "git status", "npm install")' },
-        cwd: { type: 'string', description: 'Working directory (optional, defaults to home)' },
+        cwd: { type: 'string', description: 'Working directory (optional, defaults to the workspace)' },
         timeout: { type: 'number', description: 'Timeout in seconds (default: 30, max: 120)' },
       }, required: ['command'] },
-      fn: async ({ command, cwd, timeout }) => {
-        const { execSync } = await import('child_process');
+      timeoutMs: 125000, // the command's own timeout caps at 120s
+      serial: true,      // commands can touch anything — never overlap them
+      risk: 'high',
+      category: 'shell_commands',
+      fn: async ({ command, cwd, timeout }, { agent } = {}) => {
         const timeoutMs = Math.min((timeout || 30), 120) * 1000;
-        const allowList = this.config.tools?.shell?.allowList || [];
-
-        // Check allowlist if configured
-        if (allowList.length > 0) {
-          const cmd = command.trim().split(/\s+/)[0];
-          if (!allowList.includes(cmd)) {
-            return `Command "${cmd}" not in shell allowlist. Allowed: ${allowList.join(', ')}`;
-          }
-        }
-
+        let result;
         try {
-          const result = execSync(command, {
-            encoding: 'utf-8',
-            timeout: timeoutMs,
-            cwd: cwd || process.env.HOME,
-            maxBuffer: 1024 * 512, // 512KB
-          });
-          return result.slice(0, 10000) || '(no output)';
+          result = await this.policy.run(command, { agent, cwd, timeoutMs });
         } catch (err) {
-          const stderr = err.stderr?.slice(0, 5000) || '';
-          const stdout = err.stdout?.slice(0, 5000) || '';
-          return `Exit code ${err.status || 1}\n${stderr}\n${stdout}`.trim();
+          return `⛔ ${err.message}`;
         }
+
+        const note = result.truncated ? `\n[output truncated at ${this.policy.maxOutput} chars]` : '';
+        if (result.timedOut) return `Timed out after ${timeoutMs / 1000}s\n${result.stderr}\n${result.stdout}`.trim() + note;
+        if (result.code === 0) return (result.stdout || '(no output)') + note;
+        return `Exit code ${result.code}\n${result.stderr}\n${result.stdout}`.trim() + note;
       }
     });
 
@@ -1267,13 +1340,15 @@ export class ToolRegistry {
     this._builtins.set('read_file', {
       description: 'Read the contents of a file from the local filesystem.',
       inputSchema: { type: 'object', properties: {
-        path: { type: 'string', description: 'Absolute or relative file path' },
+        path: { type: 'string', description: 'File path — relative paths are inside the workspace' },
         encoding: { type: 'string', description: 'Encoding (default: utf-8). Use "base64" for binary files.' },
       }, required: ['path'] },
-      fn: async ({ path, encoding }) => {
+      serial: ({ path }) => `file:${this.policy.resolvePath(path)}`, // see writes to the same file in order
+      fn: async ({ path, encoding }, { agent } = {}) => {
         const { readFileSync, statSync } = await import('fs');
-        const { resolve } = await import('path');
-        const fullPath = resolve(path);
+        const check = this.policy.checkPath(path, { agent });
+        if (!check.ok) return `⛔ ${check.reason}`;
+        const fullPath = check.path;
         try {
           const stat = statSync(fullPath);
           if (stat.size > 1024 * 1024) return `File too large (${(stat.size / 1024 / 1024).toFixed(1)}MB). Max 1MB.`;
@@ -1286,16 +1361,21 @@ export class ToolRegistry {
 
     // Write file
     this._builtins.set('write_file', {
-      description: 'Write content to a file on the local filesystem. Creates directories if needed.',
+      description: 'Write content to a file in the workspace. Creates directories if needed.',
       inputSchema: { type: 'object', properties: {
-        path: { type: 'string', description: 'File path to write to' },
+        path: { type: 'string', description: 'File path to write to — relative paths are inside the workspace' },
         content: { type: 'string', description: 'Content to write' },
         append: { type: 'boolean', description: 'Append instead of overwrite (default: false)' },
       }, required: ['path', 'content'] },
-      fn: async ({ path, content, append }) => {
+      serial: ({ path }) => `file:${this.policy.resolvePath(path)}`,
+      risk: 'high',
+      category: 'file_changes',
+      fn: async ({ path, content, append }, { agent } = {}) => {
         const { writeFileSync, appendFileSync, mkdirSync } = await import('fs');
-        const { resolve, dirname } = await import('path');
-        const fullPath = resolve(path);
+        const { dirname } = await import('path');
+        const check = this.policy.checkPath(path, { agent, write: true });
+        if (!check.ok) return `⛔ ${check.reason}`;
+        const fullPath = check.path;
         try {
           mkdirSync(dirname(fullPath), { recursive: true });
           if (append) {
@@ -1314,12 +1394,14 @@ export class ToolRegistry {
     this._builtins.set('list_directory', {
       description: 'List files and directories at a given path.',
       inputSchema: { type: 'object', properties: {
-        path: { type: 'string', description: 'Directory path (default: home)' },
+        path: { type: 'string', description: 'Directory path (default: the workspace)' },
       }},
-      fn: async ({ path }) => {
+      fn: async ({ path }, { agent } = {}) => {
         const { readdirSync, statSync } = await import('fs');
-        const { resolve, join } = await import('path');
-        const dir = resolve(path || process.env.HOME);
+        const { join } = await import('path');
+        const check = this.policy.checkPath(path || '.', { agent });
+        if (!check.ok) return `⛔ ${check.reason}`;
+        const dir = check.path;
         try {
           const entries = readdirSync(dir, { withFileTypes: true });
           return entries.map(e => {
@@ -1367,6 +1449,8 @@ export class ToolRegistry {
         query: { type: 'string', description: 'Search query' },
         count: { type: 'number', description: 'Number of results (1-10, default 5)' },
       }, required: ['query'] },
+      timeoutMs: 15000,
+      category: 'api_calls',
       fn: async ({ query, count = 5 }) => {
         const braveKey = await this.secrets?.get?.('brave_api_key')
           || process.env.BRAVE_API_KEY;
@@ -1391,14 +1475,19 @@ export class ToolRegistry {
         command: { type: 'string', description: 'Shell command (for start action)' },
         pid: { type: 'string', description: 'Process ID (for poll/log/kill)' },
       }, required: ['action'] },
-      fn: async ({ action, command, pid }) => {
+      serial: true,
+      risk: ({ action }) => action === 'start' || action === 'kill' ? 'high' : 'low',
+      category: ({ action }) => action === 'start' ? 'shell_commands' : null,
+      fn: async ({ action, command, pid }, { agent } = {}) => {
         if (!this._bgProcesses) this._bgProcesses = new Map();
         const { spawn } = await import('child_process');
 
         switch (action) {
           case 'start': {
             if (!command) return 'command required for start';
-            const proc = spawn('sh', ['-c', command], { cwd: process.env.HOME, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+            let spec;
+            try { spec = this.policy.spawnArgs(command, { agent }); } catch (err) { return `⛔ ${err.message}`; }
+            const proc = spawn(spec.file, spec.args, { ...spec.options, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
             const id = `bg-${proc.pid}`;
             const entry = { pid: proc.pid, command, stdout: '', stderr: '', exitCode: null, startedAt: new Date().toISOString() };
             proc.stdout.on('data', d => { entry.stdout += d.toString(); if (entry.stdout.length > 512000) entry.stdout = entry.stdout.slice(-256000); });
@@ -1446,6 +1535,8 @@ export class ToolRegistry {
         target: { type: 'string', description: 'User ID or chat ID on the channel' },
         message: { type: 'string', description: 'Message text to send' },
       }, required: ['message'] },
+      risk: 'medium',
+      category: ({ channel }) => channel === 'email' ? 'emails' : null,
       fn: async ({ channel, target, message }) => {
         if (this._broadcastFn && (!channel || channel === 'all')) {
           this._broadcastFn({ type: 'proactive_message', content: message, agent: 'tool', source: 'send_message' });
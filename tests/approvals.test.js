@@ -0,0 +1,135 @@
+/**
+ * Tool approvals — high-risk calls wait on the owner, denials end the turn.
+ * Run with: node tests/approvals.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ExecApprovals } from '../src/security/approvals.js';
+import { ApprovalGate } from '../src/security/approval-gate.js';
+import { ToolExecutor } from '../src/tools/executor.js';
+import { ChannelManager } from '../src/channels/manager.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-approvals-'));
+
+try {
+  const approvals = new ExecApprovals({ _dir: dir, approvals: { timeoutMinutes: 0.001 } });
+  approvals.attach(null);
+  const gate = new ApprovalGate(approvals, null);
+
+  // The owner is told where the request came from, and answers it
+  const asked = [];
+  const resolved = [];
+  approvals.onRequest((item) => {
+    asked.push(item);
+    if (item.action === 'shell') approvals.approve(item.id, 'telegram:owner');
+    if (item.action === 'pay') approvals.deny(item.id, 'dashboard', 'not today');
+  });
+  approvals.onResolve((event) => resolved.push(event));
+
+  const ran = [];
+  const tools = {
+    getToolMeta(name) {
+      return { timeoutMs: 1000, serial: name === 'pay', risk: { shell: 'high', pay: 'high' }[name] || 'low' };
+    },
+    async executeTool(name) { ran.push(name); return `${name} ok`; },
+  };
+  const executor = new ToolExecutor(null, tools, { approvalGate: gate, requireApproval: ['notify'] });
+  const call = (name, n) => ({ id: `c${n}`, name, args: { n } });
+  const caller = { agent: 'QClaw', channel: 'telegram', userId: '42', chatId: 42 };
+
+  // Approved: runs; low risk never asks
+  const events = [];
+  let results = await executor._executeToolCalls([call('shell', 1), call('time', 2)], (e) => events.push(e), caller);
+  assert.deepEqual(results.map(r => r.result), ['shell ok', 'time ok']);
+  assert.equal(asked.length, 1);
+  assert.deepEqual(asked[0].context, { ...caller, tool: 'shell' });
+  assert.deepEqual(events.filter(e => e.type === 'tool_approval').map(e => e.status), ['pending', 'approved']);
+  assert.equal(resolved[0].by, 'telegram:owner');
+
+  // Denied: the call is refused and calls still waiting on it are skipped
+  ran.length = 0;
+  results = await executor._executeToolCalls([call('pay', 1), call('time', 2)], null, caller);
+  assert.equal(results[0].denied, true);
+  assert.equal(results[0].reason, 'not today');
+  assert.match(results[1].result, /Skipped/);
+  assert.deepEqual(ran, []);
+
+  // requireApproval gates a low-risk tool; no answer times out as a denial
+  results = await executor._executeToolCalls([call('notify', 1)], null, caller);
+  assert.equal(results[0].denied, true);
+  assert.match(results[0].reason, /no answer/);
+  assert.equal(approvals.recent(1)[0].resolved_by, 'system');
+  assert.equal(approvals.approve(asked.at(-1).id), false); // too late
+
+  // The loop stops at a denial instead of handing it back to the model
+  const router = {
+    primary: { provider: 'openai', model: 'gpt-4o' },
+    chainFor: () => [router.primary],
+    withFallback: (chain, fn) => fn(chain[0]),
+    meter: () => ({ usage: { input_tokens: 1, output_tokens: 1 }, cost: 0 }),
+    cache: null,
+  };
+  executor.router = router;
+  executor.tools.getToolDefinitions = () => [{ type: 'function', function: { name: 'pay' } }];
+  let llmCalls = 0;
+  executor._completionWithTools = async () => {
+    llmCalls++;
+    return { content: '', toolCalls: [call('pay', 9)], model: 'gpt-4o', provider: 'openai' };
+  };
+  const turn = await executor.run([{ role: 'user', content: 'pay the invoice' }], { caller });
+  assert.equal(turn.approvalDenied, true);
+  assert.match(turn.content, /pay: not today/);
+  assert.equal(llmCalls, 1);
+
+  // Requests nobody can answer any more are closed on restart
+  approvals.request('QClaw', 'shell_exec', 'rm -rf tmp', 'high').catch(() => {});
+  const restarted = new ExecApprovals({ _dir: dir });
+  assert.equal(restarted._loadJson().items.at(-1).status, 'pending');
+  restarted.attach(null);
+  assert.equal(restarted.pending().length, 0);
+  await new Promise(r => setTimeout(r, 100)); // let the first instance's timer fire
+
+  // Chat buttons: prompts go to the owner's DMs only, and only approvers decide
+  const chat = new ExecApprovals({ _dir: join(dir, 'chat') });
+  chat.attach(null);
+  const manager = new ChannelManager({ channels: {}, memory: { owners: ['telegram:42', 'slack:U1'] } }, null, null);
+  const telegram = await manager._createChannel('telegram', { allowedUsers: [42, 77] });
+  const slack = await manager._createChannel('slack', {});
+  const dms = [];
+  telegram.bot = { api: { sendMessage: async (chatId) => { dms.push(chatId); return { message_id: 1 }; }, editMessageText: async () => {} } };
+  slack.app = { client: { chat: { postMessage: async ({ channel }) => { dms.push(channel); return { channel, ts: '1.1' }; }, update: async () => {} } } };
+  manager.channels.push(telegram, slack);
+  manager.wireApprovals(chat);
+
+  const pending = chat.request('QClaw', 'shell_exec', 'rm -rf build', 'high', { channel: 'telegram', userId: '77', chatId: -100 });
+  await new Promise(r => setTimeout(r, 50));
+  assert.deepEqual(dms, ['42'], 'asked in the owner\'s DM, not the group it came from');
+  const id = chat.pending().at(-1).id;
+  assert.deepEqual(telegram.decideApproval({ id: 77, username: 'paired' }, true, id), { settled: false, text: 'Only the owner can decide this.' });
+  assert.equal(slack.decideApproval({ id: 'U2' }, true, id).settled, false);
+  assert.equal(chat.pending().at(-1).id, id, 'a non-owner\'s press leaves it pending');
+  assert.deepEqual(telegram.decideApproval({ id: 42 }, false, id), { settled: true, text: 'Denied' });
+  assert.equal((await pending).approved, false);
+
+  // No approvers configured: nobody on the channel is asked or can decide
+  const bare = new ChannelManager({ channels: {} }, null, null);
+  const open = await bare._createChannel('slack', {});
+  const posts = [];
+  open.app = { client: { chat: { postMessage: async ({ channel }) => { posts.push(channel); return { channel, ts: '1' }; } } } };
+  await open.askApproval({ id: 1, agent: 'QClaw', action: 'shell_exec', risk_level: 'high', context: { channel: 'slack', chatId: 'C1' } });
+  assert.deepEqual(posts, []);
+  const waiting = chat.request('QClaw', 'shell_exec', 'ls', 'high', {});
+  const waitingId = chat.pending().at(-1).id;
+  open._approvals = chat;
+  assert.equal(open.decideApproval({ id: 'U1' }, true, waitingId).settled, false);
+  assert.equal(chat.pending().at(-1).id, waitingId);
+  chat.deny(waitingId, 'dashboard');
+  await waiting;
+
+  console.log('approval checks passed');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
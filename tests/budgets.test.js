@@ -0,0 +1,66 @@
+/**
+ * Budgets — limits per scope, downgrade vs refuse, alert thresholds.
+ * Run with: node tests/budgets.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BudgetManager } from '../src/core/budgets.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-budgets-'));
+const config = {
+  _dir: dir,
+  budgets: {
+    agents: { '*': { daily: 1 }, researcher: { daily: 5 } },
+    teams: { sales: { monthly: 2, onExceed: 'refuse' } },
+    users: { 'telegram:42': { daily: 0.5 } },
+  },
+};
+
+try {
+  const budgets = new BudgetManager(config);
+  budgets.attach(null);
+  const alerts = [];
+  budgets.wireNotify(async (message) => { alerts.push(message); });
+
+  const qclaw = { agent: 'QClaw', channel: 'dashboard' };
+  assert.equal(budgets.check(qclaw).action, 'allow');
+
+  // 80% alert fires once, 100% downgrades and alerts again
+  budgets.record(qclaw, 0.85);
+  budgets.record(qclaw, 0.01);
+  assert.equal(alerts.length, 1);
+  assert.match(alerts[0], /80%/);
+  budgets.record(qclaw, 0.2);
+  assert.equal(alerts.length, 2);
+  assert.match(alerts[1], /downgrading/);
+  assert.equal(budgets.check(qclaw).action, 'downgrade');
+
+  // "*" is per agent, named limits override it
+  assert.equal(budgets.check({ agent: 'researcher' }).action, 'allow');
+  budgets.record({ agent: 'researcher' }, 1.5);
+  assert.equal(budgets.check({ agent: 'researcher' }).action, 'allow');
+
+  // Paired users are keyed by channel; refuse wins over downgrade
+  const user = { agent: 'researcher', team: 'sales', channel: 'telegram', userId: '42' };
+  budgets.record(user, 0.6);
+  const verdict = budgets.check(user);
+  assert.equal(verdict.action, 'downgrade');
+  assert.equal(verdict.exceeded[0].key, 'telegram:42');
+  budgets.record(user, 1.4);
+  assert.equal(budgets.check(user).action, 'refuse');
+  assert.match(budgets.describe(budgets.check(user)), /team "sales"/);
+
+  // Spend survives a restart via the JSON fallback
+  const reloaded = new BudgetManager(config);
+  reloaded.attach(null);
+  assert.equal(reloaded.check(qclaw).action, 'downgrade');
+  const row = reloaded.status().find(r => r.scope === 'agent' && r.key === 'QClaw');
+  assert.equal(row.spentToday, 1.06);
+
+  console.log('budget checks passed');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
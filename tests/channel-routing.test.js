@@ -0,0 +1,140 @@
+/**
+ * Channel routing — rules by channel, chat, user, prefix and time of day,
+ * teams, fallbacks for paused agents, each channel's own agent, the
+ * decision log, and a channel handler actually using it.
+ * Run with: node tests/channel-routing.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { ChannelRouter } from '../src/channels/router.js';
+import { ChannelManager } from '../src/channels/manager.js';
+
+function fakeAgent(name) {
+  const agent = {
+    name,
+    status: 'active',
+    seen: [],
+    pause() { agent.status = 'paused'; },
+    resume() { agent.status = 'active'; },
+    process: async (text, context) => { agent.seen.push([text, context]); return { content: `${name}: ${text}`, tier: 'simple', cost: 0 }; },
+  };
+  return agent;
+}
+
+const agents = {
+  agents: new Map(['main', 'sales', 'support', 'night', 'alex', 'sam'].map(n => [n, fakeAgent(n)])),
+  teams: new Map([['helpdesk', { name: 'Helpdesk', leadAgent: 'alex', agentNames: ['alex', 'sam'], status: 'active' }]]),
+  get(name) { return this.agents.get(name) || this.primary(); },
+  primary() { return this.agents.get('main'); },
+  getTeam(id) { return this.teams.get(id) || null; },
+};
+const agent = (name) => agents.agents.get(name);
+
+const config = {
+  scheduler: { timezone: 'Europe/London' },
+  channels: { email: { enabled: true, agent: 'support' }, discord: { enabled: true, agent: 'primary' } },
+  channelRouting: {
+    history: 3,
+    rules: [
+      { prefix: '@sales', agent: 'sales' },
+      { channel: 'slack', chatId: ['C-HELP', 'C-BUGS'], team: 'helpdesk' },
+      { channel: 'telegram', userId: 42, agent: 'sales', fallback: 'support' },
+      { name: 'after hours', hours: '18:00-08:00', days: 'mon-fri', agent: 'night' },
+      { hours: 'late', agent: 'night' },
+      { channel: 'slack', agent: 'sales', team: 'helpdesk' },
+    ],
+  },
+};
+const router = new ChannelRouter(config, agents);
+
+// Monday 19 Oct 2026: 10:00 and 21:00 in London (BST)
+const morning = Date.UTC(2026, 9, 19, 9, 0);
+const evening = Date.UTC(2026, 9, 19, 20, 0);
+const saturdayEvening = Date.UTC(2026, 9, 24, 20, 0);
+const route = (message, now = morning) => router.route(message, { now });
+
+// Bad rules are left out rather than breaking routing
+assert.deepEqual(router.describe().map(r => r.label), ['rule 1 (@sales)', 'rule 2', 'rule 3', 'rule 4 (after hours)', 'email channel']);
+assert.deepEqual(router.describe()[3], { label: 'rule 4 (after hours)', when: 'mon-fri · 18:00-08:00 · Europe/London', to: 'night', fallback: null });
+assert.equal(router.describe()[1].to, 'team helpdesk');
+
+// Prefix, stripped before the agent sees it
+let d = route({ channel: 'discord', userId: '7', text: '@Sales, do we ship to Oslo?' });
+assert.equal(d.agent.name, 'sales');
+assert.equal(d.text, 'do we ship to Oslo?');
+assert.equal(d.rule, 'rule 1 (@sales)');
+assert.equal(route({ channel: 'discord', userId: '7', text: '@salesforce is down' }).agent.name, 'main', 'a prefix is a whole word');
+assert.equal(route({ channel: 'discord', userId: '7', text: '@sales' }).text, '@sales', 'nothing after the prefix keeps the message');
+
+// Chat ids and teams
+d = route({ channel: 'slack', userId: 'U1', chatId: 'C-BUGS', text: 'login broken' });
+assert.deepEqual([d.agent.name, d.team, d.rule], ['alex', 'helpdesk', 'rule 2']);
+assert.equal(route({ channel: 'slack', userId: 'U1', chatId: 'C-RANDOM', text: 'hi' }).agent.name, 'main');
+agent('alex').pause();
+assert.equal(route({ channel: 'slack', chatId: 'C-HELP', text: 'x' }).agent.name, 'sam', 'a paused lead passes to the next member');
+agent('sam').pause();
+d = route({ channel: 'slack', chatId: 'C-HELP', text: 'x' });
+assert.equal(d.agent.name, 'main');
+assert.deepEqual(d.fallback, ['rule 2: everyone in team helpdesk is paused']);
+agent('alex').resume(); agent('sam').resume();
+agents.teams.get('helpdesk').status = 'paused';
+assert.deepEqual(route({ channel: 'slack', chatId: 'C-HELP', text: 'x' }).fallback, ['rule 2: team helpdesk is paused']);
+agents.teams.get('helpdesk').status = 'active';
+
+// Paired users (ids compare as strings), with a fallback agent
+assert.equal(route({ channel: 'telegram', userId: 42, chatId: 42, text: 'hi' }).agent.name, 'sales');
+assert.equal(route({ channel: 'telegram', userId: 43, text: 'hi' }).agent.name, 'main');
+agent('sales').pause();
+d = route({ channel: 'telegram', userId: '42', text: 'hi' });
+assert.deepEqual([d.agent.name, d.rule, d.fallback], ['support', 'rule 3', ['rule 3: sales is paused']]);
+d = route({ channel: 'telegram', userId: '42', text: '@sales hi' });
+assert.equal(d.agent.name, 'support', 'a rule without a fallback hands over to the next rule that matches');
+assert.deepEqual(d.fallback, ['rule 1 (@sales): sales is paused', 'rule 3: sales is paused']);
+agent('support').pause();
+d = route({ channel: 'telegram', userId: '42', text: 'hi' });
+assert.equal(d.agent.name, 'main');
+assert.deepEqual(d.fallback, ['rule 3: sales is paused', 'rule 3 fallback: support is paused']);
+agent('sales').resume(); agent('support').resume();
+
+// Time of day, in the router's timezone, over midnight
+assert.equal(route({ channel: 'discord', userId: '7', text: 'hi' }, evening).agent.name, 'night');
+assert.equal(route({ channel: 'discord', userId: '7', text: 'hi' }, morning).agent.name, 'main');
+assert.equal(route({ channel: 'discord', userId: '7', text: 'hi' }, saturdayEvening).agent.name, 'main', 'weekdays only');
+assert.equal(route({ channel: 'telegram', userId: '42', text: 'hi' }, evening).agent.name, 'sales', 'earlier rules win');
+
+// A channel's own agent comes after the rules; "primary" and unknown agents fall through
+assert.equal(route({ channel: 'email', userId: 'a@b.c', text: 'Invoice' }).agent.name, 'support');
+assert.equal(route({ channel: 'email', userId: 'a@b.c', text: '@sales Quote' }).agent.name, 'sales');
+config.channels.email.agent = 'gone';
+d = route({ channel: 'email', userId: 'a@b.c', text: 'Invoice' });
+assert.deepEqual([d.agent.name, d.fallback], ['main', ['email channel: no agent "gone"']]);
+config.channels.email.agent = 'support';
+
+// The decision log keeps the latest few, newest first
+assert.equal(router.recent().length, 3);
+assert.deepEqual(router.recent(1)[0], {
+  time: morning, channel: 'email', userId: 'a@b.c', chatId: null, text: 'Invoice',
+  agent: 'main', team: null, rule: 'primary', fallback: ['email channel: no agent "gone"'],
+});
+router.route({ channel: 'slack', text: 'dry run' }, { record: false });
+assert.notEqual(router.recent(1)[0].text, 'dry run');
+assert.equal(new ChannelRouter({}, null).route({ channel: 'slack', text: 'x' }).agent, null, 'no agents, no agent');
+
+// Channels route through it
+const manager = new ChannelManager(config, agents, null);
+const slack = await manager._createChannel('slack', { streaming: false });
+slack._router = manager.router;
+const said = [];
+await slack._handleMessage('<@UBOT> @sales  pricing for 40 seats?', 'U9', 'C-RANDOM', async (t) => { said.push(t); });
+assert.deepEqual(said, ['sales: pricing for 40 seats?']);
+assert.equal(agent('sales').seen.at(-1)[1].chatId, 'C-RANDOM');
+await slack._handleMessage('the printer is on fire', 'U9', 'C-HELP', async (t) => { said.push(t); });
+assert.equal(said.at(-1), 'alex: the printer is on fire');
+assert.equal(manager.getRouting().decisions[0].agent, 'alex');
+
+// A channel started on its own still works, on the primary agent
+const loose = await manager._createChannel('slack', { streaming: false });
+await loose._handleMessage('@sales hi', 'U9', 'C-X', async (t) => { said.push(t); });
+assert.equal(said.at(-1), 'main: @sales hi');
+
+console.log('channel routing checks passed');
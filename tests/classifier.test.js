@@ -0,0 +1,65 @@
+/**
+ * Routing classifier — reflex intents, learned kNN routing, keyword fallback,
+ * and training on audited routes.
+ * Run with: node tests/classifier.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ModelRouter } from '../src/models/router.js';
+import { AuditLog } from '../src/security/audit.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-classifier-'));
+const config = {
+  _dir: dir,
+  models: {
+    primary: { provider: 'anthropic', model: 'claude-sonnet-4-5' },
+    fast: { provider: 'groq', model: 'llama-3.3-70b' },
+    routing: { enabled: true, reflexIntents: { 'gm': 'Morning!', 'ok': null } },
+  },
+};
+
+try {
+  const router = new ModelRouter(config, { get: async () => null });
+  router.classifier.attach(null);
+
+  // Reflex intents: built-ins, owner additions, owner removals, punctuation-insensitive
+  assert.equal(router.classify('Thanks!').tier, 'reflex');
+  assert.equal(router.classify('gm').response, 'Morning!');
+  assert.notEqual(router.classify('ok').tier, 'reflex');
+
+  // Untrained: keyword rules decide
+  assert.equal(router.classify('ok but what about Q3 revenue?').classifier, 'keyword');
+
+  const corrections = [
+    ['what is q3 revenue', 'complex'], ['q3 revenue vs q2', 'complex'], ['revenue by region this quarter', 'complex'],
+    ['what time is my dentist', 'simple'], ['when is my next call', 'simple'], ['remind me to call mum', 'simple'],
+    ['draft an email to sarah about the invoice', 'standard'], ['write a short post about our launch', 'standard'],
+  ];
+  for (const [text, tier] of corrections) router.classifier.correct(text, tier);
+
+  const route = router.classify('ok but what about Q3 revenue?');
+  assert.equal(route.classifier, 'learned');
+  assert.equal(route.tier, 'complex');
+  assert.ok(route.confidence > 0 && route.confidence <= 1);
+
+  assert.throws(() => router.classifier.correct('hi', 'reflex'), /Unknown tier/);
+  assert.equal(router.classifier.evaluate().evaluated, corrections.length);
+
+  // Audited routes train it, except turns a budget forced down to the fast model
+  const audit = new AuditLog({ _dir: join(dir, 'audit') });
+  audit.log('QClaw', 'completion', 'compare q3 revenue across every region', { tier: 'complex' });
+  audit.log('QClaw', 'completion', 'model the q4 forecast for each region', { tier: 'simple', routedTier: 'complex' });
+  audit.log('QClaw', 'completion', 'thanks', { tier: 'reflex' });
+  assert.equal(audit.recent(1)[0].routed_tier, null);
+  assert.equal(audit.recent(2)[1].routed_tier, 'complex');
+  const trained = router.classifier.train(audit);
+  assert.equal(trained.audited, 1);
+  assert.equal(trained.byTier.simple, 3, 'only the corrections say simple');
+
+  console.log('classifier checks passed');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
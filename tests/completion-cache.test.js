@@ -0,0 +1,83 @@
+/**
+ * Completion cache — normalised keys, similarity hits, router integration.
+ * Run with: node tests/completion-cache.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CompletionCache, stripVolatile } from '../src/core/completion-cache.js';
+import { ModelRouter } from '../src/models/router.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-cache-'));
+
+const system = (events) => `You are QClaw.\n\n## What I Know About You\n- Runs a bakery\n\n## Recent Events\n- ${events}\n\n## Tool Execution\nUse tools.`;
+const turn = (sys, text, history = []) => [{ role: 'system', content: sys }, ...history, { role: 'user', content: text }];
+
+try {
+  // Volatile sections and timestamps don't reach the key
+  const stripped = stripVolatile(`${system('Called Sam at 14:05')}\nNow: 2026-10-19T09:30:00Z`);
+  assert.doesNotMatch(stripped, /Called Sam/);
+  assert.match(stripped, /Runs a bakery/);
+  assert.match(stripped, /## Tool Execution/);
+  assert.match(stripped, /Now: <date>/);
+
+  const cache = new CompletionCache({ _dir: dir });
+  cache.attach(null);
+  cache.set(turn(system('Called Sam'), 'What time do we open?'), 'm1', 'Eight.');
+  assert.equal(cache.get(turn(system('Paid invoice 42'), '  what time do we OPEN  '), 'm1')?.content, 'Eight.');
+  assert.equal(cache.get(turn(system('x'), 'What time do we open?'), 'm2'), null);
+  assert.equal(cache.get(turn('Different soul', 'What time do we open?'), 'm1'), null);
+
+  // The stripped sections held the asker's own recall, so answers stay with them
+  cache.set(turn(system('Owner paid invoice 42'), 'Who supplies our flour?'), 'm1', 'Hallam Flour, per the contract.', { requester: 'owner' });
+  assert.equal(cache.get(turn(system('x'), 'Who supplies our flour?'), 'm1', { requester: 'owner' })?.content, 'Hallam Flour, per the contract.');
+  assert.equal(cache.get(turn(system('x'), 'Who supplies our flour?'), 'm1', { requester: 'user:telegram:7' }), null);
+  assert.equal(cache.get(turn(system('x'), 'Who supplies our flour?'), 'm1'), null);
+
+  // Only the last few turns count towards the key
+  const old = [{ role: 'user', content: 'ancient' }, { role: 'assistant', content: 'history' }];
+  cache.set(turn('S', 'and tomorrow?', [...old, { role: 'user', content: 'open today?' }, { role: 'assistant', content: 'Yes' }]), 'm1', 'Also yes.');
+  assert.equal(cache.get(turn('S', 'and tomorrow?', [{ role: 'user', content: 'open today?' }, { role: 'assistant', content: 'Yes' }]), 'm1')?.content, 'Also yes.');
+
+  // Tier opt-in
+  assert.equal(cache.accepts({ tier: 'simple' }), true);
+  assert.equal(cache.accepts({ tier: 'complex' }), false);
+  assert.equal(cache.accepts({}), false);
+
+  // Similarity lookups through an embedder
+  const vectors = { 'user: when do you open': [1, 0, 0], 'user: what are your opening hours': [0.98, 0.2, 0], 'user: send the invoice': [0, 0, 1] };
+  const similar = new CompletionCache({ _dir: dir, cache: { similarity: { enabled: true, threshold: 0.95 } } });
+  similar.attach(null);
+  similar.useEmbeddings({ embed: async (text) => vectors[text] || null });
+  await similar.store(turn('S', 'When do you open?'), 'm1', 'Nine till five.');
+  const near = await similar.lookup(turn('S', 'What are your opening hours?'), 'm1');
+  assert.equal(near?.content, 'Nine till five.');
+  assert.ok(near.similarity >= 0.95);
+  assert.equal(await similar.lookup(turn('S', 'Send the invoice'), 'm1'), null);
+  assert.equal(similar.stats.similar, 1);
+
+  // Router: opted-in tiers are served from cache, others always call the model
+  const router = new ModelRouter({ models: { primary: { provider: 'openai', model: 'gpt-4o' } } }, { get: async () => null });
+  const routerCache = new CompletionCache({ _dir: join(dir, 'router') });
+  routerCache.attach(null);
+  router.setCache(routerCache);
+  let calls = 0;
+  router._completeOnce = async (model) => ({ content: `answer ${++calls}`, model: model.model, usage: { input_tokens: 10, output_tokens: 2 }, cost: 0.001 });
+
+  const first = await router.complete(turn('S', 'hours?'), { tier: 'simple' });
+  await new Promise(r => setImmediate(r));
+  const second = await router.complete(turn('S', 'Hours?'), { tier: 'simple' });
+  assert.equal(first.content, 'answer 1');
+  assert.equal(second.content, 'answer 1');
+  assert.equal(second.provider, 'cache');
+  assert.equal(second.cost, 0);
+  await router.complete(turn('S', 'hours?'), { tier: 'complex' });
+  assert.equal(calls, 2);
+  assert.equal((await router.complete(turn('S', 'hours?'), { tier: 'simple', requester: 'user:slack:U1' })).content, 'answer 3');
+
+  console.log('completion cache checks passed');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
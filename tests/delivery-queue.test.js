@@ -0,0 +1,140 @@
+/**
+ * Delivery queue — every outbound message recorded, failed sends retried
+ * with backoff through the channel's registered sender, idempotency keys,
+ * dead-lettering, retry/discard, and pending messages surviving a restart.
+ * Run with: node tests/delivery-queue.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDb, closeDb } from '../src/core/database.js';
+import { DeliveryQueue } from '../src/core/delivery-queue.js';
+import { ChannelManager } from '../src/channels/manager.js';
+import { Heartbeat } from '../src/core/heartbeat.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-delivery-'));
+const MIN = 60_000;
+
+try {
+  for (const backend of ['sqlite', 'json']) {
+    const sub = join(dir, backend);
+    const config = { _dir: sub, delivery: { maxAttempts: 3 } };
+    const open = async () => {
+      const queue = new DeliveryQueue(config);
+      queue.attach(backend === 'sqlite' ? await getDb(sub) : null);
+      return queue;
+    };
+    let queue = await open();
+    const t0 = Date.now();
+
+    // Sent first time: delivered, with the caller's own send
+    const sent = [];
+    let item = await queue.deliver('telegram', { userId: 1, chatId: 1 }, 'hello', { key: 'tg:1:100:0', send: async (text) => sent.push(text), now: t0 });
+    assert.equal(item.status, 'delivered');
+    assert.deepEqual(sent, ['hello']);
+
+    // The same key again is a no-op
+    item = await queue.deliver('telegram', { userId: 1, chatId: 1 }, 'hello', { key: 'tg:1:100:0', send: async (text) => sent.push(text), now: t0 });
+    assert.equal(item.duplicate, true);
+    assert.equal(sent.length, 1);
+
+    // A failed send stays pending and backs off
+    item = await queue.deliver('telegram', { userId: 2, chatId: 2 }, 'are you there?', {
+      key: 'tg:2:7:0', metadata: { source: 'reply' }, send: async () => { throw new Error('ETIMEDOUT'); }, now: t0,
+    });
+    assert.deepEqual([item.status, item.attempts, item.lastError], ['pending', 1, 'ETIMEDOUT']);
+    assert.equal(item.nextRetry, new Date(t0 + 2 * MIN).toISOString());
+    assert.deepEqual(item.recipient, { userId: 2, chatId: 2 });
+    assert.deepEqual(item.metadata, { source: 'reply' });
+    assert.equal(queue.pending(t0 + MIN).length, 0, 'not due yet');
+
+    // A message for a channel that isn't up waits without using an attempt
+    const email = await queue.deliver('email', { userId: 'a@b.c' }, 'Invoice attached', { now: t0 });
+    assert.deepEqual([email.status, email.attempts], ['pending', 0]);
+
+    // Restart: both are still pending; registering senders sends them
+    if (backend === 'sqlite') closeDb();
+    queue = await open();
+    assert.deepEqual(queue.list({ status: 'pending' }).map(i => i.content).sort(), ['Invoice attached', 'are you there?']);
+    const outbox = [];
+    queue.register('telegram', async (recipient, text) => outbox.push(['telegram', recipient.chatId, text]));
+    assert.equal(await queue.flush(t0 + 2 * MIN), 1, 'email has no sender yet');
+    assert.deepEqual(outbox, [['telegram', 2, 'are you there?']]);
+    queue.register('email', async (recipient, text) => outbox.push(['email', recipient.userId, text]));
+    assert.equal(await queue.flush(t0 + 2 * MIN), 1);
+    assert.equal(queue.get(email.id).status, 'delivered');
+
+    // Dead-lettered after maxAttempts, then retried by hand
+    let up = false;
+    queue.register('slack', async () => { if (!up) throw new Error('invalid_auth'); });
+    item = await queue.deliver('slack', { chatId: 'C1' }, 'standup in 5', { now: t0 });
+    await queue.flush(t0 + 2 * MIN);
+    await queue.flush(t0 + 6 * MIN);
+    item = queue.get(item.id);
+    assert.deepEqual([item.status, item.attempts, item.lastError], ['dead', 3, 'invalid_auth']);
+    assert.equal(await queue.flush(t0 + 60 * MIN), 0, 'dead messages are not retried on their own');
+    assert.deepEqual(queue.list({ status: 'dead' }).map(i => i.id), [item.id]);
+    up = true;
+    item = await queue.retry(item.id, t0 + 61 * MIN);
+    assert.deepEqual([item.status, item.attempts], ['delivered', 0]);
+    await assert.rejects(queue.retry(item.id), /is delivered/);
+
+    // Discarded messages stay discarded
+    const stuck = await queue.deliver('whatsapp', { userId: 'x' }, 'lost', { now: t0 });
+    assert.equal(queue.discard(stuck.id).status, 'discarded');
+    assert.throws(() => queue.discard(stuck.id), /is discarded/);
+    assert.throws(() => queue.discard(9999), /No delivery #9999/);
+    assert.throws(() => queue.list({ status: 'stuck' }), /Unknown status/);
+    assert.deepEqual(Object.fromEntries(queue.stats().map(s => [s.status, s.count])), { delivered: 4, discarded: 1 });
+
+    // Old delivered and discarded messages are pruned
+    queue.prune(Date.now() + 8 * 24 * 60 * MIN);
+    assert.equal(queue.list().length, 0);
+
+    if (backend === 'sqlite') closeDb();
+  }
+
+  // Channels: a reply that can't be sent is retried through channel.send()
+  const agent = { name: 'main', status: 'active', process: async (text) => ({ content: `re: ${text}`, tier: 'simple', cost: 0 }) };
+  const agents = { agents: new Map([['main', agent]]), get: () => agent, primary: () => agent, getTeam: () => null };
+  const queue = new DeliveryQueue({ _dir: join(dir, 'channels') });
+  queue.attach(null);
+  const manager = new ChannelManager({ channels: {} }, agents, null);
+  const slack = await manager._createChannel('slack', { streaming: false, allowedUsers: ['U1'] });
+  const posted = [];
+  slack.send = async ({ userId, chatId }, text) => posted.push([chatId || userId, text]);
+  manager.channels.push(slack);
+  manager.wireDelivery(queue);
+
+  const failing = async () => { throw new Error('socket closed'); };
+  await slack._handleMessage('ping', 'U1', 'C1', failing, false, '1700000000.0001');
+  assert.equal(queue.list({ status: 'pending' })[0].content, 're: ping');
+  await slack._handleMessage('ping', 'U1', 'C1', failing, false, '1700000000.0001');
+  assert.equal(queue.list().length, 1, 'the same Slack event answers once');
+  await queue.flush(Date.now() + 2 * MIN);
+  assert.deepEqual(posted, [['C1', 're: ping']]);
+
+  // Heartbeat pushes go through it too, once per run
+  const heartbeat = new Heartbeat({ _dir: dir, heartbeat: {} }, agents, null, null, null);
+  heartbeat.wireChannels(manager);
+  await heartbeat.pushTo({ channel: 'slack', userId: 'U1', chatId: 'C9' }, 'reminder', { key: 'job:4:100' });
+  await heartbeat.pushTo({ channel: 'slack', userId: 'U1', chatId: 'C9' }, 'reminder', { key: 'job:4:100' });
+  assert.equal(await heartbeat.pushToUser('weekly summary', { key: 'job:5:100' }), true);
+  assert.equal(await heartbeat.pushToUser('weekly summary', { key: 'job:5:100' }), true);
+  assert.deepEqual(posted.slice(1), [['C9', 'reminder'], ['U1', 'weekly summary']]);
+  assert.equal(queue.getByKey('job:5:100:slack:U1').metadata.source, 'heartbeat');
+  // A push the queue is still retrying isn't reported as sent
+  const send = slack.send;
+  slack.send = failing;
+  assert.equal(await heartbeat.pushToUser('budget alert', { key: 'job:6:100' }), false);
+  assert.equal(queue.getByKey('job:6:100:slack:U1').status, 'pending');
+  slack.send = send;
+  await assert.rejects(heartbeat.pushTo({ channel: 'discord', userId: '7' }, 'hi'), /discord isn't connected/);
+} finally {
+  closeDb();
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('delivery queue checks passed');
@@ -0,0 +1,136 @@
+/**
+ * Embedding providers — Ollama detection, model tracking and re-embedding
+ * when the model changes.
+ * Run with: node tests/embeddings.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDb, closeDb } from '../src/core/database.js';
+import { VectorMemory } from '../src/memory/vector.js';
+
+// A stand-in Ollama: /api/tags lists what's pulled, /api/embed embeds by keyword
+const pulled = ['nomic-embed-text:latest', 'mxbai-embed-large:latest'];
+const calls = [];
+const axis = (text) => /car|vehicle/i.test(text) ? 0 : /dog|puppy/i.test(text) ? 1 : 2;
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/api/tags') return res.end(JSON.stringify({ models: pulled.map(name => ({ name })) }));
+    if (req.url === '/api/embed') {
+      const { model, input } = JSON.parse(body);
+      calls.push(model);
+      const dims = model.startsWith('mxbai') ? 6 : 4;
+      const v = Array.from({ length: dims }, (_, i) => (i === axis(input) ? 1 : 0.05));
+      return res.end(JSON.stringify({ embeddings: [v] }));
+    }
+    res.statusCode = 404;
+    res.end('{}');
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const url = `http://127.0.0.1:${server.address().port}`;
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-embeddings-'));
+const open = async (embeddings) => {
+  const vm = new VectorMemory({ _dir: dir, memory: { vector: { embeddings } } }, { get: () => null });
+  vm.attach(await getDb(dir));
+  await vm.init();
+  await vm._reembedding;
+  return vm;
+};
+
+try {
+  // Auto: no cloud keys, so the local Ollama is found
+  let vm = await open({ url });
+  assert.equal(vm.embeddingModel, 'ollama:nomic-embed-text');
+  await vm.add('Booked the car in for its MOT');
+  await vm.add('Took the dog to the vet');
+  await vm.add('Quarterly VAT return is due');
+  assert.equal((await vm.search('vehicle service', 1))[0].text, 'Booked the car in for its MOT');
+  assert.equal(vm.stats().stale, 0);
+  await vm.disconnect();
+
+  // A model that isn't pulled isn't used; neither is a missing local model
+  vm = await open({ url, provider: 'ollama', model: 'all-minilm' });
+  assert.equal(vm.embeddingModel, null);
+  await vm.disconnect();
+  vm = await open({ provider: 'local', localPath: join(dir, 'nowhere') });
+  assert.equal(vm.embeddingModel, null);
+  await vm.disconnect();
+  vm = await open({ provider: 'none', url });
+  assert.equal(vm.stats().provider, 'bm25');
+  await vm.disconnect();
+
+  // A different model re-embeds everything in the background, with the new size
+  calls.length = 0;
+  vm = await open({ url, model: 'mxbai-embed-large' });
+  assert.equal(vm.embeddingModel, 'ollama:mxbai-embed-large');
+  assert.equal(calls.length, 3);
+  const db = await getDb(dir);
+  assert.deepEqual(db.prepare('SELECT DISTINCT model, dims FROM vector_docs').all(), [{ model: 'ollama:mxbai-embed-large', dims: 6 }]);
+  assert.equal(vm.stats().stale, 0);
+  assert.equal((await vm.search('puppy training', 1))[0].text, 'Took the dog to the vet');
+  await vm.disconnect();
+
+  // Already up to date: nothing to redo
+  calls.length = 0;
+  vm = await open({ url, model: 'mxbai-embed-large' });
+  assert.equal(calls.length, 0);
+  await vm.disconnect();
+
+  // Embeddings saved in an old vectors.json survive the move to qclaw.db
+  const legacy = join(dir, 'legacy');
+  mkdirSync(legacy);
+  writeFileSync(join(legacy, 'vectors.json'), JSON.stringify([
+    { id: 'doc_old_car', text: 'Garage rang about the brakes', embedding: [2, 0.1, 0.1, 0.1], metadata: {}, timestamp: Date.now() - 86400000 },
+    { id: 'doc_old_vat', text: 'Quarterly VAT return is due', embedding: [0.1, 0.1, 2, 0.1], metadata: {}, timestamp: Date.now() - 3600000 },
+    { id: 'doc_old_dog', text: 'Took the dog to the vet', embedding: [0, 0, 0, 0, 0, 1], embeddingModel: 'openai:text-embedding-3-small', metadata: {}, timestamp: Date.now() },
+  ]));
+  calls.length = 0;
+  closeDb();
+  vm = new VectorMemory({ _dir: legacy, memory: { vector: { embeddings: { url } } } }, { get: () => null });
+  vm.attach(await getDb(legacy));
+  await vm.init();
+  await vm._reembedding;
+  assert.equal(calls.length, 1, 'only the document from another model is embedded again');
+  const rows = (await getDb(legacy)).prepare('SELECT id, model, dims FROM vector_docs ORDER BY id').all();
+  assert.deepEqual(rows.map(r => [r.id, r.model, r.dims]), [
+    ['doc_old_car', 'ollama:nomic-embed-text', 4],
+    ['doc_old_dog', 'ollama:nomic-embed-text', 4],
+    ['doc_old_vat', 'ollama:nomic-embed-text', 4],
+  ]);
+  let hit = (await vm.search('vehicle', 1))[0];
+  assert.equal(hit.text, 'Garage rang about the brakes', 'found by vector search — BM25 shares no words with it');
+  assert.ok(hit.score > 0.9);
+  await vm.disconnect();
+
+  // Without SQLite the same file is the store: old embeddings match, another model's are redone
+  const jsonOnly = join(dir, 'json-only');
+  mkdirSync(jsonOnly);
+  writeFileSync(join(jsonOnly, 'vectors.json'), JSON.stringify([
+    { id: 'doc_old_car', text: 'Garage rang about the brakes', embedding: [2, 0.1, 0.1, 0.1], metadata: {}, timestamp: Date.now() - 86400000 },
+    { id: 'doc_old_dog', text: 'Took the dog to the vet', embedding: [0, 0, 0, 0, 0, 1], embeddingModel: 'openai:text-embedding-3-small', metadata: {}, timestamp: Date.now() },
+  ]));
+  calls.length = 0;
+  vm = new VectorMemory({ _dir: jsonOnly, memory: { vector: { embeddings: { url } } } }, { get: () => null });
+  await vm.init();
+  await vm._reembedding;
+  assert.equal(calls.length, 1);
+  assert.equal(vm.stats().stale, 0);
+  hit = (await vm.search('vehicle', 1))[0];
+  assert.deepEqual([hit.text, hit.score > 0.9], ['Garage rang about the brakes', true]);
+  assert.equal((await vm.search('puppy', 1))[0].text, 'Took the dog to the vet');
+  await vm.disconnect();
+
+  console.log('embedding checks passed');
+} finally {
+  server.close();
+  closeDb();
+  rmSync(dir, { recursive: true, force: true });
+}
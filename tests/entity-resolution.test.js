@@ -0,0 +1,151 @@
+/**
+ * Entity resolution — alias lookup, name matching, merges that can be
+ * undone, splits, and the model-confirmed pass over borderline pairs.
+ * Run with: node tests/entity-resolution.test.js
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { KnowledgeGraph, entityKey, extractGraph } from '../src/memory/graph.js';
+import { nameMatch, pickKeeper, resolveEntities } from '../src/memory/entity-resolver.js';
+
+assert.equal(entityKey('  Hayley S. '), 'hayley s');
+assert.equal(entityKey('Hayley@Company.com'), 'hayley@company.com');
+assert.equal(entityKey('José'), 'jose');
+
+// Name matching, strongest first
+const method = (a, b) => nameMatch(a, b)?.method ?? null;
+assert.equal(nameMatch('Hayley Smith', 'hayley smith').score, 1);
+assert.equal(method('Acme Ltd', 'ACME'), 'exact');
+assert.equal(method('Hayley S.', 'Hayley Smith'), 'initial');
+assert.equal(method('H. Smith', 'Hayley Smith'), 'initial');
+assert.equal(nameMatch('hayley.smith@acme.com', 'Hayley Smith').score, 0.95);
+assert.equal(nameMatch('hsmith@acme.com', 'Hayley Smith').score, 0.85);
+assert.equal(method('hayley@company', 'Hayley'), 'email');
+assert.equal(method('Hayley', 'Hayley Smith'), 'partial');
+assert.ok(nameMatch('Hayly Smith', 'Hayley Smith').score < 0.9); // a typo is never enough alone
+assert.equal(nameMatch('Sam', 'Pam'), null);
+assert.equal(nameMatch('sam@a.com', 'sam@b.com'), null);
+assert.equal(pickKeeper({ id: 1, name: 'hayley@company', type: 'person' }, { id: 2, name: 'Hayley', type: 'person' })[0].id, 2);
+assert.equal(pickKeeper({ id: 1, name: 'Hayley S.', type: 'unknown', mentions: 9 }, { id: 2, name: 'Hayley', type: 'person' })[0].id, 2);
+
+const judge = (verdicts) => ({
+  fast: 'fast', asked: [],
+  async complete(messages) {
+    const prompt = messages[1].content;
+    this.asked.push(prompt);
+    const same = verdicts.find(([name]) => prompt.includes(name))?.[1];
+    return { content: JSON.stringify({ same: !!same, reason: same ? 'same email domain' : 'different people' }) };
+  },
+});
+
+for (const backend of ['sqlite', 'json']) {
+  const graph = new KnowledgeGraph(backend === 'sqlite' ? new Database(':memory:') : null);
+  graph.init();
+
+  // A placeholder is the entity it names, and gets a real type later
+  const acme = graph.upsertEntity('Acme', 'company');
+  assert.equal(graph.upsertEntity('ACME', 'unknown'), acme);
+  const sam = graph.upsertEntity('Sam', 'unknown');
+  assert.equal(graph.upsertEntity('Sam', 'person'), sam);
+  assert.equal(graph.getEntity(sam).type, 'person');
+  assert.notEqual(graph.upsertEntity('Acme', 'project'), acme); // known types still differ
+  graph.addAlias(acme, 'Acme Corporation');
+  assert.equal(graph.findEntity('acme corporation').id, acme);
+
+  // Manual merge moves relationships and names; undo puts everything back
+  const hayley = graph.upsertEntity('Hayley Smith', 'person', 'Finance lead');
+  const email = graph.upsertEntity('hayley@acme.com', 'unknown');
+  graph.addRelationship(hayley, acme, 'works-at');
+  graph.addRelationship(email, acme, 'works-at', 'signature');
+  graph.addRelationship(email, sam, 'manages');
+  graph.addRelationship(email, hayley, 'related-to');
+  const id = graph.merge(hayley, email, { method: 'owner' });
+  assert.equal(graph.getEntity(email), null);
+  assert.equal(graph.findEntity('hayley@acme.com').id, hayley);
+  assert.equal(graph.getEntity(hayley).mentions, 2);
+  const edges = graph.edges(hayley);
+  assert.deepEqual(edges.map(e => `${e.direction} ${e.relation} ${e.other}`).sort(), [`out manages ${sam}`, `out works-at ${acme}`]);
+  assert.equal(edges.find(e => e.relation === 'works-at').strength, 2); // the duplicate edge folded in
+  assert.equal(graph.merges({ status: 'merged' })[0].mergedName, 'hayley@acme.com');
+
+  graph.undoMerge(id);
+  assert.equal(graph.getEntity(email).name, 'hayley@acme.com');
+  assert.equal(graph.findEntity('hayley@acme.com').id, email);
+  assert.equal(graph.getEntity(hayley).mentions, 1);
+  assert.equal(graph.edges(hayley).find(e => e.relation === 'works-at').strength, 1);
+  assert.equal(graph.edges(email).length, 3);
+  assert.equal(graph.getMerge(id).status, 'undone');
+  assert.throws(() => graph.undoMerge(id), /not in effect/);
+  assert.equal(graph.mergeDecision(email, hayley), 'undone');
+
+  // Split: a merged-in name undoes its merge; any other alias becomes its own entity
+  const again = graph.merge(hayley, email);
+  assert.deepEqual(graph.split(hayley, 'HAYLEY@acme.com'), { id: email, undone: again });
+  assert.equal(graph.edges(email).length, 3);
+  const corp = graph.split(acme, 'Acme Corporation');
+  assert.equal(corp.undone, null);
+  assert.equal(graph.getEntity(corp.id).type, 'company');
+  assert.notEqual(graph.findEntity('Acme Corporation').id, acme);
+  assert.throws(() => graph.split(acme, 'Acme'), /own name/);
+  assert.throws(() => graph.merge(acme, acme), /into itself/);
+
+  // A pass: clear matches merge, borderline ones go to the model or the owner
+  const g = new KnowledgeGraph(backend === 'sqlite' ? new Database(':memory:') : null);
+  g.init();
+  const full = g.upsertEntity('Hayley Smith', 'person');
+  const short = g.upsertEntity('Hayley S.', 'unknown');
+  const first = g.upsertEntity('Hayley', 'person');
+  const bob = g.upsertEntity('Bob Jones', 'person');
+  const bobby = g.upsertEntity('bob@acme.com', 'person');
+  g.addRelationship(short, g.upsertEntity('Acme', 'company'), 'works-at');
+
+  let result = await resolveEntities(g, { ids: [short] });
+  assert.deepEqual(result.merged.map(m => [m.keep, m.merged, m.method]), [['Hayley Smith', 'Hayley S.', 'initial']]);
+  assert.equal(g.getEntity(short), null);
+  assert.equal(g.edges(full)[0].relation, 'works-at');
+
+  result = await resolveEntities(g); // no model: the owner decides
+  assert.deepEqual(result.suggested.map(m => [m.keep, m.merged]).sort(), [['Bob Jones', 'bob@acme.com'], ['Hayley Smith', 'Hayley']]);
+  assert.equal(g.stats().suggestedMerges, 2);
+  assert.equal((await resolveEntities(g)).suggested.length, 0); // not asked twice
+  const suggestion = g.merges({ status: 'suggested' }).find(m => m.mergedName === 'Hayley');
+  assert.ok(g.resolveSuggestion(suggestion.id, 'merge'));
+  assert.equal(g.getEntity(first), null);
+  assert.equal(g.getMerge(suggestion.id).status, 'merged');
+  assert.equal(g.resolveSuggestion(suggestion.id, 'reject'), false);
+
+  // With a model: it confirms one pair and turns the other down, and both are logged
+  const h = new KnowledgeGraph(backend === 'sqlite' ? new Database(':memory:') : null);
+  h.init();
+  h.upsertEntity('Hayley', 'person');
+  h.upsertEntity('hayley@company', 'unknown');
+  h.upsertEntity('Sam Patel', 'person');
+  h.upsertEntity('Sam', 'person');
+  const router = judge([['hayley@company', true], ['Sam', false]]);
+  result = await resolveEntities(h, { router });
+  assert.deepEqual(result.merged.map(m => [m.keep, m.merged, m.method]), [['Hayley', 'hayley@company', 'llm']]);
+  assert.equal(result.rejected, 1);
+  assert.equal(router.asked.length, 2);
+  assert.ok(router.asked[0].includes('A: Hayley (person)'));
+  const log = h.merges();
+  assert.deepEqual(log.map(m => [m.status, m.method]), [['rejected', 'llm'], ['merged', 'llm']]);
+  assert.equal(log[1].reason, 'same email domain');
+  await resolveEntities(h, { router });
+  assert.equal(router.asked.length, 2);
+}
+
+// Extraction: an endpoint that's an alias reuses the entity instead of a placeholder
+const graph = new KnowledgeGraph(new Database(':memory:'));
+graph.init();
+const ana = graph.upsertEntity('Ana Lee', 'person');
+graph.addAlias(ana, 'ana@globex.com');
+const extractor = { fast: 'fast', async complete() {
+  return { content: 'ENTITY: Globex | company | Ana\'s employer\nREL: ana@globex.com | works-at | Globex | email signature' };
+} };
+const touched = await extractGraph(extractor, graph, 'Got an email from ana@globex.com about the Globex contract renewal', 'user');
+assert.equal(graph.stats().entities, 2);
+assert.deepEqual(touched.sort(), [ana, graph.findEntity('Globex').id].sort());
+assert.equal(graph.edges(ana)[0].relation, 'works-at');
+
+console.log('entity resolution checks passed');
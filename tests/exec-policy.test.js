@@ -0,0 +1,102 @@
+/**
+ * Exec policy — command allow/deny lists, skill grants, path jail, env scrubbing.
+ * Run with: node tests/exec-policy.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, symlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ExecPolicy, commandNames, writeTargets } from '../src/security/exec-policy.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-policy-'));
+const outside = mkdtempSync(join(tmpdir(), 'qclaw-outside-'));
+const workspace = join(dir, 'workspace');
+mkdirSync(join(workspace, 'agents', 'QClaw', 'skills'), { recursive: true });
+
+try {
+  const policy = new ExecPolicy({
+    _dir: dir,
+    security: {
+      shellAllowlist: ['ls', 'echo', 'git', 'sleep', 'head', 'yes'],
+      shellDenylist: ['sudo'],
+      agents: { researcher: { shell: { allow: ['python3'], deny: ['git'] }, paths: [outside] } },
+      sandbox: { runner: 'none', maxOutputChars: 100 },
+    },
+  });
+  policy.useSkills({
+    forAgent: (agent) => agent === 'coder'
+      ? [
+        { name: 'build', permissions: { shell: ['make'], file: [] } },
+        { name: 'fetch', reviewed: false, permissions: { shell: ['curl'], file: [] } },
+        { name: 'greedy', permissions: { shell: ['*'], file: [' * '] } },
+      ]
+      : [],
+  });
+
+  // Every stage of a pipeline is checked; substitution is refused outright
+  assert.deepEqual(commandNames('FOO=1 git status | head -5 && /bin/ls -la; echo done'), ['git', 'head', 'ls', 'echo']);
+  assert.equal(commandNames('echo $(cat /etc/shadow)'), null);
+  assert.deepEqual(commandNames('echo "a | b; c" 2>&1 | head'), ['echo', 'head']);
+  assert.equal(policy.checkCommand('git log | head', 'QClaw').ok, true);
+  assert.match(policy.checkCommand('ls && rm -rf /', 'QClaw').reason, /"rm" not in shell allowlist/);
+  assert.match(policy.checkCommand('sudo ls').reason, /denied/);
+
+  // Per-agent lists and reviewed skill grants
+  assert.equal(policy.checkCommand('python3 x.py', 'researcher').ok, true);
+  assert.equal(policy.checkCommand('python3 x.py', 'QClaw').ok, false);
+  assert.equal(policy.checkCommand('git status', 'researcher').ok, false);
+  assert.equal(policy.checkCommand('make build', 'coder').ok, true);
+  assert.equal(policy.checkCommand('curl example.com', 'coder').ok, false);
+  assert.equal(policy.checkCommand('python3 x.py', 'coder').ok, false, 'a skill can\'t grant every command');
+  assert.deepEqual(policy.rules('coder').roots, [workspace], 'or every path');
+
+  // Files written by redirects and tee stay inside the jail
+  assert.deepEqual(writeTargets('ls 2>&1 | tee -a log.txt "my notes" > /dev/null; echo "a > b" >>out'), ['/dev/null', 'out', 'log.txt', 'my notes']);
+  assert.equal(policy.checkCommand('echo hi > notes.txt 2>/dev/null').ok, true);
+  assert.match(policy.checkCommand('echo pwned > ~/.bashrc').reason, /Can't write ~\/\.bashrc: .* outside the workspace/);
+  assert.equal(policy.checkCommand('echo x >> ../config.json').ok, false);
+  assert.equal(policy.checkCommand('ls | tee /etc/cron.d/job').ok, false);
+  assert.match(policy.checkCommand('echo x > agents/QClaw/skills/evil.md').reason, /read-only/);
+  assert.equal(policy.checkCommand(`echo x > ${join(outside, 'out.txt')}`, 'researcher').ok, true);
+  assert.equal(policy.checkCommand('echo x > ../../out.txt', null, { cwd: 'a/b' }).ok, true, 'relative to the working directory');
+
+  // Paths: relative inside the workspace, skills read-only, no escape via .. or symlinks
+  assert.equal(policy.checkPath('notes/today.md', { write: true }).path, join(workspace, 'notes', 'today.md'));
+  assert.equal(policy.checkPath('../config.json').ok, false);
+  assert.match(policy.checkPath('agents/QClaw/skills/x.md', { write: true }).reason, /read-only/);
+  assert.equal(policy.checkPath('agents/QClaw/skills').ok, true);
+  assert.match(policy.checkPath('agents/QClaw/skills', { protect: true }).reason, /is protected/);
+  symlinkSync(outside, join(workspace, 'link'));
+  assert.equal(policy.checkPath('link/secret.txt', { write: true }).ok, false);
+  assert.equal(policy.checkPath(join(outside, 'data.csv'), { agent: 'researcher', write: true }).ok, true);
+
+  // Commands never see the process's secrets
+  const savedKey = process.env.ANTHROPIC_API_KEY;
+  process.env.ANTHROPIC_API_KEY = 'sk-test';
+  const env = policy.env();
+  assert.equal(env.ANTHROPIC_API_KEY, undefined);
+  assert.equal(env.HOME, workspace);
+  assert.ok(env.PATH);
+
+  // Runs in the workspace with capped output and a timeout
+  let result = await policy.run('echo $HOME $ANTHROPIC_API_KEY', {});
+  assert.equal(result.stdout.trim(), workspace);
+  if (savedKey === undefined) delete process.env.ANTHROPIC_API_KEY;
+  else process.env.ANTHROPIC_API_KEY = savedKey;
+  result = await policy.run('yes | head -1000', {});
+  assert.equal(result.stdout.length, 100);
+  assert.equal(result.truncated, true);
+  result = await policy.run('sleep 5', { timeoutMs: 100 });
+  assert.equal(result.timedOut, true);
+  assert.throws(() => policy.spawnArgs('ls', { cwd: outside }), /outside the workspace/);
+  assert.throws(() => policy.spawnArgs('echo x > ../x', { cwd: '.' }), /outside the workspace/);
+
+  // The built-in denylist is the config default
+  assert.match(new ExecPolicy({ _dir: dir, security: { shellAllowlist: ['*'] } }).checkCommand('reboot').reason, /denied/);
+
+  console.log('exec policy checks passed');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+  rmSync(outside, { recursive: true, force: true });
+}
@@ -0,0 +1,124 @@
+/**
+ * Provider resilience — transient errors retried with backoff, client
+ * errors not, fallback chains tried in order, and per-provider circuit
+ * breakers that open after repeated failures and half-open after a cooldown.
+ * Run with: node tests/fallback.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { ModelRouter } from '../src/models/router.js';
+import { CircuitBreaker, isRetryable, countsAsProviderFailure } from '../src/models/circuit-breaker.js';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+
+// What counts as transient
+for (const status of [408, 429, 500, 502, 503, 529]) assert.equal(isRetryable(httpError(status)), true, `${status} is retried`);
+for (const status of [400, 401, 403, 404, 422]) assert.equal(isRetryable(httpError(status)), false, `${status} is not retried`);
+assert.equal(isRetryable(new Error('fetch failed')), true);
+assert.equal(isRetryable(new Error('read ECONNRESET')), true);
+assert.equal(isRetryable(Object.assign(new Error('timed out'), { name: 'TimeoutError' })), true);
+assert.equal(isRetryable(new Error('No API key found for groq')), false);
+assert.equal(countsAsProviderFailure(httpError(400, 'prompt too long')), false, 'a bad request says nothing about the provider');
+assert.equal(countsAsProviderFailure(httpError(401)), true);
+assert.equal(countsAsProviderFailure(httpError(503)), true);
+
+// Breaker: opens after N consecutive failures, half-opens after the cooldown
+const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 60 });
+breaker.failure(new Error('one'));
+breaker.failure(new Error('two'));
+assert.equal(breaker.state, 'closed');
+breaker.success();
+breaker.failure(new Error('one'));
+breaker.failure(new Error('two'));
+assert.equal(breaker.state, 'closed', 'a success resets the count');
+breaker.failure(new Error('three'));
+assert.deepEqual(breaker.toJSON(), { state: 'open', failures: 3, lastError: 'three' });
+assert.equal(breaker.allow(), false);
+await sleep(70);
+assert.equal(breaker.state, 'half-open');
+assert.equal(breaker.allow(), true, 'one trial call goes through');
+breaker.failure(new Error('still down'));
+assert.equal(breaker.state, 'open', 'a failed trial re-opens straight away');
+await sleep(70);
+breaker.success();
+assert.deepEqual(breaker.toJSON(), { state: 'closed', failures: 0, lastError: null });
+
+// Router: retries, fallback order and breakers together
+const a = { provider: 'anthropic', model: 'claude' };
+const b = { provider: 'openai', model: 'gpt' };
+const c = { provider: 'groq', model: 'llama' };
+const router = new ModelRouter({
+  models: {
+    primary: a,
+    fallback: { default: [b, c] },
+    retry: { retries: 2, baseDelayMs: 1, maxDelayMs: 5 },
+    circuitBreaker: { failureThreshold: 2, cooldownMs: 80 },
+    routing: { enabled: true, classifier: 'keyword' },
+  },
+}, null);
+const chain = router.chainFor({});
+assert.deepEqual(chain, [a, b, c]);
+
+// A 429 is retried on the same provider and then succeeds
+let calls = [];
+const script = (plan) => async (m) => {
+  calls.push(m.provider);
+  const next = plan[m.provider]?.shift();
+  if (next instanceof Error) throw next;
+  return { content: `from ${m.provider}` };
+};
+let result = await router.withFallback(chain, script({ anthropic: [httpError(429), httpError(503)] }));
+assert.deepEqual(calls, ['anthropic', 'anthropic', 'anthropic']);
+assert.deepEqual(result, { content: 'from anthropic', provider: 'anthropic', fallback: false });
+
+// A 4xx moves straight on without retrying, and doesn't trip the breaker
+calls = [];
+result = await router.withFallback(chain, script({ anthropic: [httpError(400)] }));
+assert.deepEqual(calls, ['anthropic', 'openai']);
+assert.equal(result.fallback, true);
+assert.equal(router.breakerStatus()['anthropic/claude'].failures, 0);
+
+// Out of retries: the chain is tried in order
+calls = [];
+const down = () => [httpError(503), httpError(503), httpError(503)];
+result = await router.withFallback(chain, script({ anthropic: down(), openai: down() }));
+assert.deepEqual(calls, ['anthropic', 'anthropic', 'anthropic', 'openai', 'openai', 'openai', 'groq']);
+assert.deepEqual([result.provider, result.fallback], ['groq', true]);
+
+// A second failure opens the primary's breaker; it's skipped until the cooldown
+calls = [];
+await router.withFallback(chain, script({ anthropic: [httpError(401)] }));
+assert.equal(router.breakerStatus()['anthropic/claude'].state, 'open');
+calls = [];
+result = await router.withFallback(chain, script({}));
+assert.deepEqual(calls, ['openai'], 'an open breaker is skipped');
+await sleep(90);
+calls = [];
+result = await router.withFallback(chain, script({}));
+assert.deepEqual(calls, ['anthropic'], 'half-open lets a trial call through');
+assert.equal(router.breakerStatus()['anthropic/claude'].state, 'closed');
+
+// When every breaker is open the first model is tried anyway
+const solo = [{ provider: 'xai', model: 'grok' }];
+await assert.rejects(router.withFallback(solo, script({ xai: [httpError(401)] })), /HTTP 401/);
+await assert.rejects(router.withFallback(solo, script({ xai: [httpError(401)] })), /HTTP 401/);
+assert.equal(router.breakerStatus()['xai/grok'].state, 'open');
+calls = [];
+result = await router.withFallback(solo, script({}));
+assert.deepEqual([calls, result.provider], [['xai'], 'xai']);
+
+// Once output has streamed, nothing is retried or re-sent elsewhere
+calls = [];
+let streamed = false;
+await assert.rejects(router.withFallback(chain, async (m) => {
+  calls.push(m.provider);
+  streamed = true;
+  throw httpError(503);
+}, { canRetry: () => !streamed }), /HTTP 503/);
+assert.deepEqual(calls, ['anthropic']);
+
+// The last error surfaces when everything fails
+await assert.rejects(router.withFallback([b, c], script({ openai: [httpError(404, 'no such model')], groq: [httpError(400, 'bad tools')] })), /bad tools/);
+
+console.log('fallback checks passed');
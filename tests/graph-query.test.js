@@ -0,0 +1,98 @@
+/**
+ * Knowledge graph traversal — neighbourhoods, shortest paths, relation
+ * filters and the Cypher-like query language, on SQLite and the JSON fallback,
+ * and the owner-only check on agent queries.
+ * Run with: node tests/graph-query.test.js
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { KnowledgeGraph, relationKey } from '../src/memory/graph.js';
+import { parseGraphQuery, runGraphQuery, formatGraphResult } from '../src/memory/graph-query.js';
+import { MemoryManager, threadOf } from '../src/memory/manager.js';
+
+assert.equal(relationKey('Works_at'), 'works-at');
+assert.equal(relationKey(' works  at '), 'works-at');
+
+// Syntax errors say where
+assert.throws(() => parseGraphQuery('MATCH (p RETURN p'), /Expected "\)" at position 10, found "RETURN"/);
+assert.throws(() => parseGraphQuery('MATCH (p)-[*1..9]-(q) RETURN q'), /At most 6 hops/);
+assert.throws(() => parseGraphQuery('MATCH (p) RETURN z'), /Unknown variable "z"/);
+assert.throws(() => parseGraphQuery('MATCH (p) RETURN p.salary'), /Unknown property/);
+assert.equal(parseGraphQuery('MATCH (p)-->(q) RETURN q').rels[0].direction, 'out');
+assert.equal(parseGraphQuery('MATCH (p)<-[:knows]-(q) RETURN q').rels[0].direction, 'in');
+assert.equal(parseGraphQuery('MATCH (p) RETURN p').limit, 25);
+
+for (const backend of ['sqlite', 'json']) {
+  const graph = new KnowledgeGraph(backend === 'sqlite' ? new Database(':memory:') : null);
+  graph.init();
+  const e = {};
+  for (const [name, type, description] of [
+    ['Owner', 'person'], ['Sam', 'person', 'Finance lead'], ['Ana', 'person', 'Product designer'],
+    ['Acme', 'company'], ['Globex', 'company'], ['Stripe', 'tool', 'Payments'], ['Berlin', 'place'],
+  ]) e[name] = graph.upsertEntity(name, type, description);
+  graph.addRelationship(e.Owner, e.Sam, 'knows');
+  graph.addRelationship(e.Owner, e.Ana, 'knows');
+  graph.addRelationship(e.Sam, e.Acme, 'works-at');
+  graph.addRelationship(e.Ana, e.Globex, 'works_at');
+  graph.addRelationship(e.Acme, e.Stripe, 'uses');
+  graph.addRelationship(e.Globex, e.Berlin, 'based-in');
+
+  // Neighbourhoods by hop count, relation and direction
+  const names = (nodes) => nodes.map(n => n.name).sort();
+  assert.deepEqual(names(graph.neighbourhood(e.Sam, { hops: 1 }).nodes), ['Acme', 'Owner', 'Sam']);
+  const two = graph.neighbourhood(e.Sam, { hops: 2 });
+  assert.deepEqual(names(two.nodes), ['Acme', 'Ana', 'Owner', 'Sam', 'Stripe']);
+  assert.equal(two.nodes.find(n => n.name === 'Stripe').depth, 2);
+  assert.ok(two.edges.every(x => two.nodes.some(n => n.id === x.source) && two.nodes.some(n => n.id === x.target)));
+  assert.deepEqual(names(graph.neighbourhood(e.Owner, { hops: 3, relations: ['knows', 'works at'] }).nodes), ['Acme', 'Ana', 'Globex', 'Owner', 'Sam']);
+  assert.deepEqual(names(graph.neighbourhood(e.Sam, { hops: 3, direction: 'out' }).nodes), ['Acme', 'Sam', 'Stripe']);
+  assert.ok(graph.neighbourhood(e.Owner, { hops: 6, limit: 3 }).truncated);
+
+  // Shortest paths, with the direction each hop was walked
+  const path = graph.shortestPath(e.Stripe, e.Berlin);
+  assert.deepEqual(path.nodes.map(n => n.name), ['Stripe', 'Acme', 'Sam', 'Owner', 'Ana', 'Globex', 'Berlin']);
+  assert.deepEqual(path.relations.map(r => r.direction), ['in', 'in', 'in', 'out', 'out', 'out']);
+  assert.equal(graph.shortestPath(e.Stripe, e.Berlin, { maxHops: 5 }), null);
+  assert.equal(graph.shortestPath(e.Sam, e.Ana, { relations: ['works-at'] }), null);
+  assert.equal(graph.shortestPath(e.Sam, e.Ana, { direction: 'out' }), null);
+
+  // Queries: multi-hop chains anchored at either end
+  let result = runGraphQuery(graph, 'MATCH (p:person)-[:works-at]->(c)-[:uses]->({name: "stripe"}) RETURN p.name, c.name');
+  assert.deepEqual(result.rows, [{ 'p.name': 'Sam', 'c.name': 'Acme' }]);
+  result = runGraphQuery(graph, 'MATCH (o {name: "Owner"})-[:knows]->(p)-[:works-at]->(c:company) RETURN c.name');
+  assert.deepEqual(result.rows.map(r => r['c.name']).sort(), ['Acme', 'Globex']);
+
+  // Variable-length hops, WHERE and DISTINCT
+  result = runGraphQuery(graph, 'MATCH (a {name: "Owner"})-[*2..3]->(b) RETURN DISTINCT b.name');
+  assert.deepEqual(result.rows.map(r => r['b.name']).sort(), ['Acme', 'Berlin', 'Globex', 'Stripe']);
+  result = runGraphQuery(graph, 'MATCH (p:person)-[*]-(t {name: "Stripe"}) WHERE p.name <> "Owner" RETURN DISTINCT p.name');
+  assert.deepEqual(result.rows.map(r => r['p.name']), ['Sam']);
+  result = runGraphQuery(graph, 'MATCH (p:person) WHERE p.description CONTAINS "design" RETURN p');
+  assert.deepEqual(result.rows.map(r => r.p.name), ['Ana']);
+  result = runGraphQuery(graph, 'MATCH (p)<-[r:knows]-(o {name: "Owner"}) RETURN p.name, r');
+  assert.deepEqual(result.rows.map(r => r.r), [['knows'], ['knows']]);
+
+  // LIMIT marks the result as cut short
+  result = runGraphQuery(graph, 'MATCH (a)--(b) RETURN a, b LIMIT 2');
+  assert.equal(result.rows.length, 2);
+  assert.ok(result.truncated);
+  assert.match(formatGraphResult(result), /stopped at 2 rows/);
+
+  // shortestPath() returns the path in the order written
+  result = runGraphQuery(graph, 'MATCH path = shortestPath((a {name: "Sam"})-[*]-(b {name: "Globex"})) RETURN path');
+  assert.equal(formatGraphResult(result), 'path: Sam <-[knows]- Owner -[knows]-> Ana -[works_at]-> Globex');
+  result = runGraphQuery(graph, 'MATCH path = shortestPath((a {name: "Sam"})-[*..2]-(b {name: "Globex"})) RETURN path');
+  assert.equal(formatGraphResult(result), 'No matches.');
+
+  // The graph spans every conversation, so only the owner may query it
+  const memory = new MemoryManager({ memory: { owners: ['telegram:42'] } });
+  memory.graph = graph;
+  const query = 'MATCH (p {name: "Sam"})-[:works-at]->(c) RETURN c.name';
+  assert.deepEqual(memory.queryGraph(query, threadOf({ channel: 'dashboard' })).rows, [{ 'c.name': 'Acme' }]);
+  assert.deepEqual(memory.queryGraph(query, threadOf({ channel: 'telegram', userId: 42, chatId: -100 })).rows, [{ 'c.name': 'Acme' }]);
+  assert.throws(() => memory.queryGraph(query, threadOf({ channel: 'telegram', userId: 7 })), /only available to the owner/);
+  assert.throws(() => memory.queryGraph(query, threadOf({ channel: 'slack' })), /only available to the owner/);
+}
+
+console.log('graph query checks passed');
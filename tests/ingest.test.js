@@ -0,0 +1,286 @@
+/**
+ * Document ingestion — parsing each format, chunking with overlap, and the
+ * ingestor: tracking, unchanged/changed sources, folders, URLs, uploads,
+ * extraction into knowledge and graph, recall of document chunks, and the
+ * agent jail and local-network check on paths and URLs.
+ * Run with: node tests/ingest.test.js
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { createServer } from 'http';
+import { deflateRawSync, deflateSync } from 'zlib';
+import { mkdtempSync, mkdirSync, writeFileSync, utimesSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { getDb, closeDb } from '../src/core/database.js';
+import { detectFormat, parseDocument, parseCsv, chunkText, readZip } from '../src/memory/documents.js';
+import { DocumentIngestor } from '../src/memory/ingest.js';
+import { ExecPolicy } from '../src/security/exec-policy.js';
+import { MemoryManager } from '../src/memory/manager.js';
+import { KnowledgeStore } from '../src/memory/knowledge.js';
+import { KnowledgeGraph } from '../src/memory/graph.js';
+import { VectorMemory } from '../src/memory/vector.js';
+
+/** A zip with deflated entries, as Word writes them */
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = deflateRawSync(Buffer.from(content));
+    const nameBuf = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(Buffer.byteLength(content), 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    central.push(entry, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const dir = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+/** A one-page PDF whose content stream is deflated */
+function pdf(lines, title) {
+  const ops = `BT /F1 12 Tf 72 720 Td ${lines.map((l, i) => `${i ? '0 -14 Td ' : ''}(${l.replace(/[()\\]/g, '\\$&')}) Tj`).join(' ')} ET`;
+  const stream = deflateSync(Buffer.from(ops, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.4\n1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj\n3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R >> endobj\n4 0 obj << /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+    stream,
+    Buffer.from(`\nendstream\nendobj\n5 0 obj << /Title (${title}) >> endobj\ntrailer << /Root 1 0 R /Info 5 0 R >>\n%%EOF\n`, 'latin1'),
+  ]);
+}
+
+const docx = zip({
+  '[Content_Types].xml': '<Types/>',
+  'word/document.xml': '<w:document><w:body><w:p><w:r><w:t>Supplier terms</w:t></w:r></w:p>'
+    + '<w:p><w:r><w:t xml:space="preserve">Hallam Flour delivers on </w:t></w:r><w:r><w:t>Tuesdays &amp; Fridays.</w:t></w:r></w:p></w:body></w:document>',
+  'docProps/core.xml': '<cp:coreProperties><dc:title>Bakery contract</dc:title></cp:coreProperties>',
+});
+
+// Formats by extension, content type or the bytes themselves
+assert.equal(detectFormat('notes.MD'), 'markdown');
+assert.equal(detectFormat('https://x.test/page?id=1', 'text/html; charset=utf-8'), 'html');
+assert.equal(detectFormat('blob', '', docx), 'docx');
+assert.equal(detectFormat('blob', '', pdf(['x'], 'x')), 'pdf');
+assert.equal(detectFormat('photo.png'), null);
+await assert.rejects(parseDocument(Buffer.from('x'), { name: 'photo.png' }), /Unsupported document type/);
+assert.deepEqual([...readZip(docx).keys()], ['[Content_Types].xml', 'word/document.xml', 'docProps/core.xml']);
+
+// Each parser: text out, a title where the format has one
+let parsed = await parseDocument(docx, { name: 'contract.docx' });
+assert.deepEqual(parsed, { format: 'docx', title: 'Bakery contract', text: 'Supplier terms\n\nHallam Flour delivers on Tuesdays & Fridays.' });
+
+parsed = await parseDocument(pdf(['Invoice 42 (overdue)', 'Due: 1 March'], 'Overdue invoices'), { name: 'invoices.pdf' });
+assert.equal(parsed.title, 'Overdue invoices');
+assert.equal(parsed.text, 'Invoice 42 (overdue)\nDue: 1 March');
+
+parsed = await parseDocument(Buffer.from('<html><head><title>Opening &amp; hours</title><style>p{}</style></head><body><nav>Home</nav>'
+  + '<h1>Hours</h1><p>Open <b>9&ndash;5</b></p><script>alert(1)</script><ul><li>Mon</li><li>Tue</li></ul></body></html>'), { name: 'hours.html' });
+assert.equal(parsed.title, 'Opening & hours');
+assert.equal(parsed.text, 'Hours\n\nOpen 9–5\n\n- Mon\n- Tue');
+
+assert.deepEqual(parseCsv('name,notes\r\n"Smith, Sam","said ""hi""\nthen left"\n\n'), [['name', 'notes'], ['Smith, Sam', 'said "hi"\nthen left']]);
+parsed = await parseDocument(Buffer.from('supplier,day\nHallam Flour,Tuesday\nLeeds Dairy,\n'), { name: 'suppliers.csv' });
+assert.equal(parsed.text, 'supplier: Hallam Flour; day: Tuesday\n\nsupplier: Leeds Dairy');
+
+parsed = await parseDocument(Buffer.from('# Handbook\n\nBe kind.'), { name: 'handbook.md' });
+assert.deepEqual([parsed.title, parsed.text], ['Handbook', '# Handbook\n\nBe kind.']);
+
+// Chunks stay near the size, split on paragraphs first, and overlap
+const paragraphs = Array.from({ length: 12 }, (_, i) => `Paragraph ${i} talks about the bakery supplier number ${i} and its delivery schedule.`);
+const chunks = chunkText(paragraphs.join('\n\n'), { size: 300, overlap: 60 });
+assert.ok(chunks.length >= 4);
+assert.ok(chunks.every(c => c.length <= 300 + 60));
+for (let i = 1; i < chunks.length; i++) {
+  const tail = chunks[i - 1].slice(-30);
+  assert.ok(chunks[i].includes(tail.slice(tail.indexOf(' ') + 1)), `chunk ${i} repeats the end of chunk ${i - 1}`);
+}
+assert.ok(paragraphs.every(p => chunks.some(c => c.includes(p))), 'no paragraph is cut when it fits');
+const long = chunkText('word '.repeat(700), { size: 500, overlap: 0 });
+assert.ok(long.length >= 7 && long.every(c => c.length <= 500));
+assert.deepEqual(chunkText('   '), []);
+
+// A model that finds one fact and one entity in any chunk mentioning a supplier
+const router = {
+  fast: 'fast', calls: 0,
+  async complete(messages) {
+    this.calls++;
+    const text = messages[1].content;
+    const supplier = text.match(/(Hallam Flour|Leeds Dairy)/)?.[1];
+    if (!supplier) return { content: 'NONE' };
+    if (messages[0].content.startsWith('You extract knowledge')) return { content: `FACT: ${supplier} supplies the bakery` };
+    return { content: `ENTITY: ${supplier} | company | bakery supplier` };
+  },
+};
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-ingest-'));
+const server = createServer((req, res) => {
+  if (req.url === '/missing') { res.writeHead(404); res.end(); return; }
+  if (req.url === '/moved') { res.writeHead(302, { Location: '/dairy' }); res.end(); return; }
+  if (req.url === '/metadata') { res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' }); res.end(); return; }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end('<title>Dairy page</title><p>Leeds Dairy delivers milk to the bakery every morning before seven.</p>');
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+try {
+  for (const backend of ['sqlite', 'json']) {
+    const home = join(dir, backend);
+    mkdirSync(home);
+    const config = { _dir: home, memory: { vector: { embeddings: { provider: 'none' } }, ingest: { chunkSize: 300, overlap: 50, allowHosts: ['127.0.0.1'] } } };
+    const memory = new MemoryManager(config, null);
+    memory.db = new Database(':memory:');
+    memory.knowledge = new KnowledgeStore(memory.db, null);
+    memory.knowledge.init();
+    memory.graph = new KnowledgeGraph(memory.db);
+    memory.graph.init();
+    memory.vector = new VectorMemory(config, null);
+    const shared = backend === 'sqlite' ? await getDb(home) : null;
+    memory.vector.attach(shared);
+    await memory.vector.init();
+    memory.setRouter(router);
+    const documents = new DocumentIngestor(config, memory);
+    documents.attach(shared);
+
+    // A file: chunks in vector memory, a fact tagged with the document, an entity
+    const file = join(home, 'contract.docx');
+    writeFileSync(file, docx);
+    const stages = [];
+    const first = await documents.ingest(file, { onProgress: (p) => stages.push(p.stage) });
+    assert.equal(first.outcome, 'added');
+    assert.deepEqual([first.title, first.format, first.status, first.chunks, first.facts, first.entities], ['Bakery contract', 'docx', 'ready', 1, 1, 1]);
+    assert.deepEqual([...new Set(stages)], ['parsing', 'embedding', 'extracting', 'ready']);
+    assert.equal(memory.knowledge.list().find(k => k.content.includes('Hallam'))?.source, `document:${first.id}`);
+    assert.ok(memory.graph.findEntity('Hallam Flour'));
+    const hits = await memory.vector.search('hallam flour tuesdays', 5, { type: 'document' });
+    assert.equal(hits[0].metadata.title, 'Bakery contract');
+
+    // Same content: nothing to do, no model calls
+    const calls = router.calls;
+    assert.equal((await documents.ingest(file)).outcome, 'unchanged');
+    assert.equal(router.calls, calls);
+
+    // New content replaces the old chunks and the facts they gave
+    writeFileSync(file, zip({ 'word/document.xml': '<w:p><w:t>Leeds Dairy now supplies the bakery instead, on Mondays only.</w:t></w:p>' }));
+    utimesSync(file, new Date(), new Date(Date.now() + 60000));
+    assert.equal(await documents.refresh(), 1);
+    const second = documents.get(file);
+    assert.equal(second.id, first.id);
+    assert.equal(second.title, 'contract.docx');
+    const facts = memory.knowledge.list().map(k => k.content);
+    assert.ok(facts.includes('Leeds Dairy supplies the bakery'));
+    assert.ok(!facts.includes('Hallam Flour supplies the bakery'));
+    assert.equal((await memory.vector.search('hallam tuesdays', 5, { type: 'document' })).length, 0);
+    assert.equal(await documents.refresh(), 0);
+
+    // A folder: supported files only, hidden ones skipped, failures reported per file
+    const folder = join(home, 'docs');
+    mkdirSync(join(folder, 'sub'), { recursive: true });
+    writeFileSync(join(folder, 'suppliers.csv'), 'supplier,day\nHallam Flour,Tuesday\n');
+    writeFileSync(join(folder, 'sub', 'notes.md'), paragraphs.join('\n\n'));
+    writeFileSync(join(folder, 'sub', 'empty.txt'), '  \n');
+    writeFileSync(join(folder, '.secret.md'), 'hidden');
+    writeFileSync(join(folder, 'photo.png'), 'png');
+    const batch = await documents.ingest(folder, { extract: false });
+    assert.deepEqual(batch.map(d => [d.title, d.outcome]), [['empty.txt', 'failed'], ['notes.md', 'added'], ['suppliers.csv', 'added']]);
+    assert.ok(batch[1].chunks > 1);
+    assert.equal(documents.get(join(folder, 'sub', 'empty.txt')).error, 'No text found in the document');
+
+    // URLs and uploads
+    const page = await documents.ingest(`${base}/dairy`);
+    assert.deepEqual([page.title, page.format, page.facts], ['Dairy page', 'html', 1]);
+    await assert.rejects(documents.ingest(`${base}/missing`), /HTTP 404/);
+    const upload = await documents.ingest({ data: pdf(['Leeds Dairy invoice: 40 pounds'], 'Dairy invoice'), name: '../invoice.pdf' });
+    assert.deepEqual([upload.source, upload.title, upload.format], ['upload:invoice.pdf', 'Dairy invoice', 'pdf']);
+    await assert.rejects(documents.ingest(join(home, 'nope.md')), /No such file/);
+
+    // Agents' recall includes document chunks, labelled by title and part
+    const recalled = await memory._recallVector('supplier delivery schedule', 'QClaw', 'owner', 4);
+    assert.ok(recalled.length > 0);
+    assert.match(recalled[0].label, /^notes\.md, part \d+ of \d+$/);
+
+    // Forgetting a document takes its chunks and facts with it
+    const before = memory.vector.count();
+    assert.equal(documents.remove(page.id), true);
+    assert.equal(memory.vector.count(), before - 1);
+    assert.ok(!memory.knowledge.list().some(k => k.source === `document:${page.id}`));
+    assert.equal(documents.get(page.id), null);
+    assert.equal(documents.remove(page.id), false);
+    assert.equal(documents.list().length, 5);
+
+    // Tracking survives a restart
+    const reopened = new DocumentIngestor(config, memory);
+    reopened.attach(shared);
+    assert.equal(reopened.get(file).chunks, second.chunks);
+
+    // Agents: file paths go through ExecPolicy, protected folders included
+    const policy = new ExecPolicy({ _dir: home });
+    mkdirSync(join(policy.root, 'agents', 'QClaw'), { recursive: true });
+    writeFileSync(join(policy.root, 'agents', 'QClaw', 'AGENT.md'), 'You are QClaw.');
+    writeFileSync(join(policy.root, 'plan.md'), 'Hallam Flour delivers on Tuesdays.');
+    const checkPath = (path) => policy.checkPath(path, { protect: true });
+    await assert.rejects(documents.ingest(file, { checkPath }), /outside the workspace/);
+    await assert.rejects(documents.ingest('agents/QClaw/AGENT.md', { checkPath }), /is protected/);
+    const workspace = await documents.ingest('.', { checkPath, extract: false });
+    assert.deepEqual(workspace.map(d => d.source), [join(policy.root, 'plan.md')]);
+
+    // URLs: redirects are followed, but never to this machine or the local network
+    assert.equal((await documents.ingest(`${base}/moved`)).title, 'Dairy page');
+    await assert.rejects(documents.ingest(`${base}/metadata`), /169\.254\.169\.254 is on this machine or the local network/);
+    const strict = new DocumentIngestor({ ...config, memory: { ...config.memory, ingest: { allowHosts: [] } } }, memory);
+    strict.attach(shared);
+    for (const url of [`${base}/dairy`, `http://localhost:${server.address().port}/dairy`, 'http://[::ffff:127.0.0.1]/', 'http://10.0.0.8/wiki', 'http://[fe80::1]/']) {
+      await assert.rejects(strict.ingest(url), /is on this machine or the local network/, url);
+    }
+
+    // DNS rebinding: the request connects to the address that was checked,
+    // whatever a second lookup would say
+    const answers = (...lists) => {
+      const resolver = async () => { resolver.calls++; return lists[Math.min(resolver.calls, lists.length) - 1]; };
+      resolver.calls = 0;
+      return resolver;
+    };
+    documents._resolve = answers([{ address: '127.0.0.1', family: 4 }], [{ address: '10.0.0.9', family: 4 }]);
+    assert.equal((await documents.ingest(`http://rebind.test:${server.address().port}/dairy`, { force: true })).title, 'Dairy page');
+    assert.equal(documents._resolve.calls, 1);
+    strict._resolve = answers([{ address: '93.184.215.14', family: 4 }], [{ address: '127.0.0.1', family: 4 }]);
+    const connected = [];
+    strict._get = async (url, pinned) => {
+      connected.push(pinned.address);
+      return Object.assign(Readable.from([Buffer.from('<title>Public page</title><p>Hallam Flour opens a second mill in the spring.</p>')]), {
+        statusCode: 200, headers: { 'content-type': 'text/html' },
+      });
+    };
+    assert.equal((await strict.ingest('http://rebind.example/news')).title, 'Public page');
+    assert.deepEqual([connected, strict._resolve.calls], [['93.184.215.14'], 1]);
+    strict._resolve = answers([{ address: '93.184.215.14', family: 4 }, { address: '127.0.0.1', family: 4 }]);
+    await assert.rejects(strict.ingest('http://rebind.example/other'), /rebind\.example is on this machine or the local network \(127\.0\.0\.1\)/);
+    await memory.vector.disconnect();
+  }
+} finally {
+  server.close();
+  closeDb();
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('document ingestion checks passed');
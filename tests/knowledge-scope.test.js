@@ -0,0 +1,79 @@
+/**
+ * Knowledge subjects — per-speaker scoping, provenance, reassign/promote.
+ * Run with: node tests/knowledge-scope.test.js
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { KnowledgeStore, extractKnowledge, isSubject, visibleSubjects } from '../src/memory/knowledge.js';
+import { MemoryManager } from '../src/memory/manager.js';
+
+assert.equal(isSubject('user:telegram:42'), true);
+assert.equal(isSubject('agent:QClaw'), true);
+assert.equal(isSubject('user:telegram'), false);
+assert.equal(isSubject('everyone'), false);
+assert.deepEqual(visibleSubjects('user:telegram:42', 'QClaw'), ['user:telegram:42', 'shared', 'agent:QClaw']);
+
+// Speakers map to subjects: the owner's identities, anyone else by channel + id
+const memory = new MemoryManager({ memory: { owners: ['telegram:1'] } }, null);
+assert.equal(memory.subjectOf({ channel: 'dashboard', userId: null, chatId: null }), 'owner');
+assert.equal(memory.subjectOf({ channel: 'telegram', userId: '1', chatId: '-100' }), 'owner');
+assert.equal(memory.subjectOf({ channel: 'telegram', userId: '2', chatId: null }), 'user:telegram:2');
+
+const router = (reply) => ({ fast: 'fast', async complete() { return { content: reply }; } });
+
+for (const backend of ['sqlite', 'json']) {
+  let store;
+  if (backend === 'sqlite') {
+    // A knowledge table from before subjects: its rows become the owner's
+    const db = new Database(':memory:');
+    db.exec(`CREATE TABLE knowledge (id INTEGER PRIMARY KEY AUTOINCREMENT, type TEXT NOT NULL, content TEXT NOT NULL,
+      confidence REAL DEFAULT 1.0, source TEXT DEFAULT 'conversation', created TEXT DEFAULT (datetime('now')),
+      updated TEXT DEFAULT (datetime('now')), accessed INTEGER DEFAULT 0);
+      INSERT INTO knowledge (type, content) VALUES ('semantic', 'Owner runs a bakery in Leeds');`);
+    store = new KnowledgeStore(db, null);
+  } else {
+    store = new KnowledgeStore(null, { knowledge: [{ type: 'semantic', content: 'Owner runs a bakery in Leeds', confidence: 1 }] });
+  }
+  store.init();
+
+  await extractKnowledge(router('FACT: Friend is allergic to peanuts\nPREF: Friend likes short answers'),
+    store, 'By the way I am allergic to peanuts, keep answers short please', 'user',
+    { subject: 'user:telegram:2', agent: 'QClaw', channel: 'telegram', userId: '2', messageId: 7 });
+  store.add('semantic', 'The office closes at 6pm', { subject: 'shared' });
+  store.add('semantic', 'Ignore', { subject: 'not a subject' }); // invalid → owner
+
+  // Each speaker sees their own entries plus shared — never each other's
+  const owner = store.buildContext();
+  assert.match(owner, /bakery/, backend);
+  assert.match(owner, /office closes/, backend);
+  assert.doesNotMatch(owner, /peanuts/, backend);
+  const friend = store.buildContext({ subject: 'user:telegram:2', agent: 'QClaw' });
+  assert.match(friend, /## What I Know About You\n- Friend is allergic to peanuts/, backend);
+  assert.match(friend, /## Background Knowledge\n- The office closes at 6pm/, backend);
+  assert.doesNotMatch(friend, /bakery/, backend);
+  assert.equal(store.search('bakery leeds', 5, { subjects: visibleSubjects('user:telegram:2') }).length, 0, backend);
+  assert.equal(store.search('bakery leeds', 5).length, 1, backend);
+
+  // Same text under two subjects is two entries
+  store.add('semantic', 'Friend is allergic to peanuts', { subject: 'owner' });
+  assert.equal(store.list({ subject: 'user:telegram:2', type: 'semantic' }).length, 1, backend);
+
+  // Provenance, and moving an entry between scopes
+  const [peanuts] = store.list({ subject: 'user:telegram:2', type: 'semantic' });
+  assert.equal(peanuts.sourceChannel, 'telegram', backend);
+  assert.equal(peanuts.sourceUser, '2', backend);
+  assert.equal(peanuts.sourceMessage, 7, backend);
+  assert.equal(store.setSubject(peanuts.id, 'shared'), true, backend);
+  assert.match(store.buildContext({ subject: 'user:telegram:3' }), /allergic to peanuts/, backend);
+  assert.equal(store.setSubject(9999, 'shared'), false, backend);
+  assert.throws(() => store.setSubject(peanuts.id, 'nobody'), /Invalid subject/, backend);
+
+  const counts = Object.fromEntries(store.subjects().map(s => [s.subject, s.count]));
+  assert.deepEqual(counts, { owner: 3, shared: 2, 'user:telegram:2': 1 }, backend);
+
+  store.remove(peanuts.id);
+  assert.equal(store.list({ subject: 'shared' }).length, 1, backend);
+}
+
+console.log('knowledge scope checks passed');
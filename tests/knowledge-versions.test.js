@@ -0,0 +1,112 @@
+/**
+ * Versioned knowledge — duplicates, contradictions, history, the conflict
+ * queue, confidence decay, and facts that share an opening kept apart.
+ * Run with: node tests/knowledge-versions.test.js
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { KnowledgeStore, judgeFacts } from '../src/memory/knowledge.js';
+
+// The fast model, scripted: how B relates to A
+const judge = (relation, confidence = 0.95) => ({
+  fast: 'fast',
+  calls: 0,
+  async complete() { this.calls++; return { content: JSON.stringify({ relation, confidence, reason: `judged ${relation}` }) }; },
+});
+
+assert.equal((await judgeFacts({ async complete() { return { content: 'no idea' }; } }, 'a', 'b')), null);
+assert.deepEqual(await judgeFacts(judge('contradicts', 3), 'a', 'b'), { relation: 'contradicts', confidence: 1, reason: 'judged contradicts' });
+
+for (const backend of ['sqlite', 'json']) {
+  const store = backend === 'sqlite'
+    ? new KnowledgeStore(new Database(':memory:'), null)
+    : new KnowledgeStore(null, { knowledge: [] });
+  store.init();
+  const current = () => store.list({ type: 'semantic' }).map(k => k.content).sort();
+
+  const acme = (await store.learn('semantic', 'Works at Acme as a designer')).id;
+
+  // A near-copy re-confirms; a compatible fact is stored alongside
+  assert.equal((await store.learn('semantic', 'Works at Acme as a designer', {}, { router: judge('same') })).action, 'confirmed', backend);
+  const pets = judge('compatible');
+  assert.equal((await store.learn('semantic', 'Has two cats', {}, { router: pets })).action, 'added', backend);
+  assert.equal(pets.calls, 0, backend); // unrelated — no model call
+
+  // A sure contradiction supersedes, and the old version stays in history
+  const moved = await store.learn('semantic', 'Now works at Globex as a designer', {}, { router: judge('contradicts') });
+  assert.equal(moved.action, 'superseded', backend);
+  assert.equal(moved.previous, acme, backend);
+  assert.deepEqual(current(), ['Has two cats', 'Now works at Globex as a designer'], backend);
+  const versions = store.history(moved.id);
+  assert.deepEqual(versions.map(v => [v.content, v.current]), [['Works at Acme as a designer', false], ['Now works at Globex as a designer', true]], backend);
+  assert.ok(versions[0].supersededAt, backend);
+  assert.deepEqual(store.history(acme).map(v => v.id), versions.map(v => v.id), backend);
+  assert.equal(store.list({ type: 'semantic' }).find(k => k.id === moved.id).supersedes, acme, backend);
+  assert.equal(store.stats().semantic, 2, backend);
+
+  // An unsure contradiction — or no model at all — waits for the owner
+  const unsure = await store.learn('semantic', 'Works at Initech as a designer', { channel: 'telegram', userId: 5 }, { router: judge('contradicts', 0.5) });
+  assert.equal(unsure.action, 'queued', backend);
+  assert.equal((await store.learn('semantic', 'Works at Initech as a designer', {}, { router: judge('contradicts', 0.5) })).conflictId, unsure.conflictId, backend);
+  const noModel = await store.learn('semantic', 'Works at Hooli as a designer');
+  assert.equal(noModel.action, 'queued', backend);
+  let queue = store.conflicts();
+  assert.equal(queue.length, 2, backend);
+  const initech = queue.find(c => c.id === unsure.conflictId);
+  assert.equal(initech.existing, 'Now works at Globex as a designer', backend);
+  assert.equal(initech.sourceChannel, 'telegram', backend);
+  assert.match(initech.reason, /judged contradicts/, backend);
+  assert.deepEqual(current(), ['Has two cats', 'Now works at Globex as a designer'], backend);
+
+  assert.equal(store.resolveConflict(unsure.conflictId, 'replace'), true, backend);
+  assert.deepEqual(current(), ['Has two cats', 'Works at Initech as a designer'], backend);
+  assert.equal(store.history(acme).length, 3, backend);
+  assert.equal(store.resolveConflict(noModel.conflictId, 'discard'), true, backend);
+  assert.equal(store.resolveConflict(noModel.conflictId, 'discard'), false, backend);
+  assert.equal(store.conflicts().length, 0, backend);
+  assert.equal(store.conflicts({ status: 'replaced' }).length, 1, backend);
+  assert.throws(() => store.resolveConflict(1, 'maybe'), /replace, keep or discard/);
+
+  // Decay: stale facts lose confidence once a month, drop out of the prompt, and come back when heard again
+  const DAY = 24 * 60 * 60 * 1000;
+  const later = Date.now() + 200 * DAY;
+  assert.equal(store.decay(later), 2, backend);
+  assert.equal(store.decay(later), 0, backend); // already decayed this month
+  assert.equal(store.decay(later + 31 * DAY), 2, backend);
+  const cats = store.list({ type: 'semantic' }).find(k => k.content === 'Has two cats');
+  assert.equal(Math.round(cats.confidence * 10), 8, backend);
+  store.options.minConfidence = 0.9;
+  assert.doesNotMatch(store.buildContext(), /two cats/, backend);
+  assert.equal((await store.learn('semantic', 'Has two cats')).action, 'confirmed', backend);
+  assert.match(store.buildContext(), /two cats/, backend);
+  assert.equal(store.decay(later), 1, backend); // only the one nobody re-confirmed
+
+  // Facts that open the same way are still separate versions and entries
+  const opening = 'The product team holds its quarterly planning meeting';
+  assert.ok(opening.length >= 50);
+  const monday = (await store.learn('semantic', `${opening} on Mondays at nine in the main office`)).id;
+  const thursday = await store.learn('semantic', `${opening} on Thursdays at two in the main office`, {}, { router: judge('contradicts') });
+  assert.equal(thursday.action, 'superseded', backend);
+  assert.notEqual(thursday.id, monday, backend);
+  assert.deepEqual(store.history(monday).map(v => v.content), [`${opening} on Mondays at nine in the main office`, `${opening} on Thursdays at two in the main office`], backend);
+  const streamed = await store.learn('semantic', `${opening} on Thursdays, streamed to the Berlin office`, {}, { router: judge('compatible') });
+  assert.equal(streamed.action, 'added', backend);
+  assert.notEqual(streamed.id, thursday.id, backend);
+  const friday = await store.learn('semantic', `${opening} on Fridays at two in the main office`, {}, { router: judge('contradicts', 0.5) });
+  assert.equal(friday.action, 'queued', backend);
+  store.resolveConflict(friday.conflictId, 'replace');
+  assert.equal(current().filter(c => c.startsWith(opening)).length, 2, backend);
+  assert.equal(store.history(monday).length + store.history(streamed.id).length, 4, backend);
+}
+
+// Embeddings, when there's a provider, decide instead of TF-IDF
+const vectors = { 'Lives in Leeds': [1, 0, 0], 'Based in Leeds, West Yorkshire': [0.99, 0.05, 0], 'Enjoys climbing': [0, 1, 0] };
+const store = new KnowledgeStore(new Database(':memory:'), null);
+store.init();
+store.useEmbeddings({ async embed(text) { return vectors[text] || null; } });
+await store.learn('semantic', 'Lives in Leeds');
+assert.equal((await store.learn('semantic', 'Based in Leeds, West Yorkshire')).action, 'confirmed');
+assert.equal((await store.learn('semantic', 'Enjoys climbing')).action, 'added');
+
+console.log('knowledge version checks passed');
@@ -0,0 +1,70 @@
+/**
+ * Price catalogue and token metering.
+ * Run with: node tests/pricing.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { PriceCatalogue, estimateTokens, estimateMessages } from '../src/models/pricing.js';
+import { ModelRouter, anthropicUsage, openaiUsage } from '../src/models/router.js';
+
+const prices = new PriceCatalogue({ models: { prices: { 'my-finetune': { input: 2, output: 8 } } } });
+
+// Lookup: exact, dotted ids, provider prefixes, dated snapshots, config overrides
+assert.ok(prices.isKnown('claude-sonnet-4-5'));
+assert.equal(prices.lookup('anthropic/claude-sonnet-4.5').matched, 'claude-sonnet-4-5');
+assert.equal(prices.lookup('gpt-4o-mini-2024-07-18').matched, 'gpt-4o-mini');
+assert.equal(prices.lookup('my-finetune').price.input, 2);
+assert.equal(prices.lookup('llama3.3', 'ollama').price.output, 0);
+assert.equal(prices.isKnown('mystery-model-9'), false);
+
+// Cached input is billed at the cached rate, not on top of the input rate
+const full = prices.cost('claude-sonnet-4-5', { input_tokens: 1_000_000, output_tokens: 0 }).cost;
+const cached = prices.cost('claude-sonnet-4-5', { input_tokens: 1_000_000, cached_input_tokens: 1_000_000, output_tokens: 0 }).cost;
+assert.equal(full, 3);
+assert.equal(cached, 0.3);
+
+// Prompt-cache writes are billed at the cache-write rate, not plain input
+const written = prices.cost('claude-sonnet-4-5', anthropicUsage({ input_tokens: 0, cache_creation_input_tokens: 1_000_000, output_tokens: 0 }));
+assert.equal(written.cost, 3.75);
+assert.equal(prices.cost('my-finetune', { input_tokens: 2_000_000, cache_write_input_tokens: 1_000_000 }).cost, 4.5, '1.25× input when no rate is set');
+
+// Unknown models are never free
+const unknown = prices.cost('mystery-model-9', { input_tokens: 1000, output_tokens: 1000 });
+assert.equal(unknown.known, false);
+assert.ok(unknown.cost > 0);
+
+// Unpriced spend is grouped from audit cost rows
+const rows = [
+  { model: 'mystery-model-9', tier: 'simple', messages: 2, total_cost: 0.01 },
+  { model: 'mystery-model-9', tier: 'complex', messages: 1, total_cost: 0.02 },
+  { model: 'gpt-4o', tier: 'standard', messages: 5, total_cost: 0.5 },
+];
+assert.deepEqual(prices.unpriced(rows).map(u => [u.model, u.messages]), [['mystery-model-9', 3]]);
+
+// Local models are priced by their provider, so they aren't reported as unpriced
+rows.push({ model: 'llama3.3', provider: 'ollama', tier: 'simple', messages: 9, total_cost: 0 });
+rows.push({ model: 'qwen3-local', provider: 'lmstudio', tier: 'simple', messages: 1, total_cost: 0.001 });
+assert.deepEqual(prices.unpriced(rows).map(u => u.model), ['mystery-model-9', 'qwen3-local']);
+
+// Estimation: roughly one token per word for English prose
+const words = 'The quick brown fox jumps over the lazy dog and keeps running down the road';
+const est = estimateTokens(words);
+assert.ok(est >= 14 && est <= 20, `estimate ${est}`);
+assert.equal(estimateTokens(''), 0);
+assert.deepEqual(estimateMessages([{ role: 'user', content: [{ type: 'text', text: 'hi' }, { type: 'image', source: {} }] }]).images, 1);
+
+// Provider usage normalisation
+assert.deepEqual(anthropicUsage({ input_tokens: 10, cache_read_input_tokens: 90, cache_creation_input_tokens: 20, output_tokens: 5 }),
+  { input_tokens: 120, cached_input_tokens: 90, cache_write_input_tokens: 20, output_tokens: 5 });
+assert.deepEqual(openaiUsage({ prompt_tokens: 100, prompt_tokens_details: { cached_tokens: 64 }, completion_tokens: 7 }),
+  { input_tokens: 100, cached_input_tokens: 64, output_tokens: 7 });
+
+// Missing usage falls back to a local estimate instead of zero
+const router = new ModelRouter({ models: { primary: { provider: 'openai', model: 'gpt-4o' } } }, { get: async () => null });
+const metered = router.meter('gpt-4o', 'openai', [{ role: 'user', content: words }], 'A short reply.', openaiUsage(null));
+assert.equal(metered.usage.estimated, true);
+assert.ok(metered.usage.input_tokens > 0 && metered.usage.output_tokens > 0);
+assert.ok(metered.cost > 0);
+assert.equal(metered.priceKnown, true);
+
+console.log('pricing checks passed');
@@ -0,0 +1,190 @@
+/**
+ * Rate limits and outbound filters — per-user message caps and tool
+ * category caps that survive a restart, and secrets, PII and VALUES.md
+ * rules checked on everything a channel sends.
+ * Run with: node tests/rate-limits.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDb, closeDb } from '../src/core/database.js';
+import { RateLimiter } from '../src/security/rate-limiter.js';
+import { ContentQueue } from '../src/security/content-queue.js';
+import { TrustKernel } from '../src/security/trust-kernel.js';
+import { ToolExecutor } from '../src/tools/executor.js';
+import { ToolRegistry } from '../src/tools/registry.js';
+import { ChannelManager } from '../src/channels/manager.js';
+import { Heartbeat } from '../src/core/heartbeat.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-limits-'));
+
+const rateLimits = {
+  messages: { perMinute: 3, hourly: 5 },
+  shell_commands: { hourly: 2 },
+};
+// Ten seconds into this hour — attach() drops counts from earlier windows
+const t0 = Math.floor(Date.now() / 3_600_000) * 3_600_000 + 10_000;
+
+try {
+  for (const backend of ['sqlite', 'json']) {
+    const sub = join(dir, backend);
+    const config = { _dir: sub, security: { rateLimits } };
+    const limiter = new RateLimiter(config);
+    limiter.attach(backend === 'sqlite' ? await getDb(sub) : null);
+
+    // Three a minute: the fourth is refused, and only the first refusal says so
+    for (let i = 0; i < 3; i++) assert.equal(limiter.takeMessage('telegram', 42, t0 + i).allowed, true);
+    let v = limiter.takeMessage('telegram', 42, t0 + 5);
+    assert.deepEqual([v.allowed, v.window, v.limit, v.count, v.retryAfter, v.first], [false, 'minute', 3, 3, 50, true]);
+    assert.match(limiter.describe(v), /3 per minute\). Try again in 50s/);
+    assert.equal(limiter.takeMessage('telegram', 42, t0 + 6).first, false);
+    assert.equal(limiter.takeMessage('telegram', 43, t0 + 6).allowed, true, 'each user has their own count');
+
+    // A new minute lets two more in before the hourly cap
+    const t1 = t0 + 60_000;
+    assert.equal(limiter.takeMessage('telegram', 42, t1).allowed, true);
+    assert.equal(limiter.takeMessage('telegram', 42, t1).allowed, true);
+    v = limiter.takeMessage('telegram', 42, t1);
+    assert.deepEqual([v.window, v.first], ['hour', true]);
+    assert.match(limiter.describe(v), /Try again in 59 min/);
+
+    // Unlimited buckets always pass; peek doesn't count
+    assert.equal(limiter.take('api_calls', '*', t0).allowed, true);
+    assert.equal(limiter.peek('shell_commands', '*', t0).allowed, true);
+    assert.equal(limiter.peek('shell_commands', '*', t0).allowed, true);
+    limiter.take('shell_commands', '*', t0);
+    limiter.take('shell_commands', '*', t0);
+    assert.equal(limiter.peek('shell_commands', '*', t0).allowed, false);
+    assert.match(limiter.describe(limiter.peek('shell_commands', '*', t0)), /security\.rateLimits\.shell_commands/);
+
+    // Counts survive a restart; an earlier window's don't count
+    const again = new RateLimiter(config);
+    again.attach(backend === 'sqlite' ? await getDb(sub) : null);
+    assert.equal(again.peek('messages', 'telegram:42', t1).allowed, false);
+    assert.equal(again.peek('messages', 'telegram:42', t0 + 3_600_000).allowed, true);
+
+    // Status for the dashboard, fullest first; reset clears one key
+    const status = again.status(t1);
+    assert.deepEqual(status[0], { bucket: 'messages', key: 'telegram:42', window: 'hour', count: 5, limit: 5, resetsIn: 3530 });
+    assert.ok(status.some(s => s.bucket === 'shell_commands' && s.count === 2));
+    assert.ok(!status.some(s => s.window === 'minute' && s.key === 'telegram:43'), 'a past minute is not shown');
+    again.reset('messages', 'telegram:42');
+    assert.equal(again.peek('messages', 'telegram:42', t1).allowed, true);
+    assert.equal(again.peek('messages', 'telegram:43', t1).allowed, true);
+
+    if (backend === 'sqlite') closeDb();
+  }
+
+  // Tool categories: built-ins, per-call, config overrides, MCP defaults
+  const registry = new ToolRegistry({ _dir: dir, tools: { categories: { read_file: 'file_changes' } } }, null);
+  registry._registerBuiltins();
+  const category = (name, args) => registry.getToolMeta(name, args).category;
+  assert.equal(category('shell_exec'), 'shell_commands');
+  assert.equal(category('write_file'), 'file_changes');
+  assert.equal(category('read_file'), 'file_changes', 'config overrides');
+  assert.equal(category('manage_process', { action: 'start' }), 'shell_commands');
+  assert.equal(category('manage_process', { action: 'list' }), null);
+  assert.equal(category('send_message', { channel: 'email' }), 'emails');
+  assert.equal(category('github__create_issue'), 'api_calls', 'tools from MCP servers count as API calls');
+
+  // The executor refuses a call over its limit without ending the turn
+  const limiter = new RateLimiter({ security: { rateLimits: { shell_commands: { hourly: 1 } } } });
+  limiter.attach(null);
+  const ran = [];
+  const tools = {
+    getToolMeta: (name) => ({ timeoutMs: 1000, risk: 'low', category: name === 'shell' ? 'shell_commands' : null }),
+    async executeTool(name) { ran.push(name); return `${name} ok`; },
+  };
+  const executor = new ToolExecutor(null, tools, { rateLimiter: limiter });
+  const call = (name, n) => ({ id: `c${n}`, name, args: { n } });
+  let results = await executor._executeToolCalls([call('shell', 1), call('shell', 2), call('time', 3)]);
+  assert.deepEqual(ran, ['shell', 'time']);
+  assert.equal(results[1].limited, true);
+  assert.match(results[1].result, /^Rate limited: shell_commands is limited to 1 per hour/);
+  results = await executor._executeToolCalls([call('time', 4)]);
+  assert.equal(results[0].result, 'time ok');
+
+  // Outbound filters: secrets, PII and VALUES.md rules
+  writeFileSync(join(dir, 'VALUES.md'), `# VALUES
+
+## Action Rules
+
+- deny outbound_message when text contains "internal only" because that stays in the team
+- deny outbound_message when channel is slack and text contains "salary"
+`);
+  const trust = new TrustKernel({ _dir: dir });
+  await trust.load();
+  const audited = [];
+  const queue = new ContentQueue({ security: { outbound: { pii: ['card', 'iban', 'ssn', 'ni'] } } });
+  const secrets = new Map([['openai_api_key', 'sk-live-abc123456789'], ['pin', '1234']]);
+  queue.useSecrets({ list: () => [...secrets.keys()], get: (k) => secrets.get(k) });
+  queue.useTrustKernel(trust);
+  queue.useAudit({ log: (...args) => audited.push(args) });
+
+  let out = await queue.process('Your key is sk-live-abc123456789, PIN 1234.', { channel: 'telegram', userId: 42, agent: 'QClaw' });
+  assert.equal(out.content, 'Your key is [redacted openai_api_key], PIN 1234.', 'short values are left alone');
+  assert.deepEqual(out.redacted, ['secret openai_api_key']);
+  assert.deepEqual(audited.at(-1).slice(0, 2), ['QClaw', 'outbound_redacted']);
+
+  out = await queue.process('Card 4111 1111 1111 1111, order 1234 5678 9012 3456, IBAN GB82 WEST 1234 5698 7654 32, SSN 123-45-6789, NI AB 12 34 56 C');
+  assert.equal(out.content, 'Card [redacted card number], order 1234 5678 9012 3456, IBAN [redacted IBAN], SSN [redacted SSN], NI [redacted NI number]');
+  assert.equal((await queue.process('Ring me on +44 20 7946 0958')).content, 'Ring me on +44 20 7946 0958', 'phone numbers only when asked for');
+
+  out = await queue.process('This is internal only: sk-live-abc123456789', { channel: 'discord', userId: '7' });
+  assert.deepEqual(out, { delivered: false, reason: 'VALUES.md: that stays in the team' });
+  assert.equal(audited.at(-1)[1], 'outbound_blocked');
+  assert.match(audited.at(-1)[2], /^discord:7 — VALUES\.md: that stays in the team: This is internal only: \[redacted openai_api_key\]/);
+  assert.equal(audited.at(-1)[3].approved, false);
+  assert.equal((await queue.process('salary bands', { channel: 'slack' })).delivered, false);
+  assert.equal((await queue.process('salary bands', { channel: 'email' })).delivered, true);
+
+  const strict = new ContentQueue({ security: { outbound: { secrets: 'block', pii: ['card'], piiAction: 'block' } } });
+  strict.useSecrets({ list: () => ['openai_api_key'], get: () => 'sk-live-abc123456789' });
+  assert.match((await strict.process('sk-live-abc123456789')).reason, /stored secret \(openai_api_key\)/);
+  assert.equal((await strict.process('4111111111111111')).reason, 'contains a card number');
+  strict.addFilter((text) => text.includes('!') ? { modified: true, content: text.replace(/!/g, '.'), reason: 'calm' } : null);
+  assert.deepEqual(await strict.process('hi!'), { delivered: true, content: 'hi.', redacted: ['calm'] });
+  assert.equal(queue.scrub('key sk-live-abc123456789 and internal only'), 'key [redacted openai_api_key] and internal only');
+
+  // Channels: a flood gets one notice, replies go through the filters
+  const agent = {
+    name: 'main',
+    status: 'active',
+    seen: [],
+    process: async (text) => { agent.seen.push(text); return { content: `echo ${text} sk-live-abc123456789`, tier: 'simple', cost: 0 }; },
+  };
+  const agents = { agents: new Map([['main', agent]]), get: () => agent, primary: () => agent, getTeam: () => null };
+  const manager = new ChannelManager({ channels: {} }, agents, null);
+  const inbound = new RateLimiter({ security: { rateLimits: { messages: { perMinute: 2 } } } });
+  inbound.attach(null);
+  manager.wireSecurity({ rateLimiter: inbound, contentQueue: queue });
+  const slack = await manager._createChannel('slack', { streaming: false });
+  slack._limiter = manager._limiter;
+  slack._content = manager._content;
+  const said = [];
+  const say = async (t) => { said.push(t); };
+  for (const text of ['one', 'two', 'three', 'four']) await slack._handleMessage(text, 'U1', 'C1', say);
+  assert.deepEqual(agent.seen, ['one', 'two']);
+  assert.equal(said[0], 'echo one [redacted openai_api_key]');
+  assert.equal(said.length, 3);
+  assert.match(said[2], /^You're sending messages faster than I can take them \(2 per minute\)/);
+  await slack._handleMessage('internal only please', 'U2', 'C1', say);
+  assert.match(said.at(-1), /outbound filter held it back/);
+
+  // Heartbeat pushes: a reminder that's held back fails its run
+  const heartbeat = new Heartbeat({ _dir: dir, heartbeat: {} }, agents, null, null, null);
+  const sent = [];
+  heartbeat.wireChannels({ channels: [], send: async (thread, text) => sent.push([thread.channel, text]) });
+  heartbeat.wireContent(queue);
+  await heartbeat.pushTo({ channel: 'telegram', userId: 42, chatId: 42 }, 'token sk-live-abc123456789');
+  assert.deepEqual(sent, [['telegram', 'token [redacted openai_api_key]']]);
+  await assert.rejects(heartbeat.pushTo({ channel: 'telegram', userId: 42 }, 'internal only'), /held back by an outbound filter/);
+  assert.equal(sent.length, 1);
+} finally {
+  closeDb();
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('rate limit and outbound filter checks passed');
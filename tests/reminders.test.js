@@ -0,0 +1,134 @@
+/**
+ * Reminders — set from a conversation, listed and cancelled per
+ * conversation, delivered back to it (or failed, never sent elsewhere),
+ * follow-ups run in that conversation, and older job tables migrated.
+ * Run with: node tests/reminders.test.js
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDb, closeDb } from '../src/core/database.js';
+import { localTime } from '../src/core/cron.js';
+import { Scheduler, describeReminder } from '../src/core/scheduler.js';
+import { Heartbeat } from '../src/core/heartbeat.js';
+import { ChannelManager } from '../src/channels/manager.js';
+import { threadOf } from '../src/memory/manager.js';
+
+const home = mkdtempSync(join(tmpdir(), 'qclaw-reminders-'));
+
+try {
+  const config = { _dir: home, scheduler: { timezone: 'Europe/London', maxReminders: 3 } };
+  const scheduler = new Scheduler(config);
+  scheduler.attach(await getDb(home));
+
+  const sam = threadOf({ channel: 'telegram', userId: 42, chatId: 42 });
+  const group = threadOf({ channel: 'discord', userId: '7', chatId: 'c-100' });
+  assert.deepEqual(sam, { channel: 'telegram', userId: '42', chatId: null });
+
+  // Setting them
+  assert.throws(() => scheduler.remind(null, { message: 'x', inMinutes: 5 }), /conversation to go back to/);
+  assert.throws(() => scheduler.remind(sam, { message: 'x' }), /exactly one of: at, inMinutes, cron/);
+  assert.throws(() => scheduler.remind(sam, { message: 'x', inMinutes: 5, cron: '0 9 * * 5' }), /exactly one of/);
+  assert.throws(() => scheduler.remind(sam, { message: 'x', inMinutes: -1 }), /above 0/);
+  assert.throws(() => scheduler.remind(sam, { message: 'x', cron: '*/5 * * * *' }), /at most every 15 minutes/);
+  assert.throws(() => scheduler.remind(sam, { message: '', inMinutes: 5 }), /prompt required/);
+
+  const invoice = scheduler.remind(sam, { message: 'Chase the Acme invoice', at: '2030-01-04T09:00', agent: 'echo' });
+  assert.equal(invoice.kind, 'reminder');
+  assert.deepEqual(invoice.target, sam);
+  assert.equal(invoice.agent, 'echo');
+  assert.equal(localTime(invoice.nextRun, 'Europe/London'), '2030-01-04 09:00', 'no offset means the user\'s local time');
+  const tea = scheduler.remind(sam, { message: 'Tea', inMinutes: 30 });
+  assert.ok(Math.abs(tea.nextRun - (Date.now() + 30 * 60 * 1000)) < 5000);
+  const weekly = scheduler.remind(group, { message: 'Post the standup notes', cron: '0 9 * * 1', timezone: 'America/New_York', followUp: true });
+  assert.equal(weekly.kind, 'follow-up');
+  assert.match(describeReminder(invoice, scheduler.timezone), /^#\d+ · 2030-01-04 09:00 Europe\/London · Chase the Acme invoice$/);
+  assert.match(describeReminder(weekly, scheduler.timezone), /America\/New_York · repeats 0 9 \* \* 1 · follow-up · Post the standup notes/);
+
+  // Per conversation
+  assert.deepEqual(scheduler.reminders(sam).map(j => j.id), [tea.id, invoice.id]);
+  assert.deepEqual(scheduler.reminders(group).map(j => j.id), [weekly.id]);
+  assert.equal(scheduler.reminders(threadOf({ channel: 'telegram', userId: 43 })).length, 0);
+  assert.equal(scheduler.reminders().length, 3);
+  const brief = scheduler.add({ name: 'Brief', prompt: 'brief', cron: '0 9 * * *' });
+  assert.equal(scheduler.reminders().length, 3, 'ordinary jobs are not reminders');
+  scheduler.remove(brief.id);
+  scheduler.remind(sam, { message: 'Third', inMinutes: 60 });
+  assert.throws(() => scheduler.remind(sam, { message: 'Fourth', inMinutes: 60 }), /already has 3 reminders/);
+
+  // Delivery goes back to the conversation
+  const sent = [];
+  const channels = new ChannelManager({}, null, null);
+  channels.channels.push({ channelConfig: { channelName: 'telegram' }, send: async (to, text) => { sent.push(['telegram', to, text]); } });
+  channels.channels.push({ channelConfig: { channelName: 'discord' }, send: async () => { throw new Error('Missing Access'); } });
+  await assert.rejects(channels.send({ channel: 'slack', userId: 'U1' }, 'hi'), /slack isn't connected/);
+
+  const processed = [];
+  const agent = { name: 'echo', process: async (prompt, context) => { processed.push([prompt, context]); return { content: 'Standup notes are up', cost: 0.01 }; } };
+  const heartbeat = new Heartbeat(config, { get: () => agent, primary: () => agent }, null, null, scheduler);
+  const pushed = [];
+  heartbeat.pushToUser = async (message, options) => { pushed.push([message, options.source]); return true; };
+  const events = [];
+  heartbeat.wireChannels(channels);
+  heartbeat.wireBroadcast(e => events.push(e));
+  scheduler.setRunner((job, info) => heartbeat._runJob(job, info));
+
+  const due = await scheduler.tick(invoice.nextRun + 1000);
+  const run = due.find(r => r.jobId === invoice.id);
+  assert.equal(run.status, 'ok');
+  assert.ok(due.filter(r => r !== run).every(r => r.status === 'skipped'), 'long-missed reminders are not sent late');
+  assert.deepEqual(sent, [['telegram', { userId: '42', chatId: null }, '⏰ Reminder: Chase the Acme invoice']]);
+  assert.equal(pushed.length, 0, 'nobody else is told');
+  assert.equal(processed.length, 0, 'a reminder needs no model');
+  assert.equal(events.find(e => e.type === 'proactive_message').channel, 'telegram');
+  assert.equal(scheduler.get(invoice.id).status, 'done');
+  assert.ok(!scheduler.reminders(sam).some(j => j.id === invoice.id), 'done reminders drop off the list');
+
+  // A channel that can't take it fails the run instead of sending elsewhere
+  heartbeat.heartbeatCostToday = 0;
+  const failed = await scheduler.runNow(weekly.id);
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /Missing Access/);
+  assert.equal(pushed.length, 0);
+  // A follow-up ran in the group's conversation first
+  assert.match(processed[0][0], /^\[FOLLOW-UP you scheduled earlier\] Post the standup notes/);
+  assert.deepEqual(processed[0][1], { channel: 'discord', userId: '7', chatId: 'c-100', source: 'follow-up' });
+
+  // The owner's dashboard conversation is the owner's everywhere
+  const mine = scheduler.remind(threadOf({ channel: 'dashboard' }), { message: 'Stretch', inMinutes: 1 });
+  await scheduler.runNow(mine.id);
+  assert.deepEqual(pushed, [['⏰ Reminder: Stretch', 'reminder']]);
+  closeDb();
+
+  // Job tables from before reminders get the new columns
+  const oldDir = join(home, 'old');
+  const old = new Database(join(home, 'old.db'));
+  old.exec(`CREATE TABLE scheduled_jobs (id INTEGER PRIMARY KEY AUTOINCREMENT, key TEXT UNIQUE, name TEXT NOT NULL, prompt TEXT NOT NULL,
+    agent TEXT, cron TEXT, run_at INTEGER, timezone TEXT, jitter INTEGER DEFAULT 0, notify INTEGER DEFAULT 1, catch_up TEXT,
+    status TEXT DEFAULT 'active', next_run INTEGER, last_run INTEGER, last_status TEXT, source TEXT DEFAULT 'dashboard',
+    created TEXT DEFAULT (datetime('now')));
+    CREATE TABLE scheduled_runs (id INTEGER PRIMARY KEY AUTOINCREMENT, job_id INTEGER NOT NULL, cause TEXT, scheduled INTEGER,
+    started INTEGER, finished INTEGER, status TEXT, output TEXT, error TEXT, cost REAL DEFAULT 0, model TEXT);
+    INSERT INTO scheduled_jobs (name, prompt, cron, next_run) VALUES ('Brief', 'brief', '0 9 * * *', 1);`);
+  const migrated = new Scheduler({ _dir: oldDir });
+  migrated.attach(old);
+  assert.equal(migrated.get(1).kind, 'task');
+  assert.equal(migrated.remind(sam, { message: 'Works', inMinutes: 5 }).target.channel, 'telegram');
+  old.close();
+
+  // And on the JSON backend
+  const json = new Scheduler({ _dir: join(home, 'json') });
+  json.attach(null);
+  const saved = json.remind(group, { message: 'Renew the domain', at: '2030-06-01T10:00:00Z' });
+  const reloaded = new Scheduler({ _dir: join(home, 'json') });
+  reloaded.attach(null);
+  assert.deepEqual(reloaded.reminders(group).map(j => [j.id, j.prompt, j.target]), [[saved.id, 'Renew the domain', group]]);
+} finally {
+  closeDb();
+  rmSync(home, { recursive: true, force: true });
+}
+
+console.log('reminder checks passed');
@@ -0,0 +1,113 @@
+/**
+ * Hybrid retrieval — rank fusion, dedupe, reranking, token-budget packing
+ * and MemoryManager.retrieve across every layer.
+ * Run with: node tests/retrieval.test.js
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fuse, dedupe, rerank, pack, formatContext, overlap } from '../src/memory/retriever.js';
+import { MemoryManager, threadOf } from '../src/memory/manager.js';
+import { KnowledgeStore } from '../src/memory/knowledge.js';
+import { KnowledgeGraph } from '../src/memory/graph.js';
+import { VectorMemory } from '../src/memory/vector.js';
+
+// Fusion rewards agreement between layers over one layer's top spot
+const fused = fuse({
+  vector: [{ text: 'Invoice 42 is overdue' }, { text: 'Lunch at noon' }],
+  knowledge: [{ text: 'Sam handles invoices' }, { text: 'invoice 42 is  overdue' }],
+});
+assert.equal(fused[0].text, 'Invoice 42 is overdue');
+assert.deepEqual(fused[0].sources, ['vector', 'knowledge']);
+assert.equal(fused.length, 3);
+assert.equal(fuse({ a: [{ text: 'x1' }], b: [{ text: 'y1' }] }, { weights: { b: 2 } })[0].text, 'y1');
+assert.equal(overlap('overdue invoices', 'The invoices are overdue'), 1);
+
+assert.deepEqual(dedupe([
+  { text: 'Sam from Acme called about the invoice' },
+  { text: 'Sam from Acme called about the invoice again' },
+  { text: 'The dentist is on Tuesday' },
+]).map(i => i.text), ['Sam from Acme called about the invoice', 'The dentist is on Tuesday']);
+
+// Reranking: the model's order first, the rest after; nonsense changes nothing
+const items = [{ text: 'a' }, { text: 'b' }, { text: 'c' }];
+const router = (reply) => ({ fast: 'fast', calls: 0, async complete() { this.calls++; return { content: reply }; } });
+assert.deepEqual((await rerank(router('[3, 1]'), 'q', items)).map(i => i.text), ['c', 'a', 'b']);
+assert.deepEqual((await rerank(router('no idea'), 'q', items)).map(i => i.text), ['a', 'b', 'c']);
+
+// Packing stays in budget, trims long items, skips what won't fit, numbers what's kept
+const packed = pack([{ text: 'x'.repeat(2000), source: 'vector' }, { text: 'y'.repeat(300), source: 'graph' }, { text: 'short', source: 'knowledge' }], 200);
+assert.deepEqual(packed.map(p => [p.id, p.source]), [['M1', 'vector'], ['M2', 'knowledge']]);
+assert.ok(packed.reduce((n, p) => n + p.tokens, 0) <= 200);
+assert.ok(packed[0].text.endsWith('…'));
+assert.match(formatContext(packed), /^## Relevant Context\n.*\[M1\]\.\n\[M1\] \(vector\) x+…\n\[M2\] \(knowledge\) short$/);
+assert.equal(formatContext([]), '');
+
+// Every layer, fused: knowledge the speaker may see, graph, older turns, vector (owner only)
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-retrieval-'));
+try {
+  const config = { _dir: dir, memory: { retrieval: { budgetTokens: 400 }, vector: { embeddings: { provider: 'none' } } } };
+  const memory = new MemoryManager(config, null);
+  memory.db = new Database(':memory:');
+  memory.db.exec(`CREATE TABLE conversations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, agent TEXT NOT NULL, role TEXT NOT NULL, content TEXT NOT NULL,
+    timestamp TEXT DEFAULT (datetime('now')), model TEXT, tier TEXT, tokens INTEGER,
+    channel TEXT DEFAULT 'dashboard', user_id TEXT, username TEXT, chat_id TEXT);
+    CREATE TABLE thread_summaries (
+    agent TEXT NOT NULL, thread TEXT NOT NULL, summary TEXT DEFAULT '', summarised_to INTEGER DEFAULT 0,
+    reset_after INTEGER DEFAULT 0, edited INTEGER DEFAULT 0, updated TEXT, PRIMARY KEY (agent, thread))`);
+  memory.knowledge = new KnowledgeStore(memory.db, null);
+  memory.knowledge.init();
+  memory.graph = new KnowledgeGraph(memory.db);
+  memory.graph.init();
+  memory.vector = new VectorMemory(config, null);
+  await memory.vector.init();
+
+  memory.knowledge.add('semantic', 'Bakery supplier is Hallam Flour in Sheffield');
+  memory.knowledge.add('semantic', 'Friend prefers the Leeds bakery', { subject: 'user:telegram:2' });
+  const hallam = memory.graph.upsertEntity('Hallam Flour', 'company', 'Flour supplier for the bakery');
+  memory.graph.addRelationship(hallam, memory.graph.upsertEntity('Sheffield', 'place'), 'based_in');
+
+  const owner = threadOf({});
+  const friend = threadOf({ channel: 'telegram', userId: 2, chatId: 2 });
+  memory.addMessage('QClaw', 'user', 'The flour delivery for the bakery came late again this week', { channel: 'dashboard' });
+  memory.addMessage('QClaw', 'user', 'Please remind me that bakery flour is low', { channel: 'telegram', userId: '2' });
+  for (let i = 0; i < 4; i++) memory.addMessage('QClaw', 'user', `unrelated chatter number ${i} about the weather`, { channel: 'dashboard' });
+  await new Promise(resolve => setTimeout(resolve, 10)); // vector adds are fire-and-forget
+
+  const recent = memory.getThreadHistory('QClaw', owner, 4);
+  const recall = await memory.retrieve('Who supplies the bakery flour?', { agent: 'QClaw', subject: 'owner', thread: owner, recent });
+  const texts = recall.items.map(i => i.text);
+  assert.ok(texts.includes('Bakery supplier is Hallam Flour in Sheffield'));
+  assert.ok(texts.some(t => t.startsWith('Hallam Flour (company): Flour supplier for the bakery; → based_in → Sheffield')));
+  const late = recall.items.find(i => i.text.startsWith('The flour delivery'));
+  assert.deepEqual(late.sources.sort(), ['history', 'vector']); // same turn from two layers is one item
+  assert.ok(!texts.some(t => t.includes('weather'))); // already in the prompt
+  assert.ok(!texts.some(t => t.includes('Leeds'))); // someone else's knowledge
+  assert.deepEqual(recall.items.map(i => i.id), recall.items.map((_, i) => `M${i + 1}`));
+  assert.match(recall.context, /^## Relevant Context/);
+
+  // Another speaker: their own knowledge and thread, nobody's vector or graph hits
+  const theirs = await memory.retrieve('bakery flour', { agent: 'QClaw', subject: 'user:telegram:2', thread: friend });
+  assert.deepEqual(theirs.items.map(i => i.source).sort(), ['history', 'knowledge']);
+  assert.equal(theirs.counts.graph, 0);
+  assert.ok(theirs.items.some(i => i.text === 'Friend prefers the Leeds bakery'));
+  assert.ok(!theirs.items.some(i => i.text.includes('Hallam Flour in Sheffield')));
+
+  // Reranking only when configured, and the known text isn't repeated
+  const judge = router('[1]');
+  config.memory.retrieval.rerank = true;
+  await memory.retrieve('bakery flour', { agent: 'QClaw', thread: owner, recent, router: judge });
+  assert.equal(judge.calls, 1);
+  const quiet = await memory.retrieve('bakery flour', { agent: 'QClaw', thread: owner, recent, known: ['Bakery supplier is Hallam Flour in Sheffield'] });
+  assert.ok(!quiet.items.some(i => i.source === 'knowledge'));
+  assert.deepEqual((await memory.retrieve('ok thanks', { agent: 'QClaw', thread: owner })).items, []);
+  await memory.vector.disconnect();
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('retrieval checks passed');
@@ -0,0 +1,292 @@
+/**
+ * Scheduler — cron parsing, next-run times across timezones and clock
+ * changes, and the scheduler itself on SQLite and JSON: persistence,
+ * one-off jobs, pause/resume, run now, overlap, catch-up after downtime,
+ * history pruning, and the heartbeat's config jobs.
+ * Run with: node tests/scheduler.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDb, closeDb } from '../src/core/database.js';
+import { parseCron, nextRun, checkTimezone, localTime } from '../src/core/cron.js';
+import { Scheduler } from '../src/core/scheduler.js';
+import { Heartbeat } from '../src/core/heartbeat.js';
+
+const HOUR = 60 * 60 * 1000;
+const iso = (ms) => ms === null ? null : new Date(ms).toISOString();
+
+// ─── Parsing ────────────────────────────────────────────────
+{
+  const c = parseCron('*/15 9-17 * * mon-fri');
+  assert.deepEqual([...c.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...c.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...c.weekdays], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron('0 0 1 jan,jul *').months], [1, 7]);
+  assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0], 'Sunday can be 7');
+  assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.equal(parseCron('@weekly').expr, '0 0 * * 0');
+  assert.equal(parseCron('every-day').expr, '0 9 * * *', 'old interval names still work');
+
+  assert.throws(() => parseCron('* * * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute 60 is outside 0-59/);
+  assert.throws(() => parseCron('0 9 * * funday'), /"funday" isn't a name/);
+  assert.throws(() => parseCron('0 17-9 * * *'), /runs backwards/);
+  assert.throws(() => parseCron('*/0 * * * *'), /step "0"/);
+  assert.throws(() => checkTimezone('Mars/Olympus'), /Unknown timezone "Mars\/Olympus"/);
+  assert.equal(checkTimezone('Asia/Kolkata'), 'Asia/Kolkata');
+}
+
+// ─── Next run ───────────────────────────────────────────────
+{
+  const london = 'Europe/London';
+  // 9am is 09:00 UTC in winter and 08:00 UTC once the clocks go forward
+  assert.equal(iso(nextRun('0 9 * * *', Date.UTC(2026, 2, 28, 12), london)), '2026-03-29T08:00:00.000Z');
+  assert.equal(iso(nextRun('0 9 * * *', Date.UTC(2026, 2, 27, 12), london)), '2026-03-28T09:00:00.000Z');
+  // 01:30 doesn't exist on 29 March — skipped to the next day
+  assert.equal(iso(nextRun('30 1 * * *', Date.UTC(2026, 2, 28, 12), london)), '2026-03-30T00:30:00.000Z');
+  // 01:30 happens twice on 25 October — a daily job runs once...
+  const first = nextRun('30 1 * * *', Date.UTC(2026, 9, 24, 12), london);
+  assert.equal(iso(first), '2026-10-25T00:30:00.000Z');
+  assert.equal(iso(nextRun('30 1 * * *', first, london)), '2026-10-26T01:30:00.000Z');
+  // ...an hourly one runs in both
+  assert.equal(iso(nextRun('30 * * * *', first, london)), '2026-10-25T01:30:00.000Z');
+
+  // Weekdays in New York: Friday evening → Monday 9am EST
+  assert.equal(iso(nextRun('0 9 * * 1-5', Date.UTC(2026, 10, 6, 23), 'America/New_York')), '2026-11-09T14:00:00.000Z');
+  assert.equal(iso(nextRun('@monthly', Date.UTC(2026, 0, 15), 'Asia/Kolkata')), '2026-01-31T18:30:00.000Z');
+  // Day of month and weekday both set: either matches
+  assert.equal(iso(nextRun('0 12 13 * 5', Date.UTC(2026, 1, 1), 'UTC')), '2026-02-06T12:00:00.000Z');
+  assert.equal(nextRun('0 0 30 2 *', Date.UTC(2026, 0, 1), 'UTC'), null, 'never fires');
+  assert.equal(localTime(Date.UTC(2026, 6, 1, 8, 5), london), '2026-07-01 09:05');
+}
+
+// ─── Scheduler ──────────────────────────────────────────────
+const home = mkdtempSync(join(tmpdir(), 'qclaw-scheduler-'));
+const calls = [];
+const runner = async (job, info) => {
+  calls.push({ job: job.name, ...info });
+  if (job.prompt === 'explode') throw new Error('boom');
+  if (job.prompt === 'too dear') return { skipped: 'cost cap' };
+  return { output: `did ${job.prompt}`, cost: 0.01, model: 'test-model' };
+};
+
+try {
+  for (const backend of ['sqlite', 'json']) {
+    const dir = join(home, backend);
+    const config = { _dir: dir, scheduler: { timezone: 'UTC', history: 5 } };
+    const db = backend === 'sqlite' ? await getDb(dir) : null;
+    const scheduler = new Scheduler(config);
+    scheduler.attach(db);
+    scheduler.setRunner(runner);
+    const seen = [];
+    scheduler.onRun((job, run) => seen.push(run.status));
+    calls.length = 0;
+
+    // Validation
+    assert.throws(() => scheduler.add({ cron: '0 9 * * *' }), /prompt required/);
+    assert.throws(() => scheduler.add({ prompt: 'x' }), /cron or at required/);
+    assert.throws(() => scheduler.add({ prompt: 'x', cron: 'soon' }), /Invalid cron expression "soon"/);
+    assert.throws(() => scheduler.add({ prompt: 'x', cron: '0 9 * * *', timezone: 'Nowhere/Else' }), /Unknown timezone/);
+    assert.throws(() => scheduler.add({ prompt: 'x', at: Date.now() - 1000 }), /already passed/);
+    assert.throws(() => scheduler.add({ prompt: 'x', cron: '0 9 * * *', catchUp: 'some' }), /catchUp must be one of/);
+
+    // A scheduled run moves the job on and records the output
+    const brief = scheduler.add({ name: 'Brief', prompt: 'brief', cron: '0 9 * * *', timezone: 'Europe/London' });
+    assert.equal(localTime(brief.nextRun, 'Europe/London').slice(11), '09:00');
+    const [run] = await scheduler.tick(brief.nextRun + 1000);
+    assert.equal(run.status, 'ok');
+    assert.equal(run.cause, 'schedule');
+    assert.equal(run.output, 'did brief');
+    assert.equal(run.model, 'test-model');
+    let job = scheduler.get(brief.id);
+    assert.equal(job.lastStatus, 'ok');
+    assert.ok(job.nextRun > brief.nextRun + 1000, 'next run is after this one');
+    assert.deepEqual(await scheduler.tick(brief.nextRun + 2000), [], 'nothing due twice');
+
+    // Run now leaves the schedule alone
+    const manual = await scheduler.runNow(brief.id);
+    assert.equal(manual.cause, 'manual');
+    assert.equal(scheduler.get(brief.id).nextRun, job.nextRun);
+
+    // Failures and skips are recorded, not thrown
+    const bad = scheduler.add({ name: 'Bad', prompt: 'explode', cron: '* * * * *' });
+    const dear = scheduler.add({ name: 'Dear', prompt: 'too dear', cron: '* * * * *' });
+    const failed = await scheduler.runNow(bad.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'boom');
+    assert.equal((await scheduler.runNow(dear.id)).status, 'skipped');
+    assert.equal(scheduler.get(bad.id).lastStatus, 'failed');
+
+    // Pause and resume — a paused job doesn't run, and resuming starts from now
+    scheduler.pause(bad.id);
+    scheduler.pause(dear.id);
+    assert.equal(scheduler.get(bad.id).status, 'paused');
+    const before = calls.length;
+    await scheduler.tick(Date.now() + 10 * 60 * 1000);
+    assert.equal(calls.filter(c => c.job === 'Bad' || c.job === 'Dear').length, calls.slice(0, before).filter(c => c.job === 'Bad' || c.job === 'Dear').length);
+    const resumed = scheduler.resume(bad.id);
+    assert.equal(resumed.status, 'active');
+    assert.ok(resumed.nextRun > Date.now() && resumed.nextRun <= Date.now() + 60 * 1000);
+    scheduler.remove(bad.id);
+    scheduler.remove(dear.id);
+    assert.equal(scheduler.get(bad.id), null);
+    assert.deepEqual(scheduler.runs(bad.id), [], 'runs go with the job');
+
+    // One-off jobs run once and are done
+    const once = scheduler.add({ name: 'Once', prompt: 'once', at: new Date(Date.now() + HOUR).toISOString() });
+    assert.equal(once.cron, null);
+    await scheduler.tick(once.at + 500);
+    job = scheduler.get(once.id);
+    assert.equal(job.status, 'done');
+    assert.equal(job.nextRun, null);
+    assert.throws(() => scheduler.resume(once.id), /give it a new time/);
+    assert.throws(() => scheduler.pause(once.id), /already run/);
+    const later = scheduler.update(once.id, { at: Date.now() + 2 * HOUR });
+    assert.equal(later.status, 'active', 'a new time brings it back');
+    scheduler.remove(once.id);
+
+    // A job still running isn't started again
+    let release;
+    const slow = scheduler.add({ name: 'Slow', prompt: 'slow', cron: '0 * * * *' });
+    scheduler.setRunner(() => new Promise(resolve => { release = () => resolve({ output: 'done slowly' }); }));
+    const pending = scheduler.runNow(slow.id);
+    assert.equal(scheduler.get(slow.id).running, true);
+    const overlap = await scheduler.runNow(slow.id);
+    assert.equal(overlap.status, 'skipped');
+    assert.match(overlap.error, /still going/);
+    release();
+    assert.equal((await pending).status, 'ok');
+    scheduler.setRunner(runner);
+    scheduler.remove(slow.id);
+
+    // Catch-up after downtime: one run for everything missed (the default)...
+    const hourly = scheduler.add({ name: 'Hourly', prompt: 'hourly', cron: '0 * * * *' });
+    const missedFrom = hourly.nextRun;
+    let runs = await scheduler.tick(missedFrom + 5 * HOUR + 20 * 60 * 1000);
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].cause, 'catch-up');
+    assert.equal(runs[0].scheduled, missedFrom + 5 * HOUR, 'the latest missed time');
+    assert.equal(scheduler.get(hourly.id).nextRun, missedFrom + 6 * HOUR);
+
+    // ...each of them with 'all'...
+    scheduler.update(hourly.id, { catchUp: 'all' });
+    runs = await scheduler.tick(missedFrom + 8 * HOUR + 60 * 1000 * 5);
+    assert.deepEqual(runs.map(r => r.scheduled), [6, 7, 8].map(h => missedFrom + h * HOUR));
+
+    // ...none with 'none', though the log says so
+    scheduler.update(hourly.id, { catchUp: 'none' });
+    runs = await scheduler.tick(missedFrom + 12 * HOUR + 60 * 1000 * 5);
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].status, 'skipped');
+    assert.match(runs[0].error, /missed 4 runs while offline \(catchUp: none\)/);
+
+    // Too long ago to be worth it
+    const weekly = scheduler.add({ name: 'Weekly', prompt: 'weekly', cron: '0 9 * * 1' });
+    runs = await scheduler.tick(weekly.nextRun + 2 * 24 * HOUR);
+    const stale = runs.find(r => r.jobId === weekly.id);
+    assert.equal(stale.status, 'skipped');
+    assert.match(stale.error, /^missed runs from \d{4}-\d\d-\d\d 09:00 on while offline, all over 24h ago$/);
+
+    // A long outage still catches up the latest run, not the oldest
+    const often = scheduler.add({ name: 'Often', prompt: 'often', cron: '*/30 * * * *' });
+    const back = often.nextRun + 5 * 24 * HOUR + 10 * 60 * 1000;
+    runs = (await scheduler.tick(back)).filter(r => r.jobId === often.id);
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].status, 'ok');
+    assert.equal(runs[0].scheduled, back - 10 * 60 * 1000);
+    scheduler.remove(often.id);
+
+    // History is capped per job
+    for (let i = 0; i < 4; i++) await scheduler.runNow(hourly.id);
+    assert.equal(scheduler.runs(hourly.id, { limit: 50 }).length, 5);
+    assert.equal(scheduler.runs(hourly.id)[0].cause, 'manual', 'newest first');
+    assert.ok(seen.includes('ok') && seen.includes('failed') && seen.includes('skipped'));
+
+    // Upsert by key keeps a pause; everything survives a restart
+    const keyed = scheduler.upsert({ key: 'config:Digest', name: 'Digest', prompt: 'digest', cron: '0 8 * * *', source: 'config' });
+    scheduler.pause(keyed.id);
+    const again = scheduler.upsert({ key: 'config:Digest', name: 'Digest', prompt: 'digest v2', cron: '0 7 * * *', source: 'config' });
+    assert.equal(again.id, keyed.id);
+    assert.equal(again.prompt, 'digest v2');
+    assert.equal(again.status, 'paused');
+
+    const reopened = new Scheduler(config);
+    reopened.attach(db);
+    assert.deepEqual(reopened.list().map(j => [j.name, j.status, j.nextRun]), scheduler.list().map(j => [j.name, j.status, j.nextRun]));
+    assert.deepEqual(reopened.runs(brief.id), scheduler.runs(brief.id));
+    const noRunner = await reopened.runNow(brief.id);
+    assert.equal(noRunner.status, 'failed');
+    assert.match(noRunner.error, /Nothing to run jobs with/);
+  }
+
+  // ─── Heartbeat jobs ───────────────────────────────────────
+  {
+    closeDb();
+    const dir = join(home, 'heartbeat');
+    const config = {
+      _dir: dir,
+      scheduler: { timezone: 'UTC' },
+      heartbeat: {
+        scheduled: [
+          { name: 'Morning', prompt: 'morning brief', schedule: '0 9 * * 1-5', timezone: 'Europe/London' },
+          { name: 'Legacy', prompt: 'check in', schedule: 'every-hour' },
+          { name: 'Broken', prompt: 'never', schedule: 'fortnightly' },
+        ],
+        maxDailyCost: 0.05,
+      },
+    };
+    const scheduler = new Scheduler(config);
+    scheduler.attach(await getDb(dir));
+    const pushed = [];
+    const agent = { name: 'echo', process: async (prompt) => ({ content: `re: ${prompt}`, cost: 0.03, model: 'm' }) };
+    const agents = { get: () => agent, primary: () => agent };
+    const heartbeat = new Heartbeat(config, agents, null, null, scheduler);
+    heartbeat.pushToUser = async (message, options) => { pushed.push([message, options.source]); return true; };
+    const events = [];
+    heartbeat.wireBroadcast(e => events.push(e));
+
+    await heartbeat.start();
+    await heartbeat.stop();
+    const names = scheduler.list().map(j => j.name).sort();
+    assert.deepEqual(names, ['Legacy', 'Morning', 'Weekly summary'], 'bad entries are skipped, not fatal');
+    const morning = scheduler.list().find(j => j.name === 'Morning');
+    assert.equal(morning.source, 'config');
+    assert.equal(morning.timezone, 'Europe/London');
+    assert.equal(scheduler.list().find(j => j.name === 'Legacy').cron, 'every-hour');
+
+    const run = await scheduler.runNow(morning.id);
+    assert.equal(run.output, 're: morning brief');
+    assert.deepEqual(pushed[0], ['📋 Morning:\nre: morning brief', 'scheduled']);
+    assert.equal(events.at(-1).type, 'scheduled_run');
+    assert.equal(events.at(-1).run.id, run.id);
+
+    const weekly = scheduler.list().find(j => j.name === 'Weekly summary');
+    assert.equal(weekly.cron, '0 9 * * 0');
+    await scheduler.runNow(weekly.id);
+    assert.ok(pushed[1][0].startsWith('📊 **Weekly Summary**'));
+
+    // The daily cost cap skips further runs
+    const capped = await scheduler.runNow(morning.id);
+    assert.equal(capped.status, 'skipped');
+    assert.match(capped.error, /cost cap/);
+
+    // Config edits land on the same jobs; removed entries and the summary go
+    scheduler.pause(morning.id);
+    config.heartbeat.scheduled = [{ name: 'Morning', prompt: 'morning brief v2', schedule: '30 8 * * 1-5' }];
+    config.heartbeat.weeklySummary = false;
+    heartbeat._syncJobs();
+    const synced = scheduler.list();
+    assert.deepEqual(synced.map(j => j.name), ['Morning']);
+    assert.equal(synced[0].id, morning.id);
+    assert.equal(synced[0].prompt, 'morning brief v2');
+    assert.equal(synced[0].status, 'paused', 'a pause outlives a config change');
+  }
+} finally {
+  closeDb();
+  rmSync(home, { recursive: true, force: true });
+}
+
+console.log('scheduler checks passed');
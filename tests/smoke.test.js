@@ -7,20 +7,38 @@ const modules = [
   '../src/core/config.js',
   '../src/core/logger.js',
   '../src/core/heartbeat.js',
+  '../src/core/cron.js',
+  '../src/core/scheduler.js',
+  '../src/core/budgets.js',
   '../src/core/delivery-queue.js',
   '../src/core/completion-cache.js',
   '../src/security/secrets.js',
   '../src/security/trust-kernel.js',
   '../src/security/audit.js',
   '../src/security/approvals.js',
+  '../src/security/exec-policy.js',
+  '../src/security/rate-limiter.js',
+  '../src/security/content-queue.js',
   '../src/memory/manager.js',
   '../src/memory/knowledge.js',
   '../src/memory/graph.js',
   '../src/memory/vector.js',
+  '../src/memory/ivf.js',
+  '../src/memory/retriever.js',
+  '../src/memory/graph-query.js',
+  '../src/memory/entity-resolver.js',
+  '../src/memory/documents.js',
+  '../src/memory/ingest.js',
+  '../src/memory/summary.js',
   '../src/models/router.js',
+  '../src/models/stream.js',
+  '../src/models/circuit-breaker.js',
+  '../src/models/classifier.js',
+  '../src/models/pricing.js',
   '../src/agents/registry.js',
   '../src/skills/loader.js',
   '../src/channels/manager.js',
+  '../src/channels/router.js',
   '../src/dashboard/server.js',
   '../src/credentials.js',
   '../src/tools/mcp-client.js',
@@ -0,0 +1,179 @@
+/**
+ * Streaming — SSE and NDJSON frames split across network chunks, and
+ * progressive channel replies: placeholder, throttled edits, the final
+ * edit and the rest of an over-length reply sent as follow-ups, and previews
+ * kept to the status line when VALUES.md rules check outbound messages.
+ * Run with: node tests/streaming.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { readSSE, readNDJSON } from '../src/models/stream.js';
+import { ChannelManager, StreamingReply } from '../src/channels/manager.js';
+import { ContentQueue } from '../src/security/content-queue.js';
+import { TrustKernel } from '../src/security/trust-kernel.js';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const encoder = new TextEncoder();
+const body = (...parts) => ({ body: (async function* () { for (const p of parts) yield encoder.encode(p); })() });
+const collect = async (iter) => { const out = []; for await (const item of iter) out.push(item); return out; };
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// SSE: frames split mid-line, mid-boundary, CRLF, keep-alives
+let events = await collect(readSSE(body(
+  'event: message_start\ndata: {"type":"mess',
+  'age_start"}\n',
+  '\nevent: content_block_delta\r\ndata: {"text":"ca',
+  'fé"}\r\n\r\n: keep-alive\n\n',
+  'data: not json\n\ndata: {"a":\ndata: 1}\n\n',
+  'data: [DONE]\n\ndata: {"after":"done"}\n\n',
+)));
+assert.deepEqual(events, [
+  { event: 'message_start', data: { type: 'message_start' } },
+  { event: 'content_block_delta', data: { text: 'café' } },
+  { event: 'message', data: { a: 1 } },
+]);
+
+// Multi-byte characters split across chunks decode once joined
+const euro = encoder.encode('data: {"text":"€5"}\n\n');
+events = await collect(readSSE({ body: (async function* () { yield euro.slice(0, 16); yield euro.slice(16); })() }));
+assert.deepEqual(events, [{ event: 'message', data: { text: '€5' } }]);
+
+// A frame with no closing blank line is never yielded
+assert.deepEqual(await collect(readSSE(body('data: {"partial":true}\n'))), []);
+
+// NDJSON: lines split anywhere, blank and broken lines skipped, unterminated tail kept
+const lines = await collect(readNDJSON(body(
+  '{"message":{"content":"He',
+  'llo"},"done":false}\n\n{"message":',
+  '{"content":" there"},"done":false}\nnot json\n',
+  '{"done":true,"eval_count":7}',
+)));
+assert.deepEqual(lines, [
+  { message: { content: 'Hello' }, done: false },
+  { message: { content: ' there' }, done: false },
+  { done: true, eval_count: 7 },
+]);
+
+// StreamingReply: nothing posted for a tiny fragment, then one placeholder
+// and throttled edits; finish() swaps in the first chunk and returns the rest
+const calls = [];
+let reply = new StreamingReply({
+  maxLen: 100,
+  send: async (text) => { calls.push(['send', text]); return { id: 1 }; },
+  edit: async (handle, text, { final }) => { calls.push([final ? 'final' : 'edit', text]); },
+});
+reply.onEvent({ type: 'delta', text: 'Hi' });
+await sleep(1600);
+assert.deepEqual(calls, [], 'a short fragment waits for more');
+
+reply.onEvent({ type: 'delta', text: ' — here is a longer answer that is worth showing' });
+await sleep(1600);
+assert.deepEqual(calls, [['send', 'Hi — here is a longer answer that is worth showing']]);
+
+reply.onEvent({ type: 'tool_call', name: 'web_search' });
+reply.onEvent({ type: 'delta', text: ' and it keeps going well past the preview limit of a hundred characters' });
+await sleep(1600);
+assert.equal(calls.length, 2, 'events within one interval are batched into one edit');
+const [kind, preview] = calls[1];
+assert.equal(kind, 'edit');
+assert.ok(preview.length <= 100, 'previews fit the platform limit');
+assert.match(preview, /^Hi — here is .* …\n\n🔧 calling web_search…$/s);
+
+assert.deepEqual(await reply.finish(['first part', 'second part']), ['second part']);
+assert.deepEqual(calls[2], ['final', 'first part']);
+reply.onEvent({ type: 'delta', text: 'late' });
+await sleep(1600);
+assert.equal(calls.length, 3, 'nothing is edited after finish()');
+
+// A reply that never posted a placeholder leaves all chunks to the caller;
+// a failed final edit does too, so nothing is lost
+reply = new StreamingReply({ maxLen: 100, send: async () => ({}), edit: async () => {} });
+assert.deepEqual(await reply.finish(['only']), ['only']);
+reply = new StreamingReply({
+  maxLen: 100,
+  send: async () => ({ id: 2 }),
+  edit: async (h, t, { final }) => { if (final) throw new Error('message to edit not found'); },
+});
+reply.onEvent({ type: 'tool_call', name: 'read_file' });
+await sleep(50);
+assert.deepEqual(await reply.finish(['a', 'b']), ['a', 'b']);
+
+// A secret split across deltas is held back until it can be redacted whole
+const secrets = new ContentQueue({});
+secrets.useSecrets({ list: () => ['openai_api_key'], get: () => 'sk-proj-SUPERSECRETVALUE123456' });
+const previews = [];
+reply = new StreamingReply({
+  maxLen: 200,
+  filter: secrets,
+  send: async (text) => { previews.push(text); return { id: 3 }; },
+  edit: async (h, text) => { previews.push(text); },
+});
+reply.onEvent({ type: 'delta', text: 'Here is the key you asked for: sk-proj-SUPERSECRETVALU' });
+await sleep(1600);
+reply.onEvent({ type: 'delta', text: 'E123456 — keep it safe.' });
+await sleep(1600);
+reply.close();
+assert.deepEqual(previews, ['Here is the key you asked for:', 'Here is the key you asked for: [redacted openai_api_key] — keep it safe.']);
+assert.equal(secrets.scrub('ends in sk-pr', { partial: true }), 'ends in ');
+assert.equal(secrets.scrub('ends in sk-pr'), 'ends in sk-pr', 'whole text is only redacted');
+
+// Slack end to end: the placeholder becomes the first 4000 chars, the rest follows
+const long = 'word '.repeat(1000).trim();
+const agent = {
+  name: 'main',
+  status: 'active',
+  process: async (text, context) => {
+    context.onStream({ type: 'delta', text: 'Thinking about a long answer for you right now…' });
+    await sleep(1600);
+    return { content: long, tier: 'simple', cost: 0 };
+  },
+};
+const agents = { agents: new Map([['main', agent]]), get: () => agent, primary: () => agent, getTeam: () => null };
+const manager = new ChannelManager({ channels: {} }, agents, null);
+const slack = await manager._createChannel('slack', { allowedUsers: ['U1'] });
+const said = [];
+const updates = [];
+slack.app = { client: { chat: { update: async ({ ts, text }) => updates.push([ts, text]) } } };
+await slack._handleMessage('tell me a lot', 'U1', 'C1', async (text) => { said.push(text); return { ts: '1.1', channel: 'C1' }; });
+assert.equal(said[0], 'Thinking about a long answer for you right now…');
+assert.equal(updates.length, 1);
+assert.equal(updates[0][0], '1.1');
+assert.ok(updates[0][1].length <= 4000);
+assert.equal(said.length, 2);
+assert.equal((updates[0][1] + said[1]).replace(/\s+/g, ' '), long);
+
+// With VALUES.md rules on outbound messages, previews never show the reply's
+// text — a reply they hold back is never seen, even in part
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-stream-'));
+try {
+  writeFileSync(join(dir, 'VALUES.md'), '# VALUES\n\n## Action Rules\n\n- deny outbound_message when text contains "internal only"\n');
+  const trust = new TrustKernel({ _dir: dir });
+  await trust.load();
+  const queue = new ContentQueue({});
+  queue.useTrustKernel(trust);
+  assert.equal(queue.checksReplies(), true);
+  const secret = 'The launch moves to March and the numbers are internal only, do not share.';
+  agent.process = async (text, context) => {
+    context.onStream({ type: 'delta', text: secret.slice(0, 45) });
+    await sleep(1600);
+    context.onStream({ type: 'tool_call', name: 'web_search' });
+    context.onStream({ type: 'delta', text: secret.slice(45) });
+    await sleep(1600);
+    return { content: secret, tier: 'simple', cost: 0 };
+  };
+  manager.wireSecurity({ contentQueue: queue });
+  slack._content = manager._content;
+  said.length = 0;
+  updates.length = 0;
+  await slack._handleMessage('what about the launch?', 'U1', 'C1', async (text) => { said.push(text); return { ts: '2.1', channel: 'C1' }; });
+  assert.deepEqual(said, ['🔧 calling web_search…'], 'only the status is previewed');
+  assert.equal(updates.length, 1);
+  assert.match(updates[0][1], /outbound filter held it back/);
+  assert.ok(![...said, ...updates.map(u => u[1])].some(t => t.includes('launch')));
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('streaming checks passed');
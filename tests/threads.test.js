@@ -0,0 +1,120 @@
+/**
+ * Conversation threads — history scoped to agent + channel + user (+ chat),
+ * the owner's opt-in shared context, rolling summaries and /reset.
+ * Run with: node tests/threads.test.js
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { MemoryManager, threadOf } from '../src/memory/manager.js';
+
+// Private chats are the user's own thread; groups are separate per user
+assert.deepEqual(threadOf({}), { channel: 'dashboard', userId: null, chatId: null });
+assert.deepEqual(threadOf({ channel: 'telegram', userId: 42, chatId: 42 }), { channel: 'telegram', userId: '42', chatId: null });
+assert.deepEqual(threadOf({ channel: 'telegram', userId: 42, chatId: -100 }), { channel: 'telegram', userId: '42', chatId: '-100' });
+assert.deepEqual(threadOf({ channel: 'slack', userId: 'U1', chatId: 'D9', direct: true }).chatId, null);
+
+function seed(memory) {
+  const say = (content, ctx) => {
+    const t = threadOf(ctx);
+    memory.addMessage('QClaw', 'user', content, { channel: t.channel, userId: t.userId, chatId: t.chatId });
+  };
+  say('owner on the dashboard', {});
+  say('owner on telegram', { channel: 'telegram', userId: 1, chatId: 1 });
+  say('owner in the team group', { channel: 'telegram', userId: 1, chatId: -100 });
+  say('paired friend', { channel: 'telegram', userId: 2, chatId: 2 });
+  say('friend in the team group', { channel: 'telegram', userId: 2, chatId: -100 });
+  memory.addMessage('Other', 'user', 'another agent', { channel: 'telegram', userId: '2' });
+}
+
+const history = (memory, ctx) => memory.getThreadHistory('QClaw', threadOf(ctx)).map(m => m.content);
+
+for (const backend of ['sqlite', 'json']) {
+  const config = { memory: {} };
+  const memory = new MemoryManager(config, null);
+  if (backend === 'sqlite') {
+    memory.db = new Database(':memory:');
+    memory.db.exec(`CREATE TABLE conversations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, agent TEXT NOT NULL, role TEXT NOT NULL, content TEXT NOT NULL,
+      timestamp TEXT DEFAULT (datetime('now')), model TEXT, tier TEXT, tokens INTEGER,
+      channel TEXT DEFAULT 'dashboard', user_id TEXT, username TEXT, chat_id TEXT);
+      CREATE TABLE thread_summaries (
+      agent TEXT NOT NULL, thread TEXT NOT NULL, summary TEXT DEFAULT '', summarised_to INTEGER DEFAULT 0,
+      reset_after INTEGER DEFAULT 0, edited INTEGER DEFAULT 0, updated TEXT, PRIMARY KEY (agent, thread))`);
+  } else {
+    memory._jsonStore = { conversations: [], context: {} };
+  }
+  seed(memory);
+
+  // Each thread only sees itself
+  assert.deepEqual(history(memory, {}), ['owner on the dashboard'], backend);
+  assert.deepEqual(history(memory, { channel: 'telegram', userId: 2, chatId: 2 }), ['paired friend'], backend);
+  assert.deepEqual(history(memory, { channel: 'telegram', userId: 2, chatId: -100 }), ['friend in the team group'], backend);
+
+  // Shared context joins the owner's direct threads — never groups or other people
+  config.memory = { sharedContext: true, owners: ['telegram:1'] };
+  assert.deepEqual(history(memory, { channel: 'telegram', userId: 1, chatId: 1 }), ['owner on the dashboard', 'owner on telegram'], backend);
+  assert.deepEqual(history(memory, {}), ['owner on the dashboard', 'owner on telegram'], backend);
+  assert.deepEqual(history(memory, { channel: 'telegram', userId: 1, chatId: -100 }), ['owner in the team group'], backend);
+  assert.deepEqual(history(memory, { channel: 'telegram', userId: 2, chatId: 2 }), ['paired friend'], backend);
+
+  // The thread list tells groups apart
+  assert.equal(memory.getThreads('QClaw').length, 5, backend);
+
+  // Turns that leave the window are folded into the summary
+  config.memory = { summary: { minMessages: 4 } };
+  const friend = threadOf({ channel: 'telegram', userId: 2, chatId: 2 });
+  for (let i = 1; i <= 10; i++) memory.addMessage('QClaw', i % 2 ? 'user' : 'assistant', `turn ${i}`, { ...friend });
+  const prompts = [];
+  const router = {
+    fast: { model: 'fast' },
+    async complete(messages) {
+      prompts.push(messages[1].content);
+      return { content: `summary ${prompts.length}` };
+    },
+  };
+  let window = memory.getThreadHistory('QClaw', friend, 6);
+  assert.equal(window[0].content, 'turn 5', backend);
+  assert.equal(await memory.summariseThread(router, 'QClaw', friend, window[0].id), true, backend);
+  assert.match(prompts[0], /\(none yet\)[\s\S]*User: paired friend[\s\S]*Assistant: turn 4$/, backend);
+  assert.equal(memory.getThreadState('QClaw', friend).summary, 'summary 1', backend);
+  // Too few new aged-out turns: no call
+  assert.equal(await memory.summariseThread(router, 'QClaw', friend, window[2].id), false, backend);
+  assert.equal(prompts.length, 1, backend);
+  // Other threads have their own summary
+  assert.equal(memory.getThreadState('QClaw', threadOf({})).summary, '', backend);
+
+  // The owner's edit is what the next update builds on
+  memory.setThreadSummary('QClaw', friend, 'Friend is planning a trip to Lisbon');
+  assert.equal(memory.getThreadState('QClaw', friend).edited, true, backend);
+  for (let i = 11; i <= 14; i++) memory.addMessage('QClaw', 'user', `turn ${i}`, { ...friend });
+  window = memory.getThreadHistory('QClaw', friend, 6);
+  await memory.summariseThread(router, 'QClaw', friend, window[0].id);
+  assert.match(prompts[1], /^Existing summary:\nFriend is planning a trip to Lisbon[\s\S]*User: turn 5\n/, backend);
+  assert.equal(memory.getThreadState('QClaw', friend).edited, false, backend);
+
+  // /reset empties the window and the summary; the log keeps the messages
+  memory.resetThread('QClaw', friend);
+  assert.deepEqual(memory.getThreadHistory('QClaw', friend), [], backend);
+  assert.equal(memory.getThreadState('QClaw', friend).summary, '', backend);
+  memory.addMessage('QClaw', 'user', 'fresh start', { ...friend });
+  assert.deepEqual(memory.getThreadHistory('QClaw', friend).map(m => m.content), ['fresh start'], backend);
+  assert.equal(memory.getHistory('QClaw', 100, { threads: [friend] }).length, 16, backend);
+  assert.equal(await memory.summariseThread(router, 'QClaw', friend, 10 ** 6), false, backend);
+
+  // A backlog longer than one batch is folded oldest-first until none is left
+  const chatty = threadOf({ channel: 'telegram', userId: 3, chatId: 3 });
+  for (let i = 1; i <= 95; i++) memory.addMessage('QClaw', 'user', `note ${i}`, { ...chatty });
+  window = memory.getThreadHistory('QClaw', chatty, 6);
+  prompts.length = 0;
+  assert.equal(await memory.summariseThread(router, 'QClaw', chatty, window[0].id), true, backend);
+  assert.equal(prompts.length, 3, backend);
+  assert.match(prompts[0], /\(none yet\)[\s\S]*\nUser: note 1\n[\s\S]*User: note 40$/, backend);
+  assert.match(prompts[1], /^Existing summary:\nsummary 1\n[\s\S]*User: note 41\n[\s\S]*User: note 80$/, backend);
+  assert.match(prompts[2], /^Existing summary:\nsummary 2\n[\s\S]*User: note 81\n[\s\S]*User: note 89$/, backend);
+  assert.equal(memory.getThreadState('QClaw', chatty).summary, 'summary 3', backend);
+  assert.equal(memory.getThreadState('QClaw', chatty).summarisedTo, window[0].id - 1, backend);
+  memory.db?.close();
+}
+
+console.log('thread checks passed');
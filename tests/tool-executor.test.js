@@ -0,0 +1,62 @@
+/**
+ * Tool scheduling — concurrency limit, serial-only tools, per-tool timeouts.
+ * Run with: node tests/tool-executor.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { ToolExecutor } from '../src/tools/executor.js';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+let running = 0;
+let peak = 0;
+const log = [];
+const tools = {
+  getToolMeta(name, args) {
+    if (name === 'shell') return { timeoutMs: 1000, serial: true };
+    if (name === 'write') return { timeoutMs: 1000, serial: `file:${args.path}` };
+    if (name === 'hang') return { timeoutMs: 50, serial: false };
+    return { timeoutMs: 1000, serial: false };
+  },
+  async executeTool(name, args) {
+    running++;
+    peak = Math.max(peak, running);
+    log.push(`start ${name}:${args.n}`);
+    await sleep(name === 'hang' ? 500 : args.ms ?? 20);
+    log.push(`end ${name}:${args.n}`);
+    running--;
+    return `${name}:${args.n}`;
+  },
+};
+const call = (name, n, extra = {}) => ({ id: `c${n}`, name, args: { n, ...extra } });
+
+const executor = new ToolExecutor(null, tools, { concurrency: 2 });
+
+// Independent calls overlap up to the limit; results stay in call order
+let results = await executor._executeToolCalls([1, 2, 3, 4, 5].map(n => call('fetch', n, { ms: 40 - n * 5 })));
+assert.deepEqual(results.map(r => r.result), ['fetch:1', 'fetch:2', 'fetch:3', 'fetch:4', 'fetch:5']);
+assert.equal(peak, 2);
+
+// A serial-only tool never overlaps anything
+log.length = 0; peak = 0;
+await executor._executeToolCalls([call('fetch', 1), call('shell', 2), call('fetch', 3)]);
+assert.deepEqual(log, ['start fetch:1', 'end fetch:1', 'start shell:2', 'end shell:2', 'start fetch:3', 'end fetch:3']);
+
+// Keyed tools run in order on the same key, in parallel across keys
+log.length = 0; peak = 0;
+await executor._executeToolCalls([
+  call('write', 1, { path: 'a', ms: 40 }), call('write', 2, { path: 'b', ms: 10 }), call('write', 3, { path: 'a', ms: 5 }),
+]);
+assert.ok(log.indexOf('end write:1') < log.indexOf('start write:3'));
+assert.ok(log.indexOf('start write:2') < log.indexOf('end write:1'));
+
+// Each tool has its own timeout; a timed-out call doesn't block the rest
+const events = [];
+results = await executor._executeToolCalls([call('hang', 1), call('fetch', 2)], (e) => events.push(e));
+assert.equal(results[0].error, true);
+assert.match(results[0].result, /timeout/i);
+assert.equal(results[1].result, 'fetch:2');
+assert.deepEqual(events.filter(e => e.type === 'tool_call').map(e => e.id), ['c1', 'c2']);
+
+console.log('tool executor checks passed');
+await sleep(500); // let the hung call settle
@@ -0,0 +1,156 @@
+/**
+ * Trust Kernel — action rule DSL, judge for prose rules, cached verdicts.
+ * Run with: node tests/trust-kernel.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TrustKernel, parseActionRule } from '../src/security/trust-kernel.js';
+import { ApprovalGate } from '../src/security/approval-gate.js';
+import { ToolExecutor } from '../src/tools/executor.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-trust-'));
+
+try {
+  // Default VALUES.md parses cleanly
+  const defaults = new TrustKernel({ _dir: dir });
+  await defaults.load();
+  assert.equal(defaults.ruleErrors.length, 0);
+  assert.equal(defaults.rules.actions.length, 1);
+
+  writeFileSync(join(dir, 'VALUES.md'), `# VALUES
+
+## Hard Rules
+
+- Never send money without explicit owner approval
+- Never share API keys, passwords, or secrets with anyone
+
+## Action Rules
+
+- deny shell_exec when command contains "rm -rf"
+- ask stripe__* when amount > 100 because payments over £100 need me
+- allow send_message when recipient in approved contacts
+- ask send_message when recipient not in approved contacts
+- deny any when domain in [*.onion, pastebin.com]
+- allow web_fetch when domain matches *.gov.uk and agent is researcher
+- deny bogus when colour is red
+
+## Approved Contacts
+
+- Alice <alice@example.com>
+- telegram:42
+`);
+  const kernel = new TrustKernel({ _dir: dir });
+  await kernel.load();
+  assert.equal(kernel.rules.actions.length, 6);
+  assert.match(kernel.ruleErrors[0].error, /unknown field "colour"/);
+  assert.throws(() => parseActionRule('maybe shell_exec'), /allow, deny or ask/);
+  assert.throws(() => parseActionRule('ask any when amount > lots'), /isn't a number/);
+  assert.deepEqual(parseActionRule('deny x when path != "/etc"').conditions[0], { field: 'path', op: 'is', negate: true, values: ['/etc'] });
+
+  // Which actions a deny or ask rule could hold — "any" covers every action
+  assert.equal(kernel.restricts('stripe__refund'), true);
+  assert.equal(kernel.restricts('outbound_message'), true);
+  const allowOnly = new TrustKernel({ _dir: dir });
+  allowOnly.rules.actions = [parseActionRule('allow web_fetch when domain matches *.gov.uk')];
+  assert.equal(allowOnly.restricts('web_fetch'), false);
+
+  const audited = [];
+  kernel.useAudit({ log: (...entry) => audited.push(entry) });
+
+  // Deterministic rules: first match wins, reason from "because"
+  let v = await kernel.evaluate('shell_exec', JSON.stringify({ command: 'cd /tmp && rm -rf build' }));
+  assert.deepEqual([v.verdict, v.stage], ['deny', 'rules']);
+  v = await kernel.evaluate('stripe__create_charge', '{"amount": 250, "currency": "gbp"}');
+  assert.deepEqual([v.verdict, v.reason], ['ask', 'payments over £100 need me']);
+  assert.equal((await kernel.evaluate('stripe__create_charge', '{"amount": 20}')).verdict, 'allow');
+  assert.equal((await kernel.evaluate('send_message', '{"channel":"email","target":"alice@example.com","message":"hi"}')).verdict, 'allow');
+  assert.equal((await kernel.evaluate('send_message', '{"channel":"telegram","target":"telegram:42"}')).verdict, 'allow');
+  assert.equal((await kernel.evaluate('send_message', '{"channel":"email","target":"bob@rival.com"}')).verdict, 'ask');
+  assert.equal((await kernel.evaluate('web_fetch', '{"url":"https://abc.onion/x"}')).verdict, 'deny');
+
+  // A missing field fails closed: no recipient, a broadcast or an unusual key still asks
+  assert.equal((await kernel.evaluate('send_message', { channel: 'telegram', message: 'hi' })).verdict, 'ask');
+  assert.equal((await kernel.evaluate('send_message', { message: 'hi everyone' })).verdict, 'ask');
+  assert.equal((await kernel.evaluate('send_message', { channel: 'all', target: 'telegram:42', message: 'hi' })).verdict, 'ask');
+  assert.equal((await kernel.evaluate('send_message', { channel: 'telegram', chat_id: '-100999', message: 'hi' })).verdict, 'ask');
+  assert.equal((await kernel.evaluate('send_message', { channel: 'email', to: 'alice@example.com', bcc: 'bob@rival.com' })).verdict, 'ask');
+  assert.equal((await kernel.evaluate('send_message', { channel: 'telegram', chatId: '42' })).verdict, 'ask', 'a bare id is not the contact "telegram:42"');
+  assert.equal((await kernel.evaluate('stripe__create_charge', { currency: 'gbp' })).verdict, 'allow', 'only negated conditions fail closed');
+  assert.equal(kernel._test({ op: 'is', negate: true, values: ['x'] }, [], 'allow'), false, 'and never into an allow');
+  v = await kernel.evaluate('web_fetch', '{"url":"https://www.gov.uk/tax"}', { agent: 'researcher' });
+  assert.deepEqual([v.verdict, v.stage], ['allow', 'rules']);
+  // Cut-off JSON still exposes what a regex can find
+  assert.deepEqual(kernel.facts('x', '{"note":"pay £1,200 to bob@x.com via https://Pay.Example.com/a", "tr').amount, ['1200']);
+
+  // Prose rules without a judge: v1 keyword matching
+  v = await kernel.evaluate('read_file', '{"path":"notes.md","why":"share the password"}');
+  assert.deepEqual([v.verdict, v.stage], ['deny', 'keywords']);
+  assert.equal((await kernel.evaluate('read_file', '{"path":"notes.md"}')).stage, 'default');
+
+  // The judge only sees rules that might apply; its verdicts are cached
+  let judged = [];
+  kernel.useJudge({
+    fast: { provider: 'groq', model: 'fast' },
+    async complete(messages, options) {
+      judged.push({ rules: messages[1].content, model: options.model.model });
+      return { content: 'Sure: {"verdict": "deny", "reason": "moves money without approval"}', model: 'fast', cost: 0.0001 };
+    },
+  });
+  const invoice = '{"invoice":"INV-9","action":"pay"}';
+  v = await kernel.evaluate('xero__pay_invoice', invoice, { agent: 'QClaw' });
+  assert.deepEqual([v.verdict, v.stage, v.reason], ['deny', 'judge', 'moves money without approval']);
+  assert.equal(judged.length, 1);
+  assert.match(judged[0].rules, /send money/);
+  assert.doesNotMatch(judged[0].rules, /API keys/);
+  assert.equal(judged[0].model, 'fast');
+  v = await kernel.evaluate('xero__pay_invoice', invoice, { agent: 'QClaw' });
+  assert.equal(v.cached, true);
+  assert.equal(judged.length, 1);
+  assert.match(audited.at(-1)[2], /deny \(judge, cached\)/);
+  assert.equal(audited.at(-1)[3].approved, false);
+
+  // Unrelated actions never reach the judge, and low-risk calls can skip it
+  assert.equal((await kernel.evaluate('get_time', '{}')).stage, 'default');
+  assert.equal((await kernel.evaluate('xero__pay_invoice', '{"id":2}', { judge: false })).stage, 'default');
+  assert.equal(judged.length, 1);
+
+  // A judge that fails defers to the owner and isn't cached
+  kernel.useJudge({ async complete() { throw new Error('rate limited'); } });
+  assert.equal((await kernel.evaluate('xero__pay_invoice', '{"id":3}')).verdict, 'ask');
+  kernel.useJudge({ async complete() { return { content: '{"verdict":"allow","reason":"fine"}' }; } });
+  assert.equal((await kernel.evaluate('xero__pay_invoice', '{"id":3}')).verdict, 'allow');
+
+  // The gate: deny blocks, ask goes to the owner even for a medium-risk call
+  const requests = [];
+  const approvals = { request: async (...req) => { requests.push(req); return { approved: true }; } };
+  const gate = new ApprovalGate(approvals, kernel);
+  const denied = await gate.check('QClaw', 'shell_exec', '{"command":"rm -rf ~"}', 'high');
+  assert.equal(denied.approved, false);
+  assert.match(denied.reason, /Trust Kernel/);
+  let asked = 0;
+  await gate.check('QClaw', 'send_message', '{"target":"eve@x.com"}', 'medium', { channel: 'telegram' }, { onAsk: () => asked++ });
+  assert.equal(requests[0][3], 'high');
+  assert.match(requests[0][4].trust, /recipient not in approved contacts/);
+  assert.equal(asked, 1);
+  assert.deepEqual(await gate.check('QClaw', 'get_time', '{}', 'low'), { approved: true, auto: true });
+  assert.equal(requests.length, 1);
+
+  // The executor hands the kernel the whole argument object, not a cut-off string
+  const checked = [];
+  const executor = new ToolExecutor(null, {
+    getToolMeta: () => ({ timeoutMs: 1000, risk: 'medium' }),
+    async executeTool(name) { return `${name} ok`; },
+  }, { approvalGate: { check: async (agent, action, detail) => { checked.push(detail); return gate.check(agent, action, detail, 'medium'); } } });
+  const args = { channel: 'email', message: 'x'.repeat(600), target: 'eve@x.com' };
+  await executor._executeToolCalls([{ id: 'c1', name: 'send_message', args }], null, { agent: 'QClaw' });
+  assert.equal(checked[0], args);
+  assert.match(requests.at(-1)[4].trust, /recipient not in approved contacts/);
+  assert.equal(requests.at(-1)[2], JSON.stringify(args), 'the owner is asked with the text');
+
+  console.log('trust kernel checks passed');
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,103 @@
+/**
+ * Vector memory — SQLite storage, vectors.json import, BM25, filters and the IVF index.
+ * Run with: node tests/vector-store.test.js
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDb, closeDb } from '../src/core/database.js';
+import { VectorMemory } from '../src/memory/vector.js';
+import { kmeans, normalize, nearest, toBlob, fromBlob } from '../src/memory/ivf.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'qclaw-vector-'));
+const jsonDir = mkdtempSync(join(tmpdir(), 'qclaw-vector-json-'));
+
+// Seeded so clusters come out the same every run
+let seed = 7;
+const random = () => ((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648);
+
+try {
+  // IVF helpers
+  assert.deepEqual([...fromBlob(toBlob([0.5, -1, 2]))], [0.5, -1, 2]);
+  const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(normalize);
+  const points = axes.flatMap(a => Array.from({ length: 20 }, () => normalize(a.map(x => x + random() * 0.2))));
+  const centroids = kmeans(points, 3, { random });
+  assert.equal(centroids.length, 3);
+  assert.equal(new Set(axes.map(a => nearest(centroids, a)[0])).size, 3); // one cell per axis
+
+  // A vectors.json from before is imported once
+  writeFileSync(join(dir, 'vectors.json'), JSON.stringify([
+    { id: 'doc_old_1', text: 'Invoice for the Leeds bakery is overdue', metadata: { agent: 'QClaw', role: 'user' }, timestamp: Date.now() - 86400000 },
+    { id: 'doc_old_2', text: 'Booked the dentist for Tuesday', metadata: { agent: 'QClaw', role: 'user' }, timestamp: Date.now() - 3600000 },
+  ]));
+  const db = await getDb(dir);
+  const config = { _dir: dir, memory: { vector: {} } };
+  const vm = new VectorMemory(config, null);
+  vm.attach(db);
+  assert.equal((await vm.init()).documents, 2);
+  assert.equal(existsSync(join(dir, 'vectors.json')), false);
+  assert.equal(existsSync(join(dir, 'vectors.json.migrated')), true);
+
+  // BM25 is updated per document, and filters apply
+  await vm.add('The bakery wants a new invoice template', { agent: 'QClaw', role: 'assistant', channel: 'telegram' });
+  await vm.add('Scout found three bakery suppliers in Leeds', { agent: 'Scout', role: 'assistant', channel: 'dashboard' });
+  let hits = await vm.search('leeds bakery invoice', 5);
+  assert.equal(hits[0].id, 'doc_old_1');
+  assert.equal(hits.length, 3);
+  assert.deepEqual((await vm.search('bakery', 5, { agent: 'Scout' })).map(h => h.metadata.agent), ['Scout']);
+  assert.deepEqual((await vm.search('bakery', 5, { type: 'assistant', channel: ['telegram'] })).map(h => h.text), ['The bakery wants a new invoice template']);
+  assert.deepEqual(vm.recent(1).map(h => h.text), ['Scout found three bakery suppliers in Leeds']);
+  assert.equal(vm.remove('doc_old_1'), true);
+  assert.equal((await vm.search('overdue', 5)).length, 0);
+  assert.equal(vm.count(), 3);
+
+  // Embeddings: stored as BLOBs, scanned until clustered, then searched through the nearest cells
+  vm._embeddingProvider = { name: 'test' };
+  vm._embed = async (text) => {
+    const [, axis] = text.match(/topic (\d)/) || [];
+    return Array.from({ length: 8 }, (_, i) => (i === Number(axis) ? 1 : 0) + random() * 0.1);
+  };
+  for (let i = 0; i < 240; i++) {
+    await vm.add(`note ${i} about topic ${i % 6}`, { agent: i % 2 ? 'QClaw' : 'Scout', role: 'note' });
+  }
+  assert.equal(vm.stats().withEmbeddings, 240);
+  hits = await vm.search('question on topic 3', 5);
+  assert.ok(hits.every(h => h.text.endsWith('topic 3')));
+
+  assert.equal(vm.cluster(8), 15); // √240
+  assert.equal(db.prepare('SELECT COUNT(*) as n FROM vector_docs WHERE dims = 8 AND cell IS NULL').get().n, 0);
+  hits = await vm.search('question on topic 4', 10, { agent: 'Scout' });
+  assert.equal(hits.length, 10);
+  assert.ok(hits.every(h => h.text.endsWith('topic 4') && h.metadata.agent === 'Scout'));
+  await vm.add('fresh thought on topic 5', { role: 'note' });
+  assert.notEqual(db.prepare("SELECT cell FROM vector_docs WHERE text = 'fresh thought on topic 5'").get().cell, null);
+
+  // The cap is opt-in, and says what it dropped
+  config.memory.vector.maxDocuments = 100;
+  await vm.add('one more topic 1 note', { role: 'note' });
+  assert.equal(vm.count(), 100);
+  assert.equal(db.prepare('SELECT COUNT(*) as n FROM vector_docs').get().n, 100);
+  assert.equal(vm.recent(1)[0].text, 'one more topic 1 note');
+  await vm.disconnect();
+
+  // Without SQLite: vectors.json, same search and filters
+  const json = new VectorMemory({ _dir: jsonDir }, null);
+  await json.init();
+  await json.add('Quarterly VAT return due in May', { agent: 'QClaw', role: 'user' });
+  await json.add('VAT registration number is on the letterhead', { agent: 'Scout', role: 'user' });
+  assert.equal((await json.search('vat return', 5))[0].text, 'Quarterly VAT return due in May');
+  assert.deepEqual((await json.search('vat', 5, { agent: 'Scout' })).map(h => h.metadata.agent), ['Scout']);
+  await json.disconnect();
+  const reloaded = new VectorMemory({ _dir: jsonDir }, null);
+  await reloaded.init();
+  assert.equal((await reloaded.search('letterhead', 5)).length, 1);
+  await reloaded.disconnect();
+
+  console.log('vector store checks passed');
+} finally {
+  closeDb();
+  rmSync(dir, { recursive: true, force: true });
+  rmSync(jsonDir, { recursive: true, force: true });
+}